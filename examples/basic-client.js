@@ -16,8 +16,10 @@ const rl = readline.createInterface({
   output: process.stdout
 });
 
-// Create WebSocket connection
-const ws = new WebSocket(MCP_SERVER_URL);
+// Create WebSocket connection, authenticated with the API token
+const ws = new WebSocket(MCP_SERVER_URL, {
+  headers: { Authorization: `Bearer ${API_TOKEN}` }
+});
 
 // Message ID counter
 let messageId = 1;
@@ -111,6 +113,11 @@ function handleMessage(message) {
       console.log(`Request received for tool: ${message.tool}`);
       break;
       
+    case 'tool_progress':
+      console.log(`Progress for ${message.tool}: ${message.progress}/${message.total}` +
+        (message.message ? ` - ${message.message}` : ''));
+      break;
+      
     case 'tool_response':
       console.log(`Tool execution completed: ${message.tool}`);
       console.log('Result:', JSON.stringify(message.result, null, 2));
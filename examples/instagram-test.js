@@ -25,8 +25,10 @@ if (!API_TOKEN) {
 
 // Connect to Airtap MCP server
 console.log('Connecting to Airtap MCP server...');
-// Initialize WebSocket connection
-const ws = new WebSocket(MCP_SERVER_URL);
+// Initialize WebSocket connection, authenticated with the API token
+const ws = new WebSocket(MCP_SERVER_URL, {
+  headers: { Authorization: `Bearer ${API_TOKEN}` }
+});
 
 // Counter for message IDs
 let messageId = 1;
@@ -72,7 +74,7 @@ ws.on('open', async () => {
     const taskId = taskResult.taskId;
     console.log(`Task submitted with ID: ${taskId}`);
     
-    // Poll for task status until completed or failed
+    // Follow task updates pushed by the server until completed or failed
     await monitorTask(taskId);
     
   } catch (error) {
@@ -86,8 +88,9 @@ ws.on('open', async () => {
 ws.on('message', (data) => {
   const message = JSON.parse(data);
   
-  // Log message if it's not a response to our tool execution
-  if (message.type !== 'tool_response' && message.type !== 'request_received') {
+  // Log message if it's not a response to our tool execution or a task update
+  const handledTypes = ['tool_response', 'request_received', 'task_update'];
+  if (!handledTypes.includes(message.type)) {
     console.log('Received message:', message);
   }
 });
@@ -155,57 +158,75 @@ async function runTool(tool, params) {
 
 /**
  * Monitor a task until it's completed or failed
+ * Subscribes to the task so the server pushes task_update messages instead of us polling
  * @param {string} taskId - Task ID to monitor
  * @returns {Promise<void>}
  */
-async function monitorTask(taskId) {
+function monitorTask(taskId) {
   console.log('Monitoring task progress...');
   
-  let isCompleted = false;
-  let attemptCount = 0;
-  const maxAttempts = 30; // Maximum polling attempts
-  
-  while (!isCompleted && attemptCount < maxAttempts) {
-    await sleep(5000); // Poll every 5 seconds
+  return new Promise((resolve) => {
+    const subscribeId = String(messageId++);
     
-    try {
-      const status = await runTool('get_task_status', { taskId });
-      console.log(`Task status: ${status.status}`);
+    const finish = (reason) => {
+      clearTimeout(timeout);
+      ws.removeListener('message', updateHandler);
+      ws.send(JSON.stringify({ id: String(messageId++), type: 'unsubscribe_task', taskId }));
       
-      if (status.status === 'completed') {
-        console.log('Task completed successfully!');
-        isCompleted = true;
-      } else if (status.status === 'failed' || status.status === 'cancelled') {
-        console.log(`Task ${status.status}. Reason: ${status.reason || 'unknown'}`);
-        isCompleted = true;
-      } else if (status.status === 'waiting_for_input') {
-        console.log('Task is waiting for human input.');
-        
-        // For demo purposes, we'll just provide a generic input
-        // In a real scenario, you might want to implement specific logic based on what the task is waiting for
-        await runTool('provide_human_input', {
-          taskId,
-          input: 'Please continue with the next step'
-        });
-        
-        console.log('Human input provided.');
+      if (reason) {
+        console.log(reason);
+      }
+      resolve();
+    };
+    
+    const updateHandler = async (data) => {
+      const message = JSON.parse(data);
+      
+      if (message.type === 'error' && message.id === subscribeId) {
+        finish(`Could not subscribe to task: ${message.message}`);
+        return;
       }
       
+      if (message.type !== 'task_update' || message.taskId !== taskId) {
+        return;
+      }
+      
+      console.log(`Task status: ${message.status} (changed: ${message.changes.join(', ')})`);
+      
       // If task is running, display current step
-      if (status.progress && status.progress.currentStep) {
-        console.log(`Current step: ${status.progress.currentStep} of ${status.progress.totalSteps}`);
+      if (message.progress && message.progress.currentStep) {
+        console.log(`Current step: ${message.progress.currentStep} of ${message.progress.totalSteps}`);
       }
       
-      attemptCount++;
-    } catch (error) {
-      console.error('Error checking task status:', error.message);
-      attemptCount++;
-    }
-  }
-  
-  if (!isCompleted) {
-    console.log('Task monitoring timed out. The task may still be running.');
-  }
+      if (message.status === 'completed') {
+        finish('Task completed successfully!');
+      } else if (message.status === 'failed' || message.status === 'cancelled') {
+        finish(`Task ${message.status}.`);
+      } else if (message.waitingForInput) {
+        console.log(`Task is waiting for human input: ${message.inputPrompt}`);
+        
+        // For demo purposes, we'll just provide a generic input
+        // In a real scenario, you might want to implement specific logic based on what the task is waiting for
+        try {
+          await runTool('provide_human_input', {
+            taskId,
+            input: 'Please continue with the next step'
+          });
+          console.log('Human input provided.');
+        } catch (error) {
+          console.error('Error providing human input:', error.message);
+        }
+      }
+    };
+    
+    // Give up after 2.5 minutes, like the previous polling loop did
+    const timeout = setTimeout(() => {
+      finish('Task monitoring timed out. The task may still be running.');
+    }, 150000);
+    
+    ws.addListener('message', updateHandler);
+    ws.send(JSON.stringify({ id: subscribeId, type: 'subscribe_task', taskId }));
+  });
 }
 
 /**
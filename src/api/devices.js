@@ -3,9 +3,260 @@
  * Routes for managing Android devices in sandbox environment
  */
 
+const crypto = require('crypto');
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
-const { v4: uuidv4 } = require('uuid');
+const {
+  getDevices,
+  getDevice,
+  getInstalledApps,
+  getScreenshot,
+  installApp,
+  launchApp,
+  stopApp,
+  clearAppData,
+  openDeepLink
+} = require('../services/device-registry');
+const appLifecycleTools = require('../services/app-lifecycle');
+const { createDeviceDrivers } = require('../drivers');
+const { validateToolParams } = require('../core/schema-validator');
+const {
+  ErrorCodes,
+  McpError,
+  PolicyError,
+  ConfirmationRequiredError
+} = require('../utils/errors');
+const { transformScreenshot, SCREENSHOT_OPTIONS_SCHEMA } = require('../utils/screenshots');
+const { packageNameSchema, INTENT_SCHEMA } = require('../utils/schemas');
+
+// Query parameters of the screenshot route that hold numbers
+const NUMERIC_SCREENSHOT_OPTIONS = ['quality', 'maxWidth', 'maxHeight', 'gridSpacing'];
+
+// Largest APK the install route accepts
+const MAX_APK_BYTES = 200 * 1024 * 1024;
+
+// Uploaded APKs are kept in memory, as they are read whole to find their manifest
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_APK_BYTES, files: 1 }
+});
+
+// Device actions of the routes, as the tools the server policy knows them by. The app actions
+// are the app lifecycle tools; reboot has no tool of its own.
+const ACTION_TOOLS = {
+  ...describeTools(appLifecycleTools()),
+  reboot: { name: 'reboot', annotations: { destructiveHint: true } }
+};
+
+// Parameters of the launch, stop and clear-data routes
+const APP_ACTION_ROUTE = {
+  inputSchema: {
+    type: 'object',
+    properties: {
+      packageName: packageNameSchema('Package name of the app'),
+      activity: {
+        type: 'string',
+        pattern: '^[\\w.$]+$'
+      }
+    },
+    required: ['packageName']
+  }
+};
+
+/**
+ * Read screenshot options from query parameters
+ * Numbers are converted, and crop is given as "x,y,width,height".
+ * @param {Object} query - Query parameters
+ * @returns {Object} - Screenshot options, not yet validated
+ */
+function parseScreenshotQuery(query) {
+  const options = {};
+
+  ['format', 'overlay'].forEach((name) => {
+    if (query[name] !== undefined) {
+      options[name] = query[name];
+    }
+  });
+
+  NUMERIC_SCREENSHOT_OPTIONS.forEach((name) => {
+    if (query[name] !== undefined) {
+      options[name] = Number(query[name]);
+    }
+  });
+
+  if (query.crop !== undefined) {
+    const [x, y, width, height] = String(query.crop).split(',').map(Number);
+    options.crop = { x, y, width, height };
+  }
+
+  return options;
+}
+
+/**
+ * Send the error of a route: invalid parameters as 400 with the errors of every field,
+ * actions the policy refuses as 403, actions that need confirmation as 428 with the
+ * confirmation token, anything else as 500
+ * @param {Object} res - Express response
+ * @param {Error} error - Error
+ */
+function sendError(res, error) {
+  if (error instanceof McpError && error.code === ErrorCodes.INVALID_PARAMS) {
+    return res.status(400).json({
+      error: error.message,
+      errors: error.data && error.data.errors
+    });
+  }
+
+  if (error instanceof PolicyError) {
+    return res.status(403).json({ error: error.message, code: 'denied', ...error.data });
+  }
+
+  if (error instanceof ConfirmationRequiredError) {
+    return res.status(428).json({
+      error: error.message,
+      code: 'confirmation_required',
+      ...error.data
+    });
+  }
+
+  res.status(500).json({ error: error.message });
+}
+
+/**
+ * Receive the APK of a multipart upload, answering 400 or 413 for uploads that fail
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next handler
+ */
+function receiveApk(req, res, next) {
+  upload.single('apk')(req, res, (error) => {
+    if (error) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: error.message });
+    }
+
+    next();
+  });
+}
+
+/**
+ * Describe tools the way the server policy sees them
+ * @param {Object} tools - Tool definitions
+ * @returns {Object} - { name, annotations } by tool name
+ */
+function describeTools(tools) {
+  const descriptions = {};
+
+  Object.keys(tools).forEach((name) => {
+    descriptions[name] = { name, annotations: tools[name].annotations };
+  });
+
+  return descriptions;
+}
+
+/**
+ * Identify the caller of a route to the server policy
+ * Callers are told apart by their API token, hashed so the policy does not hold the token.
+ * @param {Object} req - Express request
+ * @returns {string} - Caller ID
+ */
+function getCallerId(req) {
+  const digest = crypto.createHash('sha256').update(String(req.apiToken || '')).digest('hex');
+  return `rest:${digest}`;
+}
+
+/**
+ * Check the device and the policy of an install before its APK is received
+ * Uploads are only read once the install may go ahead, so a refused install costs no memory.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next handler
+ */
+async function authorizeInstall(req, res, next) {
+  try {
+    const deviceId = req.params.id;
+    const device = await getDevice(deviceId);
+
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    await authorizeAction(req, ACTION_TOOLS.installApp, { deviceId });
+    next();
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Check a device action against the server policy, if the app has one
+ * Confirmation tokens are bound to the caller's API token, like tokens of MCP calls to the
+ * session.
+ * @param {Object} req - Express request; a confirmation token is taken from the confirm field
+ *   of the body, or from the confirm query parameter for uploads
+ * @param {Object} tool - Tool of the action ({ name, annotations })
+ * @param {Object} params - Action parameters, with the device ID
+ * @returns {Promise<void>}
+ * @throws {PolicyError} - If the policy refuses the action
+ * @throws {ConfirmationRequiredError} - If the action must be repeated with a confirmation token
+ */
+async function authorizeAction(req, tool, params) {
+  const { policy } = req.app.locals;
+
+  if (policy) {
+    await policy.authorize(tool, params, {
+      sessionId: getCallerId(req),
+      confirm: (req.body && req.body.confirm) || req.query.confirm
+    });
+  }
+}
+
+/**
+ * Get the drivers that carry out the device actions of a request
+ * They follow the driver configuration of the server and use the caller's API token, like the
+ * drivers of the tools.
+ * @param {Object} req - Express request
+ * @returns {Object} - Device drivers ({ forDevice(deviceId) })
+ */
+function getDrivers(req) {
+  return createDeviceDrivers(req.apiToken, req.app.locals.drivers);
+}
+
+/**
+ * Run an action on an app of a device and answer with its status
+ * @param {Object} req - Express request, with the package name in the path
+ * @param {Object} res - Express response
+ * @param {Object} tool - Tool of the action, for the policy
+ * @param {string} status - Status to report once the action is done, such as stopped
+ * @param {Function} action - Called with the device ID and the validated parameters
+ */
+async function runAppAction(req, res, tool, status, action) {
+  try {
+    const deviceId = req.params.id;
+    const params = { ...req.body, packageName: req.params.packageName };
+    delete params.confirm;
+
+    validateToolParams('app action', APP_ACTION_ROUTE, params);
+
+    const device = await getDevice(deviceId);
+
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    await authorizeAction(req, tool, { ...params, deviceId });
+    await action(deviceId, params);
+
+    res.status(200).json({
+      deviceId,
+      packageName: params.packageName,
+      status
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
 
 /**
  * @route GET /api/devices
@@ -14,9 +265,7 @@ const { v4: uuidv4 } = require('uuid');
  */
 router.get('/', async (req, res) => {
   try {
-    // In a real implementation, fetch devices from Airtap API
-    // For now, return mock data
-    const devices = getMockDevices();
+    const devices = await getDevices();
     
     res.status(200).json({
       devices,
@@ -36,9 +285,7 @@ router.get('/:id', async (req, res) => {
   try {
     const deviceId = req.params.id;
     
-    // In a real implementation, fetch device from Airtap API
-    // For now, return mock data
-    const device = getMockDevice(deviceId);
+    const device = await getDevice(deviceId);
     
     if (!device) {
       return res.status(404).json({ error: 'Device not found' });
@@ -53,33 +300,31 @@ router.get('/:id', async (req, res) => {
 /**
  * @route GET /api/devices/:id/screenshot
  * @description Get current screenshot from a device
+ * @query format, quality, maxWidth, maxHeight, crop (x,y,width,height), overlay, gridSpacing
  * @access Private
  */
 router.get('/:id/screenshot', async (req, res) => {
   try {
     const deviceId = req.params.id;
+    const options = parseScreenshotQuery(req.query);
+
+    validateToolParams('screenshot', { inputSchema: SCREENSHOT_OPTIONS_SCHEMA }, options);
     
-    // In a real implementation, fetch screenshot from Airtap API
-    // For now, return mock data
-    const device = getMockDevice(deviceId);
+    const device = await getDevice(deviceId);
     
     if (!device) {
       return res.status(404).json({ error: 'Device not found' });
     }
     
-    // Mock screenshot data (base64 format)
-    const screenshot = {
+    const screenshot = await getScreenshot(deviceId, getDrivers(req));
+    
+    res.status(200).json({
       deviceId,
-      timestamp: new Date().toISOString(),
-      format: 'png',
-      width: 1080,
-      height: 2340,
-      data: 'base64_encoded_image_data...' // In real implementation, this would be actual image data
-    };
-    
-    res.status(200).json(screenshot);
+      timestamp: screenshot.timestamp,
+      ...await transformScreenshot(screenshot, options)
+    });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
@@ -94,12 +339,14 @@ router.post('/:id/reboot', async (req, res) => {
     
     // In a real implementation, reboot device via Airtap API
     // For now, return mock data
-    const device = getMockDevice(deviceId);
+    const device = await getDevice(deviceId);
     
     if (!device) {
       return res.status(404).json({ error: 'Device not found' });
     }
     
+    await authorizeAction(req, ACTION_TOOLS.reboot, { deviceId });
+
     // Update device status to rebooting
     device.status = 'rebooting';
     device.updatedAt = new Date().toISOString();
@@ -110,7 +357,7 @@ router.post('/:id/reboot', async (req, res) => {
       message: 'Device reboot initiated'
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
@@ -123,15 +370,13 @@ router.get('/:id/apps', async (req, res) => {
   try {
     const deviceId = req.params.id;
     
-    // In a real implementation, fetch apps from Airtap API
-    // For now, return mock data
-    const device = getMockDevice(deviceId);
+    const device = await getDevice(deviceId);
     
     if (!device) {
       return res.status(404).json({ error: 'Device not found' });
     }
     
-    const apps = getMockInstalledApps();
+    const apps = await getInstalledApps(deviceId, getDrivers(req));
     
     res.status(200).json({
       deviceId,
@@ -144,95 +389,100 @@ router.get('/:id/apps', async (req, res) => {
 });
 
 /**
- * Generate mock devices for testing
- * @returns {Array} - Array of mock devices
- */
-function getMockDevices() {
-  return [
-    {
-      id: 'device-001',
-      name: 'Sandbox Pixel 6',
-      model: 'Google Pixel 6',
-      androidVersion: '12',
-      status: 'online',
-      resolution: '1080x2340',
-      createdAt: new Date(Date.now() - 86400000 * 30).toISOString(), // 30 days ago
-      updatedAt: new Date(Date.now() - 3600000).toISOString() // 1 hour ago
-    },
-    {
-      id: 'device-002',
-      name: 'Sandbox Galaxy S21',
-      model: 'Samsung Galaxy S21',
-      androidVersion: '11',
-      status: 'offline',
-      resolution: '1440x3200',
-      createdAt: new Date(Date.now() - 86400000 * 20).toISOString(), // 20 days ago
-      updatedAt: new Date(Date.now() - 86400000).toISOString() // 1 day ago
+ * @route POST /api/devices/:id/apps
+ * @description Install an APK, uploaded as the "apk" field of a multipart form
+ * @access Private
+ */
+router.post('/:id/apps', authorizeInstall, receiveApk, async (req, res) => {
+  try {
+    const deviceId = req.params.id;
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Upload the APK as the "apk" field of a multipart/form-data body'
+      });
     }
-  ];
-}
 
-/**
- * Get mock device by ID
- * @param {string} id - Device ID
- * @returns {Object|null} - Mock device or null if not found
- */
-function getMockDevice(id) {
-  const devices = getMockDevices();
-  return devices.find(device => device.id === id) || {
-    id,
-    name: 'Sandbox Automation Device',
-    model: 'Google Pixel 6',
-    androidVersion: '12',
-    status: 'online',
-    resolution: '1080x2340',
-    createdAt: new Date(Date.now() - 86400000 * 15).toISOString(), // 15 days ago
-    updatedAt: new Date(Date.now() - 3600000).toISOString() // 1 hour ago
-  };
-}
+    const installed = await installApp(deviceId, req.file.buffer, getDrivers(req));
+
+    res.status(201).json({
+      deviceId,
+      ...installed
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
 /**
- * Get mock installed apps
- * @returns {Array} - Array of mock installed apps
+ * @route POST /api/devices/:id/apps/deep-link
+ * @description Open a deep link or start an intent
+ * @body uri, action, packageName, extras
+ * @access Private
  */
-function getMockInstalledApps() {
-  return [
-    {
-      packageName: 'com.android.chrome',
-      appName: 'Chrome',
-      versionName: '96.0.4664.45',
-      versionCode: 466404500,
-      isSystemApp: true
-    },
-    {
-      packageName: 'com.google.android.gm',
-      appName: 'Gmail',
-      versionName: '2021.11.28.408003856',
-      versionCode: 408003856,
-      isSystemApp: true
-    },
-    {
-      packageName: 'com.instagram.android',
-      appName: 'Instagram',
-      versionName: '214.0.0.27.120',
-      versionCode: 214000027,
-      isSystemApp: false
-    },
-    {
-      packageName: 'com.spotify.music',
-      appName: 'Spotify',
-      versionName: '8.6.80.1014',
-      versionCode: 80068001,
-      isSystemApp: false
-    },
-    {
-      packageName: 'org.telegram.messenger',
-      appName: 'Telegram',
-      versionName: '8.3.0',
-      versionCode: 8300,
-      isSystemApp: false
+router.post('/:id/apps/deep-link', async (req, res) => {
+  try {
+    const deviceId = req.params.id;
+    const intent = { ...req.body };
+    delete intent.confirm;
+
+    validateToolParams('openDeepLink', { inputSchema: INTENT_SCHEMA }, intent);
+
+    const device = await getDevice(deviceId);
+
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
     }
-  ];
-}
+
+    await authorizeAction(req, ACTION_TOOLS.openDeepLink, { ...intent, deviceId });
+
+    const opened = await openDeepLink(deviceId, intent, getDrivers(req));
+
+    res.status(200).json({
+      deviceId,
+      uri: intent.uri || null,
+      action: intent.action,
+      packageName: opened.packageName || intent.packageName || null,
+      status: 'opened'
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route POST /api/devices/:id/apps/:packageName/launch
+ * @description Launch an app, at its launcher activity or the activity in the body
+ * @body activity
+ * @access Private
+ */
+router.post('/:id/apps/:packageName/launch', async (req, res) => {
+  await runAppAction(req, res, ACTION_TOOLS.launchApp, 'launched', (deviceId, params) => {
+    const options = { activity: params.activity };
+    return launchApp(deviceId, params.packageName, options, getDrivers(req));
+  });
+});
+
+/**
+ * @route POST /api/devices/:id/apps/:packageName/stop
+ * @description Force stop an app
+ * @access Private
+ */
+router.post('/:id/apps/:packageName/stop', async (req, res) => {
+  await runAppAction(req, res, ACTION_TOOLS.stopApp, 'stopped', (deviceId, params) => {
+    return stopApp(deviceId, params.packageName, getDrivers(req));
+  });
+});
+
+/**
+ * @route POST /api/devices/:id/apps/:packageName/clear-data
+ * @description Clear the data of an app
+ * @access Private
+ */
+router.post('/:id/apps/:packageName/clear-data', async (req, res) => {
+  await runAppAction(req, res, ACTION_TOOLS.clearAppData, 'cleared', (deviceId, params) => {
+    return clearAppData(deviceId, params.packageName, getDrivers(req));
+  });
+});
 
 module.exports = router;
@@ -6,6 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
+const { getTasks, getTask } = require('../services/task-store');
 
 /**
  * @route GET /api/tasks
@@ -27,9 +28,7 @@ router.get('/', async (req, res) => {
       params.status = status;
     }
     
-    // In a real implementation, fetch tasks from Airtap API
-    // For now, return mock data
-    const tasks = getMockTasks(params);
+    const tasks = await getTasks(params);
     
     res.status(200).json({
       tasks,
@@ -52,9 +51,7 @@ router.get('/:id', async (req, res) => {
   try {
     const taskId = req.params.id;
     
-    // In a real implementation, fetch task from Airtap API
-    // For now, return mock data
-    const task = getMockTask(taskId);
+    const task = await getTask(taskId);
     
     if (!task) {
       return res.status(404).json({ error: 'Task not found' });
@@ -110,7 +107,7 @@ router.post('/:id/cancel', async (req, res) => {
     
     // In a real implementation, cancel task via Airtap API
     // For now, return mock data
-    const task = getMockTask(taskId);
+    const task = await getTask(taskId);
     
     if (!task) {
       return res.status(404).json({ error: 'Task not found' });
@@ -146,7 +143,7 @@ router.post('/:id/input', async (req, res) => {
     
     // In a real implementation, provide input to task via Airtap API
     // For now, return mock data
-    const task = getMockTask(taskId);
+    const task = await getTask(taskId);
     
     if (!task) {
       return res.status(404).json({ error: 'Task not found' });
@@ -166,69 +163,4 @@ router.post('/:id/input', async (req, res) => {
   }
 });
 
-/**
- * Generate mock task data for testing
- * @param {Object} params - Query parameters
- * @returns {Array} - Array of mock tasks
- */
-function getMockTasks(params) {
-  const statuses = ['pending', 'running', 'completed', 'failed', 'cancelled', 'waiting_for_input'];
-  const mockTasks = [];
-  
-  const count = Math.min(params.limit, 20); // Max 20 tasks
-  
-  for (let i = 0; i < count; i++) {
-    const status = params.status || statuses[Math.floor(Math.random() * statuses.length)];
-    
-    mockTasks.push({
-      id: uuidv4(),
-      task: `Sample task ${i + 1}`,
-      status,
-      precisionMode: Math.random() > 0.5,
-      navigateToHome: Math.random() > 0.3,
-      maxSteps: 30 + Math.floor(Math.random() * 70),
-      currentStep: Math.floor(Math.random() * 20),
-      createdAt: new Date(Date.now() - Math.random() * 86400000 * 7).toISOString(), // Within last week
-      updatedAt: new Date(Date.now() - Math.random() * 3600000).toISOString() // Within last hour
-    });
-  }
-  
-  return mockTasks;
-}
-
-/**
- * Get mock task by ID
- * @param {string} id - Task ID
- * @returns {Object|null} - Mock task or null if not found
- */
-function getMockTask(id) {
-  // In a real implementation, this would fetch from database or API
-  // For demo, always return a mock task with the given ID
-  return {
-    id,
-    task: 'Open Instagram, search for #travel, and save the first 5 posts',
-    status: ['pending', 'running', 'completed', 'failed', 'waiting_for_input'][Math.floor(Math.random() * 5)],
-    precisionMode: true,
-    navigateToHome: true,
-    maxSteps: 50,
-    currentStep: 12,
-    steps: [
-      { step: 1, action: 'Navigating to home screen', status: 'completed', timestamp: new Date(Date.now() - 300000).toISOString() },
-      { step: 2, action: 'Opening Instagram app', status: 'completed', timestamp: new Date(Date.now() - 250000).toISOString() },
-      { step: 3, action: 'Waiting for Instagram to load', status: 'completed', timestamp: new Date(Date.now() - 240000).toISOString() },
-      { step: 4, action: 'Tapping on search icon', status: 'completed', timestamp: new Date(Date.now() - 230000).toISOString() },
-      { step: 5, action: 'Tapping on search field', status: 'completed', timestamp: new Date(Date.now() - 220000).toISOString() },
-      { step: 6, action: 'Typing "#travel"', status: 'completed', timestamp: new Date(Date.now() - 210000).toISOString() },
-      { step: 7, action: 'Tapping on hashtag result', status: 'completed', timestamp: new Date(Date.now() - 200000).toISOString() },
-      { step: 8, action: 'Waiting for results to load', status: 'completed', timestamp: new Date(Date.now() - 180000).toISOString() },
-      { step: 9, action: 'Identifying first post', status: 'completed', timestamp: new Date(Date.now() - 160000).toISOString() },
-      { step: 10, action: 'Tapping on first post', status: 'completed', timestamp: new Date(Date.now() - 150000).toISOString() },
-      { step: 11, action: 'Long pressing to save post', status: 'completed', timestamp: new Date(Date.now() - 140000).toISOString() },
-      { step: 12, action: 'Navigating to next post', status: 'in_progress', timestamp: new Date(Date.now() - 130000).toISOString() }
-    ],
-    createdAt: new Date(Date.now() - 300000).toISOString(),
-    updatedAt: new Date(Date.now() - 100000).toISOString()
-  };
-}
-
 module.exports = router;
@@ -0,0 +1,207 @@
+/**
+ * Concurrency Limiter
+ * Limits how many tool calls run at once per session and per device
+ */
+
+const { BusyError, CancelledError } = require('../utils/errors');
+
+// What happens to a request over the limit: wait for a free slot, or fail right away
+const BUSY_MODES = ['queue', 'reject'];
+
+/**
+ * Create a limiter shared by all sessions of a server
+ * A limit of 0 means no limit.
+ * @param {Object} [options] - Limiter options
+ * @param {number} [options.maxPerSession=0] - Concurrent tool calls per session
+ * @param {number} [options.maxPerDevice=0] - Concurrent tool calls that act on the same device
+ * @param {string} [options.whenBusy='queue'] - 'queue' or 'reject' requests over a limit
+ * @returns {Object} - Limiter with acquire(sessionId, deviceId, signal)
+ */
+function createConcurrencyLimiter(options = {}) {
+  const { maxPerSession = 0, maxPerDevice = 0, whenBusy = 'queue' } = options;
+
+  if (!BUSY_MODES.includes(whenBusy)) {
+    throw new Error(`whenBusy must be one of: ${BUSY_MODES.join(', ')}`);
+  }
+
+  const runningBySession = new Map();
+  const runningByDevice = new Map();
+  const waiting = [];
+
+  /**
+   * Find the limit a request would exceed
+   * @param {string} sessionId - Session of the request
+   * @param {string|null} deviceId - Device the request acts on, null if none
+   * @returns {Object|null} - { scope, limit, deviceId } or null if there is room
+   */
+  function findExceededLimit(sessionId, deviceId) {
+    if (maxPerSession > 0 && (runningBySession.get(sessionId) || 0) >= maxPerSession) {
+      return { scope: 'session', limit: maxPerSession };
+    }
+
+    const deviceLimited = deviceId !== null && maxPerDevice > 0;
+    if (deviceLimited && (runningByDevice.get(deviceId) || 0) >= maxPerDevice) {
+      return { scope: 'device', limit: maxPerDevice, deviceId };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a queued request waits for a slot the new request would also take
+   * @param {Object} waiter - Queued request
+   * @param {string} sessionId - Session of the new request
+   * @param {string|null} deviceId - Device the new request acts on, null if none
+   * @returns {boolean}
+   */
+  function competes(waiter, sessionId, deviceId) {
+    const sameSession = maxPerSession > 0 && waiter.sessionId === sessionId;
+    const sameDevice = maxPerDevice > 0 && deviceId !== null && waiter.deviceId === deviceId;
+    return sameSession || sameDevice;
+  }
+
+  /**
+   * Check whether a request must wait: it exceeds a limit, or it would take a slot that an
+   * earlier request is waiting for
+   * @param {Array} ahead - Requests queued before it
+   * @param {string} sessionId - Session of the request
+   * @param {string|null} deviceId - Device the request acts on, null if none
+   * @returns {boolean}
+   */
+  function mustWait(ahead, sessionId, deviceId) {
+    return Boolean(findExceededLimit(sessionId, deviceId)) ||
+      ahead.some(waiter => competes(waiter, sessionId, deviceId));
+  }
+
+  /**
+   * Take a slot and return the function that gives it back
+   * @param {string} sessionId - Session of the request
+   * @param {string|null} deviceId - Device the request acts on, null if none
+   * @returns {Function} - release(); calling it more than once has no effect
+   */
+  function take(sessionId, deviceId) {
+    adjust(runningBySession, sessionId, 1);
+    if (deviceId !== null) {
+      adjust(runningByDevice, deviceId, 1);
+    }
+
+    let released = false;
+    return () => {
+      if (released) {
+        return;
+      }
+
+      released = true;
+      adjust(runningBySession, sessionId, -1);
+      if (deviceId !== null) {
+        adjust(runningByDevice, deviceId, -1);
+      }
+
+      admitWaiting();
+    };
+  }
+
+  /**
+   * Start queued requests that fit now, oldest first
+   */
+  function admitWaiting() {
+    for (let index = 0; index < waiting.length;) {
+      const waiter = waiting[index];
+
+      if (mustWait(waiting.slice(0, index), waiter.sessionId, waiter.deviceId)) {
+        index++;
+        continue;
+      }
+
+      waiting.splice(index, 1);
+      waiter.admit();
+    }
+  }
+
+  /**
+   * Wait for a slot for a request
+   * @param {string} sessionId - Session of the request
+   * @param {string|null} deviceId - Device the request acts on, null if none
+   * @param {AbortSignal} [signal] - Signal that cancels the request while it waits
+   * @returns {Promise<Function>} - Resolves with release() once the request may run
+   * @throws {BusyError} - If a limit is reached and requests are rejected rather than queued
+   * @throws {CancelledError} - If the request is cancelled while it waits
+   */
+  function acquire(sessionId, deviceId = null, signal) {
+    const exceeded = findExceededLimit(sessionId, deviceId);
+
+    // New requests line up behind queued ones instead of taking a slot they wait for
+    if (!mustWait(waiting, sessionId, deviceId)) {
+      return Promise.resolve(take(sessionId, deviceId));
+    }
+
+    if (exceeded && whenBusy === 'reject') {
+      const message = exceeded.scope === 'session'
+        ? `Busy: this session already runs ${exceeded.limit} requests`
+        : `Busy: device ${deviceId} already runs ${exceeded.limit} requests`;
+      return Promise.reject(new BusyError(message, exceeded));
+    }
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        return reject(new CancelledError());
+      }
+
+      const onAbort = () => {
+        waiting.splice(waiting.indexOf(waiter), 1);
+        reject(new CancelledError());
+
+        // Requests behind it may fit now
+        admitWaiting();
+      };
+
+      const waiter = {
+        sessionId,
+        deviceId,
+        admit: () => {
+          if (signal) {
+            signal.removeEventListener('abort', onAbort);
+          }
+          resolve(take(sessionId, deviceId));
+        }
+      };
+
+      waiting.push(waiter);
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  return {
+    maxPerSession,
+    maxPerDevice,
+    whenBusy,
+    acquire,
+    get queued() {
+      return waiting.length;
+    }
+  };
+}
+
+/**
+ * Add to a counter in a map, removing it when it drops to zero
+ * @param {Map} counts - Counters by key
+ * @param {string} key - Counter to change
+ * @param {number} amount - Amount to add
+ */
+function adjust(counts, key, amount) {
+  const count = (counts.get(key) || 0) + amount;
+
+  if (count > 0) {
+    counts.set(key, count);
+  } else {
+    counts.delete(key);
+  }
+}
+
+module.exports = {
+  createConcurrencyLimiter,
+  BUSY_MODES
+};
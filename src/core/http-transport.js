@@ -0,0 +1,335 @@
+/**
+ * Streamable HTTP Transport
+ * MCP over plain HTTP for clients that cannot open WebSocket connections:
+ * requests are POSTed, server-initiated messages are streamed with Server-Sent Events
+ */
+
+const EventEmitter = require('events');
+const express = require('express');
+const { handleMcpConnection } = require('./mcp-handler');
+const { ErrorCodes } = require('../utils/errors');
+
+// Interval for SSE comments that keep idle proxies from closing the stream
+const KEEPALIVE_INTERVAL_MS = 25000;
+
+// Sessions without an open event stream end after this long without a request
+const DEFAULT_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+
+/**
+ * Create the HTTP transport router
+ * Mount it on the Express app after the authentication middleware.
+ * Sessions belong to the API token that created them and run tools with that token.
+ * @param {Object|Function} tools - Available tools object, or a function returning the tools
+ *   for the caller's API token
+ * @param {Object} logger - Winston logger instance
+ * @param {Object} [options] - Connection options passed to the MCP handler (e.g. prompts)
+ * @param {number} [options.idleTimeout=1800000] - Milliseconds a session without an event stream
+ *   is kept after its last request; 0 keeps sessions until they are deleted
+ * @returns {express.Router} - Router handling POST, GET and DELETE for the MCP endpoint
+ */
+function createHttpTransport(tools, logger, options = {}) {
+  const router = express.Router();
+  const sessions = new Map();
+  const { idleTimeout = DEFAULT_IDLE_TIMEOUT_MS } = options;
+
+  /**
+   * Restart the idle timer of a session; sessions with an open event stream do not expire
+   * @param {Object} session - HTTP session
+   */
+  function touchSession(session) {
+    clearTimeout(session.idleTimer);
+    session.idleTimer = null;
+
+    if (idleTimeout > 0 && !session.stream && sessions.has(session.id)) {
+      session.idleTimer = setTimeout(() => {
+        // Requests still waiting for their response keep the session alive
+        if (session.pending.size > 0) {
+          return touchSession(session);
+        }
+
+        logger.info(`HTTP session ${session.id} expired after ${idleTimeout}ms without requests`);
+        closeHttpSession(sessions, session);
+      }, idleTimeout);
+      session.idleTimer.unref();
+    }
+  }
+
+  // Client-to-server messages
+  router.post('/', (req, res) => {
+    let session;
+    const sessionId = req.get('mcp-session-id');
+
+    if (sessionId) {
+      session = findHttpSession(sessions, req);
+
+      if (!session) {
+        return sendHttpError(res, 404, ErrorCodes.INVALID_REQUEST, 'Session not found');
+      }
+    } else if (!isInitializeRequest(req.body)) {
+      const message = 'Missing Mcp-Session-Id header; start a session with initialize';
+      return sendHttpError(res, 400, ErrorCodes.INVALID_REQUEST, message);
+    } else {
+      const sessionTools = typeof tools === 'function' ? tools(req.apiToken) : tools;
+      session = createHttpSession(sessions, sessionTools, logger, {
+        ...options,
+        apiToken: req.apiToken
+      });
+    }
+
+    res.set('Mcp-Session-Id', session.id);
+    touchSession(session);
+
+    const messages = Array.isArray(req.body) ? req.body : [req.body];
+    const requestIds = messages.filter(isJsonRpcRequest).map(message => message.id);
+
+    // A cancelled request never gets a response, so release the POST waiting for it
+    messages.filter(isCancellation).forEach((message) => {
+      const waiting = session.pending.get(message.params.requestId);
+
+      if (waiting) {
+        waiting(null);
+      }
+    });
+
+    // Notifications, responses and legacy messages are acknowledged right away;
+    // anything they trigger is delivered over the event stream
+    if (requestIds.length === 0) {
+      deliverMessages(session, messages);
+      return res.status(202).end();
+    }
+
+    const responses = new Map();
+
+    // Cancelled requests complete with a null response and are left out of the body
+    requestIds.forEach((id) => {
+      session.pending.set(id, (response) => {
+        session.pending.delete(id);
+        responses.set(id, response);
+
+        if (responses.size === requestIds.length) {
+          const body = requestIds.map(requestId => responses.get(requestId)).filter(Boolean);
+
+          if (body.length === 0) {
+            res.status(202).end();
+          } else {
+            res.status(200).json(Array.isArray(req.body) ? body : body[0]);
+          }
+        }
+      });
+    });
+
+    // If the client gives up, late responses fall back to the event stream
+    res.on('close', () => {
+      requestIds.forEach(id => session.pending.delete(id));
+      touchSession(session);
+    });
+
+    deliverMessages(session, messages);
+  });
+
+  // Server-to-client event stream
+  router.get('/', (req, res) => {
+    const session = findHttpSession(sessions, req);
+
+    if (!session) {
+      return sendHttpError(res, 404, ErrorCodes.INVALID_REQUEST, 'Session not found');
+    }
+
+    if (!req.accepts('text/event-stream')) {
+      const message = 'Client must accept text/event-stream';
+      return sendHttpError(res, 406, ErrorCodes.INVALID_REQUEST, message);
+    }
+
+    // Only one stream per session; a new GET replaces the previous one
+    if (session.stream) {
+      session.stream.end();
+    }
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'Mcp-Session-Id': session.id
+    });
+    res.flushHeaders();
+
+    session.stream = res;
+    touchSession(session);
+    logger.debug(`Event stream opened for HTTP session ${session.id}`);
+
+    // Flush messages produced while no stream was open
+    const buffered = session.buffer.splice(0);
+    buffered.forEach(data => writeEvent(res, data));
+
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL_MS);
+    keepalive.unref();
+
+    res.on('close', () => {
+      clearInterval(keepalive);
+
+      if (session.stream === res) {
+        session.stream = null;
+        touchSession(session);
+        logger.debug(`Event stream closed for HTTP session ${session.id}`);
+      }
+    });
+  });
+
+  // Explicit session termination
+  router.delete('/', (req, res) => {
+    const session = findHttpSession(sessions, req);
+
+    if (!session) {
+      return sendHttpError(res, 404, ErrorCodes.INVALID_REQUEST, 'Session not found');
+    }
+
+    closeHttpSession(sessions, session);
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+/**
+ * Create an HTTP session backed by a WebSocket-like connection object
+ * @param {Map} sessions - Registry of HTTP sessions
+ * @param {Object} tools - Available tools object
+ * @param {Object} logger - Winston logger instance
+ * @param {Object} options - Connection options passed to the MCP handler
+ * @returns {Object} - HTTP session
+ */
+function createHttpSession(sessions, tools, logger, options) {
+  const connection = new EventEmitter();
+  const session = {
+    id: null,
+    apiToken: options.apiToken,
+    connection,
+    stream: null,
+    buffer: [],
+    pending: new Map(),
+    idleTimer: null
+  };
+
+  // Route responses to the POST waiting for them, everything else to the event stream
+  connection.send = (data) => {
+    const message = JSON.parse(data);
+    const isResponse = message.jsonrpc === '2.0' && message.method === undefined;
+    const waiting = isResponse && session.pending.get(message.id);
+
+    if (waiting) {
+      waiting(message);
+    } else if (session.stream) {
+      writeEvent(session.stream, data);
+    } else {
+      session.buffer.push(data);
+    }
+  };
+
+  handleMcpConnection(connection, tools, logger, { ...options, announce: false });
+
+  // The MCP handler assigns the connection ID, which doubles as the session ID
+  session.id = connection.id;
+  sessions.set(session.id, session);
+  logger.info(`New MCP HTTP session: ${session.id}`);
+
+  return session;
+}
+
+/**
+ * Look up the session named by the Mcp-Session-Id header
+ * Sessions of other API tokens are reported as missing.
+ * @param {Map} sessions - Registry of HTTP sessions
+ * @param {express.Request} req - Incoming request
+ * @returns {Object|null} - HTTP session
+ */
+function findHttpSession(sessions, req) {
+  const session = sessions.get(req.get('mcp-session-id'));
+  return session && session.apiToken === req.apiToken ? session : null;
+}
+
+/**
+ * Terminate an HTTP session and release its resources
+ * @param {Map} sessions - Registry of HTTP sessions
+ * @param {Object} session - HTTP session
+ */
+function closeHttpSession(sessions, session) {
+  sessions.delete(session.id);
+  clearTimeout(session.idleTimer);
+
+  if (session.stream) {
+    session.stream.end();
+    session.stream = null;
+  }
+
+  session.pending.clear();
+  session.connection.emit('close');
+}
+
+/**
+ * Hand messages to the MCP handler
+ * @param {Object} session - HTTP session
+ * @param {Array} messages - Parsed messages
+ */
+function deliverMessages(session, messages) {
+  messages.forEach(message => session.connection.emit('message', JSON.stringify(message)));
+}
+
+/**
+ * Check whether a message is a JSON-RPC request that expects a response
+ * @param {Object} message - Parsed message
+ * @returns {boolean}
+ */
+function isJsonRpcRequest(message) {
+  return Boolean(message) &&
+    message.jsonrpc === '2.0' &&
+    typeof message.method === 'string' &&
+    message.id !== undefined;
+}
+
+/**
+ * Check whether a POST body is the initialize request that starts a session
+ * @param {Object|Array} body - Parsed request body
+ * @returns {boolean}
+ */
+function isInitializeRequest(body) {
+  return isJsonRpcRequest(body) && body.method === 'initialize';
+}
+
+/**
+ * Check whether a message is a cancellation notification
+ * @param {Object} message - Parsed message
+ * @returns {boolean}
+ */
+function isCancellation(message) {
+  return Boolean(message) &&
+    message.method === 'notifications/cancelled' &&
+    Boolean(message.params);
+}
+
+/**
+ * Write a message as a Server-Sent Event
+ * @param {Object} res - Express response holding the event stream
+ * @param {string} data - Serialized message
+ */
+function writeEvent(res, data) {
+  res.write(`event: message\ndata: ${data}\n\n`);
+}
+
+/**
+ * Send a JSON-RPC error as a plain HTTP response
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status code
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ */
+function sendHttpError(res, status, code, message) {
+  res.status(status).json({
+    jsonrpc: '2.0',
+    id: null,
+    error: { code, message }
+  });
+}
+
+module.exports = {
+  createHttpTransport
+};
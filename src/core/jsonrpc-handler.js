@@ -0,0 +1,505 @@
+/**
+ * MCP JSON-RPC Handler
+ * Implements the standard Model Context Protocol methods over JSON-RPC 2.0
+ */
+
+const { executeTool, cancelRequest } = require('./tool-executor');
+const {
+  RESOURCE_TEMPLATES,
+  listResources,
+  readResource,
+  subscribeResource,
+  unsubscribeResource
+} = require('./resources');
+const { listPrompts, getPrompt, completePromptArgument } = require('./prompts');
+const { ErrorCodes, McpError, CancelledError } = require('../utils/errors');
+
+// Protocol revisions understood by this server, newest first
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// Methods that may be called before the initialize handshake
+const PRE_INITIALIZE_METHODS = ['initialize', 'ping'];
+
+// Fields of tool results that are returned as image content: screen captures and diff images
+const IMAGE_FIELDS = ['screenshot', 'diff'];
+
+/**
+ * Handle an incoming JSON-RPC message
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} tools - Available tools object
+ * @param {Object|Array} message - Parsed JSON-RPC message
+ * @param {Object} session - Session data
+ * @param {Object} logger - Winston logger instance
+ */
+async function handleJsonRpcMessage(ws, tools, message, session, logger) {
+  session.protocol = 'jsonrpc';
+
+  if (Array.isArray(message)) {
+    const errorMessage = 'Batch requests are not supported';
+    return sendJsonRpcError(ws, null, ErrorCodes.INVALID_REQUEST, errorMessage);
+  }
+
+  const isNotification = message.id === undefined;
+
+  if (message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+    // The only requests the server issues are approval requests of tool calls
+    if (message.jsonrpc === '2.0' && ('result' in message || 'error' in message)) {
+      return handleApprovalResponse(message, session, logger);
+    }
+
+    const id = isNotification ? null : message.id;
+    return sendJsonRpcError(ws, id, ErrorCodes.INVALID_REQUEST, 'Invalid Request');
+  }
+
+  try {
+    const result = await dispatchMethod(ws, tools, message, session, logger);
+
+    if (!isNotification) {
+      sendJsonRpcResult(ws, message.id, result);
+    }
+  } catch (error) {
+    // Cancelled requests receive no response at all
+    if (error instanceof CancelledError) {
+      logger.debug(`Request ${message.id} stopped after cancellation`);
+      return;
+    }
+
+    if (!(error instanceof McpError)) {
+      logger.error(`Error handling ${message.method}: ${error.message}`);
+    }
+
+    // Notifications never receive a response, not even an error
+    if (isNotification) {
+      return;
+    }
+
+    if (error instanceof McpError) {
+      sendJsonRpcError(ws, message.id, error.code, error.message, error.data);
+    } else {
+      sendJsonRpcError(ws, message.id, ErrorCodes.INTERNAL_ERROR, error.message);
+    }
+  }
+}
+
+/**
+ * Route a JSON-RPC request or notification to its method handler
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} tools - Available tools object
+ * @param {Object} message - JSON-RPC message
+ * @param {Object} session - Session data
+ * @param {Object} logger - Winston logger instance
+ * @returns {Promise<Object|null>} - Method result
+ */
+async function dispatchMethod(ws, tools, message, session, logger) {
+  const params = message.params || {};
+
+  if (!session.initialized && !PRE_INITIALIZE_METHODS.includes(message.method)) {
+    throw new McpError(ErrorCodes.SERVER_NOT_INITIALIZED, 'Server not initialized');
+  }
+
+  switch (message.method) {
+  case 'initialize':
+    return handleInitialize(params, session, logger);
+
+  case 'notifications/initialized':
+    logger.debug(`Client for session ${session.id} completed initialization`);
+    return null;
+
+  case 'ping':
+    return {};
+
+  case 'tools/list':
+    return handleToolsList(tools);
+
+  case 'tools/call':
+    return handleToolsCall(ws, tools, message.id, params, session, logger);
+
+  case 'notifications/cancelled':
+    handleCancelled(params, session, logger);
+    return null;
+
+  case 'resources/list':
+    return { resources: await listResources(session) };
+
+  case 'resources/templates/list':
+    return { resourceTemplates: RESOURCE_TEMPLATES };
+
+  case 'resources/read':
+    return { contents: await readResource(params.uri, session.drivers) };
+
+  case 'resources/subscribe': {
+    const notify = uri => sendJsonRpcNotification(ws, 'notifications/resources/updated', { uri });
+    subscribeResource(session, params.uri, notify, logger);
+    return {};
+  }
+
+  case 'resources/unsubscribe':
+    unsubscribeResource(session, params.uri);
+    return {};
+
+  case 'prompts/list':
+    return { prompts: listPrompts(session.prompts) };
+
+  case 'prompts/get':
+    return getPrompt(session.prompts, params.name, params.arguments);
+
+  case 'completion/complete':
+    return handleComplete(tools, params, session);
+
+  default:
+    throw new McpError(ErrorCodes.METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+  }
+}
+
+/**
+ * Handle the initialize handshake and negotiate the protocol version
+ * @param {Object} params - initialize params
+ * @param {Object} session - Session data
+ * @param {Object} logger - Winston logger instance
+ * @returns {Object} - initialize result
+ */
+function handleInitialize(params, session, logger) {
+  if (session.initialized) {
+    throw new McpError(ErrorCodes.INVALID_REQUEST, 'Session is already initialized');
+  }
+
+  // Echo the requested version when supported, otherwise offer our latest one
+  const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+    ? params.protocolVersion
+    : SUPPORTED_PROTOCOL_VERSIONS[0];
+
+  session.initialized = true;
+  session.protocolVersion = protocolVersion;
+  session.clientInfo = params.clientInfo || null;
+  session.clientCapabilities = params.capabilities || {};
+
+  const clientName = session.clientInfo ? session.clientInfo.name : 'unknown client';
+  logger.info(`MCP session ${session.id} initialized by ${clientName} (${protocolVersion})`);
+
+  return {
+    protocolVersion,
+    capabilities: getServerCapabilities(),
+    serverInfo: {
+      name: 'airtap-mcp',
+      version: '1.0.0'
+    }
+  };
+}
+
+/**
+ * Capabilities advertised to clients during initialize
+ * @returns {Object} - Server capabilities
+ */
+function getServerCapabilities() {
+  return {
+    tools: {
+      listChanged: false
+    },
+    resources: {
+      subscribe: true,
+      listChanged: false
+    },
+    prompts: {
+      listChanged: false
+    },
+    completions: {}
+  };
+}
+
+/**
+ * Handle tools/list request
+ * @param {Object} tools - Available tools object
+ * @returns {Object} - tools/list result
+ */
+function handleToolsList(tools) {
+  return {
+    tools: Object.keys(tools).map((name) => {
+      const definition = {
+        name,
+        description: tools[name].description,
+        inputSchema: tools[name].inputSchema || { type: 'object', properties: {} }
+      };
+
+      if (tools[name].annotations) {
+        definition.annotations = tools[name].annotations;
+      }
+
+      return definition;
+    })
+  };
+}
+
+/**
+ * Handle tools/call request
+ * Tool failures are reported in the result with isError, protocol failures as JSON-RPC errors
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} tools - Available tools object
+ * @param {string|number} id - JSON-RPC request ID
+ * @param {Object} params - tools/call params
+ * @param {Object} session - Session data
+ * @param {Object} logger - Winston logger instance
+ * @returns {Promise<Object>} - tools/call result
+ */
+async function handleToolsCall(ws, tools, id, params, session, logger) {
+  const { name } = params;
+  const meta = params._meta || {};
+  const { progressToken } = meta;
+
+  if (typeof name !== 'string') {
+    throw new McpError(ErrorCodes.INVALID_PARAMS, 'Missing tool name');
+  }
+
+  // Progress is only sent when the client asked for it with a progress token
+  const onProgress = progressToken === undefined ? undefined : (update) => {
+    sendJsonRpcNotification(ws, 'notifications/progress', { progressToken, ...update });
+  };
+
+  // Clients that can be asked for input approve calls themselves, others confirm with a token
+  const canApprove = Boolean(session.clientCapabilities && session.clientCapabilities.elicitation);
+  const requestApproval = canApprove
+    ? (approval, signal) => requestApprovalFromClient(ws, approval, signal, session)
+    : undefined;
+
+  let result;
+  try {
+    const request = {
+      id,
+      tool: name,
+      params: params.arguments,
+      onProgress,
+      timeout: meta.timeout,
+      confirm: meta.confirm,
+      requestApproval
+    };
+    result = await executeTool(tools, request, session, logger);
+  } catch (error) {
+    if (error instanceof McpError || error instanceof CancelledError) {
+      throw error;
+    }
+
+    logger.error(`Error executing tool ${name}: ${error.message}`);
+    return {
+      content: [{ type: 'text', text: error.message }],
+      isError: true
+    };
+  }
+
+  return formatToolResult(result, session);
+}
+
+/**
+ * Ask the client to approve a tool call with an elicitation/create request
+ * The approval ID doubles as the request ID, so the response finds the waiting call.
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} approval - Approval details ({ approvalId, tool, params, expiresAt })
+ * @param {AbortSignal} signal - Aborted when the call no longer waits for the answer
+ * @param {Object} session - Session data
+ * @returns {Promise<boolean>} - Whether the client approved the call
+ */
+function requestApprovalFromClient(ws, approval, signal, session) {
+  const { approvalId, tool, params, expiresAt } = approval;
+
+  return new Promise((resolve) => {
+    session.pendingApprovals.set(approvalId, resolve);
+
+    // Withdraw the request if the call stops waiting before the client answers
+    signal.addEventListener('abort', () => {
+      if (session.pendingApprovals.delete(approvalId)) {
+        sendJsonRpcNotification(ws, 'notifications/cancelled', {
+          requestId: approvalId,
+          reason: 'The tool call no longer waits for approval'
+        });
+      }
+    }, { once: true });
+
+    ws.send(JSON.stringify({
+      jsonrpc: '2.0',
+      id: approvalId,
+      method: 'elicitation/create',
+      params: {
+        message: `Allow ${tool} to run with ${JSON.stringify(params || {})}? `
+          + `The request expires at ${expiresAt}.`,
+        requestedSchema: { type: 'object', properties: {} }
+      }
+    }));
+  });
+}
+
+/**
+ * Handle the client response to an approval request
+ * Only an accepted elicitation approves the call; declining, cancelling or an error rejects it.
+ * @param {Object} message - JSON-RPC response
+ * @param {Object} session - Session data
+ * @param {Object} logger - Winston logger instance
+ */
+function handleApprovalResponse(message, session, logger) {
+  const resolve = session.pendingApprovals.get(message.id);
+
+  if (!resolve) {
+    logger.debug(`Ignoring response for unknown request ${message.id}`);
+    return;
+  }
+
+  const approved = Boolean(message.result) && message.result.action === 'accept';
+  session.pendingApprovals.delete(message.id);
+  resolve(approved);
+  logger.info(`Approval ${message.id} ${approved ? 'granted' : 'rejected'}`);
+}
+
+/**
+ * Convert a tool result into MCP content
+ * @param {*} result - Value returned by the tool handler
+ * @param {Object} session - Session data
+ * @returns {Object} - tools/call result
+ */
+function formatToolResult(result, session) {
+  const images = getImageFields(result);
+  const output = images.length > 0 ? withoutImageData(result, images) : result;
+  const response = {
+    content: [{ type: 'text', text: JSON.stringify(output, null, 2) }],
+    isError: false
+  };
+
+  // Images are sent as image content, which clients show as images instead of base64 text
+  images.forEach((field) => {
+    const { data, format } = result[field];
+    response.content.push({ type: 'image', data, mimeType: `image/${format}` });
+  });
+
+  // Structured output was introduced in protocol revision 2025-06-18
+  const isObject = output !== null && typeof output === 'object' && !Array.isArray(output);
+  if (isObject && session.protocolVersion >= '2025-06-18') {
+    response.structuredContent = output;
+  }
+
+  return response;
+}
+
+/**
+ * Find the images of a tool result
+ * @param {*} result - Value returned by the tool handler
+ * @returns {Array<string>} - Fields of IMAGE_FIELDS that hold an image ({ format, data })
+ */
+function getImageFields(result) {
+  if (!result || typeof result !== 'object') {
+    return [];
+  }
+
+  return IMAGE_FIELDS.filter((field) => {
+    const image = result[field];
+    return Boolean(image) && typeof image.data === 'string' && Boolean(image.format);
+  });
+}
+
+/**
+ * Copy a tool result without the data of its images
+ * @param {Object} result - Tool result
+ * @param {Array<string>} fields - Fields that hold images
+ * @returns {Object} - Result whose images keep everything but data
+ */
+function withoutImageData(result, fields) {
+  const output = { ...result };
+
+  fields.forEach((field) => {
+    output[field] = { ...result[field] };
+    delete output[field].data;
+  });
+
+  return output;
+}
+
+/**
+ * Handle completion/complete requests
+ * Only prompt arguments have completions; resource templates get an empty list.
+ * @param {Object} tools - Available tools object
+ * @param {Object} params - Completion parameters ({ ref, argument })
+ * @param {Object} session - Session data
+ * @returns {Promise<Object>} - Completion result
+ */
+async function handleComplete(tools, params, session) {
+  const ref = params.ref || {};
+  const argument = params.argument || {};
+
+  if (ref.type !== 'ref/prompt') {
+    return { completion: { values: [], total: 0, hasMore: false } };
+  }
+
+  return {
+    completion: await completePromptArgument(session.prompts, tools, ref.name, argument, session)
+  };
+}
+
+/**
+ * Handle notifications/cancelled
+ * @param {Object} params - Notification params ({ requestId, reason })
+ * @param {Object} session - Session data
+ * @param {Object} logger - Winston logger instance
+ */
+function handleCancelled(params, session, logger) {
+  const { requestId, reason } = params;
+
+  // Unknown IDs are expected when the request already finished
+  if (!cancelRequest(session, requestId)) {
+    logger.debug(`Ignoring cancellation for unknown request ${requestId}`);
+    return;
+  }
+
+  logger.info(`Request ${requestId} cancelled by client${reason ? `: ${reason}` : ''}`);
+}
+
+/**
+ * Send a JSON-RPC success response
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {string|number} id - Request ID
+ * @param {Object} result - Method result
+ */
+function sendJsonRpcResult(ws, id, result) {
+  ws.send(JSON.stringify({
+    jsonrpc: '2.0',
+    id,
+    result
+  }));
+}
+
+/**
+ * Send a JSON-RPC notification
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {string} method - Notification method
+ * @param {Object} params - Notification params
+ */
+function sendJsonRpcNotification(ws, method, params) {
+  ws.send(JSON.stringify({
+    jsonrpc: '2.0',
+    method,
+    params
+  }));
+}
+
+/**
+ * Send a JSON-RPC error response
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {string|number|null} id - Request ID
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ * @param {*} [data] - Additional error data
+ */
+function sendJsonRpcError(ws, id, code, message, data) {
+  const error = { code, message };
+
+  if (data !== undefined) {
+    error.data = data;
+  }
+
+  ws.send(JSON.stringify({
+    jsonrpc: '2.0',
+    id,
+    error
+  }));
+}
+
+module.exports = {
+  handleJsonRpcMessage,
+  sendJsonRpcNotification,
+  sendJsonRpcError,
+  SUPPORTED_PROTOCOL_VERSIONS
+};
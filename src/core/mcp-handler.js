@@ -4,60 +4,161 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
+const { handleJsonRpcMessage, sendJsonRpcError } = require('./jsonrpc-handler');
+const { executeTool, cancelRequest, cancelAllRequests } = require('./tool-executor');
+const {
+  ErrorCodes,
+  CancelledError,
+  BusyError,
+  PolicyError,
+  ConfirmationRequiredError,
+  TimeoutError
+} = require('../utils/errors');
+const { watchTask } = require('../services/task-watcher');
+const { unsubscribeAllResources } = require('./resources');
+const { createSessionChannel } = require('./session-store');
+const { createDeviceDrivers } = require('../drivers');
 
 /**
  * Handles MCP WebSocket connections
  * @param {WebSocket} ws - WebSocket connection
  * @param {Object} tools - Available tools object
  * @param {Object} logger - Winston logger instance
+ * @param {Object} [options] - Connection options
+ * @param {boolean} [options.announce=true] - Send the legacy server_info greeting on connect
+ * @param {Object} [options.prompts] - Registered prompts offered to MCP clients
+ * @param {string} [options.apiToken] - API token the client authenticated with
+ * @param {Object} [options.sessionStore] - Store that lets clients resume the session after
+ *   a reconnect; without it the session ends when the socket closes
+ * @param {Object} [options.limiter] - Concurrency limiter shared by the sessions of the server
+ * @param {number} [options.toolTimeout] - Time limit in milliseconds for tools without their own
+ * @param {Object} [options.policy] - Policy that decides which tool calls may run
+ * @param {Object} [options.drivers] - Device driver configuration the resources are read with
  */
-function handleMcpConnection(ws, tools, logger) {
+function handleMcpConnection(ws, tools, logger, options = {}) {
   ws.id = uuidv4();
   logger.debug(`New connection established: ${ws.id}`);
   
+  const { sessionStore } = options;
+
+  // Handlers send through the channel, which outlives the socket of a resumable session
+  const channel = createSessionChannel(ws, {
+    maxBufferedMessages: sessionStore ? sessionStore.maxBufferedMessages : undefined,
+    logger
+  });
+
   // Set up session data
   const session = {
     id: ws.id,
+    protocol: null,
+    initialized: false,
     activeTasks: new Map(),
-    activeRequests: new Map()
+    activeRequests: new Map(),
+    resourceSubscriptions: new Map(),
+    prompts: options.prompts || {},
+    apiToken: options.apiToken,
+    limiter: options.limiter,
+    toolTimeout: options.toolTimeout,
+    policy: options.policy,
+    drivers: createDeviceDrivers(options.apiToken, options.drivers),
+    pendingApprovals: new Map()
   };
 
+  if (sessionStore) {
+    session.token = sessionStore.add(session, channel);
+  }
+
+  // Session and channel served by this socket; replaced when the client resumes a session
+  const current = { session, channel };
+
   // Handle incoming messages
   ws.on('message', async (message) => {
+    const { session, channel } = current;
+
     try {
       const data = JSON.parse(message);
       logger.debug(`Received message from client ${ws.id}: ${JSON.stringify(data)}`);
       
+      // Standard MCP clients speak JSON-RPC 2.0, everything else uses the legacy envelope
+      if (Array.isArray(data) || data.jsonrpc !== undefined) {
+        await handleJsonRpcMessage(channel, tools, data, session, logger);
+        return;
+      }
+
+      session.protocol = 'legacy';
+
       // Handle different message types
       switch (data.type) {
-        case 'ping':
-          handlePing(ws);
-          break;
+      case 'ping':
+        handlePing(channel);
+        break;
           
-        case 'list_tools':
-          handleListTools(ws, tools);
-          break;
+      case 'list_tools':
+        handleListTools(channel, tools);
+        break;
           
-        case 'run_tool':
-          await handleRunTool(ws, tools, data, session, logger);
-          break;
-          
-        case 'cancel_request':
-          handleCancelRequest(ws, data, session, logger);
-          break;
-          
-        default:
-          sendError(ws, `Unknown message type: ${data.type}`, data.id);
+      case 'run_tool':
+        await handleRunTool(channel, tools, data, session, logger);
+        break;
+
+      case 'run_batch':
+        await handleRunBatch(channel, tools, data, session, logger);
+        break;
+
+      case 'cancel_request':
+        handleCancelRequest(channel, data, session, logger);
+        break;
+
+      case 'subscribe_task':
+        handleSubscribeTask(channel, tools, data, session, logger);
+        break;
+
+      case 'unsubscribe_task':
+        handleUnsubscribeTask(channel, data, session, logger);
+        break;
+
+      case 'resolve_approval':
+        handleResolveApproval(channel, data, session, logger);
+        break;
+
+      case 'resume_session':
+        handleResumeSession(ws, current, data, sessionStore, logger);
+        break;
+
+      default:
+        sendError(channel, `Unknown message type: ${data.type}`, data.id);
       }
     } catch (error) {
       logger.error(`Error processing message: ${error.message}`);
-      sendError(ws, `Error processing message: ${error.message}`);
+
+      if (session.protocol === 'jsonrpc') {
+        const code = error instanceof SyntaxError
+          ? ErrorCodes.PARSE_ERROR
+          : ErrorCodes.INTERNAL_ERROR;
+        sendJsonRpcError(channel, null, code, `Error processing message: ${error.message}`);
+      } else {
+        sendError(channel, `Error processing message: ${error.message}`);
+      }
     }
   });
 
   // Handle connection close
   ws.on('close', () => {
     logger.info(`Client disconnected: ${ws.id}`);
+    const { session, channel } = current;
+
+    // The session already moved on to a newer socket of the same client
+    if (!channel.detach(ws)) {
+      return;
+    }
+
+    if (sessionStore) {
+      // Keep tasks and requests running, their messages are buffered until the client resumes
+      logger.debug(`Keeping session ${session.id} for ${sessionStore.gracePeriod}ms`);
+      sessionStore.release(session.token, () => cleanupSession(session, logger));
+      return;
+    }
+
     // Clean up any resources associated with this connection
     cleanupSession(session, logger);
   });
@@ -68,7 +169,69 @@ function handleMcpConnection(ws, tools, logger) {
   });
 
   // Send initial welcome message with server info
-  sendServerInfo(ws);
+  // Pure JSON-RPC transports (stdio) must not receive non-protocol messages
+  if (options.announce !== false) {
+    sendServerInfo(channel, session, sessionStore);
+  }
+}
+
+/**
+ * Handle resume_session request
+ * Moves this socket over to a session of an earlier connection and replays what it missed
+ * @param {WebSocket} ws - WebSocket connection that sent the request
+ * @param {Object} current - Session and channel currently served by the socket
+ * @param {Object} data - Request data
+ * @param {Object} [sessionStore] - Store of resumable sessions
+ * @param {Object} logger - Winston logger instance
+ */
+function handleResumeSession(ws, current, data, sessionStore, logger) {
+  const { id, sessionToken } = data;
+
+  if (!sessionStore) {
+    return sendError(current.channel, 'Session resumption is not supported on this transport', id);
+  }
+
+  if (!sessionToken) {
+    return sendError(current.channel, 'Missing session token', id);
+  }
+
+  if (sessionToken === current.session.token) {
+    return sendError(current.channel, 'Session is already attached to this connection', id);
+  }
+
+  // Only the caller that owns the session may resume it
+  const resumed = sessionStore.take(sessionToken, current.session.apiToken);
+  if (!resumed) {
+    return sendError(current.channel, 'Session not found or expired', id);
+  }
+
+  // The session created for this socket is replaced by the resumed one
+  const replaced = current.session;
+  sessionStore.remove(replaced.token);
+  cleanupSession(replaced, logger);
+
+  // A client that reconnects before its old socket timed out takes the session over
+  const previousSocket = resumed.channel.socket;
+  if (previousSocket && previousSocket !== ws) {
+    resumed.channel.detach(previousSocket);
+    if (typeof previousSocket.close === 'function') {
+      previousSocket.close();
+    }
+  }
+
+  current.session = resumed.session;
+  current.channel = resumed.channel;
+
+  const buffered = resumed.channel.buffered;
+  const greeting = JSON.stringify({
+    type: 'session_resumed',
+    id,
+    sessionId: resumed.session.id,
+    replayed: buffered
+  });
+  resumed.channel.attach(ws, greeting);
+
+  logger.info(`Session ${resumed.session.id} resumed, replayed ${buffered} messages`);
 }
 
 /**
@@ -85,14 +248,25 @@ function handlePing(ws) {
 /**
  * Send server information to client
  * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} session - Session data
+ * @param {Object} [sessionStore] - Store of resumable sessions
  */
-function sendServerInfo(ws) {
-  ws.send(JSON.stringify({
+function sendServerInfo(ws, session, sessionStore) {
+  const info = {
     type: 'server_info',
     server: 'airtap-mcp',
     version: '1.0.0',
     protocol: 'mcp-v1'
-  }));
+  };
+
+  // Clients keep the token to resume the session after a reconnect
+  if (sessionStore) {
+    info.sessionId = session.id;
+    info.sessionToken = session.token;
+    info.resumeGracePeriod = sessionStore.gracePeriod;
+  }
+
+  ws.send(JSON.stringify(info));
 }
 
 /**
@@ -104,7 +278,7 @@ function handleListTools(ws, tools) {
   const toolsList = Object.keys(tools).map(name => ({
     name,
     description: tools[name].description,
-    parameters: tools[name].parameters
+    inputSchema: tools[name].inputSchema || { type: 'object', properties: {} }
   }));
   
   ws.send(JSON.stringify({
@@ -122,7 +296,7 @@ function handleListTools(ws, tools) {
  * @param {Object} logger - Winston logger instance
  */
 async function handleRunTool(ws, tools, data, session, logger) {
-  const { id, tool, params } = data;
+  const { id, tool, params, timeout, confirm } = data;
   
   if (!id) {
     return sendError(ws, 'Missing request ID', null);
@@ -136,9 +310,6 @@ async function handleRunTool(ws, tools, data, session, logger) {
     return sendError(ws, `Unknown tool: ${tool}`, id);
   }
   
-  // Track active request
-  session.activeRequests.set(id, { tool, params, timestamp: Date.now() });
-  
   try {
     // Send acknowledge message
     ws.send(JSON.stringify({
@@ -147,11 +318,41 @@ async function handleRunTool(ws, tools, data, session, logger) {
       tool
     }));
     
-    // Execute tool
-    logger.debug(`Executing tool ${tool} with params: ${JSON.stringify(params)}`);
-    
-    const result = await tools[tool].handler(params, session);
+    // Execute tool, streaming progress updates while it runs
+    const onProgress = ({ progress, total, message }) => {
+      ws.send(JSON.stringify({
+        type: 'tool_progress',
+        id,
+        tool,
+        progress,
+        total,
+        message
+      }));
+    };
+
+    // Calls the policy wants approved wait for a resolve_approval message on the session
+    const requestApproval = (approval, signal) => new Promise((resolve) => {
+      session.pendingApprovals.set(approval.approvalId, resolve);
+      signal.addEventListener('abort', () => {
+        session.pendingApprovals.delete(approval.approvalId);
+      }, { once: true });
+
+      ws.send(JSON.stringify({
+        type: 'approval_required',
+        id,
+        ...approval
+      }));
+    });
+
+    const request = { id, tool, params, onProgress, timeout, confirm, requestApproval };
+    const result = await executeTool(tools, request, session, logger);
     
+    // Tools acting on a subscribed task are likely to change it, so push the news right away
+    const task = params && params.taskId ? session.activeTasks.get(params.taskId) : null;
+    if (task && task.subscription) {
+      task.subscription.refresh();
+    }
+
     // Send success response
     ws.send(JSON.stringify({
       type: 'tool_response',
@@ -162,12 +363,36 @@ async function handleRunTool(ws, tools, data, session, logger) {
     }));
     
   } catch (error) {
+    // The client was already told about the cancellation, nothing more is sent
+    if (error instanceof CancelledError) {
+      logger.debug(`Tool ${tool} for request ${id} stopped after cancellation`);
+      return;
+    }
+
     logger.error(`Error executing tool ${tool}: ${error.message}`);
-    sendError(ws, error.message, id);
-  } finally {
-    // Remove from active requests
-    session.activeRequests.delete(id);
+    sendError(ws, error.message, id, getErrorDetails(error));
+  }
+}
+
+/**
+ * Handle run_batch request
+ * Runs the steps with the run_sequence tool; the combined result arrives as a tool_response
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} tools - Available tools object
+ * @param {Object} data - Request data ({ id, steps, continueOnFailure, delay, screenshots,
+ *   timeout })
+ * @param {Object} session - Session data
+ * @param {Object} logger - Winston logger instance
+ */
+async function handleRunBatch(ws, tools, data, session, logger) {
+  const { id, steps, continueOnFailure, delay, screenshots, timeout } = data;
+
+  if (!tools.run_sequence) {
+    return sendError(ws, 'Batch execution is not available on this server', id);
   }
+
+  const params = { steps, continueOnFailure, delay, screenshots };
+  await handleRunTool(ws, tools, { id, tool: 'run_sequence', params, timeout }, session, logger);
 }
 
 /**
@@ -184,20 +409,137 @@ function handleCancelRequest(ws, data, session, logger) {
     return sendError(ws, 'Missing request ID', null);
   }
   
-  const request = session.activeRequests.get(id);
-  if (!request) {
+  // Abort the request; the handler stops at its next cancellation point
+  if (!cancelRequest(session, id)) {
     return sendError(ws, `Request with ID ${id} not found`, id);
   }
   
-  // Mark as cancelled - actual cancellation depends on the tool implementation
   logger.info(`Request ${id} cancelled by client`);
   
   ws.send(JSON.stringify({
     type: 'request_cancelled',
     id
   }));
-  
-  session.activeRequests.delete(id);
+}
+
+/**
+ * Handle resolve_approval request
+ * Approves or rejects a tool call that waits for approval
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} data - Request data ({ id, approvalId, approved })
+ * @param {Object} session - Session data
+ * @param {Object} logger - Winston logger instance
+ */
+function handleResolveApproval(ws, data, session, logger) {
+  const { id, approvalId } = data;
+  const approved = data.approved === true;
+
+  if (!approvalId) {
+    return sendError(ws, 'Missing approval ID', id);
+  }
+
+  const resolve = session.pendingApprovals.get(approvalId);
+  if (!resolve) {
+    return sendError(ws, `Approval ${approvalId} not found or expired`, id);
+  }
+
+  session.pendingApprovals.delete(approvalId);
+  resolve(approved);
+  logger.info(`Approval ${approvalId} ${approved ? 'granted' : 'rejected'}`);
+
+  ws.send(JSON.stringify({
+    type: 'approval_resolved',
+    id,
+    approvalId,
+    approved
+  }));
+}
+
+/**
+ * Handle subscribe_task request
+ * Pushes a task_update message whenever the task's status, steps or input prompt change
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} tools - Available tools object
+ * @param {Object} data - Request data
+ * @param {Object} session - Session data
+ * @param {Object} logger - Winston logger instance
+ */
+function handleSubscribeTask(ws, tools, data, session, logger) {
+  const { id, taskId, interval } = data;
+
+  if (!taskId) {
+    return sendError(ws, 'Missing task ID', id);
+  }
+
+  if (!tools.get_task_status) {
+    return sendError(ws, 'Task status is not available on this server', id);
+  }
+
+  // Tasks submitted by other sessions are tracked here once subscribed to
+  const task = session.activeTasks.get(taskId) || { taskId };
+  session.activeTasks.set(taskId, task);
+
+  if (task.subscription) {
+    task.subscription.refresh();
+  } else {
+    const fetchStatus = (watchedTaskId, signal) =>
+      tools.get_task_status.handler({ taskId: watchedTaskId }, session, { signal });
+
+    const onUpdate = (status, changes) => {
+      task.status = status.status;
+
+      ws.send(JSON.stringify({
+        type: 'task_update',
+        taskId,
+        status: status.status,
+        progress: status.progress,
+        steps: status.steps,
+        waitingForInput: Boolean(status.waitingForInput),
+        inputPrompt: status.inputPrompt || null,
+        changes,
+        timestamp: Date.now()
+      }));
+    };
+
+    task.subscription = watchTask(taskId, fetchStatus, onUpdate, { interval, logger });
+    logger.debug(`Session ${session.id} subscribed to task ${taskId}`);
+  }
+
+  ws.send(JSON.stringify({
+    type: 'task_subscribed',
+    id,
+    taskId
+  }));
+}
+
+/**
+ * Handle unsubscribe_task request
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} data - Request data
+ * @param {Object} session - Session data
+ * @param {Object} logger - Winston logger instance
+ */
+function handleUnsubscribeTask(ws, data, session, logger) {
+  const { id, taskId } = data;
+
+  if (!taskId) {
+    return sendError(ws, 'Missing task ID', id);
+  }
+
+  const task = session.activeTasks.get(taskId);
+  if (!task || !task.subscription) {
+    return sendError(ws, `Not subscribed to task ${taskId}`, id);
+  }
+
+  task.subscription.stop();
+  delete task.subscription;
+  logger.debug(`Session ${session.id} unsubscribed from task ${taskId}`);
+
+  ws.send(JSON.stringify({
+    type: 'task_unsubscribed',
+    id,
+    taskId
+  }));
 }
 
 /**
@@ -205,15 +547,47 @@ function handleCancelRequest(ws, data, session, logger) {
  * @param {WebSocket} ws - WebSocket connection
  * @param {string} message - Error message
  * @param {string} id - Request ID
+ * @param {Object} [details] - Additional fields, e.g. code or per-field validation errors
  */
-function sendError(ws, message, id) {
+function sendError(ws, message, id, details = {}) {
   ws.send(JSON.stringify({
     type: 'error',
     id,
-    message
+    message,
+    ...details
   }));
 }
 
+/**
+ * Get the fields that describe a tool error beyond its message
+ * @param {Error} error - Error thrown while running a tool
+ * @returns {Object} - { code } for busy, refused, unconfirmed and timed out requests,
+ *   { errors } for invalid parameters
+ */
+function getErrorDetails(error) {
+  if (error instanceof BusyError) {
+    return { code: 'busy', ...error.data };
+  }
+
+  if (error instanceof PolicyError) {
+    return { code: 'denied', ...error.data };
+  }
+
+  if (error instanceof ConfirmationRequiredError) {
+    return { code: 'confirmation_required', ...error.data };
+  }
+
+  if (error instanceof TimeoutError) {
+    return { code: 'timeout', timeout: error.timeout };
+  }
+
+  if (error.data && error.data.errors) {
+    return { errors: error.data.errors };
+  }
+
+  return {};
+}
+
 /**
  * Clean up session resources
  * @param {Object} session - Session data
@@ -223,11 +597,23 @@ function cleanupSession(session, logger) {
   // Cancel any active tasks
   for (const [taskId, task] of session.activeTasks.entries()) {
     logger.debug(`Cleaning up task ${taskId} due to client disconnect`);
-    // Implement task cleanup logic here
+
+    // Stop pushing updates to a client that is gone
+    if (task.subscription) {
+      task.subscription.stop();
+      delete task.subscription;
+    }
   }
   
+  // Abort tool calls still in flight, their results have nowhere to go
+  if (session.activeRequests.size > 0) {
+    const count = session.activeRequests.size;
+    logger.debug(`Aborting ${count} in-flight requests of session ${session.id}`);
+  }
+  cancelAllRequests(session);
+  unsubscribeAllResources(session);
+
   session.activeTasks.clear();
-  session.activeRequests.clear();
 }
 
 module.exports = {
@@ -0,0 +1,326 @@
+/**
+ * Tool Policy
+ * Decides which tool calls may run: tools can be denied outright, destructive tools cannot act
+ * on protected packages, and some tools run only once the call is confirmed
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { CancelledError, ConfirmationRequiredError, PolicyError } = require('../utils/errors');
+
+// Policy file extensions and the parser used for each
+const POLICY_FILE_PARSERS = {
+  '.json': JSON.parse,
+  '.yaml': yaml.load,
+  '.yml': yaml.load
+};
+
+// System packages; removing or resetting them can leave a device unusable
+const DEFAULT_PROTECTED_PACKAGES = ['android', 'com.android.*', 'com.google.android.*'];
+
+// How calls are confirmed: repeating the call with a token, or a person approving it
+const CONFIRMATION_MODES = ['token', 'approval'];
+
+// Time to confirm or approve a call
+const DEFAULT_CONFIRMATION_TIMEOUT_MS = 300000;
+
+/**
+ * Create the policy of a server
+ * @param {Object} [config] - Policy configuration
+ * @param {Array<string>} [config.protectedPackages] - Packages destructive tools may not act on;
+ *   a pattern ending in .* covers every package below it
+ * @param {Array<string>} [config.deniedTools] - Tools that never run
+ * @param {Array<string>} [config.confirmTools] - Tools that run only once the call is confirmed
+ * @param {string} [config.confirmation='token'] - 'token' to confirm by repeating the call with
+ *   a confirmation token, 'approval' to ask the session for approval where it can be asked
+ * @param {number} [config.confirmationTimeout] - Milliseconds a confirmation stays open
+ * @returns {Object} - Policy with authorize(tool, params, options)
+ * @throws {Error} - If the configuration is invalid
+ */
+function createToolPolicy(config = {}) {
+  const {
+    protectedPackages = DEFAULT_PROTECTED_PACKAGES,
+    deniedTools = [],
+    confirmTools = [],
+    confirmation = 'token',
+    confirmationTimeout = DEFAULT_CONFIRMATION_TIMEOUT_MS
+  } = config;
+
+  ['protectedPackages', 'deniedTools', 'confirmTools'].forEach((name) => {
+    const value = config[name];
+
+    if (value !== undefined && !(Array.isArray(value) && value.every(isName))) {
+      throw new Error(`${name} must be a list of names`);
+    }
+  });
+
+  if (!CONFIRMATION_MODES.includes(confirmation)) {
+    throw new Error(`confirmation must be one of: ${CONFIRMATION_MODES.join(', ')}`);
+  }
+
+  if (typeof confirmationTimeout !== 'number' || !(confirmationTimeout > 0)) {
+    throw new Error('confirmationTimeout must be a positive number of milliseconds');
+  }
+
+  // Confirmation tokens handed out and not yet used, by token
+  const confirmations = new Map();
+
+  /**
+   * Check whether a tool call may run
+   * Resolves once the call may run, after it was confirmed or approved if the tool needs that.
+   * @param {Object} tool - Tool definition ({ name, annotations })
+   * @param {Object} params - Validated tool parameters
+   * @param {Object} [options] - Call options
+   * @param {string} [options.sessionId] - Session of the call; tokens only confirm calls of
+   *   the session they were handed to
+   * @param {string} [options.confirm] - Confirmation token from an earlier refusal
+   * @param {Function} [options.requestApproval] - requestApproval(approval, signal) asks the
+   *   session for approval and resolves with whether the call was approved
+   * @param {AbortSignal} [options.signal] - Signal of the call
+   * @returns {Promise<void>}
+   * @throws {PolicyError} - If the tool is denied, the package protected or the call rejected
+   * @throws {ConfirmationRequiredError} - If the call must be repeated with a confirmation token
+   * @throws {CancelledError} - If the call is cancelled while it waits for approval
+   */
+  async function authorize(tool, params, options = {}) {
+    const { name } = tool;
+
+    if (deniedTools.includes(name)) {
+      throw new PolicyError(`Tool ${name} is disabled by the server policy`, {
+        reason: 'denied',
+        tool: name
+      });
+    }
+
+    const destructive = Boolean(tool.annotations && tool.annotations.destructiveHint);
+
+    if (destructive && params.packageName && isProtected(params.packageName)) {
+      const message = `Package ${params.packageName} is protected; ${name} cannot act on it`;
+      throw new PolicyError(message, {
+        reason: 'protected',
+        tool: name,
+        packageName: params.packageName
+      });
+    }
+
+    if (!confirmTools.includes(name)) {
+      return;
+    }
+
+    const call = {
+      sessionId: options.sessionId || null,
+      tool: name,
+      params: canonicalJson(params)
+    };
+
+    if (options.confirm !== undefined) {
+      if (useConfirmation(options.confirm, call)) {
+        return;
+      }
+
+      throw confirmationRequired(call, `The confirmation token for ${name} is invalid or expired; `
+        + 'repeat the call with the new token to confirm it');
+    }
+
+    if (confirmation === 'approval' && options.requestApproval) {
+      return waitForApproval(name, params, options);
+    }
+
+    throw confirmationRequired(call, `${name} must be confirmed; `
+      + 'repeat the call with the confirmation token to run it');
+  }
+
+  /**
+   * Check whether a package is protected
+   * @param {string} packageName - Package name
+   * @returns {boolean} - Whether a protected pattern covers it
+   */
+  function isProtected(packageName) {
+    return protectedPackages.some(pattern => (pattern.endsWith('.*')
+      ? packageName.startsWith(pattern.slice(0, -1))
+      : packageName === pattern));
+  }
+
+  /**
+   * Hand out a confirmation token for a call
+   * @param {Object} call - { sessionId, tool, params } of the call
+   * @param {string} message - Error message
+   * @returns {ConfirmationRequiredError} - Error carrying the token
+   */
+  function confirmationRequired(call, message) {
+    removeExpired();
+
+    const token = crypto.randomBytes(16).toString('base64url');
+    const expiresAt = Date.now() + confirmationTimeout;
+    confirmations.set(token, { ...call, expiresAt });
+
+    return new ConfirmationRequiredError(message, {
+      tool: call.tool,
+      confirmationToken: token,
+      expiresAt: new Date(expiresAt).toISOString()
+    });
+  }
+
+  /**
+   * Use up a confirmation token
+   * A token confirms one call, of the same tool with the same parameters in the same session.
+   * @param {string} token - Confirmation token
+   * @param {Object} call - { sessionId, tool, params } of the call
+   * @returns {boolean} - Whether the token confirms the call
+   */
+  function useConfirmation(token, call) {
+    removeExpired();
+
+    const confirmed = confirmations.get(token);
+    const matches = Boolean(confirmed) && confirmed.sessionId === call.sessionId
+      && confirmed.tool === call.tool && confirmed.params === call.params;
+
+    if (matches) {
+      confirmations.delete(token);
+    }
+
+    return matches;
+  }
+
+  /**
+   * Forget confirmation tokens that expired
+   */
+  function removeExpired() {
+    const now = Date.now();
+
+    for (const [token, confirmed] of confirmations) {
+      if (confirmed.expiresAt <= now) {
+        confirmations.delete(token);
+      }
+    }
+  }
+
+  /**
+   * Ask the session to approve a call and wait for the answer
+   * @param {string} name - Tool name
+   * @param {Object} params - Tool parameters
+   * @param {Object} options - Call options with requestApproval and signal
+   * @returns {Promise<void>} - Resolves if the call was approved
+   * @throws {PolicyError} - If the call was rejected or not approved in time
+   * @throws {CancelledError} - If the call is cancelled while it waits
+   */
+  async function waitForApproval(name, params, options) {
+    const { signal } = options;
+
+    if (signal && signal.aborted) {
+      throw new CancelledError();
+    }
+
+    const controller = new AbortController();
+    const approval = {
+      approvalId: crypto.randomUUID(),
+      tool: name,
+      params,
+      expiresAt: new Date(Date.now() + confirmationTimeout).toISOString()
+    };
+
+    let timer;
+    let onAbort;
+    const ended = new Promise((resolve) => {
+      timer = setTimeout(() => resolve('timeout'), confirmationTimeout);
+      onAbort = () => resolve('cancelled');
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+
+    try {
+      const approved = await Promise.race([
+        options.requestApproval(approval, controller.signal),
+        ended
+      ]);
+
+      if (approved === 'cancelled' || (signal && signal.aborted)) {
+        throw new CancelledError();
+      }
+
+      if (approved !== true) {
+        const message = approved === 'timeout'
+          ? `${name} was not approved within ${confirmationTimeout / 1000} seconds`
+          : `${name} was rejected`;
+        throw new PolicyError(message, { reason: 'rejected', tool: name });
+      }
+    } finally {
+      clearTimeout(timer);
+      controller.abort();
+
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    }
+  }
+
+  return {
+    authorize,
+    isProtected
+  };
+}
+
+/**
+ * Read a policy configuration file
+ * @param {string} file - Path of a .json, .yaml or .yml file
+ * @returns {Object} - Policy configuration; confirmationTimeout is converted from seconds
+ * @throws {Error} - If the file cannot be read or is not an object
+ */
+function loadPolicyFile(file) {
+  const parse = POLICY_FILE_PARSERS[path.extname(file).toLowerCase()];
+
+  if (!parse) {
+    throw new Error(`policy file ${file} must be JSON or YAML`);
+  }
+
+  const config = parse(fs.readFileSync(file, 'utf8'));
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`policy file ${file} must hold an object`);
+  }
+
+  if (config.confirmationTimeout !== undefined) {
+    return { ...config, confirmationTimeout: config.confirmationTimeout * 1000 };
+  }
+
+  return config;
+}
+
+/**
+ * Check that a value is a non-empty string
+ * @param {*} value - Value
+ * @returns {boolean} - Whether it is a name
+ */
+function isName(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+/**
+ * Serialize a value with object keys in a fixed order, so equal parameters compare equal
+ * @param {*} value - Value
+ * @returns {string} - JSON text
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+module.exports = {
+  createToolPolicy,
+  loadPolicyFile,
+  DEFAULT_PROTECTED_PACKAGES
+};
@@ -0,0 +1,314 @@
+/**
+ * MCP Prompts
+ * Registry of parameterized prompt templates for common automation workflows
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ErrorCodes, McpError } = require('../utils/errors');
+
+// Prompt file extensions and the parser used for each
+const PROMPT_FILE_PARSERS = {
+  '.json': JSON.parse,
+  '.yaml': yaml.load,
+  '.yml': yaml.load
+};
+
+// Sources that can complete prompt arguments
+const COMPLETION_SOURCES = ['listApps'];
+
+// Maximum number of completion values returned at once (MCP limit)
+const MAX_COMPLETION_VALUES = 100;
+
+// Placeholder syntax used in prompt templates: {{argumentName}}
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g;
+
+// Prompts that ship with the server
+const BUILTIN_PROMPTS = [
+  {
+    name: 'smoke_test_app',
+    title: 'Smoke test an app',
+    description: 'Launch an app, visit its main sections and report crashes or errors',
+    arguments: [
+      {
+        name: 'packageName',
+        description: 'Package name of the app to test',
+        required: true,
+        completion: 'listApps'
+      }
+    ],
+    template: 'Smoke test the Android app {{packageName}}. Launch it from the home screen, '
+      + 'wait for the first screen to finish loading, then open each main section reachable '
+      + 'from the primary navigation and go back to the home screen. Report every crash, '
+      + '"App not responding" dialog, blank screen or error message, together with the step '
+      + 'at which it appeared.'
+  },
+  {
+    name: 'walk_through_onboarding',
+    title: 'Walk through onboarding',
+    description: 'Go through the first-run onboarding flow of an app and describe each screen',
+    arguments: [
+      {
+        name: 'packageName',
+        description: 'Package name of the app to onboard',
+        required: true,
+        completion: 'listApps'
+      },
+      {
+        name: 'persona',
+        description: 'Who the onboarding should be completed as',
+        required: false,
+        default: 'a new user who skips optional steps'
+      }
+    ],
+    template: 'Open the Android app {{packageName}} and walk through its onboarding flow as '
+      + '{{persona}}. Accept the default choice on permission prompts, never start a paid '
+      + 'subscription or purchase, and stop once the main screen of the app is reached. '
+      + 'List every onboarding screen with its title and the action you took on it.'
+  },
+  {
+    name: 'login_and_verify',
+    title: 'Log in and verify',
+    description: 'Log in to an app and check that an expected state is reached',
+    arguments: [
+      {
+        name: 'packageName',
+        description: 'Package name of the app to log in to',
+        required: true,
+        completion: 'listApps'
+      },
+      {
+        name: 'username',
+        description: 'Account to log in with',
+        required: true
+      },
+      {
+        name: 'expectation',
+        description: 'What should be true after logging in',
+        required: true
+      }
+    ],
+    template: 'Open the Android app {{packageName}}, log in as {{username}} and verify that '
+      + '{{expectation}}. If the app asks for a password or a one-time code, ask for it '
+      + 'instead of guessing. Finish by stating whether the verification passed.'
+  }
+];
+
+/**
+ * Register the built-in prompts and the prompts found in a directory
+ * Prompts from the directory replace built-in prompts with the same name.
+ * @param {Object} logger - Winston logger instance
+ * @param {string} [directory] - Directory with JSON/YAML prompt files
+ * @returns {Object} - Object containing all registered prompts, keyed by name
+ */
+function registerPrompts(logger, directory) {
+  const prompts = {};
+
+  BUILTIN_PROMPTS.forEach((prompt) => {
+    prompts[prompt.name] = prompt;
+  });
+
+  if (directory) {
+    loadPromptFiles(directory, logger).forEach((prompt) => {
+      if (prompts[prompt.name]) {
+        logger.info(`Prompt ${prompt.name} overridden by ${prompt.source}`);
+      }
+      prompts[prompt.name] = prompt;
+    });
+  }
+
+  logger.info(`Registered ${Object.keys(prompts).length} prompts`);
+
+  return prompts;
+}
+
+/**
+ * Load prompt definitions from a directory
+ * Each .json, .yaml or .yml file holds one prompt or an array of prompts.
+ * Invalid files are logged and skipped so one bad file does not stop the server.
+ * @param {string} directory - Directory to read
+ * @param {Object} logger - Winston logger instance
+ * @returns {Array} - Valid prompt definitions
+ */
+function loadPromptFiles(directory, logger) {
+  let files;
+
+  try {
+    files = fs.readdirSync(directory).sort();
+  } catch (error) {
+    logger.warn(`Cannot read prompts directory ${directory}: ${error.message}`);
+    return [];
+  }
+
+  const prompts = [];
+
+  files.forEach((file) => {
+    const parse = PROMPT_FILE_PARSERS[path.extname(file).toLowerCase()];
+
+    if (!parse) {
+      return;
+    }
+
+    const source = path.join(directory, file);
+
+    try {
+      const content = parse(fs.readFileSync(source, 'utf8'));
+      const definitions = Array.isArray(content) ? content : [content];
+
+      definitions.forEach((definition) => {
+        validatePrompt(definition);
+        prompts.push({ ...definition, source });
+      });
+    } catch (error) {
+      logger.warn(`Skipping prompt file ${source}: ${error.message}`);
+    }
+  });
+
+  return prompts;
+}
+
+/**
+ * Check that a prompt definition is usable
+ * @param {Object} prompt - Prompt definition
+ * @throws {Error} - If the definition is invalid
+ */
+function validatePrompt(prompt) {
+  if (!prompt || typeof prompt !== 'object') {
+    throw new Error('prompt must be an object');
+  }
+
+  if (typeof prompt.name !== 'string' || !prompt.name) {
+    throw new Error('prompt name is required');
+  }
+
+  if (typeof prompt.template !== 'string' || !prompt.template) {
+    throw new Error(`prompt ${prompt.name} needs a template`);
+  }
+
+  if (prompt.arguments !== undefined && !Array.isArray(prompt.arguments)) {
+    throw new Error(`arguments of prompt ${prompt.name} must be a list`);
+  }
+
+  (prompt.arguments || []).forEach((argument) => {
+    if (!argument || typeof argument.name !== 'string' || !argument.name) {
+      throw new Error(`every argument of prompt ${prompt.name} needs a name`);
+    }
+
+    if (argument.completion && !COMPLETION_SOURCES.includes(argument.completion)) {
+      throw new Error(`unknown completion source ${argument.completion} for ${argument.name}`);
+    }
+  });
+}
+
+/**
+ * Describe the registered prompts for prompts/list
+ * @param {Object} prompts - Registered prompts
+ * @returns {Array} - Prompt descriptions
+ */
+function listPrompts(prompts) {
+  return Object.values(prompts).map(prompt => ({
+    name: prompt.name,
+    title: prompt.title,
+    description: prompt.description,
+    arguments: (prompt.arguments || []).map(argument => ({
+      name: argument.name,
+      description: argument.description,
+      required: Boolean(argument.required)
+    }))
+  }));
+}
+
+/**
+ * Render a prompt with the given arguments
+ * @param {Object} prompts - Registered prompts
+ * @param {string} name - Prompt name
+ * @param {Object} [args] - Argument values
+ * @returns {Object} - prompts/get result with the rendered messages
+ * @throws {McpError} - If the prompt is unknown or a required argument is missing
+ */
+function getPrompt(prompts, name, args = {}) {
+  const prompt = prompts[name];
+
+  if (!prompt) {
+    throw new McpError(ErrorCodes.INVALID_PARAMS, `Unknown prompt: ${name}`);
+  }
+
+  const values = {};
+
+  (prompt.arguments || []).forEach((argument) => {
+    const value = args[argument.name];
+
+    if (value === undefined || value === '') {
+      if (argument.required) {
+        const message = `Missing required argument: ${argument.name}`;
+        throw new McpError(ErrorCodes.INVALID_PARAMS, message);
+      }
+      values[argument.name] = argument.default !== undefined ? String(argument.default) : '';
+    } else {
+      values[argument.name] = String(value);
+    }
+  });
+
+  const text = prompt.template.replace(PLACEHOLDER_PATTERN, (placeholder, argumentName) => {
+    return values[argumentName] !== undefined ? values[argumentName] : placeholder;
+  });
+
+  return {
+    description: prompt.description,
+    messages: [
+      {
+        role: 'user',
+        content: { type: 'text', text }
+      }
+    ]
+  };
+}
+
+/**
+ * Suggest values for a prompt argument
+ * @param {Object} prompts - Registered prompts
+ * @param {Object} tools - Available tools object
+ * @param {string} name - Prompt name
+ * @param {Object} argument - Argument being completed ({ name, value })
+ * @param {Object} session - Session data
+ * @param {AbortSignal} [signal] - Signal that aborts the lookup
+ * @returns {Promise<Object>} - Completion ({ values, total, hasMore })
+ */
+async function completePromptArgument(prompts, tools, name, argument, session, signal) {
+  const prompt = prompts[name];
+
+  if (!prompt) {
+    throw new McpError(ErrorCodes.INVALID_PARAMS, `Unknown prompt: ${name}`);
+  }
+
+  const definition = (prompt.arguments || []).find(arg => arg.name === argument.name);
+  let candidates = [];
+
+  if (definition && definition.completion === 'listApps' && tools.listApps) {
+    const result = await tools.listApps.handler({}, session, { signal });
+    candidates = (result.apps || []).map(app => ({
+      value: app.packageName,
+      label: app.appName || ''
+    }));
+  }
+
+  const query = String(argument.value || '').toLowerCase();
+  const values = candidates
+    .filter(candidate => candidate.value.toLowerCase().includes(query)
+      || candidate.label.toLowerCase().includes(query))
+    .map(candidate => candidate.value);
+
+  return {
+    values: values.slice(0, MAX_COMPLETION_VALUES),
+    total: values.length,
+    hasMore: values.length > MAX_COMPLETION_VALUES
+  };
+}
+
+module.exports = {
+  registerPrompts,
+  listPrompts,
+  getPrompt,
+  completePromptArgument
+};
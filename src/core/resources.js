@@ -0,0 +1,266 @@
+/**
+ * MCP Resources
+ * Exposes device screenshots, installed apps and task step logs as MCP resources
+ */
+
+const {
+  getDevices,
+  getDevice,
+  getInstalledApps,
+  getScreenshot
+} = require('../services/device-registry');
+const { getTask } = require('../services/task-store');
+const { watchTask } = require('../services/task-watcher');
+const { ErrorCodes, McpError } = require('../utils/errors');
+
+// URI templates for every kind of resource the server can read
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'airtap://devices/{id}/screenshot',
+    name: 'device-screenshot',
+    title: 'Device screenshot',
+    description: 'Current screen of an Android device',
+    mimeType: 'image/png'
+  },
+  {
+    uriTemplate: 'airtap://devices/{id}/apps',
+    name: 'device-apps',
+    title: 'Installed apps',
+    description: 'Applications installed on an Android device',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'airtap://tasks/{id}/steps',
+    name: 'task-steps',
+    title: 'Task steps',
+    description: 'Status and step log of an automation task',
+    mimeType: 'application/json'
+  }
+];
+
+// Tools that change the list of installed apps
+const APP_LIST_TOOLS = ['installApp', 'uninstallApp'];
+
+const RESOURCE_URI_PATTERN = /^airtap:\/\/(devices|tasks)\/([^/]+)\/(screenshot|apps|steps)$/;
+
+/**
+ * Parse a resource URI
+ * @param {string} uri - Resource URI
+ * @returns {Object} - { kind, id } where kind is screenshot, apps or steps
+ * @throws {McpError} - If the URI does not name a known resource
+ */
+function parseResourceUri(uri) {
+  const match = typeof uri === 'string' ? uri.match(RESOURCE_URI_PATTERN) : null;
+  const validPairs = ['devices/screenshot', 'devices/apps', 'tasks/steps'];
+
+  if (!match || !validPairs.includes(`${match[1]}/${match[3]}`)) {
+    throw new McpError(ErrorCodes.INVALID_PARAMS, `Resource not found: ${uri}`, { uri });
+  }
+
+  return { kind: match[3], id: decodeURIComponent(match[2]) };
+}
+
+/**
+ * List concrete resources: every device plus the tasks tracked by the session
+ * @param {Object} session - Session data
+ * @returns {Promise<Array>} - Resource descriptions
+ */
+async function listResources(session) {
+  const devices = await getDevices();
+  const resources = [];
+
+  devices.forEach((device) => {
+    const id = encodeURIComponent(device.id);
+
+    resources.push({
+      uri: `airtap://devices/${id}/screenshot`,
+      name: `${device.id}-screenshot`,
+      title: `${device.name} screenshot`,
+      mimeType: 'image/png'
+    });
+    resources.push({
+      uri: `airtap://devices/${id}/apps`,
+      name: `${device.id}-apps`,
+      title: `${device.name} installed apps`,
+      mimeType: 'application/json'
+    });
+  });
+
+  for (const taskId of session.activeTasks.keys()) {
+    resources.push({
+      uri: `airtap://tasks/${encodeURIComponent(taskId)}/steps`,
+      name: `${taskId}-steps`,
+      title: `Steps of task ${taskId}`,
+      mimeType: 'application/json'
+    });
+  }
+
+  return resources;
+}
+
+/**
+ * Read a resource
+ * @param {string} uri - Resource URI
+ * @param {Object} [drivers] - Device drivers of the session; the simulator by default
+ * @returns {Promise<Array>} - Resource contents
+ */
+async function readResource(uri, drivers) {
+  const { kind, id } = parseResourceUri(uri);
+
+  if (kind === 'steps') {
+    const task = await getTask(id);
+
+    if (!task) {
+      throw new McpError(ErrorCodes.INVALID_PARAMS, `Resource not found: ${uri}`, { uri });
+    }
+
+    return [jsonContent(uri, {
+      taskId: task.id,
+      task: task.task,
+      status: task.status,
+      currentStep: task.currentStep,
+      steps: task.steps || []
+    })];
+  }
+
+  const device = await getDevice(id);
+
+  if (!device) {
+    throw new McpError(ErrorCodes.INVALID_PARAMS, `Resource not found: ${uri}`, { uri });
+  }
+
+  if (kind === 'apps') {
+    const apps = await getInstalledApps(id, drivers);
+    return [jsonContent(uri, { deviceId: id, apps, count: apps.length })];
+  }
+
+  const screenshot = await getScreenshot(id, drivers);
+  return [{
+    uri,
+    mimeType: `image/${screenshot.format}`,
+    blob: screenshot.data
+  }];
+}
+
+/**
+ * Subscribe the session to updates of a resource
+ * Task step logs are polled; device resources are refreshed when the session runs tools.
+ * @param {Object} session - Session data
+ * @param {string} uri - Resource URI
+ * @param {Function} notify - Called with the URI whenever the resource changes
+ * @param {Object} logger - Winston logger instance
+ */
+function subscribeResource(session, uri, notify, logger) {
+  const { kind, id } = parseResourceUri(uri);
+
+  if (session.resourceSubscriptions.has(uri)) {
+    return;
+  }
+
+  const subscription = { notify, stop: () => {} };
+
+  if (kind === 'steps') {
+    let initialized = false;
+
+    const fetchStatus = async (taskId) => {
+      const task = await getTask(taskId);
+      return task || { status: 'failed', steps: [] };
+    };
+
+    // The first poll only records the current state
+    const onUpdate = () => {
+      if (initialized) {
+        notify(uri);
+      }
+      initialized = true;
+    };
+
+    subscription.stop = watchTask(id, fetchStatus, onUpdate, { logger }).stop;
+  }
+
+  session.resourceSubscriptions.set(uri, subscription);
+  logger.debug(`Session ${session.id} subscribed to resource ${uri}`);
+}
+
+/**
+ * Remove a resource subscription
+ * @param {Object} session - Session data
+ * @param {string} uri - Resource URI
+ */
+function unsubscribeResource(session, uri) {
+  const subscription = session.resourceSubscriptions.get(uri);
+
+  if (subscription) {
+    subscription.stop();
+    session.resourceSubscriptions.delete(uri);
+  }
+}
+
+/**
+ * Remove every resource subscription of a session
+ * @param {Object} session - Session data
+ */
+function unsubscribeAllResources(session) {
+  if (!session.resourceSubscriptions) {
+    return;
+  }
+
+  for (const uri of Array.from(session.resourceSubscriptions.keys())) {
+    unsubscribeResource(session, uri);
+  }
+}
+
+/**
+ * Notify subscribers about device resources changed by a completed tool call
+ * @param {Object} session - Session data
+ * @param {Object} tool - Tool definition that ran
+ * @param {Object} params - Tool parameters
+ */
+function notifyToolCompleted(session, tool, params) {
+  if (!session.resourceSubscriptions || session.resourceSubscriptions.size === 0) {
+    return;
+  }
+
+  const deviceId = encodeURIComponent(params.deviceId || 'default');
+  const changed = [];
+
+  if (!(tool.annotations && tool.annotations.readOnlyHint)) {
+    changed.push(`airtap://devices/${deviceId}/screenshot`);
+  }
+
+  if (APP_LIST_TOOLS.includes(tool.name)) {
+    changed.push(`airtap://devices/${deviceId}/apps`);
+  }
+
+  changed.forEach((uri) => {
+    const subscription = session.resourceSubscriptions.get(uri);
+
+    if (subscription) {
+      subscription.notify(uri);
+    }
+  });
+}
+
+/**
+ * Build a JSON text content entry
+ * @param {string} uri - Resource URI
+ * @param {Object} value - Value to serialize
+ * @returns {Object} - Resource content
+ */
+function jsonContent(uri, value) {
+  return {
+    uri,
+    mimeType: 'application/json',
+    text: JSON.stringify(value, null, 2)
+  };
+}
+
+module.exports = {
+  RESOURCE_TEMPLATES,
+  listResources,
+  readResource,
+  subscribeResource,
+  unsubscribeResource,
+  unsubscribeAllResources,
+  notifyToolCompleted
+};
@@ -0,0 +1,127 @@
+/**
+ * Schema Validator
+ * Checks tool parameters against the JSON Schema each tool publishes as its inputSchema
+ */
+
+const Ajv = require('ajv');
+const { ErrorCodes, McpError } = require('../utils/errors');
+
+// Schema used for tools that do not declare one
+const DEFAULT_INPUT_SCHEMA = { type: 'object' };
+
+// Defaults from the schema are filled in, so handlers see the documented values;
+// verbose errors carry the schema, which describes failed anyOf and oneOf branches
+const ajv = new Ajv({ allErrors: true, useDefaults: true, strict: false, verbose: true });
+
+// Keywords whose errors summarise the errors of their branches
+const COMBINATORS = ['anyOf', 'oneOf'];
+
+// Compiled validators, keyed by the schema object of the tool
+const validators = new WeakMap();
+
+/**
+ * Get the compiled validator for a tool
+ * @param {Object} tool - Tool definition
+ * @returns {Function} - Ajv validate function
+ */
+function getValidator(tool) {
+  const schema = tool.inputSchema || DEFAULT_INPUT_SCHEMA;
+
+  if (!validators.has(schema)) {
+    validators.set(schema, ajv.compile(schema));
+  }
+
+  return validators.get(schema);
+}
+
+/**
+ * Turn an Ajv error into a field error
+ * @param {Object} error - Ajv error object
+ * @returns {Object} - { field, message, keyword }
+ */
+function toFieldError(error) {
+  const path = error.instancePath.split('/').filter(Boolean);
+  let message = error.message;
+
+  // Missing properties are reported on the property rather than its parent
+  if (error.keyword === 'required') {
+    path.push(error.params.missingProperty);
+    message = 'is required';
+  }
+
+  // Unknown properties are reported on the property too
+  if (error.keyword === 'additionalProperties') {
+    path.push(error.params.additionalProperty);
+    message = 'is not allowed';
+  }
+
+  if (error.keyword === 'enum') {
+    message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+  }
+
+  // Branches that each require a property read as a choice between those properties
+  if (COMBINATORS.includes(error.keyword) && error.schema.every(isRequiredOnly)) {
+    const choices = error.schema.map(branch => branch.required.join(' and ')).join(', ');
+    message = `must have ${error.keyword === 'oneOf' ? 'exactly one' : 'one'} of: ${choices}`;
+  }
+
+  // Described branches read as a list of the forms the value may take
+  if (COMBINATORS.includes(error.keyword) && error.schema.every(branch => branch.description)) {
+    message = `must be ${error.schema.map(branch => branch.description).join(' or ')}`;
+  }
+
+  return {
+    field: path.length > 0 ? path.join('.') : 'params',
+    message,
+    keyword: error.keyword
+  };
+}
+
+/**
+ * Check whether an anyOf or oneOf branch only requires properties
+ * @param {Object} branch - Schema branch
+ * @returns {boolean} - Whether the branch is { required: [...] }
+ */
+function isRequiredOnly(branch) {
+  return Object.keys(branch).length === 1 && Array.isArray(branch.required);
+}
+
+/**
+ * Drop the errors of anyOf and oneOf branches, which the combinator error summarises
+ * @param {Array<Object>} errors - Ajv errors
+ * @returns {Array<Object>} - Remaining errors
+ */
+function withoutBranchErrors(errors) {
+  const combinators = errors.filter(error => COMBINATORS.includes(error.keyword));
+
+  return errors.filter(error => !combinators.some(combinator =>
+    error.schemaPath.startsWith(`${combinator.schemaPath}/`)));
+}
+
+/**
+ * Validate tool parameters against the tool's input schema
+ * @param {string} name - Tool name
+ * @param {Object} tool - Tool definition
+ * @param {Object} params - Parameters sent by the client; schema defaults are applied in place
+ * @throws {McpError} - INVALID_PARAMS with the per-field errors in data.errors
+ */
+function validateToolParams(name, tool, params) {
+  const validate = getValidator(tool);
+
+  if (validate(params)) {
+    return;
+  }
+
+  const errors = withoutBranchErrors(validate.errors).map(toFieldError);
+  const summary = errors.map(error => `${error.field} ${error.message}`).join('; ');
+
+  throw new McpError(
+    ErrorCodes.INVALID_PARAMS,
+    `Invalid parameters for ${name}: ${summary}`,
+    { tool: name, errors }
+  );
+}
+
+module.exports = {
+  validateToolParams
+};
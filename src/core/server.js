@@ -6,42 +6,111 @@ const express = require('express');
 const http = require('http'); // Node.js HTTP module
 const WebSocket = require('ws');
 const bodyParser = require('body-parser');
-const { verifyTokenMiddleware } = require('../utils/auth');
+const {
+  validateApiToken,
+  verifyTokenMiddleware,
+  getRequestToken,
+  TOKEN_PROTOCOL_PREFIX
+} = require('../utils/auth');
 const { registerApiRoutes } = require('../api/routes');
 const { registerTools } = require('./tools');
+const { registerPrompts } = require('./prompts');
 const { handleMcpConnection } = require('./mcp-handler');
+const { createStdioConnection } = require('./stdio-transport');
+const { createHttpTransport } = require('./http-transport');
+const { createSessionStore } = require('./session-store');
+const { createConcurrencyLimiter } = require('./concurrency');
+const { createToolPolicy } = require('./policy');
+const { createDeviceDrivers } = require('../drivers');
+
+// Largest JSON request body; APKs sent to installApp as base64 are a third larger than the file
+const MAX_REQUEST_BODY = '200mb';
 
 /**
  * Starts the MCP server
  * @param {number} port - Port number to run the server on
- * @param {string} apiToken - API token for authentication
+ * MCP clients authenticate with their own API token and tools run with the caller's token.
+ * @param {string} apiToken - API token the server was started with
  * @param {object} logger - Winston logger instance
+ * @param {object} [options] - Server options
+ * @param {string} [options.promptsDir] - Directory with user-defined prompt files
+ * @param {number} [options.resumeGracePeriod] - Milliseconds a disconnected WebSocket session
+ *   can be resumed; 0 disables session resumption
+ * @param {number} [options.toolTimeout] - Milliseconds a tool without its own limit may run
+ * @param {number} [options.maxConcurrentRequests] - Tool calls a session may run at once
+ * @param {number} [options.maxDeviceRequests] - Tool calls that may act on one device at once
+ * @param {string} [options.whenBusy] - 'queue' or 'reject' tool calls over a limit
+ * @param {object} [options.drivers] - Device driver configuration ({ driver, deviceDrivers })
+ * @param {string} [options.baselinesDir] - Directory of the visual assertion baselines
+ * @param {object} [options.policy] - Policy configuration ({ protectedPackages, deniedTools,
+ *   confirmTools, confirmation, confirmationTimeout })
  * @returns {Promise} - Promise that resolves when server is started
  */
-async function startServer(port, apiToken, logger) {
+async function startServer(port, apiToken, logger, options = {}) {
   // Create Express app
   const app = express();
   
   // Set up middleware
-  app.use(bodyParser.json());
+  app.use(bodyParser.json({ limit: MAX_REQUEST_BODY }));
   app.use(verifyTokenMiddleware);
   
+  // Register available tools for each session, so they are released when the session ends
+  const getTools = token => registerTools(token, logger, {
+    drivers: options.drivers,
+    baselinesDir: options.baselinesDir
+  });
+
+  // Fail at startup rather than on the first connection if the drivers are misconfigured
+  createDeviceDrivers(apiToken, options.drivers);
+
+  // Register prompt templates
+  const prompts = registerPrompts(logger, options.promptsDir);
+
+  // Concurrency limits apply across all sessions and transports
+  const limiter = createLimiter(options);
+  const { toolTimeout } = options;
+
+  // The policy applies to tool calls of every transport and to the device API routes
+  const policy = createToolPolicy(options.policy);
+  app.locals.policy = policy;
+
+  // The device API routes use the same drivers as the tools
+  app.locals.drivers = options.drivers;
+
+  // Streamable HTTP transport for MCP, for clients that cannot use WebSockets
+  const transportOptions = { prompts, limiter, toolTimeout, policy, drivers: options.drivers };
+  app.use('/mcp', createHttpTransport(getTools, logger, transportOptions));
+
   // Register API routes
   registerApiRoutes(app, logger);
   
   // Create HTTP server
   const server = http.createServer(app);
   
-  // Set up WebSocket server for MCP protocol
-  const wss = new WebSocket.Server({ server });
-  
-  // Register available tools
-  const tools = registerTools(apiToken, logger);
+  // Set up WebSocket server for MCP protocol; unauthenticated upgrades are refused
+  const wss = new WebSocket.Server({
+    server,
+    verifyClient: createWebSocketVerifier(logger),
+    handleProtocols: selectWebSocketProtocol
+  });
   
+  // Sessions of dropped WebSocket clients are kept for a while so they can be resumed
+  const sessionStore = options.resumeGracePeriod === 0
+    ? undefined
+    : createSessionStore({ gracePeriod: options.resumeGracePeriod, logger });
+
   // Handle WebSocket connections
-  wss.on('connection', (ws) => {
+  wss.on('connection', (ws, req) => {
     logger.info('New MCP client connected');
-    handleMcpConnection(ws, tools, logger);
+    handleMcpConnection(ws, getTools(req.apiToken), logger, {
+      prompts,
+      sessionStore,
+      limiter,
+      toolTimeout,
+      policy,
+      drivers: options.drivers,
+      apiToken: req.apiToken
+    });
   });
   
   // Start server
@@ -53,6 +122,106 @@ async function startServer(port, apiToken, logger) {
   });
 }
 
+/**
+ * Create the concurrency limiter described by the server options
+ * @param {object} options - Server options
+ * @returns {object} - Concurrency limiter
+ */
+function createLimiter(options) {
+  return createConcurrencyLimiter({
+    maxPerSession: options.maxConcurrentRequests,
+    maxPerDevice: options.maxDeviceRequests,
+    whenBusy: options.whenBusy
+  });
+}
+
+/**
+ * Create the verifyClient hook that authenticates WebSocket upgrade requests
+ * The validated token is stored on the request as req.apiToken.
+ * @param {object} logger - Winston logger instance
+ * @returns {Function} - verifyClient(info, callback) for WebSocket.Server
+ */
+function createWebSocketVerifier(logger) {
+  return (info, callback) => {
+    const token = getRequestToken(info.req);
+
+    if (!token) {
+      logger.info('Rejected WebSocket connection without API token');
+      return callback(false, 401, 'Missing API token');
+    }
+
+    validateApiToken(token)
+      .then(() => {
+        info.req.apiToken = token;
+        callback(true);
+      })
+      .catch((error) => {
+        logger.info(`Rejected WebSocket connection: ${error.message}`);
+        callback(false, 401, error.message);
+      });
+  };
+}
+
+/**
+ * Pick the subprotocol to answer a WebSocket handshake with
+ * Browsers fail the handshake unless one of the offered protocols is selected, so a
+ * protocol other than the token carrier is preferred.
+ * @param {Set<string>} protocols - Protocols offered by the client
+ * @returns {string|boolean} - Selected protocol, or false if none was offered
+ */
+function selectWebSocketProtocol(protocols) {
+  const offered = Array.from(protocols);
+  const preferred = offered.find(protocol => !protocol.startsWith(TOKEN_PROTOCOL_PREFIX));
+  return preferred || offered[0] || false;
+}
+
+/**
+ * Starts the MCP server on stdin/stdout
+ * Used when an MCP host spawns the server as a child process
+ * @param {string} apiToken - API token for authentication
+ * @param {object} logger - Winston logger instance (must not write to stdout)
+ * @param {object} [options] - Server options
+ * @param {stream.Readable} [options.input] - Stream to read requests from
+ * @param {stream.Writable} [options.output] - Stream to write responses to
+ * @param {string} [options.promptsDir] - Directory with user-defined prompt files
+ * @param {number} [options.toolTimeout] - Milliseconds a tool without its own limit may run
+ * @param {number} [options.maxConcurrentRequests] - Tool calls that may run at once
+ * @param {number} [options.maxDeviceRequests] - Tool calls that may act on one device at once
+ * @param {string} [options.whenBusy] - 'queue' or 'reject' tool calls over a limit
+ * @param {object} [options.drivers] - Device driver configuration ({ driver, deviceDrivers })
+ * @param {string} [options.baselinesDir] - Directory of the visual assertion baselines
+ * @param {object} [options.policy] - Policy configuration
+ * @returns {EventEmitter} - stdio connection, emits 'close' when input ends
+ */
+function startStdioServer(apiToken, logger, options = {}) {
+  const { input = process.stdin, output = process.stdout } = options;
+
+  // Register available tools
+  const tools = registerTools(apiToken, logger, {
+    drivers: options.drivers,
+    baselinesDir: options.baselinesDir
+  });
+
+  // Register prompt templates
+  const prompts = registerPrompts(logger, options.promptsDir);
+
+  const connection = createStdioConnection(input, output);
+  handleMcpConnection(connection, tools, logger, {
+    announce: false,
+    prompts,
+    limiter: createLimiter(options),
+    toolTimeout: options.toolTimeout,
+    policy: createToolPolicy(options.policy),
+    drivers: options.drivers,
+    apiToken
+  });
+
+  logger.info('Airtap MCP server running on stdio');
+
+  return connection;
+}
+
 module.exports = {
-  startServer
+  startServer,
+  startStdioServer
 };
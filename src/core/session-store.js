@@ -0,0 +1,206 @@
+/**
+ * Session Store
+ * Keeps sessions of disconnected clients alive for a grace period so they can be resumed
+ */
+
+const crypto = require('crypto');
+
+// Default time a disconnected session waits for its client to come back
+const DEFAULT_GRACE_PERIOD_MS = 60000;
+
+// Default number of messages buffered for a disconnected client
+const DEFAULT_MAX_BUFFERED_MESSAGES = 1000;
+
+/**
+ * Create a store of resumable sessions
+ * @param {Object} [options] - Store options
+ * @param {number} [options.gracePeriod] - Milliseconds a disconnected session is kept
+ * @param {number} [options.maxBufferedMessages] - Messages kept per disconnected session
+ * @param {Object} [options.logger] - Winston logger instance
+ * @returns {Object} - Session store
+ */
+function createSessionStore(options = {}) {
+  const gracePeriod = options.gracePeriod !== undefined
+    ? options.gracePeriod
+    : DEFAULT_GRACE_PERIOD_MS;
+  const maxBufferedMessages = options.maxBufferedMessages || DEFAULT_MAX_BUFFERED_MESSAGES;
+  const entries = new Map();
+
+  /**
+   * Register a session and issue its resume token
+   * @param {Object} session - Session data
+   * @param {Object} channel - Session channel created with createSessionChannel
+   * @returns {string} - Resume token
+   */
+  const add = (session, channel) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    entries.set(token, { session, channel, timer: null });
+    return token;
+  };
+
+  /**
+   * Look up a session by its resume token and cancel its expiry
+   * @param {string} token - Resume token
+   * @param {string} [apiToken] - API token of the caller, must match the session's
+   * @returns {Object|null} - { session, channel } or null if unknown, expired or not owned
+   */
+  const take = (token, apiToken) => {
+    const entry = typeof token === 'string' ? entries.get(token) : null;
+
+    if (!entry || entry.session.apiToken !== apiToken) {
+      return null;
+    }
+
+    clearTimeout(entry.timer);
+    entry.timer = null;
+
+    return entry;
+  };
+
+  /**
+   * Start the grace period of a disconnected session
+   * @param {string} token - Resume token
+   * @param {Function} onExpire - Called when the client did not come back in time
+   */
+  const release = (token, onExpire) => {
+    const entry = entries.get(token);
+
+    if (!entry) {
+      return;
+    }
+
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => {
+      entries.delete(token);
+
+      if (options.logger) {
+        options.logger.info(`Session ${entry.session.id} expired after ${gracePeriod}ms`);
+      }
+
+      onExpire();
+    }, gracePeriod);
+
+    // An abandoned session must not keep the process alive
+    entry.timer.unref();
+  };
+
+  /**
+   * Forget a session, e.g. when it was replaced by a resumed one
+   * @param {string} token - Resume token
+   */
+  const remove = (token) => {
+    const entry = entries.get(token);
+
+    if (entry) {
+      clearTimeout(entry.timer);
+      entries.delete(token);
+    }
+  };
+
+  return {
+    gracePeriod,
+    maxBufferedMessages,
+    add,
+    take,
+    release,
+    remove
+  };
+}
+
+/**
+ * Create a channel that sends to the client's current socket
+ * While no socket is attached, messages are buffered and replayed on the next attach.
+ * @param {WebSocket} ws - Initial socket
+ * @param {Object} [options] - Channel options
+ * @param {number} [options.maxBufferedMessages] - Oldest messages are dropped beyond this
+ * @param {Object} [options.logger] - Winston logger instance
+ * @returns {Object} - Channel with send(), attach() and detach()
+ */
+function createSessionChannel(ws, options = {}) {
+  const maxBufferedMessages = options.maxBufferedMessages || DEFAULT_MAX_BUFFERED_MESSAGES;
+  const buffer = [];
+  let socket = ws;
+  let dropped = 0;
+
+  const channel = {
+    /**
+     * Send a message, or buffer it while the client is disconnected
+     * @param {string} data - Serialized message
+     */
+    send: (data) => {
+      if (socket) {
+        socket.send(data);
+        return;
+      }
+
+      buffer.push(data);
+
+      if (buffer.length > maxBufferedMessages) {
+        buffer.shift();
+        dropped++;
+      }
+    },
+
+    /**
+     * Attach a new socket and replay the buffered messages to it
+     * @param {WebSocket} nextSocket - Socket of the reconnected client
+     * @param {string} [greeting] - Message sent before the replayed messages
+     * @returns {number} - Number of replayed messages
+     */
+    attach: (nextSocket, greeting) => {
+      const replay = buffer.splice(0, buffer.length);
+
+      if (dropped > 0 && options.logger) {
+        options.logger.warn(`Dropped ${dropped} buffered messages that exceeded the buffer limit`);
+      }
+      dropped = 0;
+
+      socket = nextSocket;
+
+      if (greeting) {
+        socket.send(greeting);
+      }
+      replay.forEach(data => socket.send(data));
+
+      return replay.length;
+    },
+
+    /**
+     * Detach a socket that closed
+     * @param {WebSocket} closedSocket - Socket that closed
+     * @returns {boolean} - False if the channel already moved to another socket
+     */
+    detach: (closedSocket) => {
+      if (socket !== closedSocket) {
+        return false;
+      }
+
+      socket = null;
+      return true;
+    },
+
+    /**
+     * Socket currently attached, null while disconnected
+     * @returns {WebSocket|null} - Current socket
+     */
+    get socket() {
+      return socket;
+    },
+
+    /**
+     * Number of messages waiting to be replayed
+     * @returns {number} - Buffered message count
+     */
+    get buffered() {
+      return buffer.length;
+    }
+  };
+
+  return channel;
+}
+
+module.exports = {
+  createSessionStore,
+  createSessionChannel,
+  DEFAULT_GRACE_PERIOD_MS
+};
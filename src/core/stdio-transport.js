@@ -0,0 +1,49 @@
+/**
+ * stdio Transport
+ * Newline-delimited JSON-RPC over stdin/stdout for MCP hosts that spawn the server
+ */
+
+const EventEmitter = require('events');
+const readline = require('readline');
+
+/**
+ * Create a connection object backed by a pair of streams
+ * The object mimics the parts of a WebSocket used by the MCP handler:
+ * `send()` plus `message` and `close` events.
+ * @param {stream.Readable} input - Stream carrying client messages (usually stdin)
+ * @param {stream.Writable} output - Stream receiving server messages (usually stdout)
+ * @returns {EventEmitter} - Connection object
+ */
+function createStdioConnection(input, output) {
+  const connection = new EventEmitter();
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  // JSON.stringify never emits raw newlines, so one message always fits on one line
+  connection.send = (data) => {
+    output.write(`${data}\n`);
+  };
+
+  connection.close = () => {
+    lines.close();
+  };
+
+  lines.on('line', (line) => {
+    if (line.trim()) {
+      connection.emit('message', line);
+    }
+  });
+
+  lines.on('close', () => {
+    connection.emit('close');
+  });
+
+  input.on('error', (error) => {
+    connection.emit('error', error);
+  });
+
+  return connection;
+}
+
+module.exports = {
+  createStdioConnection
+};
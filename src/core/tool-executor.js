@@ -0,0 +1,226 @@
+/**
+ * Tool Executor
+ * Runs registered tools on behalf of a session, independent of the wire protocol
+ */
+
+const { notifyToolCompleted } = require('./resources');
+const { validateToolParams } = require('./schema-validator');
+const { withTimeout } = require('../utils/abort');
+const { ErrorCodes, McpError, CancelledError, TimeoutError } = require('../utils/errors');
+
+// Time limit for tools that do not set their own and sessions without a configured default
+const DEFAULT_TOOL_TIMEOUT_MS = 60000;
+
+/**
+ * Execute a tool and track it as an active request of the session
+ * Handlers receive a context with an AbortSignal that fires when the request is cancelled
+ * or times out, and a reportProgress(progress, total, message) callback. When the session
+ * has a policy, the call must pass it first, and when it has a concurrency limiter, the
+ * request waits for a free slot before the handler runs.
+ * @param {Object} tools - Available tools object
+ * @param {Object} request - Request to execute ({ id, tool, params, onProgress, timeout,
+ *   confirm, requestApproval }); confirm is a confirmation token and requestApproval asks the
+ *   session to approve calls the policy wants confirmed
+ * @param {Object} session - Session data
+ * @param {Object} logger - Winston logger instance
+ * @returns {Promise<Object>} - Result returned by the tool handler
+ * @throws {McpError} - If the tool is unknown or the parameters do not match its schema
+ * @throws {PolicyError} - If the policy does not allow the call
+ * @throws {ConfirmationRequiredError} - If the call must be repeated with a confirmation token
+ * @throws {BusyError} - If a concurrency limit is reached and the limiter rejects requests
+ * @throws {TimeoutError} - If the tool does not finish within its time limit
+ * @throws {CancelledError} - If the request was cancelled; no result must be sent
+ */
+async function executeTool(tools, request, session, logger) {
+  const { id, tool } = request;
+  const params = request.params || {};
+
+  if (!tools[tool]) {
+    throw new McpError(ErrorCodes.INVALID_PARAMS, `Unknown tool: ${tool}`);
+  }
+
+  // Handlers only ever see parameters that match their schema
+  validateToolParams(tool, tools[tool], params);
+
+  const timeout = getToolTimeout(tools[tool], session, request.timeout);
+
+  if (session.activeRequests.has(id)) {
+    throw new McpError(ErrorCodes.INVALID_REQUEST, `Request ID ${id} is already in use`);
+  }
+
+  // Track active request
+  const controller = new AbortController();
+  const entry = { tool, params, timestamp: Date.now(), controller };
+  session.activeRequests.set(id, entry);
+
+  const context = {
+    requestId: id,
+    signal: controller.signal,
+    requestApproval: request.requestApproval,
+    reportProgress: (progress, total, message) => {
+      // Progress of a cancelled request is of no interest to the client
+      if (request.onProgress && !controller.signal.aborted) {
+        request.onProgress({ progress, total, message });
+      }
+    }
+  };
+
+  try {
+    logger.debug(`Executing tool ${tool} with params: ${JSON.stringify(params)}`);
+    return await runTool(tools, tool, params, session, context, {
+      timeout,
+      abort: () => controller.abort(),
+      confirm: request.confirm,
+      requestApproval: request.requestApproval
+    });
+  } catch (error) {
+    if (error instanceof TimeoutError) {
+      logger.info(`Request ${id} stopped: ${error.message}`);
+      throw error;
+    }
+
+    if (controller.signal.aborted && !(error instanceof CancelledError)) {
+      throw new CancelledError();
+    }
+
+    throw error;
+  } finally {
+    // Remove from active requests, unless the ID was already reused after a cancel
+    if (session.activeRequests.get(id) === entry) {
+      session.activeRequests.delete(id);
+    }
+  }
+}
+
+/**
+ * Run a tool whose parameters were already validated
+ * The call must pass the session's policy and waits for a concurrency slot before the
+ * handler runs within its time limit. Sequence steps run through here as well, so they
+ * follow the same rules as calls of their own.
+ * @param {Object} tools - Available tools object
+ * @param {string} tool - Tool name
+ * @param {Object} params - Validated tool parameters
+ * @param {Object} session - Session data
+ * @param {Object} context - Context passed to the handler, with the signal of the call
+ * @param {Object} [options] - Call options
+ * @param {number} [options.timeout] - Time limit in milliseconds; 0 means no limit
+ * @param {Function} [options.abort] - Aborts the signal of the call when it times out
+ * @param {string} [options.confirm] - Confirmation token from an earlier refusal
+ * @param {Function} [options.requestApproval] - Asks the session to approve the call
+ * @returns {Promise<Object>} - Result returned by the tool handler
+ */
+async function runTool(tools, tool, params, session, context, options = {}) {
+  const { signal } = context;
+  let release = () => {};
+
+  try {
+    // Calls waiting for approval do not hold a concurrency slot
+    if (session.policy) {
+      const { annotations } = tools[tool];
+      await session.policy.authorize({ name: tool, annotations }, params, {
+        sessionId: session.id,
+        confirm: options.confirm,
+        requestApproval: options.requestApproval,
+        signal
+      });
+    }
+
+    // Tools that run other tools leave the slots to the tools they run
+    if (session.limiter && tools[tool].limited !== false) {
+      const deviceId = getDeviceId(tools[tool], params);
+      release = await session.limiter.acquire(session.id, deviceId, signal);
+    }
+
+    const running = tools[tool].handler(params, session, context);
+    const result = await withTimeout(running, options.timeout, tool, options.abort);
+
+    // Handlers that ignore the signal still must not produce a result after a cancel
+    if (signal.aborted) {
+      throw new CancelledError();
+    }
+
+    // Let resource subscribers know the device may look different now
+    notifyToolCompleted(session, tools[tool], params);
+
+    return result;
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Work out the time limit of a tool call
+ * The request can override the tool's own limit, which overrides the session default.
+ * @param {Object} tool - Tool definition
+ * @param {Object} session - Session data
+ * @param {number} [override] - Time limit requested by the client
+ * @returns {number} - Time limit in milliseconds; 0 means no limit
+ * @throws {McpError} - If the requested time limit is not a non-negative number
+ */
+function getToolTimeout(tool, session, override) {
+  if (override !== undefined) {
+    if (typeof override !== 'number' || !(override >= 0)) {
+      const message = 'timeout must be a non-negative number of milliseconds';
+      throw new McpError(ErrorCodes.INVALID_PARAMS, message);
+    }
+    return override;
+  }
+
+  if (tool.timeout !== undefined) {
+    return tool.timeout;
+  }
+
+  return session.toolTimeout !== undefined ? session.toolTimeout : DEFAULT_TOOL_TIMEOUT_MS;
+}
+
+/**
+ * Get the device a tool call acts on, for the per-device concurrency limit
+ * Read-only tools do not change the device, so they do not count against its limit.
+ * @param {Object} tool - Tool definition
+ * @param {Object} params - Tool parameters
+ * @returns {string|null} - Device ID, or null for read-only tools
+ */
+function getDeviceId(tool, params) {
+  if (tool.annotations && tool.annotations.readOnlyHint) {
+    return null;
+  }
+
+  return params.deviceId || 'default';
+}
+
+/**
+ * Cancel an in-flight request
+ * @param {Object} session - Session data
+ * @param {string|number} id - Request ID
+ * @returns {boolean} - Whether a matching request was found
+ */
+function cancelRequest(session, id) {
+  const request = session.activeRequests.get(id);
+
+  if (!request) {
+    return false;
+  }
+
+  session.activeRequests.delete(id);
+  request.controller.abort();
+
+  return true;
+}
+
+/**
+ * Cancel every in-flight request of a session
+ * @param {Object} session - Session data
+ */
+function cancelAllRequests(session) {
+  for (const id of Array.from(session.activeRequests.keys())) {
+    cancelRequest(session, id);
+  }
+}
+
+module.exports = {
+  executeTool,
+  runTool,
+  getToolTimeout,
+  cancelRequest,
+  cancelAllRequests
+};
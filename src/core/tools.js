@@ -4,24 +4,45 @@
  */
 
 const androidInteractionTools = require('../services/android-interaction');
+const appLifecycleTools = require('../services/app-lifecycle');
 const taskManagementTools = require('../services/task-management');
+const sequenceTools = require('../services/sequence-tools');
+const visualAssertionTools = require('../services/visual-assertions');
+const { createDeviceDrivers } = require('../drivers');
 
 /**
  * Register all available tools
  * @param {string} apiToken - API token for authentication
  * @param {object} logger - Winston logger instance
+ * @param {object} [options] - Tool options
+ * @param {object} [options.drivers] - Device driver configuration ({ driver, deviceDrivers })
+ * @param {string} [options.baselinesDir] - Directory of the visual assertion baselines
  * @returns {object} - Object containing all registered tools
  */
-function registerTools(apiToken, logger) {
+function registerTools(apiToken, logger, options = {}) {
   // Tool definitions for MCP protocol
 const tools = {};
   
+  // Drivers that carry out device actions for this token
+  const drivers = createDeviceDrivers(apiToken, options.drivers);
+
   // Register Android Interaction (Low-Level) Tools
-  registerToolGroup(tools, androidInteractionTools(apiToken, logger));
+  registerToolGroup(tools, androidInteractionTools(apiToken, logger, drivers));
+
+  // Register App Lifecycle Tools
+  registerToolGroup(tools, appLifecycleTools(apiToken, logger, drivers));
   
   // Register Task Management (High-Level) Tools
   registerToolGroup(tools, taskManagementTools(apiToken, logger));
   
+  // Register Visual Assertion Tools
+  registerToolGroup(tools, visualAssertionTools(logger, drivers, {
+    baselinesDir: options.baselinesDir
+  }));
+
+  // Register Sequence Tools, which call the tools registered above
+  registerToolGroup(tools, sequenceTools(tools, logger, drivers));
+
   logger.info(`Registered ${Object.keys(tools).length} tools`);
   
   return tools;
@@ -37,7 +58,10 @@ function registerToolGroup(tools, toolGroup) {
     tools[name] = {
       name,
       description: tool.description,
-      parameters: tool.parameters,
+      inputSchema: tool.inputSchema,
+      annotations: tool.annotations,
+      timeout: tool.timeout,
+      limited: tool.limited,
       handler: tool.handler
     };
   }
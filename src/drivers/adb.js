@@ -0,0 +1,464 @@
+/**
+ * ADB Driver
+ * Drives self-hosted emulators and devices through the adb command line tool
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { CancelledError } = require('../utils/errors');
+const { isMultiTouch } = require('../utils/gestures');
+const { MODIFIERS } = require('../utils/keycodes');
+const { parseUiautomatorDump } = require('./uiautomator');
+
+// Largest output accepted from adb; screenshots of large screens are several megabytes
+const MAX_OUTPUT_BYTES = 64 * 1024 * 1024;
+
+/**
+ * Create a driver that runs adb
+ * The device ID is used as the adb serial; the "default" device uses the configured serial,
+ * or the only connected device if none is configured.
+ * @param {Object} [options] - Driver options
+ * @param {string} [options.adbPath='adb'] - Path of the adb binary
+ * @param {string} [options.serial] - Serial of the device behind the "default" device ID
+ * @returns {Object} - Device driver
+ */
+function createAdbDriver(options = {}) {
+  const { adbPath = 'adb', serial } = options;
+
+  /**
+   * Run adb against a device
+   * @param {string} deviceId - Device ID
+   * @param {Array<string>} args - adb arguments after the serial
+   * @param {Object} [callOptions] - Call options ({ signal })
+   * @param {string} [encoding='utf8'] - Output encoding; 'buffer' for binary output
+   * @returns {Promise<string|Buffer>} - Standard output
+   * @throws {CancelledError} - If the call was aborted
+   * @throws {Error} - If adb exits with an error
+   */
+  function adb(deviceId, args, callOptions = {}, encoding = 'utf8') {
+    const target = deviceId === 'default' ? serial : deviceId;
+    const fullArgs = target ? ['-s', target, ...args] : args;
+
+    return new Promise((resolve, reject) => {
+      execFile(adbPath, fullArgs, {
+        encoding,
+        maxBuffer: MAX_OUTPUT_BYTES,
+        signal: callOptions.signal
+      }, (error, stdout, stderr) => {
+        if (error) {
+          if (error.name === 'AbortError') {
+            return reject(new CancelledError());
+          }
+
+          const detail = String(stderr || '').trim() || error.message;
+          return reject(new Error(`adb ${args.join(' ')} failed: ${detail}`));
+        }
+
+        resolve(stdout);
+      });
+    });
+  }
+
+  return {
+    name: 'adb',
+
+    /**
+     * Tap a point on the screen
+     * @param {string} deviceId - Device ID
+     * @param {Object} point - { x, y }
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - { success }
+     */
+    async tap(deviceId, { x, y }, callOptions) {
+      await adb(deviceId, ['shell', 'input', 'tap', String(x), String(y)], callOptions);
+      return { success: true };
+    },
+
+    /**
+     * Swipe from one point to another; a swipe that does not move is a long press
+     * @param {string} deviceId - Device ID
+     * @param {Object} gesture - { start: [x, y], end: [x, y], duration }
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - { success }
+     */
+    async swipe(deviceId, { start, end, duration }, callOptions) {
+      const points = [...start, ...end].map(value => String(Math.round(value)));
+      await adb(deviceId, ['shell', 'input', 'swipe', ...points, String(duration)], callOptions);
+      return { success: true };
+    },
+
+    /**
+     * Perform a gesture of one or more pointers with `input motionevent`
+     * adb can only drive one pointer at a time, so pointers must follow one another.
+     * @param {string} deviceId - Device ID
+     * @param {Object} gesture - { pointers: [{ path: [{ x, y, time }] }] }
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - { success }
+     * @throws {Error} - If pointers are down at the same time
+     */
+    async gesture(deviceId, { pointers }, callOptions) {
+      if (isMultiTouch(pointers)) {
+        throw new Error('The adb driver cannot perform multi-touch gestures; '
+          + 'use the cloud driver for pinch, rotate and overlapping pointers');
+      }
+
+      await adb(deviceId, ['shell', motionEventScript(pointers)], callOptions);
+      return { success: true };
+    },
+
+    /**
+     * Type text into the focused field
+     * @param {string} deviceId - Device ID
+     * @param {string} text - Text to type
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - { success }
+     */
+    async input(deviceId, text, callOptions) {
+      await adb(deviceId, ['shell', 'input', 'text', escapeInputText(text)], callOptions);
+      return { success: true };
+    },
+
+    /**
+     * Press a key such as BACK, HOME or DEL
+     * Modifiers are held with `input keycombination`, which needs Android 13 or later.
+     * @param {string} deviceId - Device ID
+     * @param {string|number} key - Key name, without the KEYCODE_ prefix, or keycode
+     * @param {Object} [callOptions] - Call options ({ signal, count, longPress, meta })
+     * @returns {Promise<Object>} - { success }
+     * @throws {Error} - If a key with modifiers is to be long pressed
+     */
+    async key(deviceId, key, callOptions = {}) {
+      const keycode = typeof key === 'number' ? String(key) : `KEYCODE_${key}`;
+      const count = callOptions.count || 1;
+      const meta = callOptions.meta || [];
+
+      if (meta.length === 0) {
+        const keycodes = new Array(count).fill(keycode);
+        const flags = callOptions.longPress ? ['--longpress'] : [];
+        await adb(deviceId, ['shell', 'input', 'keyevent', ...flags, ...keycodes], callOptions);
+        return { success: true };
+      }
+
+      if (callOptions.longPress) {
+        throw new Error('The adb driver cannot long press keys with modifiers');
+      }
+
+      const modifiers = meta.map(modifier => `KEYCODE_${MODIFIERS[modifier].key}`);
+      const combination = ['input', 'keycombination', ...modifiers, keycode].join(' ');
+      await adb(deviceId, ['shell', new Array(count).fill(combination).join('; ')], callOptions);
+      return { success: true };
+    },
+
+    /**
+     * Capture the screen
+     * @param {string} deviceId - Device ID
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - Screenshot with base64 encoded PNG data
+     */
+    async screenshot(deviceId, callOptions) {
+      const image = await adb(deviceId, ['exec-out', 'screencap', '-p'], callOptions, 'buffer');
+      const { width, height } = readPngSize(image);
+
+      return {
+        deviceId,
+        timestamp: new Date().toISOString(),
+        format: 'png',
+        width,
+        height,
+        data: image.toString('base64')
+      };
+    },
+
+    /**
+     * Get the size of the screen
+     * An override size set with `wm size` is listed after the physical size and wins.
+     * @param {string} deviceId - Device ID
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - { width, height } in screen pixels
+     * @throws {Error} - If the window manager reports no size
+     */
+    async screenSize(deviceId, callOptions) {
+      const output = await adb(deviceId, ['shell', 'wm', 'size'], callOptions);
+      const sizes = output.match(/\d+x\d+/g);
+
+      if (!sizes) {
+        throw new Error(`Screen size unknown: ${output.trim() || 'no output from wm size'}`);
+      }
+
+      const [width, height] = sizes[sizes.length - 1].split('x').map(Number);
+      return { width, height };
+    },
+
+    /**
+     * Get the view tree of the screen
+     * @param {string} deviceId - Device ID
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - Root node of the UI hierarchy
+     */
+    async uiHierarchy(deviceId, callOptions) {
+      // Dumping to /dev/tty streams the XML back instead of writing a file on the device
+      const xml = await adb(deviceId, ['exec-out', 'uiautomator', 'dump', '/dev/tty'], callOptions);
+      return parseUiautomatorDump(xml);
+    },
+
+    /**
+     * List the installed apps
+     * @param {string} deviceId - Device ID
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Array>} - Installed apps ({ packageName, appName })
+     */
+    async listApps(deviceId, callOptions) {
+      const output = await adb(deviceId, ['shell', 'pm', 'list', 'packages'], callOptions);
+
+      // adb does not know app labels, so the package name stands in for the name
+      return output
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line.startsWith('package:'))
+        .map((line) => {
+          const packageName = line.slice('package:'.length);
+          return { packageName, appName: packageName };
+        });
+    },
+
+    /**
+     * Uninstall an app
+     * @param {string} deviceId - Device ID
+     * @param {string} packageName - Package name of the app
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - { success, status }
+     * @throws {Error} - If the package manager reports a failure
+     */
+    async uninstall(deviceId, packageName, callOptions) {
+      const output = (await adb(deviceId, ['uninstall', packageName], callOptions)).trim();
+
+      if (!output.includes('Success')) {
+        throw new Error(`Uninstalling ${packageName} failed: ${output || 'no output from adb'}`);
+      }
+
+      return { success: true, status: 'uninstalled' };
+    },
+
+    /**
+     * Install an APK, replacing the app if it is installed
+     * @param {string} deviceId - Device ID
+     * @param {Object} apk - { data, manifest } with the APK file as a Buffer
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - { success, status }
+     * @throws {Error} - If the package manager reports a failure
+     */
+    async install(deviceId, { data }, callOptions) {
+      // adb installs files, so the APK goes through a temporary one
+      const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'airtap-apk-'));
+      const file = path.join(directory, 'app.apk');
+
+      try {
+        await fs.promises.writeFile(file, data);
+        const output = (await adb(deviceId, ['install', '-r', file], callOptions)).trim();
+
+        if (!output.includes('Success')) {
+          throw new Error(`Installing the APK failed: ${output || 'no output from adb'}`);
+        }
+      } finally {
+        await fs.promises.rm(directory, { recursive: true, force: true });
+      }
+
+      return { success: true, status: 'installed' };
+    },
+
+    /**
+     * Launch an app, at its launcher activity or the one given
+     * @param {string} deviceId - Device ID
+     * @param {string} packageName - Package name of the app
+     * @param {Object} [options] - Launch options ({ activity }); an activity starting with a
+     *   dot belongs to the package
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - { success }
+     * @throws {Error} - If the activity manager cannot start the app
+     */
+    async launch(deviceId, packageName, options = {}, callOptions) {
+      const component = `${packageName}/${options.activity}`;
+      const args = options.activity
+        ? ['shell', 'am', 'start', '-W', '-n', quoteShellArgument(component)]
+        : ['shell', 'monkey', '-p', packageName, '-c', 'android.intent.category.LAUNCHER', '1'];
+
+      assertStarted(await adb(deviceId, args, callOptions), `Launching ${packageName}`);
+      return { success: true };
+    },
+
+    /**
+     * Force stop an app
+     * @param {string} deviceId - Device ID
+     * @param {string} packageName - Package name of the app
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - { success }
+     */
+    async stop(deviceId, packageName, callOptions) {
+      await adb(deviceId, ['shell', 'am', 'force-stop', packageName], callOptions);
+      return { success: true };
+    },
+
+    /**
+     * Clear the data of an app
+     * @param {string} deviceId - Device ID
+     * @param {string} packageName - Package name of the app
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - { success }
+     * @throws {Error} - If the package manager reports a failure
+     */
+    async clearData(deviceId, packageName, callOptions) {
+      const output = (await adb(deviceId, ['shell', 'pm', 'clear', packageName], callOptions))
+        .trim();
+
+      if (!output.includes('Success')) {
+        throw new Error(`Clearing the data of ${packageName} failed: ${output || 'no output'}`);
+      }
+
+      return { success: true };
+    },
+
+    /**
+     * Open a deep link or start an intent with `am start`
+     * @param {string} deviceId - Device ID
+     * @param {Object} intent - { uri, action, packageName, extras }
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - { success }
+     * @throws {Error} - If no activity can handle the intent
+     */
+    async openIntent(deviceId, intent, callOptions) {
+      const output = await adb(deviceId, ['shell', intentCommand(intent)], callOptions);
+      assertStarted(output, `Opening ${intent.uri || intent.action}`);
+      return { success: true };
+    }
+  };
+}
+
+/**
+ * Escape text for `adb shell input text`
+ * The text is quoted as a whole, so the device shell runs no part of it, whatever characters
+ * it holds. Spaces are written as %s, which input text turns back into spaces.
+ * @param {string} text - Text to type
+ * @returns {string} - Escaped text
+ */
+function escapeInputText(text) {
+  return quoteShellArgument(text.replace(/ /g, '%s'));
+}
+
+/**
+ * Write a gesture as a device shell script of motion events and pauses
+ * @param {Array<Object>} pointers - Pointers that do not overlap in time
+ * @returns {string} - Shell script
+ */
+function motionEventScript(pointers) {
+  const commands = [];
+  let clock = 0;
+
+  [...pointers]
+    .sort((a, b) => a.path[0].time - b.path[0].time)
+    .forEach(({ path }) => {
+      path.forEach(({ x, y, time }, index) => {
+        if (time > clock) {
+          commands.push(`sleep ${(time - clock) / 1000}`);
+          clock = time;
+        }
+
+        const action = index === 0 ? 'DOWN' : 'MOVE';
+        commands.push(`input motionevent ${action} ${Math.round(x)} ${Math.round(y)}`);
+      });
+
+      const last = path[path.length - 1];
+      commands.push(`input motionevent UP ${Math.round(last.x)} ${Math.round(last.y)}`);
+    });
+
+  return commands.join('; ');
+}
+
+/**
+ * Write the device shell command that starts an intent
+ * @param {Object} intent - { uri, action, packageName, extras }
+ * @returns {string} - Shell command
+ */
+function intentCommand({ uri, action, packageName, extras = {} }) {
+  const args = ['am', 'start', '-W', '-a', quoteShellArgument(action)];
+
+  if (uri) {
+    args.push('-d', quoteShellArgument(uri));
+  }
+
+  Object.entries(extras).forEach(([key, value]) => {
+    args.push(extraFlag(value), quoteShellArgument(key), quoteShellArgument(String(value)));
+  });
+
+  if (packageName) {
+    args.push(quoteShellArgument(packageName));
+  }
+
+  return args.join(' ');
+}
+
+/**
+ * Get the `am start` flag for an intent extra of a value
+ * @param {string|number|boolean} value - Extra value
+ * @returns {string} - --es, --ei, --ef or --ez
+ */
+function extraFlag(value) {
+  if (typeof value === 'boolean') {
+    return '--ez';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? '--ei' : '--ef';
+  }
+  return '--es';
+}
+
+/**
+ * Quote an argument for the device shell
+ * @param {string} value - Argument
+ * @returns {string} - Argument in single quotes
+ */
+function quoteShellArgument(value) {
+  return `'${value.replace(/'/g, '\'\\\'\'')}'`;
+}
+
+/**
+ * Check the output of `am start` or `monkey` for a failure
+ * Both report failures on standard output and may still exit with status 0.
+ * @param {string} output - Command output
+ * @param {string} what - What was being started, for the error message
+ * @throws {Error} - If the output reports a failure
+ */
+function assertStarted(output, what) {
+  const failure = output.split('\n').find(line => /^Error|monkey aborted/.test(line.trim()));
+
+  if (failure) {
+    throw new Error(`${what} failed: ${failure.trim()}`);
+  }
+}
+
+/**
+ * Read the size of a PNG image from its header
+ * @param {Buffer} image - PNG image
+ * @returns {Object} - { width, height }
+ * @throws {Error} - If the data is not a PNG image
+ */
+function readPngSize(image) {
+  const signature = '89504e470d0a1a0a';
+
+  if (image.length < 24 || image.toString('hex', 0, 8) !== signature) {
+    throw new Error('adb screencap did not return a PNG image');
+  }
+
+  return {
+    width: image.readUInt32BE(16),
+    height: image.readUInt32BE(20)
+  };
+}
+
+module.exports = {
+  createAdbDriver,
+  escapeInputText,
+  intentCommand,
+  motionEventScript
+};
@@ -0,0 +1,260 @@
+/**
+ * Airtap Cloud Driver
+ * Drives devices hosted by Airtap through its REST API
+ */
+
+const axios = require('axios');
+const { metaStateOf } = require('../utils/keycodes');
+
+// Airtap API base URL
+const AIRTAP_API_BASE = 'https://api.airtap.ai';
+
+/**
+ * Create a driver for devices in the Airtap cloud
+ * @param {string} apiToken - API token for authentication
+ * @param {Object} [options] - Driver options
+ * @param {string} [options.baseURL] - Airtap API base URL
+ * @returns {Object} - Device driver
+ */
+function createAirtapCloudDriver(apiToken, options = {}) {
+  // Create HTTP client with authentication
+  const apiClient = axios.create({
+    baseURL: options.baseURL || AIRTAP_API_BASE,
+    headers: {
+      'Authorization': `Bearer ${apiToken}`,
+      'Content-Type': 'application/json'
+    }
+  });
+
+  /**
+   * Send an action to a device
+   * @param {string} deviceId - Device ID
+   * @param {string} action - Action name, the last segment of the endpoint
+   * @param {Object} body - Action parameters
+   * @param {Object} [callOptions] - Call options ({ signal })
+   * @returns {Promise<Object>} - Response body
+   */
+  async function post(deviceId, action, body, callOptions = {}) {
+    const response = await apiClient.post(
+      `/devices/${encodeURIComponent(deviceId)}/${action}`,
+      body,
+      { signal: callOptions.signal }
+    );
+    return response.data;
+  }
+
+  return {
+    name: 'cloud',
+
+    /**
+     * Tap a point on the screen
+     * @param {string} deviceId - Device ID
+     * @param {Object} point - { x, y }
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - API response
+     */
+    tap(deviceId, { x, y }, callOptions) {
+      return post(deviceId, 'tap', { x, y }, callOptions);
+    },
+
+    /**
+     * Swipe from one point to another
+     * @param {string} deviceId - Device ID
+     * @param {Object} gesture - { start: [x, y], end: [x, y], duration }
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - API response
+     */
+    swipe(deviceId, { start, end, duration }, callOptions) {
+      return post(deviceId, 'swipe', { start, end, duration }, callOptions);
+    },
+
+    /**
+     * Perform a gesture of one or more pointers
+     * @param {string} deviceId - Device ID
+     * @param {Object} gesture - { pointers: [{ path: [{ x, y, time }] }] }
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - API response
+     */
+    gesture(deviceId, { pointers }, callOptions) {
+      return post(deviceId, 'gesture', { pointers }, callOptions);
+    },
+
+    /**
+     * Type text into the focused field
+     * @param {string} deviceId - Device ID
+     * @param {string} text - Text to type
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - API response
+     */
+    input(deviceId, text, callOptions) {
+      return post(deviceId, 'input', { text }, callOptions);
+    },
+
+    /**
+     * Press a key such as BACK, HOME or DEL
+     * @param {string} deviceId - Device ID
+     * @param {string|number} key - Key name or keycode
+     * @param {Object} [callOptions] - Call options ({ signal, count, longPress, meta })
+     * @returns {Promise<Object>} - API response
+     */
+    key(deviceId, key, callOptions = {}) {
+      const body = { key, count: callOptions.count || 1 };
+      const meta = callOptions.meta || [];
+
+      if (callOptions.longPress) {
+        body.longPress = true;
+      }
+      if (meta.length > 0) {
+        body.metaState = metaStateOf(meta);
+      }
+
+      return post(deviceId, 'key', body, callOptions);
+    },
+
+    /**
+     * Capture the screen
+     * @param {string} deviceId - Device ID
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - Screenshot with base64 encoded PNG data
+     */
+    async screenshot(deviceId, callOptions = {}) {
+      const response = await apiClient.get(
+        `/devices/${encodeURIComponent(deviceId)}/screenshot`,
+        { signal: callOptions.signal }
+      );
+      return { deviceId, timestamp: new Date().toISOString(), ...response.data };
+    },
+
+    /**
+     * Get the size of the screen
+     * @param {string} deviceId - Device ID
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - { width, height } in screen pixels
+     */
+    async screenSize(deviceId, callOptions = {}) {
+      const response = await apiClient.get(
+        `/devices/${encodeURIComponent(deviceId)}/screen`,
+        { signal: callOptions.signal }
+      );
+      return { width: response.data.width, height: response.data.height };
+    },
+
+    /**
+     * Get the view tree of the screen
+     * @param {string} deviceId - Device ID
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - Root node of the UI hierarchy
+     */
+    async uiHierarchy(deviceId, callOptions = {}) {
+      const response = await apiClient.get(
+        `/devices/${encodeURIComponent(deviceId)}/hierarchy`,
+        { signal: callOptions.signal }
+      );
+      return response.data.root;
+    },
+
+    /**
+     * List the installed apps
+     * @param {string} deviceId - Device ID
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Array>} - Installed apps ({ packageName, appName })
+     */
+    async listApps(deviceId, callOptions = {}) {
+      const response = await apiClient.get(
+        `/devices/${encodeURIComponent(deviceId)}/apps`,
+        { signal: callOptions.signal }
+      );
+      return response.data.apps;
+    },
+
+    /**
+     * Uninstall an app
+     * @param {string} deviceId - Device ID
+     * @param {string} packageName - Package name of the app
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - API response ({ status })
+     */
+    async uninstall(deviceId, packageName, callOptions = {}) {
+      const response = await apiClient.delete(
+        `/devices/${encodeURIComponent(deviceId)}/apps/${encodeURIComponent(packageName)}`,
+        { signal: callOptions.signal }
+      );
+      return response.data;
+    },
+
+    /**
+     * Install an APK, replacing the app if it is installed
+     * @param {string} deviceId - Device ID
+     * @param {Object} apk - { data, manifest } with the APK file as a Buffer
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - API response ({ status })
+     */
+    install(deviceId, { data, manifest }, callOptions) {
+      return post(deviceId, 'apps', {
+        packageName: manifest.packageName,
+        apk: data.toString('base64')
+      }, callOptions);
+    },
+
+    /**
+     * Launch an app, at its launcher activity or the one given
+     * @param {string} deviceId - Device ID
+     * @param {string} packageName - Package name of the app
+     * @param {Object} [options] - Launch options ({ activity })
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - API response
+     */
+    launch(deviceId, packageName, options = {}, callOptions) {
+      return post(deviceId, appAction(packageName, 'launch'), {
+        activity: options.activity
+      }, callOptions);
+    },
+
+    /**
+     * Force stop an app
+     * @param {string} deviceId - Device ID
+     * @param {string} packageName - Package name of the app
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - API response
+     */
+    stop(deviceId, packageName, callOptions) {
+      return post(deviceId, appAction(packageName, 'stop'), {}, callOptions);
+    },
+
+    /**
+     * Clear the data of an app
+     * @param {string} deviceId - Device ID
+     * @param {string} packageName - Package name of the app
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - API response
+     */
+    clearData(deviceId, packageName, callOptions) {
+      return post(deviceId, appAction(packageName, 'clear-data'), {}, callOptions);
+    },
+
+    /**
+     * Open a deep link or start an intent
+     * @param {string} deviceId - Device ID
+     * @param {Object} intent - { uri, action, packageName, extras }
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - API response
+     */
+    openIntent(deviceId, intent, callOptions) {
+      return post(deviceId, 'intents', intent, callOptions);
+    }
+  };
+}
+
+/**
+ * Get the API action of an app
+ * @param {string} packageName - Package name of the app
+ * @param {string} action - Action, such as launch
+ * @returns {string} - Action path below the device
+ */
+function appAction(packageName, action) {
+  return `apps/${encodeURIComponent(packageName)}/${action}`;
+}
+
+module.exports = {
+  createAirtapCloudDriver
+};
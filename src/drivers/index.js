@@ -0,0 +1,129 @@
+/**
+ * Device Drivers
+ * Picks the driver that talks to a device, by device ID or from the server configuration
+ */
+
+const { createSimulatorDriver } = require('./simulator');
+const { createAirtapCloudDriver } = require('./airtap-cloud');
+const { createAdbDriver } = require('./adb');
+
+// Driver used when the configuration names none
+const DEFAULT_DRIVER = 'simulator';
+
+// Factories for every known driver, called with the API token and the driver options
+const DRIVER_FACTORIES = {
+  simulator: () => getSharedSimulator(),
+  cloud: (apiToken, options) => createAirtapCloudDriver(apiToken, options),
+  adb: (apiToken, options) => createAdbDriver(options)
+};
+
+// Simulated devices are shared by all callers, so every view of a device agrees
+let sharedSimulator = null;
+
+/**
+ * Get the simulator driver shared by the whole server
+ * @returns {Object} - Simulator driver
+ */
+function getSharedSimulator() {
+  if (!sharedSimulator) {
+    sharedSimulator = createSimulatorDriver();
+  }
+
+  return sharedSimulator;
+}
+
+/**
+ * Replace the shared simulator with one built from new options
+ * Devices simulated so far are discarded.
+ * @param {Object} [options] - Simulator options ({ latency, seed })
+ * @returns {Object} - Simulator driver
+ */
+function configureSharedSimulator(options = {}) {
+  sharedSimulator = createSimulatorDriver(options);
+  return sharedSimulator;
+}
+
+/**
+ * Create the set of drivers used by the tools of one API token
+ * Drivers are created on first use, so an unused cloud driver never needs the network.
+ * @param {string} apiToken - API token the drivers authenticate with
+ * @param {Object} [options] - Driver configuration
+ * @param {string} [options.driver='simulator'] - Driver for devices without their own
+ * @param {Object} [options.deviceDrivers] - Driver name by device ID
+ * @param {Object} [options.cloud] - Options for the Airtap cloud driver ({ baseURL })
+ * @param {Object} [options.adb] - Options for the adb driver ({ adbPath, serial })
+ * @returns {Object} - { forDevice(deviceId) }
+ * @throws {Error} - If the configuration names an unknown driver
+ */
+function createDeviceDrivers(apiToken, options = {}) {
+  const { driver = DEFAULT_DRIVER, deviceDrivers = {} } = options;
+  const drivers = new Map();
+
+  [driver, ...Object.values(deviceDrivers)].forEach(assertKnownDriver);
+
+  /**
+   * Get a driver by name, creating it on first use
+   * @param {string} name - Driver name
+   * @returns {Object} - Device driver
+   */
+  function getDriver(name) {
+    if (!drivers.has(name)) {
+      drivers.set(name, DRIVER_FACTORIES[name](apiToken, options[name]));
+    }
+
+    return drivers.get(name);
+  }
+
+  return {
+    /**
+     * Get the driver for a device
+     * @param {string} deviceId - Device ID
+     * @returns {Object} - Device driver
+     */
+    forDevice(deviceId) {
+      return getDriver(deviceDrivers[deviceId] || driver);
+    }
+  };
+}
+
+/**
+ * Check that a driver name is known
+ * @param {string} name - Driver name
+ * @throws {Error} - If there is no driver with that name
+ */
+function assertKnownDriver(name) {
+  if (!Object.prototype.hasOwnProperty.call(DRIVER_FACTORIES, name)) {
+    const known = Object.keys(DRIVER_FACTORIES).join(', ');
+    throw new Error(`Unknown device driver: ${name}. Use one of: ${known}`);
+  }
+}
+
+/**
+ * Parse device driver assignments such as "device-001=cloud"
+ * @param {Array<string>} assignments - Assignments of a driver to a device ID
+ * @returns {Object} - Driver name by device ID
+ * @throws {Error} - If an assignment is malformed
+ */
+function parseDeviceDrivers(assignments = []) {
+  const deviceDrivers = {};
+
+  assignments.forEach((assignment) => {
+    const separator = assignment.lastIndexOf('=');
+
+    if (separator <= 0 || separator === assignment.length - 1) {
+      throw new Error(`Invalid device driver assignment: ${assignment}. Use <deviceId>=<driver>`);
+    }
+
+    deviceDrivers[assignment.slice(0, separator)] = assignment.slice(separator + 1);
+  });
+
+  return deviceDrivers;
+}
+
+module.exports = {
+  configureSharedSimulator,
+  createDeviceDrivers,
+  getSharedSimulator,
+  parseDeviceDrivers,
+  DRIVER_NAMES: Object.keys(DRIVER_FACTORIES)
+};
@@ -0,0 +1,379 @@
+/**
+ * Simulator Driver
+ * Virtual Android devices for development and tests; renders real PNG screenshots
+ */
+
+const { PNG } = require('pngjs');
+const { delay } = require('../utils/abort');
+const { DEFAULT_SEED } = require('../utils/random');
+const { gestureDuration, isTap } = require('../utils/gestures');
+const {
+  createVirtualDevice,
+  SCREEN_WIDTH,
+  SCREEN_HEIGHT,
+  STATUS_BAR_HEIGHT
+} = require('./virtual-device');
+
+// Colours of the rendered screen
+const COLORS = {
+  statusBar: [32, 33, 36],
+  home: [26, 115, 232],
+  app: [241, 243, 244],
+  field: [255, 255, 255],
+  focusedField: [210, 227, 252],
+  text: [60, 64, 67],
+  touch: [234, 67, 53]
+};
+
+// Size of the marker drawn where the screen was last touched
+const TOUCH_MARKER_SIZE = 48;
+
+// Width of one character in the bar that stands in for the text of a field
+const CHARACTER_WIDTH = 24;
+
+/**
+ * Create a simulator driver
+ * Each device ID gets its own virtual device on first use; devices with the same
+ * seed and ID start out identical, so simulated runs are repeatable.
+ * @param {Object} [options] - Driver options
+ * @param {number} [options.latency=200] - Milliseconds every device call takes
+ * @param {string|number} [options.seed='airtap'] - Seed of the virtual devices
+ * @returns {Object} - Device driver
+ */
+function createSimulatorDriver(options = {}) {
+  const { latency = 200, seed = DEFAULT_SEED } = options;
+  const devices = new Map();
+
+  /**
+   * Get the virtual device behind a device ID, creating it on first use
+   * @param {string} deviceId - Device ID
+   * @returns {Object} - Virtual device
+   */
+  function getDevice(deviceId) {
+    if (!devices.has(deviceId)) {
+      devices.set(deviceId, createVirtualDevice(deviceId, { seed }));
+    }
+
+    return devices.get(deviceId);
+  }
+
+  /**
+   * Wait for the simulated round trip to the device
+   * @param {Object} [callOptions] - Call options ({ signal })
+   * @returns {Promise} - Resolves after the latency
+   */
+  function roundTrip(callOptions = {}) {
+    return delay(latency, callOptions.signal);
+  }
+
+  return {
+    name: 'simulator',
+
+    /**
+     * Get the virtual device behind a device ID, for in-process readers such as the REST API
+     * @param {string} deviceId - Device ID
+     * @returns {Object} - Virtual device
+     */
+    device: getDevice,
+
+    /**
+     * Tap a point on the screen
+     * @param {string} deviceId - Device ID
+     * @param {Object} point - { x, y }
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - { success }
+     */
+    async tap(deviceId, { x, y }, callOptions) {
+      await roundTrip(callOptions);
+      getDevice(deviceId).tap(x, y);
+      return { success: true };
+    },
+
+    /**
+     * Swipe from one point to another; a swipe that does not move is a long press
+     * @param {string} deviceId - Device ID
+     * @param {Object} gesture - { start: [x, y], end: [x, y], duration }
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - { success }
+     */
+    async swipe(deviceId, { start, end, duration }, callOptions) {
+      await roundTrip(callOptions);
+      await delay(duration, callOptions && callOptions.signal);
+      getDevice(deviceId).swipe(start, end);
+      return { success: true };
+    },
+
+    /**
+     * Perform a gesture of one or more pointers
+     * Pointers that do not move are taps, all others swipes, in the order they go down.
+     * @param {string} deviceId - Device ID
+     * @param {Object} gesture - { pointers: [{ path: [{ x, y, time }] }] }
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - { success }
+     */
+    async gesture(deviceId, { pointers }, callOptions) {
+      await roundTrip(callOptions);
+      await delay(gestureDuration(pointers), callOptions && callOptions.signal);
+
+      const device = getDevice(deviceId);
+      [...pointers]
+        .sort((a, b) => a.path[0].time - b.path[0].time)
+        .forEach((pointer) => {
+          const first = pointer.path[0];
+          const last = pointer.path[pointer.path.length - 1];
+
+          if (isTap(pointer)) {
+            device.tap(first.x, first.y);
+          } else {
+            device.swipe([first.x, first.y], [last.x, last.y]);
+          }
+        });
+
+      return { success: true };
+    },
+
+    /**
+     * Type text into the focused field
+     * @param {string} deviceId - Device ID
+     * @param {string} text - Text to type
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - { success }
+     */
+    async input(deviceId, text, callOptions) {
+      await roundTrip(callOptions);
+      getDevice(deviceId).input(text);
+      return { success: true };
+    },
+
+    /**
+     * Press a key such as BACK, HOME or DEL
+     * Long presses and modifiers make no difference to the virtual device.
+     * @param {string} deviceId - Device ID
+     * @param {string|number} key - Key name or keycode
+     * @param {Object} [callOptions] - Call options ({ signal, count, longPress, meta })
+     * @returns {Promise<Object>} - { success }
+     */
+    async key(deviceId, key, callOptions = {}) {
+      await roundTrip(callOptions);
+      getDevice(deviceId).pressKey(key, callOptions.count || 1);
+      return { success: true };
+    },
+
+    /**
+     * Capture the screen
+     * @param {string} deviceId - Device ID
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - Screenshot with base64 encoded PNG data
+     */
+    async screenshot(deviceId, callOptions) {
+      await roundTrip(callOptions);
+      return {
+        deviceId,
+        timestamp: new Date().toISOString(),
+        format: 'png',
+        width: SCREEN_WIDTH,
+        height: SCREEN_HEIGHT,
+        data: renderScreen(getDevice(deviceId)).toString('base64')
+      };
+    },
+
+    /**
+     * Get the size of the screen
+     * @param {string} deviceId - Device ID
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - { width, height } in screen pixels
+     */
+    async screenSize(deviceId, callOptions) {
+      await roundTrip(callOptions);
+      return { width: SCREEN_WIDTH, height: SCREEN_HEIGHT };
+    },
+
+    /**
+     * Get the view tree of the screen
+     * @param {string} deviceId - Device ID
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - Root node of the UI hierarchy
+     */
+    async uiHierarchy(deviceId, callOptions) {
+      await roundTrip(callOptions);
+      return getDevice(deviceId).getHierarchy();
+    },
+
+    /**
+     * List the installed apps
+     * @param {string} deviceId - Device ID
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Array>} - Installed apps ({ packageName, appName, ... })
+     */
+    async listApps(deviceId, callOptions) {
+      await roundTrip(callOptions);
+      return getDevice(deviceId).listApps();
+    },
+
+    /**
+     * Uninstall an app
+     * @param {string} deviceId - Device ID
+     * @param {string} packageName - Package name of the app
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - { success, status }
+     * @throws {Error} - If the app is not installed
+     */
+    async uninstall(deviceId, packageName, callOptions) {
+      await roundTrip(callOptions);
+      getDevice(deviceId).uninstall(packageName);
+      return { success: true, status: 'uninstalled' };
+    },
+
+    /**
+     * Install an APK, replacing the app if it is installed
+     * The virtual device only keeps the manifest; the app shows its label, or its package name.
+     * @param {string} deviceId - Device ID
+     * @param {Object} apk - { data, manifest } with the manifest read from the APK
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - { success, status }
+     */
+    async install(deviceId, { manifest }, callOptions) {
+      await roundTrip(callOptions);
+      getDevice(deviceId).install({
+        packageName: manifest.packageName,
+        appName: manifest.label || manifest.packageName,
+        versionName: manifest.versionName,
+        versionCode: manifest.versionCode
+      });
+      return { success: true, status: 'installed' };
+    },
+
+    /**
+     * Launch an app; the virtual device has one screen per app, so the activity is ignored
+     * @param {string} deviceId - Device ID
+     * @param {string} packageName - Package name of the app
+     * @param {Object} [options] - Launch options ({ activity })
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - { success }
+     * @throws {Error} - If the app is not installed
+     */
+    async launch(deviceId, packageName, options, callOptions) {
+      await roundTrip(callOptions);
+      getDevice(deviceId).launchApp(packageName);
+      return { success: true };
+    },
+
+    /**
+     * Force stop an app
+     * @param {string} deviceId - Device ID
+     * @param {string} packageName - Package name of the app
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - { success }
+     * @throws {Error} - If the app is not installed
+     */
+    async stop(deviceId, packageName, callOptions) {
+      await roundTrip(callOptions);
+      getDevice(deviceId).stopApp(packageName);
+      return { success: true };
+    },
+
+    /**
+     * Clear the data of an app
+     * The only data the virtual device keeps for an app is its open screen, so this stops it.
+     * @param {string} deviceId - Device ID
+     * @param {string} packageName - Package name of the app
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - { success }
+     * @throws {Error} - If the app is not installed
+     */
+    async clearData(deviceId, packageName, callOptions) {
+      await roundTrip(callOptions);
+      getDevice(deviceId).stopApp(packageName);
+      return { success: true };
+    },
+
+    /**
+     * Open a deep link or start an intent
+     * @param {string} deviceId - Device ID
+     * @param {Object} intent - { uri, action, packageName, extras }
+     * @param {Object} [callOptions] - Call options ({ signal })
+     * @returns {Promise<Object>} - { success, packageName } with the app that opened
+     * @throws {Error} - If no installed app can open it
+     */
+    async openIntent(deviceId, intent, callOptions) {
+      await roundTrip(callOptions);
+      return { success: true, packageName: getDevice(deviceId).openIntent(intent) };
+    }
+  };
+}
+
+/**
+ * Render the screen of a virtual device as a PNG
+ * @param {Object} device - Virtual device
+ * @returns {Buffer} - PNG image
+ */
+function renderScreen(device) {
+  const png = new PNG({ width: SCREEN_WIDTH, height: SCREEN_HEIGHT });
+  const state = device.getState();
+
+  const background = state.foregroundApp ? COLORS.app : COLORS.home;
+  fillRect(png, 0, 0, SCREEN_WIDTH, SCREEN_HEIGHT, background);
+  fillRect(png, 0, 0, SCREEN_WIDTH, STATUS_BAR_HEIGHT, COLORS.statusBar);
+
+  device.getElements().forEach(({ type, bounds, text, focused, color }) => {
+    const width = bounds.right - bounds.left;
+    const height = bounds.bottom - bounds.top;
+
+    if (type === 'icon') {
+      fillRect(png, bounds.left, bounds.top, width, height, color);
+      return;
+    }
+
+    if (type === 'label') {
+      fillRect(png, bounds.left, bounds.top + height / 3, text.length * CHARACTER_WIDTH, height / 3,
+        COLORS.text);
+      return;
+    }
+
+    // Text is drawn as a bar as long as the text, which is enough to tell screens apart
+    const fieldColor = focused ? COLORS.focusedField : COLORS.field;
+    const textWidth = Math.min(text.length * CHARACTER_WIDTH, width - CHARACTER_WIDTH * 2);
+    fillRect(png, bounds.left, bounds.top, width, height, fieldColor);
+    fillRect(png, bounds.left + CHARACTER_WIDTH, bounds.top + height / 3, textWidth, height / 3,
+      COLORS.text);
+  });
+
+  if (state.lastTouch) {
+    const [x, y] = state.lastTouch;
+    const half = TOUCH_MARKER_SIZE / 2;
+    fillRect(png, x - half, y - half, TOUCH_MARKER_SIZE, TOUCH_MARKER_SIZE, COLORS.touch);
+  }
+
+  // Without filtering, large flat areas encode quickly
+  return PNG.sync.write(png, { filterType: 0 });
+}
+
+/**
+ * Fill a rectangle of an image, clipped to the image bounds
+ * @param {PNG} png - Image to draw on
+ * @param {number} left - Left edge
+ * @param {number} top - Top edge
+ * @param {number} width - Rectangle width
+ * @param {number} height - Rectangle height
+ * @param {Array<number>} color - [r, g, b]
+ */
+function fillRect(png, left, top, width, height, color) {
+  const x0 = Math.max(0, Math.round(left));
+  const y0 = Math.max(0, Math.round(top));
+  const x1 = Math.min(png.width, Math.round(left + width));
+  const y1 = Math.min(png.height, Math.round(top + height));
+
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      const offset = (y * png.width + x) * 4;
+      png.data[offset] = color[0];
+      png.data[offset + 1] = color[1];
+      png.data[offset + 2] = color[2];
+      png.data[offset + 3] = 255;
+    }
+  }
+}
+
+module.exports = {
+  createSimulatorDriver
+};
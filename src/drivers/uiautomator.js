@@ -0,0 +1,144 @@
+/**
+ * UI Automator Dumps
+ * Parses the XML written by `uiautomator dump` into the UI hierarchy shared by all drivers
+ */
+
+// Opening, closing and self-closing <node> tags
+const NODE_TAG = /<(\/?)node\b([^>]*?)(\/?)>/g;
+
+// name="value" attributes of a tag
+const ATTRIBUTE = /([\w-]+)="([^"]*)"/g;
+
+// Bounds as written by uiautomator: [left,top][right,bottom]
+const BOUNDS = /^\[(-?\d+),(-?\d+)\]\[(-?\d+),(-?\d+)\]$/;
+
+// Entities XML escapes attribute values with
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+// Boolean attributes copied to every node
+const FLAGS = ['clickable', 'focusable', 'focused', 'scrollable', 'enabled'];
+
+/**
+ * Parse a uiautomator dump
+ * @param {string} xml - Output of `uiautomator dump`
+ * @returns {Object} - Root node of the UI hierarchy
+ * @throws {Error} - If the output holds no view hierarchy
+ */
+function parseUiautomatorDump(xml) {
+  const document = { children: [] };
+  const open = [document];
+
+  for (const [, closing, attributes, selfClosing] of xml.matchAll(NODE_TAG)) {
+    if (closing) {
+      if (open.length > 1) {
+        open.pop();
+      }
+      continue;
+    }
+
+    const node = toNode(parseAttributes(attributes));
+    open[open.length - 1].children.push(node);
+
+    if (!selfClosing) {
+      open.push(node);
+    }
+  }
+
+  if (document.children.length === 0) {
+    throw new Error(`uiautomator returned no view hierarchy: ${xml.trim().slice(0, 200)}`);
+  }
+
+  return document.children.length === 1 ? document.children[0] : wrapRoots(document.children);
+}
+
+/**
+ * Read the attributes of a tag
+ * @param {string} text - Attribute text of the tag
+ * @returns {Object} - Decoded values by attribute name
+ */
+function parseAttributes(text) {
+  const attributes = {};
+
+  for (const [, name, value] of text.matchAll(ATTRIBUTE)) {
+    attributes[name] = decodeEntities(value);
+  }
+
+  return attributes;
+}
+
+/**
+ * Decode the entities of an attribute value
+ * @param {string} value - Escaped value
+ * @returns {string} - Decoded value
+ */
+function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const hex = name[1] === 'x' || name[1] === 'X';
+      return String.fromCodePoint(parseInt(name.slice(hex ? 2 : 1), hex ? 16 : 10));
+    }
+
+    return ENTITIES[name] !== undefined ? ENTITIES[name] : entity;
+  });
+}
+
+/**
+ * Turn the attributes of a <node> tag into a UI node
+ * @param {Object} attributes - Tag attributes
+ * @returns {Object} - UI node
+ */
+function toNode(attributes) {
+  const node = {
+    className: attributes.class || '',
+    text: attributes.text || '',
+    resourceId: attributes['resource-id'] || '',
+    contentDesc: attributes['content-desc'] || '',
+    packageName: attributes.package || '',
+    bounds: parseBounds(attributes.bounds)
+  };
+
+  FLAGS.forEach((flag) => {
+    node[flag] = attributes[flag] === 'true';
+  });
+
+  node.children = [];
+  return node;
+}
+
+/**
+ * Parse bounds such as [0,0][1080,2340]
+ * @param {string} [text] - Bounds attribute
+ * @returns {Object} - { left, top, right, bottom }
+ */
+function parseBounds(text) {
+  const match = BOUNDS.exec(text || '');
+
+  if (!match) {
+    return { left: 0, top: 0, right: 0, bottom: 0 };
+  }
+
+  const [left, top, right, bottom] = match.slice(1).map(Number);
+  return { left, top, right, bottom };
+}
+
+/**
+ * Put several top-level nodes, one per window, under a single root
+ * @param {Array<Object>} roots - Top-level nodes
+ * @returns {Object} - Root node covering all of them
+ */
+function wrapRoots(roots) {
+  return {
+    ...toNode({ class: 'android.widget.FrameLayout', enabled: 'true' }),
+    bounds: {
+      left: Math.min(...roots.map(root => root.bounds.left)),
+      top: Math.min(...roots.map(root => root.bounds.top)),
+      right: Math.max(...roots.map(root => root.bounds.right)),
+      bottom: Math.max(...roots.map(root => root.bounds.bottom))
+    },
+    children: roots
+  };
+}
+
+module.exports = {
+  parseUiautomatorDump
+};
@@ -0,0 +1,482 @@
+/**
+ * Virtual Device
+ * In-process model of an Android device: installed apps, the foreground app,
+ * the navigation stack and the text fields of every screen
+ */
+
+const { createRandom, DEFAULT_SEED } = require('../utils/random');
+
+// Screen size of the virtual device
+const SCREEN_WIDTH = 1080;
+const SCREEN_HEIGHT = 2340;
+
+// Height of the status bar at the top of every screen
+const STATUS_BAR_HEIGHT = 72;
+
+// Every screen has one text field below the status bar: the search bar on the
+// home screen, the app's input field everywhere else
+const TEXT_FIELD_BOUNDS = { left: 60, top: 144, right: 1020, bottom: 288 };
+
+// App screens show the name of the app below the text field
+const TITLE_BOUNDS = { left: 60, top: 336, right: 1020, bottom: 432 };
+
+// Package of the home screen
+const LAUNCHER_PACKAGE = 'com.android.launcher3';
+
+// The home screen shows the installed apps as a grid of icons
+const ICON_GRID = { columns: 4, top: 480, cellWidth: 270, cellHeight: 300, iconSize: 180 };
+
+// Apps installed on a fresh virtual device
+const DEFAULT_APPS = [
+  {
+    packageName: 'com.android.chrome',
+    appName: 'Chrome',
+    versionName: '96.0.4664.45',
+    versionCode: 466404500,
+    isSystemApp: true
+  },
+  {
+    packageName: 'com.google.android.gm',
+    appName: 'Gmail',
+    versionName: '2021.11.28.408003856',
+    versionCode: 408003856,
+    isSystemApp: true
+  },
+  {
+    packageName: 'com.instagram.android',
+    appName: 'Instagram',
+    versionName: '214.0.0.27.120',
+    versionCode: 214000027,
+    isSystemApp: false
+  },
+  {
+    packageName: 'com.spotify.music',
+    appName: 'Spotify',
+    versionName: '8.6.80.1014',
+    versionCode: 80068001,
+    isSystemApp: false
+  },
+  {
+    packageName: 'org.telegram.messenger',
+    appName: 'Telegram',
+    versionName: '8.3.0',
+    versionCode: 8300,
+    isSystemApp: false
+  }
+];
+
+// Apps that open links of a scheme when the link names no app
+const LINK_HANDLERS = {
+  http: 'com.android.chrome',
+  https: 'com.android.chrome',
+  mailto: 'com.google.android.gm',
+  instagram: 'com.instagram.android',
+  spotify: 'com.spotify.music',
+  tg: 'org.telegram.messenger'
+};
+
+/**
+ * Create a virtual device
+ * Devices created with the same seed and device ID behave identically.
+ * @param {string} deviceId - Device ID
+ * @param {Object} [options] - Device options
+ * @param {string|number} [options.seed='airtap'] - Seed of the device's random numbers
+ * @returns {Object} - Virtual device
+ */
+function createVirtualDevice(deviceId, options = {}) {
+  const { seed = DEFAULT_SEED } = options;
+  const random = createRandom(`${seed}:${deviceId}`);
+  const apps = DEFAULT_APPS.map(app => ({ ...app }));
+  const iconColors = new Map();
+  const stack = [createScreen(null)];
+  // Screens of apps sent to the background with HOME, resumed when the app opens again
+  const backgroundScreens = new Map();
+  let lastTouch = null;
+
+  apps.forEach(app => iconColors.set(app.packageName, randomColor(random)));
+
+  /**
+   * Get the screen in the foreground
+   * @returns {Object} - Screen
+   */
+  function currentScreen() {
+    return stack[stack.length - 1];
+  }
+
+  /**
+   * Get the elements shown on the current screen
+   * @returns {Array<Object>} - Elements ({ id, type, bounds, ... })
+   */
+  function getElements() {
+    const screen = currentScreen();
+    const elements = [{
+      id: 'text_field',
+      type: 'field',
+      bounds: { ...TEXT_FIELD_BOUNDS },
+      text: screen.text,
+      focused: screen.focused
+    }];
+
+    if (screen.packageName) {
+      elements.push({
+        id: 'title',
+        type: 'label',
+        bounds: { ...TITLE_BOUNDS },
+        text: findApp(screen.packageName).appName
+      });
+    } else {
+      apps.forEach((app, index) => {
+        elements.push({
+          id: `icon:${app.packageName}`,
+          type: 'icon',
+          bounds: iconBounds(index),
+          packageName: app.packageName,
+          text: app.appName,
+          color: iconColors.get(app.packageName)
+        });
+      });
+    }
+
+    return elements;
+  }
+
+  /**
+   * Find the app of an installed package
+   * @param {string} packageName - Package name
+   * @returns {Object} - App
+   * @throws {Error} - If the app is not installed
+   */
+  function findApp(packageName) {
+    const app = apps.find(candidate => candidate.packageName === packageName);
+
+    if (!app) {
+      throw new Error(`App not installed: ${packageName}`);
+    }
+
+    return app;
+  }
+
+  /**
+   * Bring an app to the foreground, resuming its screen if it is open or in the background
+   * @param {string} packageName - Package name
+   * @throws {Error} - If the app is not installed
+   */
+  function launchApp(packageName) {
+    findApp(packageName);
+
+    const index = stack.findIndex(screen => screen.packageName === packageName);
+    const screen = index > 0
+      ? stack.splice(index, 1)[0]
+      : backgroundScreens.get(packageName) || createScreen(packageName);
+
+    backgroundScreens.delete(packageName);
+    stack.push(screen);
+  }
+
+  /**
+   * Close every screen of an app, so it starts afresh next time
+   * @param {string} packageName - Package name
+   */
+  function closeApp(packageName) {
+    backgroundScreens.delete(packageName);
+
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (stack[i].packageName === packageName) {
+        stack.splice(i, 1);
+      }
+    }
+  }
+
+  return {
+    deviceId,
+    random,
+
+    /**
+     * Tap a point: focuses the text field or opens the app under it
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     */
+    tap(x, y) {
+      const element = getElements().find(candidate => contains(candidate.bounds, x, y));
+      const screen = currentScreen();
+
+      lastTouch = [x, y];
+      screen.focused = Boolean(element && element.type === 'field');
+
+      if (element && element.type === 'icon') {
+        launchApp(element.packageName);
+      }
+    },
+
+    /**
+     * Swipe from one point to another
+     * @param {Array<number>} start - [x, y]
+     * @param {Array<number>} end - [x, y]
+     */
+    swipe(start, end) {
+      lastTouch = end;
+    },
+
+    /**
+     * Type text into the focused field; without a focused field the text is lost
+     * @param {string} text - Text to type
+     * @returns {boolean} - Whether a field received the text
+     */
+    input(text) {
+      const screen = currentScreen();
+
+      if (!screen.focused) {
+        return false;
+      }
+
+      screen.text += text;
+      return true;
+    },
+
+    /**
+     * Press a key such as BACK, HOME, DEL or MOVE_END; other keys change nothing
+     * @param {string|number} key - Key name, without the KEYCODE_ prefix, or keycode
+     * @param {number} [count=1] - Number of presses
+     */
+    pressKey(key, count = 1) {
+      const screen = currentScreen();
+
+      switch (key) {
+      case 'HOME':
+        stack.splice(1).forEach(entry => backgroundScreens.set(entry.packageName, entry));
+        break;
+
+      // BACK closes the screen, so its app starts afresh next time
+      case 'BACK':
+        for (let i = 0; i < count && stack.length > 1; i++) {
+          stack.pop();
+        }
+        break;
+
+      case 'DEL':
+        if (screen.focused) {
+          screen.text = screen.text.slice(0, Math.max(0, screen.text.length - count));
+        }
+        break;
+
+      default:
+        // The cursor is always at the end of the text, so MOVE_END changes nothing
+        break;
+      }
+    },
+
+    launchApp,
+
+    /**
+     * List the installed apps
+     * @returns {Array<Object>} - Installed apps
+     */
+    listApps() {
+      return apps.map(app => ({ ...app }));
+    },
+
+    /**
+     * Uninstall an app, closing its screen
+     * @param {string} packageName - Package name
+     * @throws {Error} - If the app is not installed
+     */
+    uninstall(packageName) {
+      apps.splice(apps.indexOf(findApp(packageName)), 1);
+      iconColors.delete(packageName);
+      closeApp(packageName);
+    },
+
+    /**
+     * Install an app, or update it if it is installed; an update closes the app
+     * @param {Object} app - { packageName, appName, versionName, versionCode }
+     */
+    install(app) {
+      const installed = apps.find(candidate => candidate.packageName === app.packageName);
+
+      if (installed) {
+        Object.assign(installed, app);
+        closeApp(app.packageName);
+        return;
+      }
+
+      apps.push({ ...app, isSystemApp: false });
+      iconColors.set(app.packageName, randomColor(random));
+    },
+
+    /**
+     * Force stop an app, closing its screens
+     * @param {string} packageName - Package name
+     * @throws {Error} - If the app is not installed
+     */
+    stopApp(packageName) {
+      findApp(packageName);
+      closeApp(packageName);
+    },
+
+    /**
+     * Open a link or intent in the app it names, or the app that handles the link's scheme
+     * @param {Object} intent - { uri, packageName }
+     * @returns {string} - Package name of the app that opened
+     * @throws {Error} - If no installed app can open it
+     */
+    openIntent({ uri, packageName }) {
+      const scheme = uri ? uri.split(':')[0].toLowerCase() : null;
+      const handler = packageName || LINK_HANDLERS[scheme];
+
+      if (!handler) {
+        throw new Error(`No app can open ${uri || 'the intent'}`);
+      }
+
+      launchApp(handler);
+      return handler;
+    },
+
+    getElements,
+
+    /**
+     * Get the view tree of the current screen
+     * @returns {Object} - Root node ({ className, text, resourceId, bounds, children, ... })
+     */
+    getHierarchy() {
+      const packageName = currentScreen().packageName || LAUNCHER_PACKAGE;
+
+      return createNode({
+        className: 'android.widget.FrameLayout',
+        packageName,
+        bounds: { left: 0, top: 0, right: SCREEN_WIDTH, bottom: SCREEN_HEIGHT },
+        children: getElements().map(element => toNode(element, packageName))
+      });
+    },
+
+    /**
+     * Describe what the device shows
+     * @returns {Object} - { foregroundApp, backStack, focusedField, text, lastTouch }
+     */
+    getState() {
+      const screen = currentScreen();
+
+      return {
+        foregroundApp: screen.packageName,
+        backStack: stack.slice(1, -1).map(entry => entry.packageName),
+        focusedField: screen.focused ? 'text_field' : null,
+        text: screen.text,
+        lastTouch
+      };
+    }
+  };
+}
+
+/**
+ * Create a screen of the navigation stack
+ * @param {string|null} packageName - App of the screen; null for the home screen
+ * @returns {Object} - Screen ({ packageName, text, focused })
+ */
+function createScreen(packageName) {
+  return { packageName, text: '', focused: false };
+}
+
+/**
+ * Create a node of a view tree, filling in the fields the element does not set
+ * @param {Object} fields - Node fields
+ * @returns {Object} - UI node
+ */
+function createNode(fields) {
+  return {
+    className: 'android.view.View',
+    text: '',
+    resourceId: '',
+    contentDesc: '',
+    packageName: '',
+    bounds: null,
+    clickable: false,
+    focusable: false,
+    focused: false,
+    scrollable: false,
+    enabled: true,
+    children: [],
+    ...fields
+  };
+}
+
+/**
+ * Turn an element of a screen into a node of its view tree
+ * @param {Object} element - Screen element
+ * @param {string} packageName - Package of the screen
+ * @returns {Object} - UI node
+ */
+function toNode(element, packageName) {
+  const common = { packageName, bounds: { ...element.bounds }, text: element.text };
+
+  switch (element.type) {
+  case 'field':
+    return createNode({
+      ...common,
+      className: 'android.widget.EditText',
+      resourceId: `${packageName}:id/${packageName === LAUNCHER_PACKAGE ? 'search' : 'input'}`,
+      contentDesc: packageName === LAUNCHER_PACKAGE ? 'Search' : 'Input',
+      clickable: true,
+      focusable: true,
+      focused: element.focused
+    });
+
+  case 'icon':
+    return createNode({
+      ...common,
+      className: 'android.widget.TextView',
+      resourceId: `${packageName}:id/icon`,
+      contentDesc: element.text,
+      clickable: true,
+      focusable: true
+    });
+
+  default:
+    return createNode({
+      ...common,
+      className: 'android.widget.TextView',
+      resourceId: `${packageName}:id/${element.id}`
+    });
+  }
+}
+
+/**
+ * Get the bounds of an app icon on the home screen
+ * @param {number} index - Position of the app in the grid
+ * @returns {Object} - { left, top, right, bottom }
+ */
+function iconBounds(index) {
+  const column = index % ICON_GRID.columns;
+  const row = Math.floor(index / ICON_GRID.columns);
+  const margin = (ICON_GRID.cellWidth - ICON_GRID.iconSize) / 2;
+  const left = column * ICON_GRID.cellWidth + margin;
+  const top = ICON_GRID.top + row * ICON_GRID.cellHeight;
+
+  return { left, top, right: left + ICON_GRID.iconSize, bottom: top + ICON_GRID.iconSize };
+}
+
+/**
+ * Check whether bounds contain a point
+ * @param {Object} bounds - { left, top, right, bottom }
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {boolean} - Whether the point lies inside
+ */
+function contains(bounds, x, y) {
+  return x >= bounds.left && x < bounds.right && y >= bounds.top && y < bounds.bottom;
+}
+
+/**
+ * Pick a colour for an app icon
+ * @param {Object} random - Random number generator
+ * @returns {Array<number>} - [r, g, b]
+ */
+function randomColor(random) {
+  return [random.int(40, 220), random.int(40, 220), random.int(40, 220)];
+}
+
+module.exports = {
+  createVirtualDevice,
+  SCREEN_WIDTH,
+  SCREEN_HEIGHT,
+  STATUS_BAR_HEIGHT,
+  TEXT_FIELD_BOUNDS
+};
@@ -10,7 +10,9 @@ const path = require('path');
 const { Command } = require('commander');
 const winston = require('winston');
 const { validateApiToken } = require('./utils/auth');
-const { startServer } = require('./core/server');
+const { startServer, startStdioServer } = require('./core/server');
+const { configureSharedSimulator, parseDeviceDrivers } = require('./drivers');
+const { createToolPolicy, loadPolicyFile, DEFAULT_PROTECTED_PACKAGES } = require('./core/policy');
 const packageJson = require('../package.json');
 
 // Load environment variables from .env file if present
@@ -40,8 +42,39 @@ program
   .option('-p, --port <number>', 'Port to run the server on', '3000')
   .option('-t, --token <string>', 'API token for authentication')
   .option('-d, --debug', 'Enable debug mode', false)
+  .option('--transport <type>', 'Transport to serve MCP over (websocket or stdio)', 'websocket')
+  .option('--prompts-dir <path>', 'Directory with additional prompt templates (JSON or YAML)')
+  .option('--resume-grace-period <seconds>', 'Seconds a dropped session stays resumable', '60')
+  .option('--tool-timeout <seconds>', 'Seconds a tool without its own limit may run', '60')
+  .option('--max-concurrent-requests <number>', 'Tool calls per session (0 = no limit)', '10')
+  .option('--max-device-requests <number>', 'Tool calls per device (0 = no limit)', '1')
+  .option('--when-busy <mode>', 'Queue or reject tool calls over a limit (queue, reject)', 'queue')
+  .option('--driver <name>', 'Device driver (simulator, cloud or adb)')
+  .option('--device-driver <deviceId=driver>', 'Driver for one device (repeatable)', collect, [])
+  .option('--adb-path <path>', 'Path of the adb binary used by the adb driver')
+  .option('--adb-serial <serial>', 'Serial of the device the adb driver uses by default')
+  .option('--seed <seed>', 'Seed of the simulated devices, for repeatable runs')
+  .option('--baselines-dir <path>', 'Directory of the baseline images of visual assertions')
+  .option('--policy <path>', 'Policy file (JSON or YAML) of protected packages and tools')
+  .option('--protect-package <name>', 'Protected package (repeatable)', collect, [])
+  .option('--deny-tool <name>', 'Tool that may not run (repeatable)', collect, [])
+  .option('--confirm-tool <name>', 'Tool that runs only once confirmed (repeatable)', collect, [])
+  .option('--confirmation <mode>', 'How tool calls are confirmed (token or approval)')
   .action(async (options) => {
     try {
+      if (!['websocket', 'stdio'].includes(options.transport)) {
+        logger.error(`Unknown transport: ${options.transport}. Use "websocket" or "stdio".`);
+        process.exit(1);
+      }
+
+      // stdout carries the protocol stream in stdio mode, so every log level goes to stderr
+      if (options.transport === 'stdio') {
+        logger.clear();
+        logger.add(new winston.transports.Console({
+          stderrLevels: Object.keys(winston.config.npm.levels)
+        }));
+      }
+
       // Set debug mode if specified
       if (options.debug) {
         logger.level = 'debug';
@@ -65,9 +98,91 @@ program
         process.exit(1);
       }
 
+      // User prompt templates extend the built-in ones
+      const promptsDir = options.promptsDir || process.env.PROMPTS_DIR;
+
+      // Baseline images of visual assertions, by default in ./baselines
+      const baselinesDir = options.baselinesDir || process.env.BASELINES_DIR;
+
+      // Time and concurrency limits for tool calls
+      const limits = {
+        toolTimeout: parseFloat(options.toolTimeout) * 1000,
+        maxConcurrentRequests: parseInt(options.maxConcurrentRequests, 10),
+        maxDeviceRequests: parseInt(options.maxDeviceRequests, 10),
+        whenBusy: options.whenBusy
+      };
+
+      const invalidLimit = ['toolTimeout', 'maxConcurrentRequests', 'maxDeviceRequests']
+        .find(name => Number.isNaN(limits[name]) || limits[name] < 0);
+
+      if (invalidLimit) {
+        logger.error(`Invalid ${invalidLimit}: must be a non-negative number`);
+        process.exit(1);
+      }
+
+      if (!['queue', 'reject'].includes(limits.whenBusy)) {
+        logger.error(`Unknown --when-busy mode: ${limits.whenBusy}. Use "queue" or "reject".`);
+        process.exit(1);
+      }
+
+      // Device drivers, by default for every device and per device ID
+      const drivers = {
+        driver: options.driver || process.env.AIRTAP_DRIVER || 'simulator',
+        deviceDrivers: parseDeviceDrivers(options.deviceDriver),
+        adb: {
+          adbPath: options.adbPath || process.env.ADB_PATH || 'adb',
+          serial: options.adbSerial || process.env.ANDROID_SERIAL
+        }
+      };
+
+      // Policy of protected packages, denied tools and tools that need confirmation
+      let policy;
+      try {
+        policy = buildPolicyConfig(options);
+        createToolPolicy(policy);
+      } catch (error) {
+        logger.error(`Invalid policy: ${error.message}`);
+        process.exit(1);
+      }
+
+      // Simulated devices start out the same for the same seed
+      const seed = options.seed || process.env.AIRTAP_SEED;
+      if (seed) {
+        configureSharedSimulator({ seed });
+      }
+
       // Start MCP server
+      if (options.transport === 'stdio') {
+        const connection = startStdioServer(apiToken, logger, {
+          promptsDir,
+          baselinesDir,
+          drivers,
+          policy,
+          ...limits
+        });
+        connection.on('close', () => {
+          logger.info('stdin closed, shutting down');
+          process.exit(0);
+        });
+        return;
+      }
+
       const port = parseInt(options.port, 10);
-      await startServer(port, apiToken, logger);
+      const resumeGracePeriod = parseFloat(options.resumeGracePeriod) * 1000;
+
+      if (Number.isNaN(resumeGracePeriod) || resumeGracePeriod < 0) {
+        logger.error(`Invalid resume grace period: ${options.resumeGracePeriod}`);
+        process.exit(1);
+      }
+
+      await startServer(port, apiToken, logger, {
+        promptsDir,
+        baselinesDir,
+        resumeGracePeriod,
+        drivers,
+        policy,
+        ...limits
+      });
       
     } catch (error) {
       logger.error(`Error starting server: ${error.message}`);
@@ -75,4 +190,45 @@ program
     }
   });
 
+/**
+ * Collect the values of an option that can be repeated
+ * @param {string} value - Value of this occurrence
+ * @param {Array<string>} previous - Values of earlier occurrences
+ * @returns {Array<string>} - All values so far
+ */
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
+/**
+ * Build the policy configuration from the policy file and the command line
+ * Options add to the lists of the file, or to the default protected packages.
+ * @param {Object} options - Command line options
+ * @returns {Object} - Policy configuration
+ * @throws {Error} - If the policy file cannot be read
+ */
+function buildPolicyConfig(options) {
+  const file = options.policy || process.env.POLICY_FILE;
+  const config = file ? loadPolicyFile(file) : {};
+
+  if (options.protectPackage.length > 0) {
+    const base = config.protectedPackages || DEFAULT_PROTECTED_PACKAGES;
+    config.protectedPackages = base.concat(options.protectPackage);
+  }
+
+  if (options.denyTool.length > 0) {
+    config.deniedTools = (config.deniedTools || []).concat(options.denyTool);
+  }
+
+  if (options.confirmTool.length > 0) {
+    config.confirmTools = (config.confirmTools || []).concat(options.confirmTool);
+  }
+
+  if (options.confirmation) {
+    config.confirmation = options.confirmation;
+  }
+
+  return config;
+}
+
 program.parse(process.argv);
@@ -3,62 +3,161 @@
  * Implements low-level Android OS interaction tools
  */
 
-const axios = require('axios');
+const { delay } = require('../utils/abort');
+const {
+  coordinatesSchema,
+  distanceSchema,
+  requireOneOf,
+  selectorSchema,
+  withDeviceId,
+  packageNameSchema,
+  SCREEN_VALUE_SCHEMA
+} = require('../utils/schemas');
+const { centerOf, describeElement, findElement } = require('../utils/selectors');
+const { buildTreeView, countNodes, renderTreeText } = require('../utils/ui-tree');
+const { transformScreenshot, SCREENSHOT_OPTIONS_SCHEMA } = require('../utils/screenshots');
+const {
+  toScreenDistance,
+  toScreenPoint,
+  COORDINATE_SPACE_PROPERTIES
+} = require('../utils/coordinates');
+const {
+  doubleTapGesture,
+  dragGesture,
+  gestureDuration,
+  pinchGesture,
+  rotateGesture
+} = require('../utils/gestures');
+const { resolveKey, KEY_NAME_PATTERN, MODIFIERS } = require('../utils/keycodes');
+const { ErrorCodes, McpError } = require('../utils/errors');
+const { createDeviceDrivers } = require('../drivers');
+
+// Time limit for a single device action
+const DEVICE_ACTION_TIMEOUT_MS = 30000;
+
+// Uninstalling can take a while on slow devices
+const UNINSTALL_TIMEOUT_MS = 120000;
+
+// Most fingers a gesture may use; Android devices track up to ten
+const MAX_POINTERS = 10;
 
 /**
  * Creates and returns Android interaction tools
  * @param {string} apiToken - API token for authentication
  * @param {object} logger - Winston logger instance
+ * @param {object} [drivers] - Device drivers; by default every device is simulated
  * @returns {object} - Object containing registered tools
  */
-function androidInteractionTools(apiToken, logger) {
-  // Airtap API base URL
-  const AIRTAP_API_BASE = 'https://api.airtap.ai';
+function androidInteractionTools(apiToken, logger, drivers = createDeviceDrivers(apiToken)) {
+  /**
+   * Capture the screen of a device after an action
+   * @param {string} deviceId - Device ID
+   * @param {AbortSignal} [signal] - Signal of the current request
+   * @returns {Promise<object>} - Screenshot ({ format, width, height, data })
+   */
+  async function captureScreen(deviceId, signal) {
+    const screenshot = await drivers.forDevice(deviceId).screenshot(deviceId, { signal });
+    return {
+      format: screenshot.format,
+      width: screenshot.width,
+      height: screenshot.height,
+      data: screenshot.data
+    };
+  }
   
-  // Create HTTP client with authentication
-  const apiClient = axios.create({
-    baseURL: AIRTAP_API_BASE,
-    headers: {
-      'Authorization': `Bearer ${apiToken}`,
-      'Content-Type': 'application/json'
+  /**
+   * Get the screen size of a device from its driver, so coordinates match what it renders
+   * @param {string} deviceId - Device ID
+   * @param {AbortSignal} [signal] - Signal of the current request
+   * @returns {Promise<object>} - { width, height } in screen pixels
+   */
+  async function getScreenSize(deviceId, signal) {
+    return drivers.forDevice(deviceId).screenSize(deviceId, { signal });
+  }
+
+  /**
+   * Find the point an action targets, from its coordinates or its element selector
+   * Coordinates are converted to screen pixels according to the units of the parameters.
+   * @param {string} deviceId - Device ID
+   * @param {object} params - Tool parameters with coordinates or selector
+   * @param {AbortSignal} [signal] - Signal of the current request
+   * @returns {Promise<object>} - { coordinates: [x, y] }, plus the element hit for a selector
+   */
+  async function resolveTarget(deviceId, params, signal) {
+    if (!params.selector) {
+      const screen = await getScreenSize(deviceId, signal);
+      return { coordinates: toScreenPoint(params.coordinates, params, screen) };
     }
-  });
-  
+
+    const root = await drivers.forDevice(deviceId).uiHierarchy(deviceId, { signal });
+    const element = findElement(root, params.selector);
+
+    return {
+      coordinates: centerOf(element),
+      element: describeElement(element)
+    };
+  }
+
+  /**
+   * Press a key and capture the screen afterwards
+   * @param {string} deviceId - Device ID
+   * @param {object} params - { key, count, longPress, meta } as taken by pressKey
+   * @param {AbortSignal} [signal] - Signal of the current request
+   * @returns {Promise<object>} - The key pressed, how, and the screenshot
+   */
+  async function pressKey(deviceId, params, signal) {
+    const { name, code } = resolveKey(params.key);
+    const count = params.count || 1;
+    const longPress = Boolean(params.longPress);
+    const meta = params.meta || [];
+
+    await drivers.forDevice(deviceId).key(deviceId, name || code, {
+      signal,
+      count,
+      longPress,
+      meta
+    });
+
+    return {
+      key: name,
+      keycode: code,
+      count,
+      longPress,
+      meta,
+      screenshot: await captureScreen(deviceId, signal)
+    };
+  }
+
   // Define tools
   return {
     // Tap at specific coordinates
     tap: {
-      description: 'Tap at specific coordinates on the device screen',
-      parameters: {
-        coordinates: {
-          type: 'array',
-          description: 'X and Y coordinates to tap [x, y]',
-          required: true
-        }
-      },
-      handler: async (params, session) => {
-        logger.debug(`Executing tap at coordinates: ${params.coordinates}`);
+      description: 'Tap an element or specific coordinates on the device screen',
+      timeout: DEVICE_ACTION_TIMEOUT_MS,
+      inputSchema: withDeviceId({
+        type: 'object',
+        properties: {
+          coordinates: coordinatesSchema('X and Y coordinates to tap [x, y]'),
+          selector: selectorSchema('Element to tap, instead of coordinates'),
+          ...COORDINATE_SPACE_PROPERTIES
+        },
+        oneOf: requireOneOf('coordinates', 'selector')
+      }),
+      handler: async (params, session, { signal } = {}) => {
+        logger.debug(`Executing tap at ${describeTarget(params)}`);
         
         try {
-          // Validate parameters
-          if (!params.coordinates || !Array.isArray(params.coordinates) || params.coordinates.length !== 2) {
-            throw new Error('Invalid coordinates. Must be an array [x, y]');
-          }
+          const deviceId = params.deviceId || 'default';
+          const target = await resolveTarget(deviceId, params, signal);
+          const [x, y] = target.coordinates;
           
-          const [x, y] = params.coordinates;
-          
-          // In a real implementation, call Airtap API to execute tap
-          // For now, simulate API call
-          const response = await simulateApiCall('tap', {
-            x, y,
-            deviceId: params.deviceId || 'default'
-          });
+          await drivers.forDevice(deviceId).tap(deviceId, { x, y }, { signal });
           
           return {
             success: true,
             action: 'tap',
-            coordinates: [x, y],
-            screenshot: response.screenshot
+            ...target,
+            screenshot: await captureScreen(deviceId, signal)
           };
         } catch (error) {
           logger.error(`Error executing tap: ${error.message}`);
@@ -69,48 +168,42 @@ function androidInteractionTools(apiToken, logger) {
     
     // Input text at coordinates
     inputText: {
-      description: 'Type text at specified coordinates',
-      parameters: {
-        text: {
-          type: 'string',
-          description: 'Text to input',
-          required: true
+      description: 'Type text into an element or at specified coordinates',
+      timeout: DEVICE_ACTION_TIMEOUT_MS,
+      inputSchema: withDeviceId({
+        type: 'object',
+        properties: {
+          text: {
+            type: 'string',
+            description: 'Text to input',
+            minLength: 1
+          },
+          coordinates: coordinatesSchema('X and Y coordinates to tap before inputting text [x, y]'),
+          selector: selectorSchema('Field to type into, instead of coordinates'),
+          ...COORDINATE_SPACE_PROPERTIES
         },
-        coordinates: {
-          type: 'array',
-          description: 'X and Y coordinates to tap before inputting text [x, y]',
-          required: true
-        }
-      },
-      handler: async (params, session) => {
-        logger.debug(`Executing inputText: "${params.text}" at coordinates: ${params.coordinates}`);
+        required: ['text'],
+        oneOf: requireOneOf('coordinates', 'selector')
+      }),
+      handler: async (params, session, { signal } = {}) => {
+        logger.debug(`Executing inputText: "${params.text}" at ${describeTarget(params)}`);
         
         try {
-          // Validate parameters
-          if (!params.text) {
-            throw new Error('Text parameter is required');
-          }
-          
-          if (!params.coordinates || !Array.isArray(params.coordinates) || params.coordinates.length !== 2) {
-            throw new Error('Invalid coordinates. Must be an array [x, y]');
-          }
+          const deviceId = params.deviceId || 'default';
+          const driver = drivers.forDevice(deviceId);
+          const target = await resolveTarget(deviceId, params, signal);
+          const [x, y] = target.coordinates;
           
-          const [x, y] = params.coordinates;
-          
-          // In a real implementation, call Airtap API to execute text input
-          // For now, simulate API call
-          const response = await simulateApiCall('inputText', {
-            text: params.text,
-            x, y,
-            deviceId: params.deviceId || 'default'
-          });
+          // Focus the field first, then type into it
+          await driver.tap(deviceId, { x, y }, { signal });
+          await driver.input(deviceId, params.text, { signal });
           
           return {
             success: true,
             action: 'inputText',
             text: params.text,
-            coordinates: [x, y],
-            screenshot: response.screenshot
+            ...target,
+            screenshot: await captureScreen(deviceId, signal)
           };
         } catch (error) {
           logger.error(`Error executing inputText: ${error.message}`);
@@ -122,46 +215,41 @@ function androidInteractionTools(apiToken, logger) {
     // Clear text from input field
     clearText: {
       description: 'Clear text from input field',
-      parameters: {
-        noOfChars: {
-          type: 'number',
-          description: 'Number of characters to clear',
-          required: true
+      timeout: DEVICE_ACTION_TIMEOUT_MS,
+      inputSchema: withDeviceId({
+        type: 'object',
+        properties: {
+          noOfChars: {
+            type: 'integer',
+            description: 'Number of characters to clear',
+            minimum: 1
+          },
+          coordinates: coordinatesSchema('X and Y coordinates of the input field [x, y]'),
+          selector: selectorSchema('Field to clear, instead of coordinates'),
+          ...COORDINATE_SPACE_PROPERTIES
         },
-        coordinates: {
-          type: 'array',
-          description: 'X and Y coordinates of the input field [x, y]',
-          required: true
-        }
-      },
-      handler: async (params, session) => {
-        logger.debug(`Executing clearText: ${params.noOfChars} chars at coordinates: ${params.coordinates}`);
+        required: ['noOfChars'],
+        oneOf: requireOneOf('coordinates', 'selector')
+      }),
+      handler: async (params, session, { signal } = {}) => {
+        logger.debug(`Executing clearText: ${params.noOfChars} chars at ${describeTarget(params)}`);
         
         try {
-          // Validate parameters
-          if (typeof params.noOfChars !== 'number' || params.noOfChars <= 0) {
-            throw new Error('noOfChars must be a positive number');
-          }
+          const deviceId = params.deviceId || 'default';
+          const driver = drivers.forDevice(deviceId);
+          const target = await resolveTarget(deviceId, params, signal);
+          const [x, y] = target.coordinates;
           
-          if (!params.coordinates || !Array.isArray(params.coordinates) || params.coordinates.length !== 2) {
-            throw new Error('Invalid coordinates. Must be an array [x, y]');
-          }
-          
-          const [x, y] = params.coordinates;
-          
-          // In a real implementation, call Airtap API to clear text
-          // For now, simulate API call
-          const response = await simulateApiCall('clearText', {
-            noOfChars: params.noOfChars,
-            x, y,
-            deviceId: params.deviceId || 'default'
-          });
+          // Put the cursor at the end of the field and delete backwards from there
+          await driver.tap(deviceId, { x, y }, { signal });
+          await driver.key(deviceId, 'MOVE_END', { signal });
+          await driver.key(deviceId, 'DEL', { signal, count: params.noOfChars });
           
           return {
             success: true,
             action: 'clearText',
             noOfChars: params.noOfChars,
-            coordinates: [x, y]
+            ...target
           };
         } catch (error) {
           logger.error(`Error executing clearText: ${error.message}`);
@@ -173,47 +261,37 @@ function androidInteractionTools(apiToken, logger) {
     // Swipe gesture
     swipe: {
       description: 'Perform swipe gesture on the device screen',
-      parameters: {
-        start: {
-          type: 'array',
-          description: 'Starting X and Y coordinates [x1, y1]',
-          required: true
-        },
-        end: {
-          type: 'array',
-          description: 'Ending X and Y coordinates [x2, y2]',
-          required: true
+      timeout: DEVICE_ACTION_TIMEOUT_MS,
+      inputSchema: withDeviceId({
+        type: 'object',
+        properties: {
+          start: coordinatesSchema('Starting X and Y coordinates [x1, y1]'),
+          end: coordinatesSchema('Ending X and Y coordinates [x2, y2]'),
+          duration: {
+            type: 'number',
+            description: 'Duration of swipe in milliseconds',
+            default: 300,
+            minimum: 1
+          },
+          ...COORDINATE_SPACE_PROPERTIES
         },
-        duration: {
-          type: 'number',
-          description: 'Duration of swipe in milliseconds',
-          required: false,
-          default: 300
-        }
-      },
-      handler: async (params, session) => {
+        required: ['start', 'end']
+      }),
+      handler: async (params, session, { signal } = {}) => {
         logger.debug(`Executing swipe from ${params.start} to ${params.end} (duration: ${params.duration || 300}ms)`);
         
         try {
-          // Validate parameters
-          if (!params.start || !Array.isArray(params.start) || params.start.length !== 2) {
-            throw new Error('Invalid start coordinates. Must be an array [x1, y1]');
-          }
-          
-          if (!params.end || !Array.isArray(params.end) || params.end.length !== 2) {
-            throw new Error('Invalid end coordinates. Must be an array [x2, y2]');
-          }
-          
-          const [x1, y1] = params.start;
-          const [x2, y2] = params.end;
           const duration = params.duration || 300;
+          const deviceId = params.deviceId || 'default';
+          const screen = await getScreenSize(deviceId, signal);
+          const [x1, y1] = toScreenPoint(params.start, params, screen, 'start');
+          const [x2, y2] = toScreenPoint(params.end, params, screen, 'end');
           
-          // In a real implementation, call Airtap API to execute swipe
-          // For now, simulate API call
-          const response = await simulateApiCall('swipe', {
-            x1, y1, x2, y2, duration,
-            deviceId: params.deviceId || 'default'
-          });
+          await drivers.forDevice(deviceId).swipe(deviceId, {
+            start: [x1, y1],
+            end: [x2, y2],
+            duration
+          }, { signal });
           
           return {
             success: true,
@@ -232,21 +310,21 @@ function androidInteractionTools(apiToken, logger) {
     // Navigate back
     navigateBack: {
       description: 'Press the Android back button',
-      parameters: {},
-      handler: async (params, session) => {
+      timeout: DEVICE_ACTION_TIMEOUT_MS,
+      inputSchema: withDeviceId({
+        type: 'object',
+        properties: {}
+      }),
+      handler: async (params, session, { signal } = {}) => {
         logger.debug('Executing navigateBack');
         
         try {
-          // In a real implementation, call Airtap API to press back button
-          // For now, simulate API call
-          const response = await simulateApiCall('navigateBack', {
-            deviceId: params.deviceId || 'default'
-          });
-          
+          const deviceId = params.deviceId || 'default';
+
           return {
             success: true,
             action: 'navigateBack',
-            screenshot: response.screenshot
+            ...await pressKey(deviceId, { key: 'BACK' }, signal)
           };
         } catch (error) {
           logger.error(`Error executing navigateBack: ${error.message}`);
@@ -258,21 +336,21 @@ function androidInteractionTools(apiToken, logger) {
     // Navigate home
     navigateHome: {
       description: 'Go to home screen',
-      parameters: {},
-      handler: async (params, session) => {
+      timeout: DEVICE_ACTION_TIMEOUT_MS,
+      inputSchema: withDeviceId({
+        type: 'object',
+        properties: {}
+      }),
+      handler: async (params, session, { signal } = {}) => {
         logger.debug('Executing navigateHome');
         
         try {
-          // In a real implementation, call Airtap API to go to home screen
-          // For now, simulate API call
-          const response = await simulateApiCall('navigateHome', {
-            deviceId: params.deviceId || 'default'
-          });
-          
+          const deviceId = params.deviceId || 'default';
+
           return {
             success: true,
             action: 'navigateHome',
-            screenshot: response.screenshot
+            ...await pressKey(deviceId, { key: 'HOME' }, signal)
           };
         } catch (error) {
           logger.error(`Error executing navigateHome: ${error.message}`);
@@ -281,28 +359,99 @@ function androidInteractionTools(apiToken, logger) {
       }
     },
     
+    // Press any key
+    pressKey: {
+      description: 'Press an Android key or hardware button, such as ENTER to submit a search, '
+        + 'APP_SWITCH for recent apps, VOLUME_UP or WAKEUP',
+      timeout: DEVICE_ACTION_TIMEOUT_MS,
+      inputSchema: withDeviceId({
+        type: 'object',
+        properties: {
+          key: {
+            description: 'Android key name, with or without the KEYCODE_ prefix, or keycode',
+            anyOf: [
+              { type: 'string', pattern: KEY_NAME_PATTERN, description: 'a name such as "ENTER"' },
+              { type: 'integer', minimum: 0, description: 'a keycode such as 66' }
+            ]
+          },
+          count: {
+            type: 'integer',
+            description: 'Number of times to press the key',
+            default: 1,
+            minimum: 1,
+            maximum: 100
+          },
+          longPress: {
+            type: 'boolean',
+            description: 'Hold the key down, such as POWER for the power menu',
+            default: false
+          },
+          meta: {
+            type: 'array',
+            description: 'Modifier keys to hold while pressing the key, such as ["CTRL"] with A',
+            items: {
+              type: 'string',
+              enum: Object.keys(MODIFIERS)
+            },
+            uniqueItems: true
+          }
+        },
+        required: ['key']
+      }),
+      handler: async (params, session, { signal } = {}) => {
+        logger.debug(`Executing pressKey: ${params.key} (count: ${params.count || 1})`);
+
+        try {
+          const deviceId = params.deviceId || 'default';
+
+          return {
+            success: true,
+            action: 'pressKey',
+            ...await pressKey(deviceId, params, signal)
+          };
+        } catch (error) {
+          logger.error(`Error executing pressKey: ${error.message}`);
+          throw error;
+        }
+      }
+    },
+
     // Wait for specified seconds
     wait: {
       description: 'Wait for specified seconds',
-      parameters: {
-        seconds: {
-          type: 'number',
-          description: 'Number of seconds to wait',
-          required: true
-        }
+      // Ends after the requested number of seconds, however long that is
+      timeout: 0,
+      annotations: {
+        readOnlyHint: true
       },
-      handler: async (params, session) => {
+      inputSchema: withDeviceId({
+        type: 'object',
+        properties: {
+          seconds: {
+            type: 'number',
+            description: 'Number of seconds to wait',
+            exclusiveMinimum: 0
+          }
+        },
+        required: ['seconds']
+      }),
+      handler: async (params, session, { signal, reportProgress = () => {} } = {}) => {
         logger.debug(`Executing wait for ${params.seconds} seconds`);
         
         try {
-          // Validate parameters
-          if (typeof params.seconds !== 'number' || params.seconds <= 0) {
-            throw new Error('seconds must be a positive number');
+          // Wait in one-second slices, reporting progress and stopping early if cancelled
+          const totalMs = params.seconds * 1000;
+          let elapsedMs = 0;
+
+          while (elapsedMs < totalMs) {
+            const sliceMs = Math.min(1000, totalMs - elapsedMs);
+            await delay(sliceMs, signal);
+            elapsedMs += sliceMs;
+
+            const elapsed = elapsedMs / 1000;
+            reportProgress(elapsed, params.seconds, `Waited ${elapsed}s of ${params.seconds}s`);
           }
           
-          // Wait for specified duration
-          await new Promise(resolve => setTimeout(resolve, params.seconds * 1000));
-          
           return {
             success: true,
             action: 'wait',
@@ -314,25 +463,115 @@ function androidInteractionTools(apiToken, logger) {
         }
       }
     },
+
+    // Capture the screen
+    screenshot: {
+      description: 'Capture the screen, optionally converted, scaled down, cropped or with a grid',
+      timeout: DEVICE_ACTION_TIMEOUT_MS,
+      annotations: {
+        readOnlyHint: true
+      },
+      inputSchema: withDeviceId(SCREENSHOT_OPTIONS_SCHEMA),
+      handler: async (params, session, { signal } = {}) => {
+        logger.debug(`Executing screenshot (format: ${params.format || 'png'})`);
+
+        try {
+          const deviceId = params.deviceId || 'default';
+          const captured = await drivers.forDevice(deviceId).screenshot(deviceId, { signal });
+
+          return {
+            success: true,
+            action: 'screenshot',
+            screenshot: await transformScreenshot(captured, params)
+          };
+        } catch (error) {
+          logger.error(`Error executing screenshot: ${error.message}`);
+          throw error;
+        }
+      }
+    },
+
+    // Read the view tree of the screen
+    getUiHierarchy: {
+      description: 'Get the UI hierarchy of the current screen as a tree of elements',
+      timeout: DEVICE_ACTION_TIMEOUT_MS,
+      annotations: {
+        readOnlyHint: true
+      },
+      inputSchema: withDeviceId({
+        type: 'object',
+        properties: {
+          interactableOnly: {
+            type: 'boolean',
+            description: 'Keep only clickable, focusable or scrollable elements',
+            default: false
+          },
+          maxDepth: {
+            type: 'integer',
+            description: 'Deepest level of the tree to return; the root is level 0',
+            minimum: 0
+          },
+          format: {
+            type: 'string',
+            description: 'json for a tree of objects, text for one compact line per element',
+            enum: ['json', 'text'],
+            default: 'json'
+          }
+        }
+      }),
+      handler: async (params, session, { signal } = {}) => {
+        logger.debug(`Executing getUiHierarchy (format: ${params.format || 'json'})`);
+
+        try {
+          const deviceId = params.deviceId || 'default';
+          const root = await drivers.forDevice(deviceId).uiHierarchy(deviceId, { signal });
+          const nodes = buildTreeView(root, {
+            interactableOnly: params.interactableOnly,
+            maxDepth: params.maxDepth
+          });
+
+          const result = {
+            success: true,
+            action: 'getUiHierarchy',
+            nodeCount: countNodes(nodes)
+          };
+
+          if (params.format === 'text') {
+            result.text = renderTreeText(nodes);
+          } else {
+            result.nodes = nodes;
+          }
+
+          return result;
+        } catch (error) {
+          logger.error(`Error executing getUiHierarchy: ${error.message}`);
+          throw error;
+        }
+      }
+    },
     
     // List installed apps
     listApps: {
       description: 'List all installed applications',
-      parameters: {},
-      handler: async (params, session) => {
+      timeout: DEVICE_ACTION_TIMEOUT_MS,
+      annotations: {
+        readOnlyHint: true
+      },
+      inputSchema: withDeviceId({
+        type: 'object',
+        properties: {}
+      }),
+      handler: async (params, session, { signal } = {}) => {
         logger.debug('Executing listApps');
         
         try {
-          // In a real implementation, call Airtap API to get installed apps
-          // For now, simulate API call
-          const response = await simulateApiCall('listApps', {
-            deviceId: params.deviceId || 'default'
-          });
+          const deviceId = params.deviceId || 'default';
+          const apps = await drivers.forDevice(deviceId).listApps(deviceId, { signal });
           
           return {
             success: true,
             action: 'listApps',
-            apps: response.apps
+            apps
           };
         } catch (error) {
           logger.error(`Error executing listApps: ${error.message}`);
@@ -344,28 +583,24 @@ function androidInteractionTools(apiToken, logger) {
     // Uninstall app
     uninstallApp: {
       description: 'Uninstall an application by package name',
-      parameters: {
-        packageName: {
-          type: 'string',
-          description: 'Package name of the app to uninstall',
-          required: true
-        }
+      timeout: UNINSTALL_TIMEOUT_MS,
+      annotations: {
+        destructiveHint: true
       },
-      handler: async (params, session) => {
+      inputSchema: withDeviceId({
+        type: 'object',
+        properties: {
+          packageName: packageNameSchema('Package name of the app to uninstall')
+        },
+        required: ['packageName']
+      }),
+      handler: async (params, session, { signal } = {}) => {
         logger.debug(`Executing uninstallApp for package: ${params.packageName}`);
         
         try {
-          // Validate parameters
-          if (!params.packageName) {
-            throw new Error('packageName is required');
-          }
-          
-          // In a real implementation, call Airtap API to uninstall app
-          // For now, simulate API call
-          const response = await simulateApiCall('uninstallApp', {
-            packageName: params.packageName,
-            deviceId: params.deviceId || 'default'
-          });
+          const deviceId = params.deviceId || 'default';
+          const driver = drivers.forDevice(deviceId);
+          const response = await driver.uninstall(deviceId, params.packageName, { signal });
           
           return {
             success: true,
@@ -382,104 +617,400 @@ function androidInteractionTools(apiToken, logger) {
     
     // Long press
     longpress: {
-      description: 'Long press at coordinates',
-      parameters: {
-        coordinates: {
-          type: 'array',
-          description: 'X and Y coordinates to long press [x, y]',
-          required: true
+      description: 'Long press an element or coordinates',
+      timeout: DEVICE_ACTION_TIMEOUT_MS,
+      inputSchema: withDeviceId({
+        type: 'object',
+        properties: {
+          coordinates: coordinatesSchema('X and Y coordinates to long press [x, y]'),
+          selector: selectorSchema('Element to long press, instead of coordinates'),
+          ...COORDINATE_SPACE_PROPERTIES,
+          duration: {
+            type: 'number',
+            description: 'Duration of long press in milliseconds',
+            default: 1000,
+            minimum: 1
+          }
         },
-        duration: {
-          type: 'number',
-          description: 'Duration of long press in milliseconds',
-          required: false,
-          default: 1000
-        }
-      },
-      handler: async (params, session) => {
-        logger.debug(`Executing longpress at coordinates: ${params.coordinates} (duration: ${params.duration || 1000}ms)`);
-        
+        oneOf: requireOneOf('coordinates', 'selector')
+      }),
+      handler: async (params, session, { signal } = {}) => {
+        const duration = params.duration || 1000;
+        logger.debug(`Executing longpress at ${describeTarget(params)} (duration: ${duration}ms)`);
+
         try {
-          // Validate parameters
-          if (!params.coordinates || !Array.isArray(params.coordinates) || params.coordinates.length !== 2) {
-            throw new Error('Invalid coordinates. Must be an array [x, y]');
-          }
+          const deviceId = params.deviceId || 'default';
+          const target = await resolveTarget(deviceId, params, signal);
+          const [x, y] = target.coordinates;
           
-          const [x, y] = params.coordinates;
-          const duration = params.duration || 1000;
-          
-          // In a real implementation, call Airtap API to execute long press
-          // For now, simulate API call
-          const response = await simulateApiCall('longpress', {
-            x, y, duration,
-            deviceId: params.deviceId || 'default'
-          });
+          // A swipe that does not move is a long press
+          await drivers.forDevice(deviceId).swipe(deviceId, {
+            start: [x, y],
+            end: [x, y],
+            duration
+          }, { signal });
           
           return {
             success: true,
             action: 'longpress',
-            coordinates: [x, y],
+            ...target,
             duration,
-            screenshot: response.screenshot
+            screenshot: await captureScreen(deviceId, signal)
           };
         } catch (error) {
           logger.error(`Error executing longpress: ${error.message}`);
           throw error;
         }
       }
+    },
+
+    // Double tap
+    doubleTap: {
+      description: 'Double tap an element or coordinates, such as to zoom a map or like a post',
+      timeout: DEVICE_ACTION_TIMEOUT_MS,
+      inputSchema: withDeviceId({
+        type: 'object',
+        properties: {
+          coordinates: coordinatesSchema('X and Y coordinates to double tap [x, y]'),
+          selector: selectorSchema('Element to double tap, instead of coordinates'),
+          ...COORDINATE_SPACE_PROPERTIES,
+          interval: {
+            type: 'number',
+            description: 'Milliseconds between the two taps; Android only sees taps up to '
+              + '300 ms apart as a double tap',
+            default: 150,
+            minimum: 100,
+            maximum: 300
+          }
+        },
+        oneOf: requireOneOf('coordinates', 'selector')
+      }),
+      handler: async (params, session, { signal } = {}) => {
+        logger.debug(`Executing doubleTap at ${describeTarget(params)}`);
+
+        try {
+          const interval = params.interval || 150;
+          const deviceId = params.deviceId || 'default';
+          const target = await resolveTarget(deviceId, params, signal);
+          const pointers = doubleTapGesture(target.coordinates, interval);
+
+          await drivers.forDevice(deviceId).gesture(deviceId, { pointers }, { signal });
+
+          return {
+            success: true,
+            action: 'doubleTap',
+            ...target,
+            interval,
+            screenshot: await captureScreen(deviceId, signal)
+          };
+        } catch (error) {
+          logger.error(`Error executing doubleTap: ${error.message}`);
+          throw error;
+        }
+      }
+    },
+
+    // Drag and drop
+    dragAndDrop: {
+      description: 'Press and hold an item, move it and release it, such as to reorder a list',
+      timeout: DEVICE_ACTION_TIMEOUT_MS,
+      inputSchema: withDeviceId({
+        type: 'object',
+        properties: {
+          start: coordinatesSchema('X and Y coordinates to pick the item up at [x1, y1]'),
+          end: coordinatesSchema('X and Y coordinates to drop the item at [x2, y2]'),
+          holdDuration: {
+            type: 'number',
+            description: 'Milliseconds to hold the item before moving it',
+            default: 1000,
+            minimum: 0
+          },
+          duration: {
+            type: 'number',
+            description: 'Duration of the move in milliseconds',
+            default: 500,
+            minimum: 1
+          },
+          ...COORDINATE_SPACE_PROPERTIES
+        },
+        required: ['start', 'end']
+      }),
+      handler: async (params, session, { signal } = {}) => {
+        logger.debug(`Executing dragAndDrop from ${params.start} to ${params.end}`);
+
+        try {
+          const holdDuration = params.holdDuration === undefined ? 1000 : params.holdDuration;
+          const duration = params.duration || 500;
+          const deviceId = params.deviceId || 'default';
+          const screen = await getScreenSize(deviceId, signal);
+          const start = toScreenPoint(params.start, params, screen, 'start');
+          const end = toScreenPoint(params.end, params, screen, 'end');
+          const pointers = dragGesture(start, end, { holdDuration, duration });
+
+          await drivers.forDevice(deviceId).gesture(deviceId, { pointers }, { signal });
+
+          return {
+            success: true,
+            action: 'dragAndDrop',
+            start,
+            end,
+            holdDuration,
+            duration,
+            screenshot: await captureScreen(deviceId, signal)
+          };
+        } catch (error) {
+          logger.error(`Error executing dragAndDrop: ${error.message}`);
+          throw error;
+        }
+      }
+    },
+
+    // Pinch with two fingers
+    pinch: {
+      description: 'Pinch with two fingers: apart to zoom in, together to zoom out',
+      timeout: DEVICE_ACTION_TIMEOUT_MS,
+      inputSchema: withDeviceId({
+        type: 'object',
+        properties: {
+          center: {
+            ...coordinatesSchema('X and Y coordinates between the fingers [x, y]'),
+            default: ['50%', '50%']
+          },
+          startDistance: distanceSchema('Distance between the fingers at the start'),
+          endDistance: distanceSchema('Distance between the fingers at the end'),
+          angle: {
+            type: 'number',
+            description: 'Angle of the line between the fingers in degrees, 0 for horizontal',
+            default: 0
+          },
+          duration: {
+            type: 'number',
+            description: 'Duration of the pinch in milliseconds',
+            default: 500,
+            minimum: 1
+          },
+          ...COORDINATE_SPACE_PROPERTIES
+        },
+        required: ['startDistance', 'endDistance']
+      }),
+      handler: async (params, session, { signal } = {}) => {
+        logger.debug(`Executing pinch from ${params.startDistance} to ${params.endDistance}`);
+
+        try {
+          const duration = params.duration || 500;
+          const deviceId = params.deviceId || 'default';
+          const screen = await getScreenSize(deviceId, signal);
+          const center = toScreenPoint(params.center || ['50%', '50%'], params, screen, 'center');
+          const startDistance = toScreenDistance(
+            params.startDistance, params, screen, 'startDistance'
+          );
+          const endDistance = toScreenDistance(params.endDistance, params, screen, 'endDistance');
+          const pointers = pinchGesture(center, {
+            startDistance,
+            endDistance,
+            angle: params.angle || 0,
+            duration
+          });
+
+          checkOnScreen(pointers, screen, 'pinch');
+          await drivers.forDevice(deviceId).gesture(deviceId, { pointers }, { signal });
+
+          return {
+            success: true,
+            action: 'pinch',
+            center,
+            startDistance,
+            endDistance,
+            duration,
+            screenshot: await captureScreen(deviceId, signal)
+          };
+        } catch (error) {
+          logger.error(`Error executing pinch: ${error.message}`);
+          throw error;
+        }
+      }
+    },
+
+    // Rotate with two fingers
+    rotate: {
+      description: 'Turn two fingers around a center point, such as to rotate a map or photo',
+      timeout: DEVICE_ACTION_TIMEOUT_MS,
+      inputSchema: withDeviceId({
+        type: 'object',
+        properties: {
+          center: {
+            ...coordinatesSchema('X and Y coordinates to rotate around [x, y]'),
+            default: ['50%', '50%']
+          },
+          radius: {
+            ...distanceSchema('Distance of each finger from the center'),
+            default: '20%'
+          },
+          degrees: {
+            type: 'number',
+            description: 'Degrees to turn; positive turns clockwise, negative counterclockwise'
+          },
+          startAngle: {
+            type: 'number',
+            description: 'Angle of the first finger in degrees, 0 pointing right',
+            default: 0
+          },
+          duration: {
+            type: 'number',
+            description: 'Duration of the rotation in milliseconds',
+            default: 500,
+            minimum: 1
+          },
+          ...COORDINATE_SPACE_PROPERTIES
+        },
+        required: ['degrees']
+      }),
+      handler: async (params, session, { signal } = {}) => {
+        logger.debug(`Executing rotate by ${params.degrees} degrees`);
+
+        try {
+          const duration = params.duration || 500;
+          const deviceId = params.deviceId || 'default';
+          const screen = await getScreenSize(deviceId, signal);
+          const center = toScreenPoint(params.center || ['50%', '50%'], params, screen, 'center');
+          const radius = toScreenDistance(params.radius || '20%', params, screen, 'radius');
+          const pointers = rotateGesture(center, {
+            radius,
+            startAngle: params.startAngle || 0,
+            degrees: params.degrees,
+            duration
+          });
+
+          checkOnScreen(pointers, screen, 'rotate');
+          await drivers.forDevice(deviceId).gesture(deviceId, { pointers }, { signal });
+
+          return {
+            success: true,
+            action: 'rotate',
+            center,
+            radius,
+            degrees: params.degrees,
+            duration,
+            screenshot: await captureScreen(deviceId, signal)
+          };
+        } catch (error) {
+          logger.error(`Error executing rotate: ${error.message}`);
+          throw error;
+        }
+      }
+    },
+
+    // Any gesture of one or more fingers
+    gesture: {
+      description: 'Perform a gesture of one or more fingers, each following a path of timed '
+        + 'points. A finger goes down at the first point of its path and up at the last.',
+      timeout: DEVICE_ACTION_TIMEOUT_MS,
+      inputSchema: withDeviceId({
+        type: 'object',
+        properties: {
+          pointers: {
+            type: 'array',
+            description: 'One entry per finger',
+            items: {
+              type: 'object',
+              properties: {
+                path: {
+                  type: 'array',
+                  description: 'Points the finger passes through, in order',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      x: SCREEN_VALUE_SCHEMA,
+                      y: SCREEN_VALUE_SCHEMA,
+                      time: {
+                        type: 'number',
+                        description: 'Milliseconds from the start of the gesture',
+                        minimum: 0
+                      }
+                    },
+                    required: ['x', 'y', 'time'],
+                    additionalProperties: false
+                  },
+                  minItems: 1
+                }
+              },
+              required: ['path'],
+              additionalProperties: false
+            },
+            minItems: 1,
+            maxItems: MAX_POINTERS
+          },
+          ...COORDINATE_SPACE_PROPERTIES
+        },
+        required: ['pointers']
+      }),
+      handler: async (params, session, { signal } = {}) => {
+        logger.debug(`Executing gesture with ${params.pointers.length} pointer(s)`);
+
+        try {
+          const deviceId = params.deviceId || 'default';
+          const screen = await getScreenSize(deviceId, signal);
+          const pointers = params.pointers.map((pointer, index) => ({
+            path: pointer.path.map((point, step) => {
+              const field = `pointers.${index}.path.${step}`;
+
+              if (step > 0 && point.time < pointer.path[step - 1].time) {
+                throw new McpError(
+                  ErrorCodes.INVALID_PARAMS,
+                  `Point ${step} of pointer ${index} is earlier than the point before it`,
+                  { errors: [{
+                    field: `${field}.time`,
+                    message: 'must not be earlier than the point before',
+                    keyword: 'order'
+                  }] }
+                );
+              }
+
+              const [x, y] = toScreenPoint([point.x, point.y], params, screen, field);
+              return { x, y, time: point.time };
+            })
+          }));
+
+          await drivers.forDevice(deviceId).gesture(deviceId, { pointers }, { signal });
+
+          return {
+            success: true,
+            action: 'gesture',
+            pointers,
+            duration: gestureDuration(pointers),
+            screenshot: await captureScreen(deviceId, signal)
+          };
+        } catch (error) {
+          logger.error(`Error executing gesture: ${error.message}`);
+          throw error;
+        }
+      }
     }
   };
 }
 
 /**
- * Simulate API call to Airtap API (for development/testing)
- * @param {string} action - Action to simulate
- * @param {object} params - Parameters for the action
- * @returns {Promise} - Promise that resolves to simulated response
+ * Check that every point of a gesture built from the parameters lies on the screen
+ * @param {Array<object>} pointers - Pointers in screen pixels
+ * @param {object|null} screen - Screen size ({ width, height }), or null if unknown
+ * @param {string} name - Tool the gesture belongs to, for errors
+ * @throws {McpError} - INVALID_PARAMS if a point is off screen
  */
-async function simulateApiCall(action, params) {
-  // Simulate network delay
-  await new Promise(resolve => setTimeout(resolve, 200));
-  
-  // Generate mock response based on action
-  switch (action) {
-    case 'tap':
-    case 'inputText':
-    case 'navigateBack':
-    case 'navigateHome':
-    case 'longpress':
-      return {
-        success: true,
-        screenshot: 'base64_encoded_screenshot_data...'
-      };
-      
-    case 'clearText':
-    case 'swipe':
-      return {
-        success: true
-      };
-      
-    case 'listApps':
-      return {
-        success: true,
-        apps: [
-          { packageName: 'com.android.chrome', appName: 'Chrome' },
-          { packageName: 'com.google.android.gm', appName: 'Gmail' },
-          { packageName: 'com.instagram.android', appName: 'Instagram' },
-          { packageName: 'com.spotify.music', appName: 'Spotify' },
-          { packageName: 'org.telegram.messenger', appName: 'Telegram' }
-        ]
-      };
-      
-    case 'uninstallApp':
-      return {
-        success: true,
-        status: 'uninstalled'
-      };
-      
-    default:
-      throw new Error(`Unknown action: ${action}`);
-  }
+function checkOnScreen(pointers, screen, name) {
+  pointers.forEach(pointer => pointer.path.forEach(({ x, y }) => {
+    toScreenPoint([x, y], {}, screen, name);
+  }));
+}
+
+/**
+ * Describe the target of an action for log messages
+ * @param {object} params - Tool parameters with coordinates or selector
+ * @returns {string} - Description of the target
+ */
+function describeTarget(params) {
+  return params.selector
+    ? `selector: ${JSON.stringify(params.selector)}`
+    : `coordinates: ${params.coordinates}`;
 }
 
 module.exports = androidInteractionTools;
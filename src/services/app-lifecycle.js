@@ -0,0 +1,264 @@
+/**
+ * App Lifecycle Services
+ * Installs, launches, stops and resets apps, and opens deep links
+ */
+
+const fs = require('fs');
+const { readApkManifest } = require('../utils/apk');
+const { ErrorCodes, McpError } = require('../utils/errors');
+const {
+  packageNameSchema,
+  requireOneOf,
+  withDeviceId,
+  INTENT_SCHEMA
+} = require('../utils/schemas');
+const { createDeviceDrivers } = require('../drivers');
+
+// Time limit for launching, stopping and resetting apps
+const DEVICE_ACTION_TIMEOUT_MS = 30000;
+
+// Installing copies the whole APK to the device and can take minutes for large builds
+const INSTALL_TIMEOUT_MS = 300000;
+
+/**
+ * Creates and returns the app lifecycle tools
+ * @param {string} apiToken - API token for authentication
+ * @param {object} logger - Winston logger instance
+ * @param {object} [drivers] - Device drivers; by default every device is simulated
+ * @returns {object} - Object containing registered tools
+ */
+function appLifecycleTools(apiToken, logger, drivers = createDeviceDrivers(apiToken)) {
+  /**
+   * Capture the screen of a device after an action
+   * @param {string} deviceId - Device ID
+   * @param {AbortSignal} [signal] - Signal of the current request
+   * @returns {Promise<object>} - Screenshot ({ format, width, height, data })
+   */
+  async function captureScreen(deviceId, signal) {
+    const screenshot = await drivers.forDevice(deviceId).screenshot(deviceId, { signal });
+    return {
+      format: screenshot.format,
+      width: screenshot.width,
+      height: screenshot.height,
+      data: screenshot.data
+    };
+  }
+
+  return {
+    // Install an APK
+    installApp: {
+      description: 'Install an APK, replacing the app if it is installed, and report its '
+        + 'package name, version and launcher activity',
+      timeout: INSTALL_TIMEOUT_MS,
+      inputSchema: withDeviceId({
+        type: 'object',
+        properties: {
+          apkData: {
+            type: 'string',
+            description: 'Contents of the APK file, base64 encoded',
+            minLength: 1
+          },
+          apkPath: {
+            type: 'string',
+            description: 'Path of the APK file on the machine the server runs on',
+            minLength: 1
+          }
+        },
+        oneOf: requireOneOf('apkData', 'apkPath')
+      }),
+      handler: async (params, session, { signal } = {}) => {
+        logger.debug(`Executing installApp from ${params.apkPath || 'uploaded data'}`);
+
+        try {
+          const deviceId = params.deviceId || 'default';
+          const data = await readApk(params);
+          const manifest = readApkManifest(data);
+          const response = await drivers.forDevice(deviceId).install(
+            deviceId,
+            { data, manifest },
+            { signal }
+          );
+
+          logger.info(`Installed ${manifest.packageName} ${manifest.versionName} on ${deviceId}`);
+
+          return {
+            success: true,
+            action: 'installApp',
+            ...manifest,
+            size: data.length,
+            status: response.status || 'installed'
+          };
+        } catch (error) {
+          logger.error(`Error executing installApp: ${error.message}`);
+          throw error;
+        }
+      }
+    },
+
+    // Launch an app
+    launchApp: {
+      description: 'Launch an app at its launcher activity, or at a specific activity',
+      timeout: DEVICE_ACTION_TIMEOUT_MS,
+      inputSchema: withDeviceId({
+        type: 'object',
+        properties: {
+          packageName: packageNameSchema('Package name of the app to launch'),
+          activity: {
+            type: 'string',
+            description: 'Activity to start, in full or starting with a dot for one of the '
+              + 'app\'s own, such as .SettingsActivity',
+            pattern: '^[\\w.$]+$'
+          }
+        },
+        required: ['packageName']
+      }),
+      handler: async (params, session, { signal } = {}) => {
+        logger.debug(`Executing launchApp for package: ${params.packageName}`);
+
+        try {
+          const deviceId = params.deviceId || 'default';
+
+          await drivers.forDevice(deviceId).launch(deviceId, params.packageName, {
+            activity: params.activity
+          }, { signal });
+
+          return {
+            success: true,
+            action: 'launchApp',
+            packageName: params.packageName,
+            activity: params.activity || null,
+            screenshot: await captureScreen(deviceId, signal)
+          };
+        } catch (error) {
+          logger.error(`Error executing launchApp: ${error.message}`);
+          throw error;
+        }
+      }
+    },
+
+    // Force stop an app
+    stopApp: {
+      description: 'Force stop an app, such as one that hangs',
+      timeout: DEVICE_ACTION_TIMEOUT_MS,
+      inputSchema: withDeviceId({
+        type: 'object',
+        properties: {
+          packageName: packageNameSchema('Package name of the app to stop')
+        },
+        required: ['packageName']
+      }),
+      handler: async (params, session, { signal } = {}) => {
+        logger.debug(`Executing stopApp for package: ${params.packageName}`);
+
+        try {
+          const deviceId = params.deviceId || 'default';
+
+          await drivers.forDevice(deviceId).stop(deviceId, params.packageName, { signal });
+
+          return {
+            success: true,
+            action: 'stopApp',
+            packageName: params.packageName,
+            screenshot: await captureScreen(deviceId, signal)
+          };
+        } catch (error) {
+          logger.error(`Error executing stopApp: ${error.message}`);
+          throw error;
+        }
+      }
+    },
+
+    // Reset an app
+    clearAppData: {
+      description: 'Delete the data of an app, such as logins and settings, as if it were '
+        + 'freshly installed; the app is stopped',
+      timeout: DEVICE_ACTION_TIMEOUT_MS,
+      annotations: {
+        destructiveHint: true
+      },
+      inputSchema: withDeviceId({
+        type: 'object',
+        properties: {
+          packageName: packageNameSchema('Package name of the app to reset')
+        },
+        required: ['packageName']
+      }),
+      handler: async (params, session, { signal } = {}) => {
+        logger.debug(`Executing clearAppData for package: ${params.packageName}`);
+
+        try {
+          const deviceId = params.deviceId || 'default';
+
+          await drivers.forDevice(deviceId).clearData(deviceId, params.packageName, { signal });
+
+          return {
+            success: true,
+            action: 'clearAppData',
+            packageName: params.packageName
+          };
+        } catch (error) {
+          logger.error(`Error executing clearAppData: ${error.message}`);
+          throw error;
+        }
+      }
+    },
+
+    // Open a deep link or intent
+    openDeepLink: {
+      description: 'Open a deep link or URL, or start an intent, in its default app or a '
+        + 'given one',
+      timeout: DEVICE_ACTION_TIMEOUT_MS,
+      inputSchema: withDeviceId(INTENT_SCHEMA),
+      handler: async (params, session, { signal } = {}) => {
+        logger.debug(`Executing openDeepLink: ${params.uri || params.action}`);
+
+        try {
+          const deviceId = params.deviceId || 'default';
+          const intent = {
+            uri: params.uri,
+            action: params.action || 'android.intent.action.VIEW',
+            packageName: params.packageName,
+            extras: params.extras
+          };
+          const response = await drivers.forDevice(deviceId).openIntent(
+            deviceId,
+            intent,
+            { signal }
+          );
+
+          return {
+            success: true,
+            action: 'openDeepLink',
+            uri: intent.uri || null,
+            intentAction: intent.action,
+            packageName: response.packageName || intent.packageName || null,
+            screenshot: await captureScreen(deviceId, signal)
+          };
+        } catch (error) {
+          logger.error(`Error executing openDeepLink: ${error.message}`);
+          throw error;
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Read the APK given to installApp
+ * @param {object} params - Tool parameters with apkData or apkPath
+ * @returns {Promise<Buffer>} - APK file
+ * @throws {McpError} - INVALID_PARAMS if the file cannot be read
+ */
+async function readApk(params) {
+  if (params.apkData) {
+    return Buffer.from(params.apkData, 'base64');
+  }
+
+  try {
+    return await fs.promises.readFile(params.apkPath);
+  } catch (error) {
+    throw new McpError(ErrorCodes.INVALID_PARAMS, `Cannot read APK file: ${error.message}`);
+  }
+}
+
+module.exports = appLifecycleTools;
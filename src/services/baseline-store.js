@@ -0,0 +1,112 @@
+/**
+ * Baseline Store
+ * Keeps the baseline images of visual assertions on disk, one directory per screen resolution
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Directory baselines are kept in when none is configured
+const DEFAULT_BASELINES_DIR = 'baselines';
+
+// Baseline names: letters, digits, _ and -, optionally separated by dots
+const BASELINE_NAME_PATTERN = '^[\\w-]+(\\.[\\w-]+)*$';
+
+/**
+ * Create a store of baseline images
+ * Baselines live at <directory>/<width>x<height>/<name>.png, so the same name can hold
+ * a baseline for every resolution a test runs on.
+ * @param {string} [directory] - Directory to keep baselines in
+ * @returns {Object} - Baseline store
+ */
+function createBaselineStore(directory = DEFAULT_BASELINES_DIR) {
+  const root = path.resolve(directory);
+
+  /**
+   * Get the file of a baseline
+   * @param {string} name - Baseline name
+   * @param {Object} size - Screen size ({ width, height })
+   * @returns {string} - Absolute path of the PNG file
+   */
+  const pathOf = (name, size) => path.join(root, resolutionOf(size), `${name}.png`);
+
+  /**
+   * Read a baseline
+   * @param {string} name - Baseline name
+   * @param {Object} size - Screen size ({ width, height })
+   * @returns {Promise<Buffer|null>} - PNG data, or null if there is no baseline
+   */
+  const read = async (name, size) => {
+    try {
+      return await fs.promises.readFile(pathOf(name, size));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  /**
+   * Store a baseline, replacing any earlier one
+   * @param {string} name - Baseline name
+   * @param {Object} size - Screen size ({ width, height })
+   * @param {Buffer} data - PNG data
+   * @returns {Promise<string>} - Path the baseline was written to
+   */
+  const write = async (name, size, data) => {
+    const file = pathOf(name, size);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, data);
+    return file;
+  };
+
+  /**
+   * List the resolutions a baseline exists for
+   * @param {string} name - Baseline name
+   * @returns {Promise<Array<string>>} - Resolutions such as 1080x2340
+   */
+  const resolutions = async (name) => {
+    let entries;
+
+    try {
+      entries = await fs.promises.readdir(root);
+    } catch (error) {
+      return [];
+    }
+
+    const found = await Promise.all(entries.map(async (entry) => {
+      try {
+        await fs.promises.access(path.join(root, entry, `${name}.png`));
+        return entry;
+      } catch (error) {
+        return null;
+      }
+    }));
+
+    return found.filter(Boolean).sort();
+  };
+
+  return {
+    directory: root,
+    pathOf,
+    read,
+    write,
+    resolutions
+  };
+}
+
+/**
+ * Format a screen size as a resolution
+ * @param {Object} size - Screen size ({ width, height })
+ * @returns {string} - Resolution such as 1080x2340
+ */
+function resolutionOf({ width, height }) {
+  return `${width}x${height}`;
+}
+
+module.exports = {
+  createBaselineStore,
+  resolutionOf,
+  BASELINE_NAME_PATTERN
+};
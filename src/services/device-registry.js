@@ -0,0 +1,168 @@
+/**
+ * Device Registry
+ * Device, app and screen data shared by the REST API, MCP resources and tools
+ */
+
+const { createDeviceDrivers } = require('../drivers');
+const { readApkManifest } = require('../utils/apk');
+
+/**
+ * Get all available devices for the authenticated user
+ * @returns {Promise<Array>} - Array of devices
+ */
+async function getDevices() {
+  // In a real implementation, fetch devices from Airtap API
+  // For now, return mock data
+  return getMockDevices();
+}
+
+/**
+ * Get a device by ID
+ * @param {string} id - Device ID
+ * @returns {Promise<Object|null>} - Device or null if not found
+ */
+async function getDevice(id) {
+  // In a real implementation, fetch device from Airtap API
+  // For now, return mock data
+  return getMockDevice(id);
+}
+
+/**
+ * Get installed apps on a device
+ * @param {string} deviceId - Device ID
+ * @param {Object} [drivers] - Device drivers; the simulator by default
+ * @returns {Promise<Array>} - Array of installed apps
+ */
+async function getInstalledApps(deviceId, drivers = createDeviceDrivers()) {
+  return drivers.forDevice(deviceId).listApps(deviceId);
+}
+
+/**
+ * Get the current screenshot of a device
+ * @param {string} deviceId - Device ID
+ * @param {Object} [drivers] - Device drivers; the simulator by default
+ * @returns {Promise<Object>} - Screenshot with base64 encoded image data
+ */
+async function getScreenshot(deviceId, drivers = createDeviceDrivers()) {
+  return drivers.forDevice(deviceId).screenshot(deviceId);
+}
+
+/**
+ * Install an APK on a device
+ * @param {string} deviceId - Device ID
+ * @param {Buffer} data - APK file
+ * @param {Object} [drivers] - Device drivers; the simulator by default
+ * @returns {Promise<Object>} - Manifest of the APK ({ packageName, versionName, ... }),
+ *   its size and the install status
+ * @throws {McpError} - INVALID_PARAMS if the file is not an APK
+ */
+async function installApp(deviceId, data, drivers = createDeviceDrivers()) {
+  const manifest = readApkManifest(data);
+  const response = await drivers.forDevice(deviceId).install(deviceId, { data, manifest });
+  return { ...manifest, size: data.length, status: response.status };
+}
+
+/**
+ * Launch an app on a device
+ * @param {string} deviceId - Device ID
+ * @param {string} packageName - Package name of the app
+ * @param {Object} [options] - Launch options ({ activity })
+ * @param {Object} [drivers] - Device drivers; the simulator by default
+ * @returns {Promise<Object>} - { success }
+ */
+async function launchApp(deviceId, packageName, options = {}, drivers = createDeviceDrivers()) {
+  return drivers.forDevice(deviceId).launch(deviceId, packageName, options);
+}
+
+/**
+ * Force stop an app on a device
+ * @param {string} deviceId - Device ID
+ * @param {string} packageName - Package name of the app
+ * @param {Object} [drivers] - Device drivers; the simulator by default
+ * @returns {Promise<Object>} - { success }
+ */
+async function stopApp(deviceId, packageName, drivers = createDeviceDrivers()) {
+  return drivers.forDevice(deviceId).stop(deviceId, packageName);
+}
+
+/**
+ * Clear the data of an app on a device
+ * @param {string} deviceId - Device ID
+ * @param {string} packageName - Package name of the app
+ * @param {Object} [drivers] - Device drivers; the simulator by default
+ * @returns {Promise<Object>} - { success }
+ */
+async function clearAppData(deviceId, packageName, drivers = createDeviceDrivers()) {
+  return drivers.forDevice(deviceId).clearData(deviceId, packageName);
+}
+
+/**
+ * Open a deep link or start an intent on a device
+ * @param {string} deviceId - Device ID
+ * @param {Object} intent - { uri, action, packageName, extras }
+ * @param {Object} [drivers] - Device drivers; the simulator by default
+ * @returns {Promise<Object>} - { success, packageName }
+ */
+async function openDeepLink(deviceId, intent, drivers = createDeviceDrivers()) {
+  return drivers.forDevice(deviceId).openIntent(deviceId, intent);
+}
+
+/**
+ * Generate mock devices for testing
+ * @returns {Array} - Array of mock devices
+ */
+function getMockDevices() {
+  return [
+    {
+      id: 'device-001',
+      name: 'Sandbox Pixel 6',
+      model: 'Google Pixel 6',
+      androidVersion: '12',
+      status: 'online',
+      resolution: '1080x2340',
+      createdAt: new Date(Date.now() - 86400000 * 30).toISOString(), // 30 days ago
+      updatedAt: new Date(Date.now() - 3600000).toISOString() // 1 hour ago
+    },
+    {
+      id: 'device-002',
+      name: 'Sandbox Galaxy S21',
+      model: 'Samsung Galaxy S21',
+      androidVersion: '11',
+      status: 'offline',
+      resolution: '1440x3200',
+      createdAt: new Date(Date.now() - 86400000 * 20).toISOString(), // 20 days ago
+      updatedAt: new Date(Date.now() - 86400000).toISOString() // 1 day ago
+    }
+  ];
+}
+
+/**
+ * Get mock device by ID
+ * @param {string} id - Device ID
+ * @returns {Object|null} - Mock device or null if not found
+ */
+function getMockDevice(id) {
+  const devices = getMockDevices();
+  return devices.find(device => device.id === id) || {
+    id,
+    name: 'Sandbox Automation Device',
+    model: 'Google Pixel 6',
+    androidVersion: '12',
+    status: 'online',
+    resolution: '1080x2340',
+    createdAt: new Date(Date.now() - 86400000 * 15).toISOString(), // 15 days ago
+    updatedAt: new Date(Date.now() - 3600000).toISOString() // 1 hour ago
+  };
+}
+
+module.exports = {
+  getDevices,
+  getDevice,
+  getInstalledApps,
+  getScreenshot,
+  installApp,
+  launchApp,
+  stopApp,
+  clearAppData,
+  openDeepLink
+};
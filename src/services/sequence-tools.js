@@ -0,0 +1,265 @@
+/**
+ * Sequence Services
+ * Runs an ordered list of tool invocations as a single tool call
+ */
+
+const { resolveReferences } = require('../utils/references');
+const { delay, throwIfAborted } = require('../utils/abort');
+const { CancelledError, ConfirmationRequiredError } = require('../utils/errors');
+const { validateToolParams } = require('../core/schema-validator');
+const { getToolTimeout, runTool } = require('../core/tool-executor');
+const { createDeviceDrivers } = require('../drivers');
+
+// Largest number of steps accepted in one sequence
+const MAX_SEQUENCE_STEPS = 100;
+
+// When screenshots are taken: after every step, after a failed step, or never
+const SCREENSHOT_MODES = ['each', 'failure', 'none'];
+
+/**
+ * Creates and returns the sequence tools
+ * @param {object} tools - Registered tools the sequence steps can call
+ * @param {object} logger - Winston logger instance
+ * @param {object} [drivers] - Device drivers screenshots are taken with
+ * @returns {object} - Object containing registered tools
+ */
+function sequenceTools(tools, logger, drivers = createDeviceDrivers()) {
+  return {
+    // Run several tools in order
+    run_sequence: {
+      description: 'Run an ordered list of tool invocations in one request. Step parameters can '
+        + 'use ${steps[N].result...} to refer to the results of earlier steps.',
+      // Each step is limited by the timeout of its own tool instead
+      timeout: 0,
+      // Each step takes a concurrency slot of its own instead
+      limited: false,
+      inputSchema: {
+        type: 'object',
+        properties: {
+          steps: {
+            type: 'array',
+            description: 'Steps to run, each { tool, params, delay, confirm } where delay is the '
+              + 'number of milliseconds to wait after the step and confirm the confirmation token '
+              + 'of a step that needs one',
+            minItems: 1,
+            maxItems: MAX_SEQUENCE_STEPS,
+            items: {
+              type: 'object',
+              properties: {
+                tool: { type: 'string', minLength: 1 },
+                params: { type: 'object' },
+                delay: { type: 'number', minimum: 0 },
+                confirm: { type: 'string' }
+              },
+              required: ['tool']
+            }
+          },
+          continueOnFailure: {
+            type: 'boolean',
+            description: 'Keep running the remaining steps after a step fails',
+            default: false
+          },
+          delay: {
+            type: 'number',
+            description: 'Milliseconds to wait after each step that does not set its own delay',
+            default: 0,
+            minimum: 0
+          },
+          screenshots: {
+            type: 'string',
+            description: 'When to capture a screenshot: "each" step, on "failure" or "none"',
+            default: 'failure',
+            enum: SCREENSHOT_MODES
+          }
+        },
+        required: ['steps']
+      },
+      handler: async (params, session, context = {}) => {
+        const { signal, requestApproval, reportProgress = () => {} } = context;
+        const stepCount = Array.isArray(params.steps) ? params.steps.length : 0;
+        logger.debug(`Executing run_sequence with ${stepCount} steps`);
+
+        try {
+          validateSequence(tools, params);
+
+          const continueOnFailure = Boolean(params.continueOnFailure);
+          const screenshots = params.screenshots || 'failure';
+          const startedAt = Date.now();
+          const records = [];
+          let stoppedAt = null;
+
+          for (let index = 0; index < params.steps.length; index++) {
+            const step = params.steps[index];
+
+            // Once stopped, the remaining steps are only listed
+            if (stoppedAt !== null) {
+              records.push({ index, tool: step.tool, status: 'skipped' });
+              continue;
+            }
+
+            throwIfAborted(signal);
+
+            const record = await runStep(tools, step, index, records, session, {
+              signal,
+              requestApproval
+            });
+            records.push(record);
+
+            const stepFailed = record.status === 'failed';
+            if (screenshots === 'each' || (screenshots === 'failure' && stepFailed)) {
+              record.screenshot = await captureScreenshot(drivers, record, logger, signal);
+            }
+
+            const message = `Step ${index + 1} (${step.tool}) ${record.status}`;
+            reportProgress(index + 1, params.steps.length, message);
+
+            if (stepFailed && !continueOnFailure) {
+              stoppedAt = index;
+              continue;
+            }
+
+            const pause = step.delay !== undefined ? step.delay : params.delay;
+            if (pause > 0 && index < params.steps.length - 1) {
+              await delay(pause, signal);
+            }
+          }
+
+          const failed = records.filter(record => record.status === 'failed').length;
+
+          return {
+            success: failed === 0,
+            action: 'run_sequence',
+            total: params.steps.length,
+            completed: records.filter(record => record.status !== 'skipped').length,
+            failed,
+            stoppedAt,
+            duration: Date.now() - startedAt,
+            steps: records
+          };
+        } catch (error) {
+          logger.error(`Error executing run_sequence: ${error.message}`);
+          throw error;
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Check that every step names a tool that can run inside a sequence
+ * The shape of the parameters has already been checked against the input schema.
+ * @param {object} tools - Registered tools
+ * @param {object} params - run_sequence parameters
+ * @throws {Error} - If the sequence is invalid
+ */
+function validateSequence(tools, params) {
+  params.steps.forEach((step, index) => {
+    if (step.tool === 'run_sequence') {
+      throw new Error(`Step ${index}: sequences cannot be nested`);
+    }
+
+    if (!tools[step.tool]) {
+      throw new Error(`Step ${index}: unknown tool ${step.tool}`);
+    }
+  });
+}
+
+/**
+ * Run one step of a sequence
+ * @param {object} tools - Registered tools
+ * @param {object} step - Step definition ({ tool, params })
+ * @param {number} index - Position of the step
+ * @param {Array} records - Records of the steps that already ran
+ * @param {object} session - Session data; its policy applies to every step
+ * @param {object} [context] - { signal, requestApproval } of the sequence call
+ * @returns {Promise<object>} - Step record with status, result or error and timing
+ */
+async function runStep(tools, step, index, records, session, context = {}) {
+  const { signal } = context;
+  const startedAt = Date.now();
+  const record = {
+    index,
+    tool: step.tool,
+    status: 'success',
+    startedAt: new Date(startedAt).toISOString()
+  };
+
+  // The step is aborted when the sequence is cancelled or the step times out
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  if (signal) {
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+
+  try {
+    record.params = resolveReferences(step.params || {}, { steps: records });
+    validateToolParams(step.tool, tools[step.tool], record.params);
+
+    // Steps pass the policy and the concurrency limits like calls of their own
+    record.result = await runTool(tools, step.tool, record.params, session, {
+      signal: controller.signal
+    }, {
+      timeout: getToolTimeout(tools[step.tool], session),
+      abort: () => controller.abort(),
+      confirm: step.confirm,
+      requestApproval: context.requestApproval
+    });
+
+    // Assertions report a failure in their result, so it can carry details such as a diff image
+    if (record.result && record.result.success === false) {
+      record.status = 'failed';
+      record.error = record.result.message || `${step.tool} reported a failure`;
+    }
+  } catch (error) {
+    // A cancelled sequence ends here; it is not a failure of the step
+    if (error instanceof CancelledError || (signal && signal.aborted)) {
+      throw error;
+    }
+
+    record.status = 'failed';
+    record.error = error.message;
+
+    if (error.data && error.data.errors) {
+      record.errors = error.data.errors;
+    }
+
+    if (error instanceof ConfirmationRequiredError) {
+      record.confirmationToken = error.data.confirmationToken;
+    }
+  } finally {
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  record.duration = Date.now() - startedAt;
+  return record;
+}
+
+/**
+ * Capture the screen of the device a step ran on
+ * @param {object} drivers - Device drivers
+ * @param {object} record - Step record
+ * @param {object} logger - Winston logger instance
+ * @param {AbortSignal} [signal] - Signal of the sequence call
+ * @returns {Promise<object|null>} - Screenshot, or null if it could not be taken
+ */
+async function captureScreenshot(drivers, record, logger, signal) {
+  const deviceId = (record.params && record.params.deviceId) || 'default';
+
+  try {
+    const screenshot = await drivers.forDevice(deviceId).screenshot(deviceId, { signal });
+    return {
+      format: screenshot.format,
+      width: screenshot.width,
+      height: screenshot.height,
+      timestamp: screenshot.timestamp,
+      data: screenshot.data
+    };
+  } catch (error) {
+    logger.warn(`Screenshot after step ${record.index} failed: ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = sequenceTools;
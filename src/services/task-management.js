@@ -5,6 +5,12 @@
 
 const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
+const { delay } = require('../utils/abort');
+const { createRandom } = require('../utils/random');
+const { getMockProgress, TASK_STATUSES } = require('./task-store');
+
+// Time limit for a single call to the task API
+const API_CALL_TIMEOUT_MS = 30000;
 
 /**
  * Creates and returns task management tools
@@ -33,46 +39,46 @@ function taskManagementTools(apiToken, logger) {
     // Submit a new automation task
     submit_task: {
       description: 'Submit a new automation task',
-      parameters: {
-        task: {
-          type: 'string',
-          description: 'The task description in natural language',
-          required: true
-        },
-        precisionMode: {
-          type: 'boolean',
-          description: 'Whether to use precision mode for more accurate UI interactions',
-          required: false,
-          default: false
-        },
-        navigateToHome: {
-          type: 'boolean',
-          description: 'Whether to navigate to home screen before starting the task',
-          required: false,
-          default: true
+      timeout: API_CALL_TIMEOUT_MS,
+      inputSchema: {
+        type: 'object',
+        properties: {
+          task: {
+            type: 'string',
+            description: 'The task description in natural language',
+            minLength: 1
+          },
+          precisionMode: {
+            type: 'boolean',
+            description: 'Whether to use precision mode for more accurate UI interactions',
+            default: false
+          },
+          navigateToHome: {
+            type: 'boolean',
+            description: 'Whether to navigate to home screen before starting the task',
+            default: true
+          },
+          maxSteps: {
+            type: 'integer',
+            description: 'Maximum number of steps for the task execution',
+            default: 30,
+            minimum: 1
+          }
         },
-        maxSteps: {
-          type: 'number',
-          description: 'Maximum number of steps for the task execution',
-          required: false,
-          default: 30
-        }
+        required: ['task']
       },
-      handler: async (params, session) => {
+      handler: async (params, session, { signal, reportProgress = () => {} } = {}) => {
         logger.debug(`Submitting new task: "${params.task}"`);
         
         try {
-          // Validate parameters
-          if (!params.task) {
-            throw new Error('Task description is required');
-          }
-          
           const precisionMode = params.precisionMode !== undefined ? params.precisionMode : false;
           const navigateToHome = params.navigateToHome !== undefined ? params.navigateToHome : true;
           const maxSteps = params.maxSteps || 30;
           
           // In a real implementation, call Airtap API to submit task
           // For now, simulate API call
+          reportProgress(0, 2, 'Submitting task to Airtap');
+
           const taskId = uuidv4();
           const result = await simulateTaskApi('submitTask', {
             taskId,
@@ -80,8 +86,10 @@ function taskManagementTools(apiToken, logger) {
             precisionMode,
             navigateToHome,
             maxSteps
-          });
+          }, signal);
           
+          reportProgress(1, 2, `Task ${taskId} accepted, registering it with the session`);
+
           // Store task information in session
           if (session) {
             if (!session.activeTasks) {
@@ -103,6 +111,8 @@ function taskManagementTools(apiToken, logger) {
             submitted: new Date().toISOString()
           });
           
+          reportProgress(2, 2, 'Task submitted');
+
           return {
             taskId,
             status: 'pending',
@@ -118,22 +128,25 @@ function taskManagementTools(apiToken, logger) {
     // Get task status
     get_task_status: {
       description: 'Get task status and progress',
-      parameters: {
-        taskId: {
-          type: 'string',
-          description: 'The ID of the task to check',
-          required: true
-        }
+      timeout: API_CALL_TIMEOUT_MS,
+      annotations: {
+        readOnlyHint: true
       },
-      handler: async (params, session) => {
+      inputSchema: {
+        type: 'object',
+        properties: {
+          taskId: {
+            type: 'string',
+            description: 'The ID of the task to check',
+            minLength: 1
+          }
+        },
+        required: ['taskId']
+      },
+      handler: async (params, session, { signal } = {}) => {
         logger.debug(`Getting status for task: ${params.taskId}`);
         
         try {
-          // Validate parameters
-          if (!params.taskId) {
-            throw new Error('Task ID is required');
-          }
-          
           // Check if task exists in session
           if (session && session.activeTasks && session.activeTasks.has(params.taskId)) {
             // Update task status from API in real implementation
@@ -143,7 +156,7 @@ function taskManagementTools(apiToken, logger) {
           // For now, simulate API call
           const result = await simulateTaskApi('getTaskStatus', {
             taskId: params.taskId
-          });
+          }, signal);
           
           return result;
         } catch (error) {
@@ -156,26 +169,33 @@ function taskManagementTools(apiToken, logger) {
     // List tasks
     list_tasks: {
       description: 'Get all tasks for the authenticated user',
-      parameters: {
-        status: {
-          type: 'string',
-          description: 'Filter tasks by status (pending, running, completed, failed, cancelled)',
-          required: false
-        },
-        limit: {
-          type: 'number',
-          description: 'Maximum number of tasks to return',
-          required: false,
-          default: 10
-        },
-        offset: {
-          type: 'number',
-          description: 'Offset for pagination',
-          required: false,
-          default: 0
+      timeout: API_CALL_TIMEOUT_MS,
+      annotations: {
+        readOnlyHint: true
+      },
+      inputSchema: {
+        type: 'object',
+        properties: {
+          status: {
+            type: 'string',
+            description: `Filter tasks by status (${TASK_STATUSES.join(', ')})`,
+            enum: TASK_STATUSES
+          },
+          limit: {
+            type: 'integer',
+            description: 'Maximum number of tasks to return',
+            default: 10,
+            minimum: 1
+          },
+          offset: {
+            type: 'integer',
+            description: 'Offset for pagination',
+            default: 0,
+            minimum: 0
+          }
         }
       },
-      handler: async (params, session) => {
+      handler: async (params, session, { signal } = {}) => {
         logger.debug(`Listing tasks with filters: ${JSON.stringify(params)}`);
         
         try {
@@ -189,7 +209,7 @@ function taskManagementTools(apiToken, logger) {
             status,
             limit,
             offset
-          });
+          }, signal);
           
           return result;
         } catch (error) {
@@ -202,37 +222,33 @@ function taskManagementTools(apiToken, logger) {
     // Provide human input to task
     provide_human_input: {
       description: 'Provide human input to an ongoing task',
-      parameters: {
-        input: {
-          type: 'string',
-          description: 'The human input to provide',
-          required: true
+      timeout: API_CALL_TIMEOUT_MS,
+      inputSchema: {
+        type: 'object',
+        properties: {
+          input: {
+            type: 'string',
+            description: 'The human input to provide',
+            minLength: 1
+          },
+          taskId: {
+            type: 'string',
+            description: 'The ID of the task to provide input for',
+            minLength: 1
+          }
         },
-        taskId: {
-          type: 'string',
-          description: 'The ID of the task to provide input for',
-          required: true
-        }
+        required: ['input', 'taskId']
       },
-      handler: async (params, session) => {
+      handler: async (params, session, { signal } = {}) => {
         logger.debug(`Providing human input for task ${params.taskId}: "${params.input}"`);
         
         try {
-          // Validate parameters
-          if (!params.input) {
-            throw new Error('Input is required');
-          }
-          
-          if (!params.taskId) {
-            throw new Error('Task ID is required');
-          }
-          
           // In a real implementation, call Airtap API to provide human input
           // For now, simulate API call
           const result = await simulateTaskApi('provideHumanInput', {
             taskId: params.taskId,
             input: params.input
-          });
+          }, signal);
           
           // Update task status in session
           if (session && session.activeTasks && session.activeTasks.has(params.taskId)) {
@@ -267,27 +283,27 @@ function taskManagementTools(apiToken, logger) {
     // Cancel task
     cancel_task: {
       description: 'Cancel a running task',
-      parameters: {
-        taskId: {
-          type: 'string',
-          description: 'The ID of the task to cancel',
-          required: true
-        }
+      timeout: API_CALL_TIMEOUT_MS,
+      inputSchema: {
+        type: 'object',
+        properties: {
+          taskId: {
+            type: 'string',
+            description: 'The ID of the task to cancel',
+            minLength: 1
+          }
+        },
+        required: ['taskId']
       },
-      handler: async (params, session) => {
+      handler: async (params, session, { signal } = {}) => {
         logger.debug(`Cancelling task: ${params.taskId}`);
         
         try {
-          // Validate parameters
-          if (!params.taskId) {
-            throw new Error('Task ID is required');
-          }
-          
           // In a real implementation, call Airtap API to cancel task
           // For now, simulate API call
           const result = await simulateTaskApi('cancelTask', {
             taskId: params.taskId
-          });
+          }, signal);
           
           // Update task status in session
           if (session && session.activeTasks && session.activeTasks.has(params.taskId)) {
@@ -323,112 +339,95 @@ function taskManagementTools(apiToken, logger) {
  * Simulate task API calls (for development/testing)
  * @param {string} action - Action to simulate
  * @param {object} params - Parameters for the action
+ * @param {AbortSignal} [signal] - Signal that aborts the call when the request is cancelled
  * @returns {Promise} - Promise that resolves to simulated response
  */
-async function simulateTaskApi(action, params) {
+async function simulateTaskApi(action, params, signal) {
   // Simulate network delay
-  await new Promise(resolve => setTimeout(resolve, 300));
+  await delay(300, signal);
   
   // Generate mock response based on action
   switch (action) {
-    case 'submitTask':
-      return {
-        taskId: params.taskId,
-        status: 'pending',
-        createdAt: new Date().toISOString()
-      };
+  case 'submitTask':
+    return {
+      taskId: params.taskId,
+      status: 'pending',
+      createdAt: new Date().toISOString()
+    };
       
-    case 'getTaskStatus': {
-      // Generate a random status
-      const statuses = ['pending', 'running', 'waiting_for_input', 'completed', 'failed'];
-      const statusIndex = Math.floor(Math.random() * statuses.length);
-      const status = statuses[statusIndex];
+  case 'getTaskStatus': {
+    // The task moves forward from the moment it is first read, so polls see it progress
+    const progress = getMockProgress(params.taskId);
+    const waitingForInput = progress.status === 'waiting_for_input';
       
-      // Generate a random number of steps
-      const totalSteps = Math.floor(Math.random() * 20) + 5;
-      const currentStep = Math.min(Math.floor(Math.random() * totalSteps) + 1, totalSteps);
-      
-      // Generate random steps
-      const steps = [];
-      for (let i = 1; i <= totalSteps; i++) {
-        const stepStatus = i < currentStep ? 'completed' : 
-                          i === currentStep ? (status === 'running' ? 'in_progress' : status) : 
-                          'pending';
-        
-        steps.push({
-          step: i,
-          action: `Step ${i} of the task`,
-          status: stepStatus,
-          timestamp: new Date(Date.now() - (totalSteps - i) * 10000).toISOString()
-        });
+    return {
+      taskId: params.taskId,
+      status: progress.status,
+      progress: {
+        currentStep: progress.currentStep,
+        totalSteps: progress.totalSteps
+      },
+      steps: progress.steps,
+      createdAt: progress.createdAt,
+      updatedAt: progress.updatedAt,
+      waitingForInput,
+      inputPrompt: waitingForInput ? 'Please provide instructions for the next step' : null
+    };
+  }
+
+  case 'listTasks': {
+    const count = Math.min(params.limit || 10, 20);
+    const tasks = [];
+
+    for (let i = 0; i < count; i++) {
+      const random = createRandom(`task-list:${(params.offset || 0) + i}`);
+      const taskId = random.uuid();
+      const progress = getMockProgress(taskId);
+      const status = params.status || progress.status;
+
+      if (params.status && params.status !== status) {
+        continue; // Skip if filtering by status
       }
-      
-      return {
-        taskId: params.taskId,
+
+      tasks.push({
+        taskId,
+        task: `Sample task ${i + 1}`,
         status,
         progress: {
-          currentStep,
-          totalSteps
+          currentStep: progress.currentStep,
+          totalSteps: progress.totalSteps
         },
-        steps,
-        createdAt: new Date(Date.now() - totalSteps * 10000).toISOString(),
-        updatedAt: new Date().toISOString(),
-        waitingForInput: status === 'waiting_for_input',
-        inputPrompt: status === 'waiting_for_input' ? 'Please provide instructions for the next step' : null
-      };
+        createdAt: progress.createdAt,
+        updatedAt: progress.updatedAt
+      });
     }
       
-    case 'listTasks': {
-      const count = Math.min(params.limit || 10, 20);
-      const tasks = [];
-      
-      for (let i = 0; i < count; i++) {
-        const statuses = ['pending', 'running', 'completed', 'failed', 'cancelled'];
-        const status = params.status || statuses[Math.floor(Math.random() * statuses.length)];
-        
-        if (params.status && params.status !== status) {
-          continue; // Skip if filtering by status
-        }
-        
-        tasks.push({
-          taskId: uuidv4(),
-          task: `Sample task ${i + 1}`,
-          status,
-          progress: {
-            currentStep: Math.floor(Math.random() * 10) + 1,
-            totalSteps: 10
-          },
-          createdAt: new Date(Date.now() - Math.random() * 86400000 * 7).toISOString(),
-          updatedAt: new Date(Date.now() - Math.random() * 3600000).toISOString()
-        });
-      }
-      
-      return {
-        tasks,
-        count: tasks.length,
-        totalCount: 100, // Mock total count
-        limit: params.limit || 10,
-        offset: params.offset || 0
-      };
-    }
+    return {
+      tasks,
+      count: tasks.length,
+      totalCount: 100, // Mock total count
+      limit: params.limit || 10,
+      offset: params.offset || 0
+    };
+  }
       
-    case 'provideHumanInput':
-      return {
-        taskId: params.taskId,
-        status: 'running',
-        inputReceived: true,
-        updatedAt: new Date().toISOString()
-      };
+  case 'provideHumanInput':
+    return {
+      taskId: params.taskId,
+      status: 'running',
+      inputReceived: true,
+      updatedAt: new Date().toISOString()
+    };
       
-    case 'cancelTask':
-      return {
-        taskId: params.taskId,
-        status: 'cancelled',
-        updatedAt: new Date().toISOString()
-      };
+  case 'cancelTask':
+    return {
+      taskId: params.taskId,
+      status: 'cancelled',
+      updatedAt: new Date().toISOString()
+    };
       
-    default:
-      throw new Error(`Unknown action: ${action}`);
+  default:
+    throw new Error(`Unknown action: ${action}`);
   }
 }
 
@@ -0,0 +1,195 @@
+/**
+ * Task Store
+ * Task data shared by the REST API and MCP resources
+ */
+
+const { createRandom } = require('../utils/random');
+
+/**
+ * Get tasks for the authenticated user
+ * @param {Object} params - Query parameters ({ status, limit, offset })
+ * @returns {Promise<Array>} - Array of tasks
+ */
+async function getTasks(params) {
+  // In a real implementation, fetch tasks from Airtap API
+  // For now, return mock data
+  return getMockTasks(params);
+}
+
+/**
+ * Get a task by ID
+ * @param {string} id - Task ID
+ * @returns {Promise<Object|null>} - Task or null if not found
+ */
+async function getTask(id) {
+  // In a real implementation, fetch task from Airtap API
+  // For now, return mock data
+  return getMockTask(id);
+}
+
+// Statuses a task can be in
+const TASK_STATUSES = [
+  'pending',
+  'running',
+  'waiting_for_input',
+  'completed',
+  'failed',
+  'cancelled'
+];
+
+// Statuses a mock task ends in
+const MOCK_OUTCOMES = ['completed', 'failed', 'cancelled'];
+
+// Most mock tasks whose start is remembered; the oldest are forgotten first
+const MAX_MOCK_TASKS = 1000;
+
+// Time each mock task was first read, by task ID
+const mockStarts = new Map();
+
+/**
+ * Generate mock task data for testing
+ * The same query always yields the same tasks, with the progress getTask reports for them.
+ * @param {Object} params - Query parameters
+ * @returns {Array} - Array of mock tasks
+ */
+function getMockTasks(params) {
+  const mockTasks = [];
+
+  const count = Math.min(params.limit, 20); // Max 20 tasks
+
+  for (let i = 0; i < count; i++) {
+    const position = (params.offset || 0) + i;
+    const random = createRandom(`task-list:${position}`);
+    const id = random.uuid();
+    const progress = getMockProgress(id);
+    const status = params.status || progress.status;
+
+    mockTasks.push({
+      id,
+      task: `Sample task ${position + 1}`,
+      status,
+      precisionMode: random.chance(0.5),
+      navigateToHome: random.chance(0.7),
+      maxSteps: random.int(30, 99),
+      currentStep: progress.currentStep,
+      // Created within the last week, updated within the last hour
+      createdAt: new Date(Date.now() - random.next() * 86400000 * 7).toISOString(),
+      updatedAt: new Date(Date.now() - random.next() * 3600000).toISOString()
+    });
+  }
+
+  return mockTasks;
+}
+
+/**
+ * Work out how far a mock task has come
+ * The course of a task follows from its ID: how many steps it has, how long they take,
+ * whether it stops to wait for input and how it ends. A task starts when it is first read and
+ * moves forward from there, so reads at the same time agree and later reads see progress.
+ * @param {string} id - Task ID
+ * @param {number} [now] - Time to report the progress at
+ * @returns {Object} - { status, currentStep, totalSteps, steps, createdAt, updatedAt }
+ */
+function getMockProgress(id, now = Date.now()) {
+  const random = createRandom(`task:${id}`);
+  const totalSteps = random.int(5, 24);
+  const stepDuration = random.int(2000, 5000);
+  const inputStep = random.chance(0.3) ? random.int(1, totalSteps) : null;
+  const outcome = random.pick(MOCK_OUTCOMES);
+  const lastStep = outcome === 'completed' ? totalSteps : random.int(1, totalSteps);
+  const createdAt = getMockStart(id, now);
+
+  // The task waits one step duration before it runs, and three for a step that needs input
+  let status = 'pending';
+  let currentStep = 0;
+  let updatedAt = createdAt;
+  let time = createdAt + stepDuration;
+  const stepStarts = [];
+
+  for (let step = 1; step <= lastStep && time <= now; step++) {
+    currentStep = step;
+    stepStarts.push(time);
+    updatedAt = time;
+    status = step === inputStep ? 'waiting_for_input' : 'running';
+    time += step === inputStep ? 3 * stepDuration : stepDuration;
+  }
+
+  if (currentStep === lastStep && time <= now) {
+    status = outcome;
+    updatedAt = time;
+  }
+
+  const steps = stepStarts.map((startedAt, index) => ({
+    step: index + 1,
+    action: `Step ${index + 1} of the task`,
+    status: index + 1 < currentStep ? 'completed' : getStepStatus(status),
+    timestamp: new Date(startedAt).toISOString()
+  }));
+
+  return {
+    status,
+    currentStep,
+    totalSteps,
+    steps,
+    createdAt: new Date(createdAt).toISOString(),
+    updatedAt: new Date(updatedAt).toISOString()
+  };
+}
+
+/**
+ * Get the status of the step a task is at
+ * @param {string} status - Task status
+ * @returns {string} - Step status
+ */
+function getStepStatus(status) {
+  return status === 'running' ? 'in_progress' : status;
+}
+
+/**
+ * Get the time a mock task started, which is when it was first read
+ * @param {string} id - Task ID
+ * @param {number} now - Time of the read
+ * @returns {number} - Start time in milliseconds
+ */
+function getMockStart(id, now) {
+  if (!mockStarts.has(id)) {
+    if (mockStarts.size >= MAX_MOCK_TASKS) {
+      mockStarts.delete(mockStarts.keys().next().value);
+    }
+
+    mockStarts.set(id, now);
+  }
+
+  return mockStarts.get(id);
+}
+
+/**
+ * Get mock task by ID
+ * @param {string} id - Task ID
+ * @returns {Object|null} - Mock task or null if not found
+ */
+function getMockTask(id) {
+  // In a real implementation, this would fetch from database or API
+  // For demo, always return a mock task with the given ID
+  const progress = getMockProgress(id);
+
+  return {
+    id,
+    task: 'Open Instagram, search for #travel, and save the first 5 posts',
+    status: progress.status,
+    precisionMode: true,
+    navigateToHome: true,
+    maxSteps: 50,
+    currentStep: progress.currentStep,
+    steps: progress.steps,
+    createdAt: progress.createdAt,
+    updatedAt: progress.updatedAt
+  };
+}
+
+module.exports = {
+  getTasks,
+  getTask,
+  getMockProgress,
+  TASK_STATUSES
+};
@@ -0,0 +1,127 @@
+/**
+ * Task Watcher
+ * Polls the status of a task and reports observable changes to a subscriber
+ */
+
+// Default time between two status polls
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+
+// Lower bound for client supplied poll intervals
+const MIN_POLL_INTERVAL_MS = 500;
+
+// Statuses after which a task no longer changes
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Watch a task and call onUpdate whenever its status, steps or input prompt change
+ * The first successful poll always produces an update with the current state.
+ * @param {string} taskId - ID of the task to watch
+ * @param {Function} fetchStatus - async (taskId, signal) => task status object
+ * @param {Function} onUpdate - (status, changes) => void, changes lists the changed fields
+ * @param {Object} [options] - Watch options
+ * @param {number} [options.interval] - Poll interval in milliseconds
+ * @param {Object} [options.logger] - Winston logger instance
+ * @returns {Object} - Watcher with refresh() and stop() methods
+ */
+function watchTask(taskId, fetchStatus, onUpdate, options = {}) {
+  const interval = Math.max(options.interval || DEFAULT_POLL_INTERVAL_MS, MIN_POLL_INTERVAL_MS);
+  const controller = new AbortController();
+
+  let lastSnapshot = null;
+  let timer = null;
+  let inFlight = null;
+  let stopped = false;
+
+  const poll = async () => {
+    clearTimeout(timer);
+
+    try {
+      const status = await fetchStatus(taskId, controller.signal);
+
+      if (stopped) {
+        return;
+      }
+
+      const snapshot = takeSnapshot(status);
+      const changes = diffSnapshots(lastSnapshot, snapshot);
+      lastSnapshot = snapshot;
+
+      if (changes.length > 0) {
+        onUpdate(status, changes);
+      }
+
+      // Nothing changes after a terminal status, so stop polling
+      if (TERMINAL_STATUSES.includes(status.status)) {
+        stopped = true;
+        return;
+      }
+    } catch (error) {
+      if (stopped) {
+        return;
+      }
+
+      if (options.logger) {
+        options.logger.warn(`Polling task ${taskId} failed: ${error.message}`);
+      }
+    }
+
+    timer = setTimeout(refresh, interval);
+  };
+
+  // Poll now, sharing the result with a poll that is already running
+  const refresh = () => {
+    if (stopped) {
+      return Promise.resolve();
+    }
+
+    if (!inFlight) {
+      inFlight = poll().finally(() => {
+        inFlight = null;
+      });
+    }
+
+    return inFlight;
+  };
+
+  const stop = () => {
+    stopped = true;
+    clearTimeout(timer);
+    controller.abort();
+  };
+
+  refresh();
+
+  return {
+    taskId,
+    refresh,
+    stop
+  };
+}
+
+/**
+ * Extract the fields subscribers are notified about
+ * @param {Object} status - Task status object
+ * @returns {Object} - Snapshot of the observable fields
+ */
+function takeSnapshot(status) {
+  return {
+    status: status.status,
+    steps: JSON.stringify(status.steps || []),
+    waitingForInput: JSON.stringify([Boolean(status.waitingForInput), status.inputPrompt || null])
+  };
+}
+
+/**
+ * List the fields that differ between two snapshots
+ * @param {Object|null} previous - Previous snapshot, null before the first poll
+ * @param {Object} current - Current snapshot
+ * @returns {Array<string>} - Names of the changed fields
+ */
+function diffSnapshots(previous, current) {
+  return Object.keys(current).filter(field => !previous || previous[field] !== current[field]);
+}
+
+module.exports = {
+  watchTask,
+  TERMINAL_STATUSES
+};
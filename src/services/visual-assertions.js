@@ -0,0 +1,214 @@
+/**
+ * Visual Assertion Services
+ * Compares the screen of a device against stored baseline images
+ */
+
+const { compareImages } = require('../utils/image-diff');
+const { regionSchema, withDeviceId } = require('../utils/schemas');
+const { transformScreenshot } = require('../utils/screenshots');
+const { createBaselineStore, resolutionOf, BASELINE_NAME_PATTERN } = require('./baseline-store');
+const { createDeviceDrivers } = require('../drivers');
+
+// Time limit for capturing and comparing a screenshot
+const COMPARISON_TIMEOUT_MS = 30000;
+
+// Parameters shared by both tools
+const COMPARISON_PROPERTIES = {
+  name: {
+    type: 'string',
+    description: 'Name of the baseline, such as login-screen',
+    pattern: BASELINE_NAME_PATTERN
+  },
+  threshold: {
+    type: 'number',
+    description: 'Colour difference from 0 to 1 below which two pixels count as equal',
+    minimum: 0,
+    maximum: 1,
+    default: 0.1
+  },
+  ignoreRegions: {
+    type: 'array',
+    description: 'Regions of the screen to leave out, such as the status bar clock',
+    items: regionSchema('Region to ignore, in screen pixels')
+  }
+};
+
+/**
+ * Creates and returns the visual assertion tools
+ * @param {object} logger - Winston logger instance
+ * @param {object} [drivers] - Device drivers screenshots are taken with
+ * @param {object} [options] - Tool options
+ * @param {string} [options.baselinesDir] - Directory baselines are kept in
+ * @returns {object} - Object containing registered tools
+ */
+function visualAssertionTools(logger, drivers = createDeviceDrivers(), options = {}) {
+  const baselines = createBaselineStore(options.baselinesDir);
+
+  /**
+   * Capture the screen of a device as PNG data
+   * @param {string} deviceId - Device ID
+   * @param {AbortSignal} [signal] - Signal of the current request
+   * @returns {Promise<object>} - { width, height, data } with data as a Buffer
+   */
+  async function capturePng(deviceId, signal) {
+    const captured = await drivers.forDevice(deviceId).screenshot(deviceId, { signal });
+    const screenshot = captured.format === 'png' ? captured : await transformScreenshot(captured);
+    return {
+      width: screenshot.width,
+      height: screenshot.height,
+      data: Buffer.from(screenshot.data, 'base64')
+    };
+  }
+
+  /**
+   * Compare a screenshot with a stored baseline
+   * @param {object} params - Tool parameters
+   * @param {object} screenshot - Screenshot from capturePng
+   * @param {Buffer} baseline - PNG data of the baseline
+   * @returns {Promise<object>} - Comparison fields of the tool result, with the diff image
+   */
+  async function compare(params, screenshot, baseline) {
+    const comparison = await compareImages(baseline, screenshot.data, {
+      threshold: params.threshold,
+      ignoreRegions: params.ignoreRegions
+    });
+
+    return {
+      mismatchedPixels: comparison.mismatchedPixels,
+      comparedPixels: comparison.comparedPixels,
+      mismatchPercentage: comparison.mismatchPercentage,
+      diff: {
+        format: 'png',
+        width: comparison.width,
+        height: comparison.height,
+        data: comparison.diff.toString('base64')
+      }
+    };
+  }
+
+  return {
+    // Report how the screen differs from a baseline
+    compareScreenshots: {
+      description: 'Compare the screen with a stored baseline image and return the difference '
+        + 'as a diff image and the percentage of pixels that changed',
+      timeout: COMPARISON_TIMEOUT_MS,
+      // Baselines are files of the server; the device is only read
+      annotations: {
+        readOnlyHint: true
+      },
+      inputSchema: withDeviceId({
+        type: 'object',
+        properties: COMPARISON_PROPERTIES,
+        required: ['name']
+      }),
+      handler: async (params, session, { signal } = {}) => {
+        logger.debug(`Executing compareScreenshots (baseline: ${params.name})`);
+
+        try {
+          const deviceId = params.deviceId || 'default';
+          const screenshot = await capturePng(deviceId, signal);
+          const resolution = resolutionOf(screenshot);
+          const baseline = await baselines.read(params.name, screenshot);
+
+          if (!baseline) {
+            const others = await baselines.resolutions(params.name);
+            throw new Error(`No baseline "${params.name}" for ${resolution}`
+              + (others.length > 0 ? ` (found for ${others.join(', ')})` : ''));
+          }
+
+          return {
+            success: true,
+            action: 'compareScreenshots',
+            name: params.name,
+            resolution,
+            ...await compare(params, screenshot, baseline)
+          };
+        } catch (error) {
+          logger.error(`Error executing compareScreenshots: ${error.message}`);
+          throw error;
+        }
+      }
+    },
+
+    // Check that the screen matches a baseline
+    assertScreenshot: {
+      description: 'Assert that the screen matches a stored baseline image. The first run for '
+        + 'a name and resolution stores the screen as the baseline.',
+      timeout: COMPARISON_TIMEOUT_MS,
+      // Not read-only: it stores baselines and replaces them with updateBaseline
+      inputSchema: withDeviceId({
+        type: 'object',
+        properties: {
+          ...COMPARISON_PROPERTIES,
+          maxMismatchPercentage: {
+            type: 'number',
+            description: 'Percentage of pixels that may differ for the assertion to pass',
+            minimum: 0,
+            maximum: 100,
+            default: 0
+          },
+          updateBaseline: {
+            type: 'boolean',
+            description: 'Store the screen as the new baseline instead of comparing',
+            default: false
+          }
+        },
+        required: ['name']
+      }),
+      handler: async (params, session, { signal } = {}) => {
+        logger.debug(`Executing assertScreenshot (baseline: ${params.name})`);
+
+        try {
+          const deviceId = params.deviceId || 'default';
+          const screenshot = await capturePng(deviceId, signal);
+          const resolution = resolutionOf(screenshot);
+          const baseline = params.updateBaseline
+            ? null
+            : await baselines.read(params.name, screenshot);
+
+          if (!baseline) {
+            await baselines.write(params.name, screenshot, screenshot.data);
+            logger.info(`Stored baseline ${params.name} for ${resolution}`);
+
+            return {
+              success: true,
+              action: 'assertScreenshot',
+              name: params.name,
+              resolution,
+              passed: true,
+              baselineStored: true
+            };
+          }
+
+          const comparison = await compare(params, screenshot, baseline);
+          const maxMismatchPercentage = params.maxMismatchPercentage || 0;
+          // Decided on pixel counts, as the reported percentage is rounded
+          const passed = comparison.mismatchedPixels
+            <= comparison.comparedPixels * maxMismatchPercentage / 100;
+          const result = {
+            success: passed,
+            action: 'assertScreenshot',
+            name: params.name,
+            resolution,
+            passed,
+            maxMismatchPercentage,
+            ...comparison
+          };
+
+          if (!passed) {
+            result.message = `Screen differs from baseline "${params.name}" in `
+              + `${comparison.mismatchedPixels} pixels (${comparison.mismatchPercentage}%, `
+              + `at most ${maxMismatchPercentage}% allowed)`;
+          }
+
+          return result;
+        } catch (error) {
+          logger.error(`Error executing assertScreenshot: ${error.message}`);
+          throw error;
+        }
+      }
+    }
+  };
+}
+
+module.exports = visualAssertionTools;
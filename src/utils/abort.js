@@ -0,0 +1,78 @@
+/**
+ * Abort Utilities
+ * Helpers for cooperative cancellation with AbortSignal
+ */
+
+const { CancelledError, TimeoutError } = require('./errors');
+
+/**
+ * Throw if the signal has been aborted
+ * @param {AbortSignal} [signal] - Signal of the current request
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new CancelledError();
+  }
+}
+
+/**
+ * Wait for the given time, rejecting early when the signal is aborted
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Signal of the current request
+ * @returns {Promise} - Promise that resolves after the delay
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(new CancelledError());
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new CancelledError());
+    };
+
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * Settle with a promise, or reject with a TimeoutError when it takes too long
+ * The promise itself is not stopped; onTimeout is called so the caller can abort it.
+ * @param {Promise} promise - Work to wait for
+ * @param {number} timeout - Time limit in milliseconds; 0 means no limit
+ * @param {string} tool - Name of the tool, used in the error message
+ * @param {Function} [onTimeout] - Called when the time limit is reached
+ * @returns {Promise} - Promise that settles with the work or the timeout
+ */
+function withTimeout(promise, timeout, tool, onTimeout = () => {}) {
+  if (!(timeout > 0)) {
+    return promise;
+  }
+
+  let timer;
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      // Settle first, so the abort below cannot turn the timeout into a cancellation
+      reject(new TimeoutError(tool, timeout));
+      onTimeout();
+    }, timeout);
+  });
+
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+  throwIfAborted,
+  delay,
+  withTimeout
+};
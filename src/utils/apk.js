@@ -0,0 +1,343 @@
+/**
+ * APK Files
+ * Reads the package name, version and launcher activity from the manifest of an APK
+ *
+ * An APK is a ZIP archive whose AndroidManifest.xml is compiled to Android's binary XML format.
+ */
+
+const zlib = require('zlib');
+const { ErrorCodes, McpError } = require('./errors');
+
+// ZIP record signatures
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// Longest comment a ZIP archive can end with
+const MAX_ZIP_COMMENT_BYTES = 0xffff;
+
+// Chunk types of binary XML
+const CHUNK_STRING_POOL = 0x0001;
+const CHUNK_XML = 0x0003;
+const CHUNK_START_ELEMENT = 0x0102;
+const CHUNK_END_ELEMENT = 0x0103;
+
+// String pool flag for UTF-8 strings; UTF-16 otherwise
+const UTF8_FLAG = 0x100;
+
+// Types of typed attribute values
+const TYPE_STRING = 0x03;
+const TYPE_INT_DEC = 0x10;
+const TYPE_INT_HEX = 0x11;
+const TYPE_INT_BOOLEAN = 0x12;
+
+// "No string" index in binary XML
+const NO_INDEX = 0xffffffff;
+
+/**
+ * Read the manifest of an APK
+ * @param {Buffer} apk - APK file
+ * @returns {Object} - { packageName, versionName, versionCode, minSdkVersion, targetSdkVersion,
+ *   label, launchActivity }; fields the manifest does not set are null. The label is null when
+ *   it is a resource reference.
+ * @throws {McpError} - INVALID_PARAMS if the file is not an APK
+ */
+function readApkManifest(apk) {
+  try {
+    const manifest = parseBinaryXml(readZipEntry(apk, 'AndroidManifest.xml'));
+    const usesSdk = childrenOf(manifest, 'uses-sdk')[0];
+    const application = childrenOf(manifest, 'application')[0];
+
+    if (manifest.tag !== 'manifest' || !manifest.attributes.package) {
+      throw new Error('the manifest has no package name');
+    }
+
+    return {
+      packageName: manifest.attributes.package,
+      versionName: valueOf(manifest, 'versionName'),
+      versionCode: valueOf(manifest, 'versionCode'),
+      minSdkVersion: valueOf(usesSdk, 'minSdkVersion'),
+      targetSdkVersion: valueOf(usesSdk, 'targetSdkVersion'),
+      label: valueOf(application, 'label'),
+      launchActivity: findLaunchActivity(manifest.attributes.package, application)
+    };
+  } catch (error) {
+    throw new McpError(ErrorCodes.INVALID_PARAMS, `Not a valid APK: ${error.message}`);
+  }
+}
+
+/**
+ * Get an attribute of an element
+ * @param {Object|undefined} element - Element, if present
+ * @param {string} name - Attribute name
+ * @returns {*} - Attribute value, or null
+ */
+function valueOf(element, name) {
+  return element && element.attributes[name] !== undefined ? element.attributes[name] : null;
+}
+
+/**
+ * Get the child elements with a tag
+ * @param {Object|undefined} element - Element, if present
+ * @param {string} tag - Tag name
+ * @returns {Array<Object>} - Matching children
+ */
+function childrenOf(element, tag) {
+  return element ? element.children.filter(child => child.tag === tag) : [];
+}
+
+/**
+ * Find the activity that the launcher starts
+ * @param {string} packageName - Package of the app, for activity names starting with a dot
+ * @param {Object|undefined} application - application element
+ * @returns {string|null} - Fully qualified activity name, or null if the app has none
+ */
+function findLaunchActivity(packageName, application) {
+  const activities = [
+    ...childrenOf(application, 'activity'),
+    ...childrenOf(application, 'activity-alias')
+  ];
+  const launcher = activities.find(activity => childrenOf(activity, 'intent-filter').some(
+    filter => childrenOf(filter, 'action')
+      .some(action => action.attributes.name === 'android.intent.action.MAIN')
+      && childrenOf(filter, 'category')
+        .some(category => category.attributes.name === 'android.intent.category.LAUNCHER')
+  ));
+
+  if (!launcher || typeof launcher.attributes.name !== 'string') {
+    return null;
+  }
+
+  const name = launcher.attributes.name;
+  return name.startsWith('.') ? `${packageName}${name}` : name;
+}
+
+/**
+ * Read a file from a ZIP archive
+ * @param {Buffer} zip - ZIP archive
+ * @param {string} fileName - Path of the file in the archive
+ * @returns {Buffer} - Uncompressed file
+ * @throws {Error} - If the archive is damaged or does not contain the file
+ */
+function readZipEntry(zip, fileName) {
+  const end = findEndOfCentralDirectory(zip);
+  const entryCount = zip.readUInt16LE(end + 10);
+  let offset = zip.readUInt32LE(end + 16);
+
+  for (let i = 0; i < entryCount; i++) {
+    if (zip.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('the ZIP directory is damaged');
+    }
+
+    const method = zip.readUInt16LE(offset + 10);
+    const compressedSize = zip.readUInt32LE(offset + 20);
+    const nameLength = zip.readUInt16LE(offset + 28);
+    const extraLength = zip.readUInt16LE(offset + 30);
+    const commentLength = zip.readUInt16LE(offset + 32);
+    const localHeader = zip.readUInt32LE(offset + 42);
+    const name = zip.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    if (name === fileName) {
+      if (zip.readUInt32LE(localHeader) !== LOCAL_FILE_HEADER) {
+        throw new Error(`the ZIP entry of ${fileName} is damaged`);
+      }
+
+      const start = localHeader + 30
+        + zip.readUInt16LE(localHeader + 26) + zip.readUInt16LE(localHeader + 28);
+      const data = zip.subarray(start, start + compressedSize);
+
+      if (method === 0) {
+        return data;
+      }
+      if (method === 8) {
+        return zlib.inflateRawSync(data);
+      }
+      throw new Error(`${fileName} uses unsupported ZIP compression ${method}`);
+    }
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  throw new Error(`it has no ${fileName}`);
+}
+
+/**
+ * Find the end of central directory record of a ZIP archive
+ * @param {Buffer} zip - ZIP archive
+ * @returns {number} - Offset of the record
+ * @throws {Error} - If the data is not a ZIP archive
+ */
+function findEndOfCentralDirectory(zip) {
+  const last = Math.max(0, zip.length - 22 - MAX_ZIP_COMMENT_BYTES);
+
+  for (let offset = zip.length - 22; offset >= last; offset--) {
+    if (zip.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+      return offset;
+    }
+  }
+
+  throw new Error('it is not a ZIP archive');
+}
+
+/**
+ * Parse an Android binary XML document
+ * @param {Buffer} xml - Binary XML
+ * @returns {Object} - Root element ({ tag, attributes, children })
+ * @throws {Error} - If the document is damaged
+ */
+function parseBinaryXml(xml) {
+  if (xml.length < 8 || xml.readUInt16LE(0) !== CHUNK_XML) {
+    throw new Error('the manifest is not binary XML');
+  }
+
+  const document = { tag: null, attributes: {}, children: [] };
+  const open = [document];
+  let strings = [];
+  let offset = xml.readUInt16LE(2);
+
+  while (offset + 8 <= xml.length) {
+    const type = xml.readUInt16LE(offset);
+    const size = xml.readUInt32LE(offset + 4);
+
+    if (size < 8 || offset + size > xml.length) {
+      throw new Error('the manifest is damaged');
+    }
+
+    if (type === CHUNK_STRING_POOL) {
+      strings = readStringPool(xml, offset);
+    } else if (type === CHUNK_START_ELEMENT) {
+      const element = readStartElement(xml, offset, strings);
+      open[open.length - 1].children.push(element);
+      open.push(element);
+    } else if (type === CHUNK_END_ELEMENT && open.length > 1) {
+      open.pop();
+    }
+
+    offset += size;
+  }
+
+  if (document.children.length === 0) {
+    throw new Error('the manifest has no elements');
+  }
+
+  return document.children[0];
+}
+
+/**
+ * Read the strings of a string pool chunk
+ * @param {Buffer} xml - Binary XML
+ * @param {number} chunk - Offset of the chunk
+ * @returns {Array<string>} - Strings
+ */
+function readStringPool(xml, chunk) {
+  const count = xml.readUInt32LE(chunk + 8);
+  const utf8 = (xml.readUInt32LE(chunk + 16) & UTF8_FLAG) !== 0;
+  const stringsStart = chunk + xml.readUInt32LE(chunk + 20);
+  const indexStart = chunk + xml.readUInt16LE(chunk + 2);
+  const strings = [];
+
+  for (let i = 0; i < count; i++) {
+    const start = stringsStart + xml.readUInt32LE(indexStart + i * 4);
+    strings.push(utf8 ? readUtf8String(xml, start) : readUtf16String(xml, start));
+  }
+
+  return strings;
+}
+
+/**
+ * Read a UTF-8 string of a string pool: its length in UTF-16 units, its length in bytes, then
+ * the bytes; lengths over 127 take two bytes
+ * @param {Buffer} xml - Binary XML
+ * @param {number} offset - Offset of the string
+ * @returns {string} - String
+ */
+function readUtf8String(xml, offset) {
+  const skip = xml[offset] & 0x80 ? 2 : 1;
+  let position = offset + skip;
+  let length = xml[position];
+
+  if (length & 0x80) {
+    length = ((length & 0x7f) << 8) | xml[position + 1];
+    position += 2;
+  } else {
+    position += 1;
+  }
+
+  return xml.toString('utf8', position, position + length);
+}
+
+/**
+ * Read a UTF-16 string of a string pool: its length in units, then the units; lengths over
+ * 32767 take two units
+ * @param {Buffer} xml - Binary XML
+ * @param {number} offset - Offset of the string
+ * @returns {string} - String
+ */
+function readUtf16String(xml, offset) {
+  let length = xml.readUInt16LE(offset);
+  let position = offset + 2;
+
+  if (length & 0x8000) {
+    length = ((length & 0x7fff) << 16) | xml.readUInt16LE(position);
+    position += 2;
+  }
+
+  return xml.toString('utf16le', position, position + length * 2);
+}
+
+/**
+ * Read a start element chunk
+ * @param {Buffer} xml - Binary XML
+ * @param {number} chunk - Offset of the chunk
+ * @param {Array<string>} strings - String pool
+ * @returns {Object} - Element ({ tag, attributes, children }) without children yet
+ */
+function readStartElement(xml, chunk, strings) {
+  const body = chunk + xml.readUInt16LE(chunk + 2);
+  const attributeStart = xml.readUInt16LE(body + 8);
+  const attributeSize = xml.readUInt16LE(body + 10);
+  const attributeCount = xml.readUInt16LE(body + 12);
+  const attributes = {};
+
+  for (let i = 0; i < attributeCount; i++) {
+    const attribute = body + attributeStart + i * attributeSize;
+    const name = strings[xml.readUInt32LE(attribute + 4)];
+
+    if (name) {
+      attributes[name] = readAttributeValue(xml, attribute, strings);
+    }
+  }
+
+  return { tag: strings[xml.readUInt32LE(body + 4)], attributes, children: [] };
+}
+
+/**
+ * Read the value of an attribute
+ * References to resources, such as a label from strings.xml, cannot be resolved without the
+ * resource table and are left out.
+ * @param {Buffer} xml - Binary XML
+ * @param {number} attribute - Offset of the attribute
+ * @param {Array<string>} strings - String pool
+ * @returns {string|number|boolean|undefined} - Value, or undefined if it is not a plain value
+ */
+function readAttributeValue(xml, attribute, strings) {
+  const rawValue = xml.readUInt32LE(attribute + 8);
+  const dataType = xml[attribute + 15];
+  const data = xml.readUInt32LE(attribute + 16);
+
+  switch (dataType) {
+  case TYPE_STRING:
+    return strings[data];
+  case TYPE_INT_DEC:
+  case TYPE_INT_HEX:
+    return data | 0;
+  case TYPE_INT_BOOLEAN:
+    return data !== 0;
+  default:
+    return rawValue !== NO_INDEX ? strings[rawValue] : undefined;
+  }
+}
+
+module.exports = {
+  readApkManifest
+};
@@ -8,17 +8,23 @@ const axios = require('axios');
 // Airtap API base URL
 const AIRTAP_API_BASE = 'https://api.airtap.ai';
 
+// Prefix of the WebSocket subprotocol that carries a token, for clients that cannot set headers
+const TOKEN_PROTOCOL_PREFIX = 'bearer.';
+
 /**
  * Validates an API token against the Airtap API
  * @param {string} apiToken - API token to validate
+ * @param {Object} [options] - Validation options
+ * @param {AbortSignal} [options.signal] - Signal that aborts the validation request
  * @returns {Promise} - Promise that resolves if token is valid, rejects if invalid
  */
-async function validateApiToken(apiToken) {
+async function validateApiToken(apiToken, { signal } = {}) {
   try {
     const response = await axios.get(`${AIRTAP_API_BASE}/auth/validate`, {
       headers: {
         'Authorization': `Bearer ${apiToken}`
-      }
+      },
+      signal
     });
     
     if (response.status === 200 && response.data.valid) {
@@ -35,6 +41,29 @@ async function validateApiToken(apiToken) {
   }
 }
 
+/**
+ * Extract the API token from a WebSocket upgrade request
+ * Looks at the Authorization header, then a `bearer.<token>` Sec-WebSocket-Protocol entry,
+ * then the `token` query parameter.
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @returns {string|null} - API token, or null if the request carries none
+ */
+function getRequestToken(req) {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.split(' ')[1] || null;
+  }
+
+  const protocols = (req.headers['sec-websocket-protocol'] || '').split(',').map(p => p.trim());
+  const tokenProtocol = protocols.find(protocol => protocol.startsWith(TOKEN_PROTOCOL_PREFIX));
+  if (tokenProtocol) {
+    return tokenProtocol.slice(TOKEN_PROTOCOL_PREFIX.length) || null;
+  }
+
+  const url = new URL(req.url || '/', 'http://localhost');
+  return url.searchParams.get('token') || null;
+}
+
 /**
  * Express middleware to verify token in requests
  * @param {object} req - Express request object
@@ -56,8 +85,16 @@ function verifyTokenMiddleware(req, res, next) {
   
   const token = authHeader.split(' ')[1];
   
+  // Stop validating if the client goes away before we answer
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
   // Validate token (in a real implementation, you might want to cache this)
-  validateApiToken(token)
+  validateApiToken(token, { signal: controller.signal })
     .then(() => {
       // Store token in request for later use
       req.apiToken = token;
@@ -70,5 +107,7 @@ function verifyTokenMiddleware(req, res, next) {
 
 module.exports = {
   validateApiToken,
-  verifyTokenMiddleware
+  verifyTokenMiddleware,
+  getRequestToken,
+  TOKEN_PROTOCOL_PREFIX
 };
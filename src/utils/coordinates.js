@@ -0,0 +1,162 @@
+/**
+ * Screen Coordinates
+ * Converts normalized, percentage and reference-resolution coordinates to screen pixels
+ */
+
+const { ErrorCodes, McpError } = require('./errors');
+
+// Percentage of the screen size, such as "50%" or "12.5%"
+const PERCENTAGE_PATTERN = '^\\d+(\\.\\d+)?%$';
+
+// Resolution as written in the device registry, such as 1080x2340
+const RESOLUTION_PATTERN = '^[1-9]\\d*x[1-9]\\d*$';
+
+// Parameters that say how the coordinates of a gesture tool are to be read
+const COORDINATE_SPACE_PROPERTIES = {
+  units: {
+    type: 'string',
+    description: 'pixels for screen pixels, normalized for fractions of the screen from 0 to 1. '
+      + 'Percentage strings such as "50%" can be used with either.',
+    enum: ['pixels', 'normalized'],
+    default: 'pixels'
+  },
+  referenceResolution: {
+    type: 'string',
+    description: 'Resolution the pixel coordinates were taken on, such as 1080x2340; they are '
+      + 'scaled to the resolution of the device',
+    pattern: RESOLUTION_PATTERN
+  }
+};
+
+/**
+ * Parse a resolution such as 1080x2340
+ * @param {string} resolution - Resolution
+ * @returns {Object|null} - { width, height }, or null if it is not a resolution
+ */
+function parseResolution(resolution) {
+  if (!new RegExp(RESOLUTION_PATTERN).test(resolution || '')) {
+    return null;
+  }
+
+  const [width, height] = resolution.split('x').map(Number);
+  return { width, height };
+}
+
+/**
+ * Check whether a point needs the screen size to be converted
+ * @param {Array<number|string>} point - [x, y]
+ * @param {Object} space - { units, referenceResolution }
+ * @returns {boolean} - Whether the point is anything but plain screen pixels
+ */
+function isRelativePoint(point, space) {
+  return space.units === 'normalized'
+    || Boolean(space.referenceResolution)
+    || point.some(value => typeof value === 'string');
+}
+
+/**
+ * Convert a point to screen pixels and check that it lies on the screen
+ * Plain screen pixels are returned as given; converted points are rounded to whole pixels.
+ * @param {Array<number|string>} point - [x, y] in pixels, fractions or percentage strings
+ * @param {Object} space - { units, referenceResolution } from the tool parameters
+ * @param {Object|null} screen - Screen size ({ width, height }), or null if unknown
+ * @param {string} [name='coordinates'] - Parameter the point came from, for errors
+ * @returns {Array<number>} - [x, y] in screen pixels
+ * @throws {McpError} - INVALID_PARAMS if the point is off screen or cannot be converted
+ */
+function toScreenPoint(point, space, screen, name = 'coordinates') {
+  if (!screen) {
+    if (isRelativePoint(point, space)) {
+      throw unknownScreenError(name);
+    }
+    return point;
+  }
+
+  const reference = parseResolution(space.referenceResolution) || screen;
+  const sizes = [screen.width, screen.height];
+  const references = [reference.width, reference.height];
+
+  const converted = point.map((value, axis) => {
+    if (typeof value === 'string') {
+      return fractionToPixel(parseFloat(value) / 100, sizes[axis]);
+    }
+    if (space.units === 'normalized') {
+      return fractionToPixel(value, sizes[axis]);
+    }
+    return space.referenceResolution
+      ? Math.round(value * sizes[axis] / references[axis])
+      : value;
+  });
+
+  if (converted.some((value, axis) => value < 0 || value >= sizes[axis])) {
+    const size = `${screen.width}x${screen.height}`;
+    throw new McpError(
+      ErrorCodes.INVALID_PARAMS,
+      `Point [${point.join(', ')}] of ${name} is outside the ${size} screen`,
+      { errors: [{ field: name, message: 'must be on the screen', keyword: 'screen' }] }
+    );
+  }
+
+  return converted;
+}
+
+/**
+ * Convert a distance, such as the spread of a pinch, to screen pixels
+ * Percentages and normalized distances are fractions of the screen width.
+ * @param {number|string} distance - Distance in pixels, as a fraction or a percentage string
+ * @param {Object} space - { units, referenceResolution } from the tool parameters
+ * @param {Object|null} screen - Screen size ({ width, height }), or null if unknown
+ * @param {string} name - Parameter the distance came from, for errors
+ * @returns {number} - Distance in screen pixels
+ * @throws {McpError} - INVALID_PARAMS if the distance cannot be converted
+ */
+function toScreenDistance(distance, space, screen, name) {
+  if (!isRelativePoint([distance], space)) {
+    return distance;
+  }
+  if (!screen) {
+    throw unknownScreenError(name);
+  }
+
+  if (typeof distance === 'string') {
+    return Math.round(parseFloat(distance) / 100 * screen.width);
+  }
+  if (space.units === 'normalized') {
+    return Math.round(distance * screen.width);
+  }
+
+  const reference = parseResolution(space.referenceResolution);
+  return Math.round(distance * screen.width / reference.width);
+}
+
+/**
+ * Create the error for relative coordinates on a device of unknown resolution
+ * @param {string} name - Parameter that could not be converted
+ * @returns {McpError} - INVALID_PARAMS error
+ */
+function unknownScreenError(name) {
+  return new McpError(
+    ErrorCodes.INVALID_PARAMS,
+    `Cannot convert ${name}: the resolution of the device is unknown, use screen pixels`
+  );
+}
+
+/**
+ * Convert a fraction of the screen size to a pixel
+ * Fractions up to 1 stay on the screen, so 100% is the last pixel.
+ * @param {number} fraction - Fraction of the screen size
+ * @param {number} size - Screen size along the axis
+ * @returns {number} - Pixel
+ */
+function fractionToPixel(fraction, size) {
+  const pixel = Math.round(fraction * size);
+  return fraction <= 1 ? Math.min(pixel, size - 1) : pixel;
+}
+
+module.exports = {
+  parseResolution,
+  toScreenDistance,
+  toScreenPoint,
+  COORDINATE_SPACE_PROPERTIES,
+  PERCENTAGE_PATTERN
+};
@@ -0,0 +1,118 @@
+/**
+ * Error Utilities
+ * Error types and JSON-RPC error codes shared by the MCP protocol handlers
+ */
+
+// Standard JSON-RPC 2.0 error codes
+const ErrorCodes = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  // Implementation-defined server errors (-32000 to -32099)
+  SERVER_BUSY: -32001,
+  SERVER_NOT_INITIALIZED: -32002,
+  POLICY_DENIED: -32003,
+  CONFIRMATION_REQUIRED: -32004
+};
+
+/**
+ * Error carrying a JSON-RPC error code and optional structured data
+ */
+class McpError extends Error {
+  /**
+   * @param {number} code - JSON-RPC error code
+   * @param {string} message - Human readable error message
+   * @param {*} [data] - Additional error information sent to the client
+   */
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'McpError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/**
+ * Error raised when a request is aborted before it completes
+ * No response is sent to the client for a cancelled request.
+ */
+class CancelledError extends Error {
+  /**
+   * @param {string} [message] - Human readable error message
+   */
+  constructor(message = 'Request cancelled') {
+    super(message);
+    this.name = 'CancelledError';
+  }
+}
+
+/**
+ * Error raised when a request is over the concurrency limit of its session or device
+ */
+class BusyError extends McpError {
+  /**
+   * @param {string} message - Human readable error message
+   * @param {Object} [data] - Limit that was reached ({ scope, limit, deviceId })
+   */
+  constructor(message, data) {
+    super(ErrorCodes.SERVER_BUSY, message, data);
+    this.name = 'BusyError';
+  }
+}
+
+/**
+ * Error raised when the server policy does not allow a tool call
+ */
+class PolicyError extends McpError {
+  /**
+   * @param {string} message - Human readable error message
+   * @param {Object} [data] - Why the call was refused ({ reason, tool, packageName })
+   */
+  constructor(message, data) {
+    super(ErrorCodes.POLICY_DENIED, message, data);
+    this.name = 'PolicyError';
+  }
+}
+
+/**
+ * Error raised when a tool call must be confirmed before it runs
+ * The client confirms by repeating the call with the confirmation token.
+ */
+class ConfirmationRequiredError extends McpError {
+  /**
+   * @param {string} message - Human readable error message
+   * @param {Object} data - Confirmation to send back ({ tool, confirmationToken, expiresAt })
+   */
+  constructor(message, data) {
+    super(ErrorCodes.CONFIRMATION_REQUIRED, message, data);
+    this.name = 'ConfirmationRequiredError';
+  }
+}
+
+/**
+ * Error raised when a tool does not finish within its time limit
+ */
+class TimeoutError extends Error {
+  /**
+   * @param {string} tool - Name of the tool that timed out
+   * @param {number} timeout - Time limit in milliseconds
+   */
+  constructor(tool, timeout) {
+    super(`Tool ${tool} timed out after ${timeout}ms`);
+    this.name = 'TimeoutError';
+    this.tool = tool;
+    this.timeout = timeout;
+  }
+}
+
+module.exports = {
+  ErrorCodes,
+  McpError,
+  CancelledError,
+  BusyError,
+  PolicyError,
+  ConfirmationRequiredError,
+  TimeoutError
+};
@@ -0,0 +1,171 @@
+/**
+ * Gestures
+ * Builds the pointer paths drivers perform for taps, drags, pinches and rotations
+ *
+ * A gesture is a list of pointers. Each pointer goes down at the first point of its path,
+ * moves through the other points and goes up at the last one. Every point has a time in
+ * milliseconds from the start of the gesture.
+ */
+
+// How long a finger rests on the screen for a tap
+const TAP_DURATION_MS = 50;
+
+// Pointers that rest at least this long are long presses rather than taps
+const LONG_PRESS_MS = 500;
+
+// Points per pointer for moves that are interpolated, such as pinches and rotations
+const MOVE_STEPS = 10;
+
+/**
+ * Build a tap
+ * @param {Array<number>} point - [x, y] in screen pixels
+ * @param {number} [time=0] - When the finger goes down
+ * @returns {Object} - Pointer
+ */
+function tapPointer([x, y], time = 0) {
+  return { path: [{ x, y, time }, { x, y, time: time + TAP_DURATION_MS }] };
+}
+
+/**
+ * Build a double tap
+ * @param {Array<number>} point - [x, y] in screen pixels
+ * @param {number} interval - Milliseconds between the two taps
+ * @returns {Array<Object>} - Pointers
+ */
+function doubleTapGesture(point, interval) {
+  return [tapPointer(point), tapPointer(point, interval)];
+}
+
+/**
+ * Build a drag: press and hold, move, then release
+ * @param {Array<number>} start - [x, y] the item is picked up at
+ * @param {Array<number>} end - [x, y] the item is dropped at
+ * @param {Object} timing - { holdDuration, duration } in milliseconds
+ * @returns {Array<Object>} - Pointers
+ */
+function dragGesture(start, end, { holdDuration, duration }) {
+  const [x, y] = start;
+
+  return [{
+    path: [{ x, y, time: 0 }, ...linePath(start, end, holdDuration, duration)]
+  }];
+}
+
+/**
+ * Build a pinch of two fingers moving apart (zoom in) or together (zoom out)
+ * @param {Array<number>} center - [x, y] between the fingers
+ * @param {Object} options - { startDistance, endDistance, angle, duration }; distances are
+ *   in screen pixels and the angle in degrees, 0 being horizontal
+ * @returns {Array<Object>} - Pointers
+ */
+function pinchGesture(center, { startDistance, endDistance, angle, duration }) {
+  const radians = angle * Math.PI / 180;
+
+  return [0, Math.PI].map((side) => {
+    const toPoint = distance => pointOnCircle(center, distance / 2, radians + side);
+    return { path: linePath(toPoint(startDistance), toPoint(endDistance), 0, duration) };
+  });
+}
+
+/**
+ * Build a rotation of two fingers on opposite sides of a circle
+ * @param {Array<number>} center - [x, y] of the circle
+ * @param {Object} options - { radius, startAngle, degrees, duration }; positive degrees turn
+ *   clockwise on the screen
+ * @returns {Array<Object>} - Pointers
+ */
+function rotateGesture(center, { radius, startAngle, degrees, duration }) {
+  return [0, 180].map(side => ({
+    path: steps(0, duration).map(({ fraction, time }) => {
+      const radians = (startAngle + side + degrees * fraction) * Math.PI / 180;
+      const [x, y] = pointOnCircle(center, radius, radians);
+      return { x, y, time };
+    })
+  }));
+}
+
+/**
+ * Get how long a gesture takes
+ * @param {Array<Object>} pointers - Pointers
+ * @returns {number} - Milliseconds until the last pointer goes up
+ */
+function gestureDuration(pointers) {
+  return Math.max(0, ...pointers.map(pointer => pointer.path[pointer.path.length - 1].time));
+}
+
+/**
+ * Check whether a pointer is a tap: it does not move and goes up before a long press
+ * @param {Object} pointer - Pointer
+ * @returns {boolean} - Whether the pointer is a tap
+ */
+function isTap(pointer) {
+  const [first, ...rest] = pointer.path;
+  const last = pointer.path[pointer.path.length - 1];
+
+  return rest.every(point => point.x === first.x && point.y === first.y)
+    && last.time - first.time < LONG_PRESS_MS;
+}
+
+/**
+ * Check whether any two pointers of a gesture are down at the same time
+ * @param {Array<Object>} pointers - Pointers
+ * @returns {boolean} - Whether the gesture is multi-touch
+ */
+function isMultiTouch(pointers) {
+  const spans = pointers
+    .map(pointer => [pointer.path[0].time, pointer.path[pointer.path.length - 1].time])
+    .sort((a, b) => a[0] - b[0]);
+
+  return spans.some(([start], index) => index > 0 && start <= spans[index - 1][1]);
+}
+
+/**
+ * Interpolate a straight move
+ * @param {Array<number>} from - [x, y] at the start
+ * @param {Array<number>} to - [x, y] at the end
+ * @param {number} startTime - When the move starts
+ * @param {number} duration - How long the move takes
+ * @returns {Array<Object>} - Points from start to end
+ */
+function linePath([x1, y1], [x2, y2], startTime, duration) {
+  return steps(startTime, duration).map(({ fraction, time }) => ({
+    x: Math.round(x1 + (x2 - x1) * fraction),
+    y: Math.round(y1 + (y2 - y1) * fraction),
+    time
+  }));
+}
+
+/**
+ * Split a move into evenly timed steps
+ * @param {number} startTime - When the move starts
+ * @param {number} duration - How long the move takes
+ * @returns {Array<Object>} - { fraction, time } for MOVE_STEPS + 1 points
+ */
+function steps(startTime, duration) {
+  return Array.from({ length: MOVE_STEPS + 1 }, (unused, index) => ({
+    fraction: index / MOVE_STEPS,
+    time: Math.round(startTime + duration * index / MOVE_STEPS)
+  }));
+}
+
+/**
+ * Get a point on a circle
+ * @param {Array<number>} center - [x, y] of the circle
+ * @param {number} radius - Radius in pixels
+ * @param {number} radians - Angle, 0 pointing right and growing clockwise on the screen
+ * @returns {Array<number>} - [x, y] rounded to whole pixels
+ */
+function pointOnCircle([x, y], radius, radians) {
+  return [Math.round(x + radius * Math.cos(radians)), Math.round(y + radius * Math.sin(radians))];
+}
+
+module.exports = {
+  doubleTapGesture,
+  dragGesture,
+  gestureDuration,
+  isMultiTouch,
+  isTap,
+  pinchGesture,
+  rotateGesture,
+  tapPointer
+};
@@ -0,0 +1,119 @@
+/**
+ * Image Comparison
+ * Compares screenshots pixel by pixel and renders what changed
+ */
+
+const pixelmatch = require('pixelmatch');
+const sharp = require('sharp');
+
+// Colour ignored regions are tinted with in the diff image
+const IGNORED_COLOR = [66, 133, 244];
+
+/**
+ * Compare a screenshot with its baseline
+ * Pixels inside ignored regions always match, and are tinted blue in the diff image.
+ * @param {Buffer} expected - Image data of the baseline, in any format sharp reads
+ * @param {Buffer} actual - Image data of the screenshot
+ * @param {Object} [options] - Comparison options
+ * @param {number} [options.threshold=0.1] - Colour distance from 0 to 1 below which two
+ *   pixels count as equal
+ * @param {Array<Object>} [options.ignoreRegions] - Rectangles ({ x, y, width, height }) to skip
+ * @returns {Promise<Object>} - { width, height, mismatchedPixels, comparedPixels,
+ *   mismatchPercentage, diff } where diff is PNG data
+ * @throws {Error} - If the images differ in size
+ */
+async function compareImages(expected, actual, options = {}) {
+  const { threshold = 0.1, ignoreRegions = [] } = options;
+  const [baseline, screenshot] = await Promise.all([decodePixels(expected), decodePixels(actual)]);
+  const { width, height } = baseline;
+
+  if (screenshot.width !== width || screenshot.height !== height) {
+    const size = `${screenshot.width}x${screenshot.height}`;
+    throw new Error(`Screenshot is ${size} but the baseline is ${width}x${height}`);
+  }
+
+  // Copying the baseline into ignored pixels makes them match whatever they show
+  const ignored = createIgnoreMask(ignoreRegions, width, height);
+  forEachIgnored(ignored, (offset) => {
+    baseline.data.copy(screenshot.data, offset, offset, offset + 4);
+  });
+
+  const diff = Buffer.alloc(width * height * 4);
+  const mismatchedPixels = pixelmatch(
+    baseline.data, screenshot.data, diff, width, height, { threshold }
+  );
+
+  let ignoredPixels = 0;
+  forEachIgnored(ignored, (offset) => {
+    ignoredPixels++;
+    IGNORED_COLOR.forEach((value, channel) => {
+      diff[offset + channel] = Math.round((diff[offset + channel] + value) / 2);
+    });
+  });
+
+  const comparedPixels = width * height - ignoredPixels;
+
+  return {
+    width,
+    height,
+    mismatchedPixels,
+    comparedPixels,
+    mismatchPercentage: comparedPixels === 0
+      ? 0
+      : Math.round(mismatchedPixels / comparedPixels * 10000) / 100,
+    diff: await sharp(diff, { raw: { width, height, channels: 4 } }).png().toBuffer()
+  };
+}
+
+/**
+ * Decode an image into RGBA pixels
+ * @param {Buffer} data - Image data
+ * @returns {Promise<Object>} - { width, height, data } with 4 bytes per pixel
+ */
+async function decodePixels(data) {
+  const { data: pixels, info } = await sharp(data)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return { width: info.width, height: info.height, data: pixels };
+}
+
+/**
+ * Mark the pixels covered by the ignored regions
+ * @param {Array<Object>} regions - Rectangles ({ x, y, width, height }); parts outside the
+ *   image are left out
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Uint8Array} - 1 for every ignored pixel, row by row
+ */
+function createIgnoreMask(regions, width, height) {
+  const mask = new Uint8Array(width * height);
+
+  regions.forEach((region) => {
+    const left = Math.min(region.x, width);
+    const right = Math.min(region.x + region.width, width);
+    const bottom = Math.min(region.y + region.height, height);
+
+    for (let y = region.y; y < bottom; y++) {
+      mask.fill(1, y * width + left, y * width + right);
+    }
+  });
+
+  return mask;
+}
+
+/**
+ * Call a function with the byte offset of every ignored RGBA pixel
+ * @param {Uint8Array} mask - Ignore mask from createIgnoreMask
+ * @param {Function} callback - Called with the offset of each pixel
+ */
+function forEachIgnored(mask, callback) {
+  for (let pixel = mask.indexOf(1); pixel !== -1; pixel = mask.indexOf(1, pixel + 1)) {
+    callback(pixel * 4);
+  }
+}
+
+module.exports = {
+  compareImages
+};
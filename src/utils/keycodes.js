@@ -0,0 +1,158 @@
+/**
+ * Android Keycodes
+ * Names and numbers of Android key events, and the modifier keys that can be held with them
+ */
+
+const { ErrorCodes, McpError } = require('./errors');
+
+// Keycodes of android.view.KeyEvent, by name without the KEYCODE_ prefix
+const KEYCODES = {
+  SOFT_LEFT: 1,
+  SOFT_RIGHT: 2,
+  HOME: 3,
+  BACK: 4,
+  CALL: 5,
+  ENDCALL: 6,
+  ...namedRange(['0', '1', '2', '3', '4', '5', '6', '7', '8', '9'], 7),
+  STAR: 17,
+  POUND: 18,
+  DPAD_UP: 19,
+  DPAD_DOWN: 20,
+  DPAD_LEFT: 21,
+  DPAD_RIGHT: 22,
+  DPAD_CENTER: 23,
+  VOLUME_UP: 24,
+  VOLUME_DOWN: 25,
+  POWER: 26,
+  CAMERA: 27,
+  CLEAR: 28,
+  ...namedRange('ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split(''), 29),
+  COMMA: 55,
+  PERIOD: 56,
+  ALT_LEFT: 57,
+  ALT_RIGHT: 58,
+  SHIFT_LEFT: 59,
+  SHIFT_RIGHT: 60,
+  TAB: 61,
+  SPACE: 62,
+  SYM: 63,
+  EXPLORER: 64,
+  ENVELOPE: 65,
+  ENTER: 66,
+  DEL: 67,
+  GRAVE: 68,
+  MINUS: 69,
+  EQUALS: 70,
+  LEFT_BRACKET: 71,
+  RIGHT_BRACKET: 72,
+  BACKSLASH: 73,
+  SEMICOLON: 74,
+  APOSTROPHE: 75,
+  SLASH: 76,
+  AT: 77,
+  HEADSETHOOK: 79,
+  FOCUS: 80,
+  PLUS: 81,
+  MENU: 82,
+  NOTIFICATION: 83,
+  SEARCH: 84,
+  MEDIA_PLAY_PAUSE: 85,
+  MEDIA_STOP: 86,
+  MEDIA_NEXT: 87,
+  MEDIA_PREVIOUS: 88,
+  MEDIA_REWIND: 89,
+  MEDIA_FAST_FORWARD: 90,
+  MUTE: 91,
+  PAGE_UP: 92,
+  PAGE_DOWN: 93,
+  ESCAPE: 111,
+  FORWARD_DEL: 112,
+  CTRL_LEFT: 113,
+  CTRL_RIGHT: 114,
+  CAPS_LOCK: 115,
+  META_LEFT: 117,
+  META_RIGHT: 118,
+  MOVE_HOME: 122,
+  MOVE_END: 123,
+  INSERT: 124,
+  MEDIA_PLAY: 126,
+  MEDIA_PAUSE: 127,
+  VOLUME_MUTE: 164,
+  SETTINGS: 176,
+  APP_SWITCH: 187,
+  ASSIST: 219,
+  BRIGHTNESS_DOWN: 220,
+  BRIGHTNESS_UP: 221,
+  SLEEP: 223,
+  WAKEUP: 224,
+  CUT: 277,
+  COPY: 278,
+  PASTE: 279,
+  ALL_APPS: 284
+};
+
+// Key names by keycode
+const KEY_NAMES = new Map(Object.entries(KEYCODES).map(([name, code]) => [code, name]));
+
+// Key names as accepted by tools, with or without the KEYCODE_ prefix and in any case
+const KEY_NAME_PATTERN = '^[A-Za-z0-9_]+$';
+
+// Modifiers that can be held while pressing a key, with their KeyEvent meta state flag and
+// the key that holds them
+const MODIFIERS = {
+  SHIFT: { metaState: 0x1, key: 'SHIFT_LEFT' },
+  ALT: { metaState: 0x2, key: 'ALT_LEFT' },
+  CTRL: { metaState: 0x1000, key: 'CTRL_LEFT' },
+  META: { metaState: 0x10000, key: 'META_LEFT' }
+};
+
+/**
+ * Number consecutive key names, such as the digit and letter keys
+ * @param {Array<string>} names - Key names in keycode order
+ * @param {number} first - Keycode of the first name
+ * @returns {Object} - Keycodes by name
+ */
+function namedRange(names, first) {
+  return Object.fromEntries(names.map((name, index) => [name, first + index]));
+}
+
+/**
+ * Resolve a key given by name or keycode
+ * @param {string|number} key - Name such as ENTER or KEYCODE_ENTER, or a keycode such as 66
+ * @returns {Object} - { name, code }; name is null for keycodes without a known name
+ * @throws {McpError} - INVALID_PARAMS if the name is unknown
+ */
+function resolveKey(key) {
+  if (typeof key === 'number') {
+    return { name: KEY_NAMES.get(key) || null, code: key };
+  }
+
+  const name = key.toUpperCase().replace(/^KEYCODE_/, '');
+
+  if (!Object.prototype.hasOwnProperty.call(KEYCODES, name)) {
+    throw new McpError(
+      ErrorCodes.INVALID_PARAMS,
+      `Unknown key "${key}"; use an Android key name such as ENTER or a numeric keycode`,
+      { errors: [{ field: 'key', message: 'must be a known key name', keyword: 'keycode' }] }
+    );
+  }
+
+  return { name, code: KEYCODES[name] };
+}
+
+/**
+ * Combine modifiers into a KeyEvent meta state
+ * @param {Array<string>} modifiers - Modifier names such as CTRL
+ * @returns {number} - Meta state flags
+ */
+function metaStateOf(modifiers) {
+  return modifiers.reduce((state, modifier) => state | MODIFIERS[modifier].metaState, 0);
+}
+
+module.exports = {
+  metaStateOf,
+  resolveKey,
+  KEYCODES,
+  KEY_NAME_PATTERN,
+  MODIFIERS
+};
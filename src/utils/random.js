@@ -0,0 +1,92 @@
+/**
+ * Seeded Random Numbers
+ * Repeatable pseudo-random numbers for simulated devices and tasks
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+// Seed used when the configuration names none
+const DEFAULT_SEED = 'airtap';
+
+/**
+ * Create a random number generator that yields the same sequence for the same seed
+ * Uses the mulberry32 generator, seeded with a 32-bit hash of the seed.
+ * @param {string|number} [seed='airtap'] - Seed of the sequence
+ * @returns {Object} - { next(), int(min, max), pick(items), chance(probability), uuid() }
+ */
+function createRandom(seed = DEFAULT_SEED) {
+  let state = hashSeed(String(seed));
+
+  /**
+   * Get the next number of the sequence
+   * @returns {number} - Number in [0, 1)
+   */
+  function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  }
+
+  return {
+    next,
+
+    /**
+     * Get a whole number between two bounds
+     * @param {number} min - Smallest number, inclusive
+     * @param {number} max - Largest number, inclusive
+     * @returns {number} - Whole number in [min, max]
+     */
+    int(min, max) {
+      return min + Math.floor(next() * (max - min + 1));
+    },
+
+    /**
+     * Pick one item of a list
+     * @param {Array} items - Items to pick from
+     * @returns {*} - Picked item
+     */
+    pick(items) {
+      return items[Math.floor(next() * items.length)];
+    },
+
+    /**
+     * Decide an event that happens with a given probability
+     * @param {number} probability - Probability in [0, 1]
+     * @returns {boolean} - Whether the event happens
+     */
+    chance(probability) {
+      return next() < probability;
+    },
+
+    /**
+     * Make a version 4 UUID from the sequence
+     * @returns {string} - UUID
+     */
+    uuid() {
+      return uuidv4({ random: Array.from({ length: 16 }, () => Math.floor(next() * 256)) });
+    }
+  };
+}
+
+/**
+ * Hash a seed to 32 bits with FNV-1a
+ * @param {string} seed - Seed
+ * @returns {number} - Unsigned 32-bit hash
+ */
+function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+}
+
+module.exports = {
+  createRandom,
+  DEFAULT_SEED
+};
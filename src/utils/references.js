@@ -0,0 +1,104 @@
+/**
+ * Reference Utilities
+ * Resolves `${path}` references to earlier results inside tool parameters
+ */
+
+// A reference such as ${steps[0].result.apps[1].packageName}
+const REFERENCE_PATTERN = /\$\{([^}]+)\}/g;
+
+// One segment of a reference path: .name, [0] or ["name"]
+const PATH_SEGMENT_PATTERN = /^(?:\.?([A-Za-z_$][\w$]*)|\[(\d+)\]|\[["']([^"']*)["']\])/;
+
+/**
+ * Replace references in a value with data from the scope
+ * A string that consists of a single reference is replaced by the referenced value itself,
+ * so objects and numbers keep their type; references inside longer strings are interpolated.
+ * @param {*} value - Value to resolve; arrays and objects are resolved recursively
+ * @param {Object} scope - Data references are looked up in, e.g. { steps }
+ * @returns {*} - Value with all references replaced
+ * @throws {Error} - If a reference is malformed or points to nothing
+ */
+function resolveReferences(value, scope) {
+  if (typeof value === 'string') {
+    return resolveString(value, scope);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => resolveReferences(item, scope));
+  }
+
+  if (value && typeof value === 'object') {
+    const resolved = {};
+    Object.entries(value).forEach(([key, item]) => {
+      resolved[key] = resolveReferences(item, scope);
+    });
+    return resolved;
+  }
+
+  return value;
+}
+
+/**
+ * Resolve the references in a string
+ * @param {string} value - String that may contain references
+ * @param {Object} scope - Data references are looked up in
+ * @returns {*} - Referenced value or interpolated string
+ */
+function resolveString(value, scope) {
+  const whole = value.match(/^\$\{([^}]+)\}$/);
+  if (whole) {
+    return lookup(whole[1], scope);
+  }
+
+  return value.replace(REFERENCE_PATTERN, (reference, path) => {
+    const resolved = lookup(path, scope);
+    return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+  });
+}
+
+/**
+ * Look up a path such as steps[0].result.x in the scope
+ * @param {string} path - Reference path
+ * @param {Object} scope - Data references are looked up in
+ * @returns {*} - Referenced value
+ * @throws {Error} - If the path is malformed or a segment is missing
+ */
+function lookup(path, scope) {
+  let rest = path.trim();
+  let current = scope;
+  let first = true;
+
+  while (rest.length > 0) {
+    const match = rest.match(PATH_SEGMENT_PATTERN);
+
+    // Names need a leading dot, except for the first segment which must not have one
+    const dotted = rest.startsWith('.');
+    if (!match || (match[1] !== undefined && dotted === first)) {
+      throw new Error(`Invalid reference: \${${path}}`);
+    }
+
+    let key = match[3];
+    if (match[1] !== undefined) {
+      key = match[1];
+    } else if (match[2] !== undefined) {
+      key = Number(match[2]);
+    }
+
+    const missing = current === null || current === undefined
+      || !Object.prototype.hasOwnProperty.call(Object(current), key);
+
+    if (missing) {
+      throw new Error(`Reference \${${path}} could not be resolved`);
+    }
+
+    current = current[key];
+    rest = rest.slice(match[0].length);
+    first = false;
+  }
+
+  return current;
+}
+
+module.exports = {
+  resolveReferences
+};
@@ -0,0 +1,186 @@
+/**
+ * Schema Utilities
+ * JSON Schema fragments shared by tool definitions
+ */
+
+const { PERCENTAGE_PATTERN } = require('./coordinates');
+
+// Package names are dot-separated Java identifiers with at least two parts
+const PACKAGE_NAME_PATTERN = '^[A-Za-z][\\w]*(\\.[A-Za-z][\\w]*)+$';
+
+// Device a tool acts on; tools act on the default device when it is left out
+const DEVICE_ID_SCHEMA = {
+  type: 'string',
+  description: 'Device to act on; the default device if left out',
+  minLength: 1
+};
+
+// A screen position or distance: a number, read according to the units of the tool, or a
+// percentage string
+const SCREEN_VALUE_SCHEMA = {
+  anyOf: [
+    { type: 'number', minimum: 0, description: 'a number of at least 0' },
+    { type: 'string', pattern: PERCENTAGE_PATTERN, description: 'a percentage such as "50%"' }
+  ]
+};
+
+/**
+ * JSON Schema for an [x, y] screen position
+ * @param {string} description - What the coordinates point at
+ * @returns {Object} - JSON Schema
+ */
+function coordinatesSchema(description) {
+  return {
+    type: 'array',
+    description,
+    items: SCREEN_VALUE_SCHEMA,
+    minItems: 2,
+    maxItems: 2
+  };
+}
+
+/**
+ * JSON Schema for a distance on the screen; percentages are of the screen width
+ * @param {string} description - What the distance measures
+ * @returns {Object} - JSON Schema
+ */
+function distanceSchema(description) {
+  return { description, ...SCREEN_VALUE_SCHEMA };
+}
+
+/**
+ * JSON Schema for a rectangle of the screen, in screen pixels
+ * @param {string} description - What the rectangle covers
+ * @returns {Object} - JSON Schema
+ */
+function regionSchema(description) {
+  return {
+    type: 'object',
+    description,
+    properties: {
+      x: { type: 'integer', minimum: 0 },
+      y: { type: 'integer', minimum: 0 },
+      width: { type: 'integer', minimum: 1 },
+      height: { type: 'integer', minimum: 1 }
+    },
+    required: ['x', 'y', 'width', 'height'],
+    additionalProperties: false
+  };
+}
+
+/**
+ * JSON Schema for a UI element selector, resolved against the current UI hierarchy
+ * @param {string} description - Which element the selector picks
+ * @returns {Object} - JSON Schema
+ */
+function selectorSchema(description) {
+  return {
+    type: 'object',
+    description,
+    properties: {
+      text: {
+        type: 'string',
+        description: 'Exact text of the element'
+      },
+      textContains: {
+        type: 'string',
+        description: 'Part of the text of the element'
+      },
+      resourceId: {
+        type: 'string',
+        description: 'Resource ID, with or without the package ("com.example:id/login" or "login")'
+      },
+      contentDesc: {
+        type: 'string',
+        description: 'Content description (accessibility label) of the element'
+      },
+      className: {
+        type: 'string',
+        description: 'Class of the element, in full or by simple name ("Button")'
+      },
+      xpath: {
+        type: 'string',
+        description: 'XPath-like path, such as //LinearLayout/Button[@text=\'OK\'][1]'
+      },
+      index: {
+        type: 'integer',
+        description: 'Which of several matching elements to use, counting from 0',
+        minimum: 0
+      }
+    },
+    anyOf: requireOneOf('text', 'textContains', 'resourceId', 'contentDesc', 'className', 'xpath'),
+    additionalProperties: false
+  };
+}
+
+/**
+ * JSON Schema for the package name of an Android app, such as com.example.app
+ * @param {string} description - Which app the package name picks
+ * @returns {Object} - JSON Schema
+ */
+function packageNameSchema(description) {
+  return {
+    type: 'string',
+    description,
+    pattern: PACKAGE_NAME_PATTERN
+  };
+}
+
+/**
+ * Add the deviceId parameter to the JSON Schema of a tool that acts on a device
+ * @param {Object} schema - JSON Schema of the other parameters
+ * @returns {Object} - JSON Schema that also accepts deviceId
+ */
+function withDeviceId(schema) {
+  return {
+    ...schema,
+    properties: { deviceId: DEVICE_ID_SCHEMA, ...schema.properties }
+  };
+}
+
+/**
+ * Schema branches for anyOf or oneOf that each require one of the given properties
+ * @param {...string} names - Property names
+ * @returns {Array<Object>} - One { required: [name] } branch per property
+ */
+function requireOneOf(...names) {
+  return names.map(name => ({ required: [name] }));
+}
+
+// JSON Schema for an intent or deep link to start, shared by the tool and the REST API
+const INTENT_SCHEMA = {
+  type: 'object',
+  properties: {
+    uri: {
+      type: 'string',
+      description: 'Deep link or URL to open, such as myapp://orders/42 or https://example.com',
+      minLength: 1
+    },
+    action: {
+      type: 'string',
+      description: 'Intent action',
+      default: 'android.intent.action.VIEW',
+      pattern: '^[\\w.]+$'
+    },
+    packageName: packageNameSchema('App to open it in, instead of the default app for the link'),
+    extras: {
+      type: 'object',
+      description: 'Intent extras by key; strings, numbers and booleans',
+      additionalProperties: { type: ['string', 'number', 'boolean'] }
+    }
+  },
+  anyOf: requireOneOf('uri', 'packageName')
+};
+
+module.exports = {
+  coordinatesSchema,
+  distanceSchema,
+  packageNameSchema,
+  regionSchema,
+  requireOneOf,
+  selectorSchema,
+  withDeviceId,
+  DEVICE_ID_SCHEMA,
+  INTENT_SCHEMA,
+  SCREEN_VALUE_SCHEMA
+};
@@ -0,0 +1,184 @@
+/**
+ * Screenshot Processing
+ * Converts, scales, crops and annotates device screenshots so clients get only what they need
+ */
+
+const sharp = require('sharp');
+const { ErrorCodes, McpError } = require('./errors');
+const { regionSchema } = require('./schemas');
+
+// Image formats a screenshot can be returned in
+const SCREENSHOT_FORMATS = ['png', 'jpeg', 'webp'];
+
+// Overlays that can be drawn on a screenshot
+const SCREENSHOT_OVERLAYS = ['none', 'grid', 'coordinates'];
+
+// Colour of the overlay lines and labels
+const OVERLAY_COLOR = 'rgba(234, 67, 53, 0.8)';
+
+// JSON Schema of the screenshot options, shared by the screenshot tool and the REST API
+const SCREENSHOT_OPTIONS_SCHEMA = {
+  type: 'object',
+  properties: {
+    format: {
+      type: 'string',
+      description: 'Image format',
+      enum: SCREENSHOT_FORMATS,
+      default: 'png'
+    },
+    quality: {
+      type: 'integer',
+      description: 'Quality of jpeg and webp images, from 1 to 100',
+      minimum: 1,
+      maximum: 100,
+      default: 80
+    },
+    maxWidth: {
+      type: 'integer',
+      description: 'Scale the image down to at most this width in pixels',
+      minimum: 1
+    },
+    maxHeight: {
+      type: 'integer',
+      description: 'Scale the image down to at most this height in pixels',
+      minimum: 1
+    },
+    crop: regionSchema('Region of the screen to return'),
+    overlay: {
+      type: 'string',
+      description: 'Draw a grid, or a grid labelled with screen coordinates, over the image',
+      enum: SCREENSHOT_OVERLAYS,
+      default: 'none'
+    },
+    gridSpacing: {
+      type: 'integer',
+      description: 'Distance between grid lines in screen pixels',
+      minimum: 10,
+      default: 100
+    }
+  }
+};
+
+/**
+ * Apply screenshot options to a captured screenshot
+ * The result keeps the screen region it shows and its scale, so points in the image
+ * map back to screen coordinates as region.x + x / scale and region.y + y / scale.
+ * @param {Object} screenshot - Captured screenshot ({ format, width, height, data })
+ * @param {Object} [options] - Screenshot options, see SCREENSHOT_OPTIONS_SCHEMA
+ * @returns {Promise<Object>} - { format, width, height, data, region, scale }
+ * @throws {McpError} - INVALID_PARAMS if the crop rectangle lies outside the screen
+ */
+async function transformScreenshot(screenshot, options = {}) {
+  const { format = 'png', quality = 80, overlay = 'none', gridSpacing = 100 } = options;
+  const region = clipRegion(screenshot, options.crop);
+  const scale = Math.min(
+    1,
+    options.maxWidth ? options.maxWidth / region.width : 1,
+    options.maxHeight ? options.maxHeight / region.height : 1
+  );
+  const width = Math.max(1, Math.round(region.width * scale));
+  const height = Math.max(1, Math.round(region.height * scale));
+
+  let image = sharp(Buffer.from(screenshot.data, 'base64'))
+    .extract({ left: region.x, top: region.y, width: region.width, height: region.height })
+    .resize(width, height, { fit: 'fill' });
+
+  if (overlay !== 'none') {
+    // Resizing and compositing in one pipeline would draw the overlay before scaling
+    image = sharp(await image.png().toBuffer()).composite([{
+      input: Buffer.from(renderOverlay({ region, scale, width, height, gridSpacing, overlay }))
+    }]);
+  }
+
+  const data = await image.toFormat(format, format === 'png' ? {} : { quality }).toBuffer();
+
+  return {
+    format,
+    width,
+    height,
+    data: data.toString('base64'),
+    region,
+    scale
+  };
+}
+
+/**
+ * Clip the crop rectangle to the screen
+ * @param {Object} screenshot - Captured screenshot ({ width, height })
+ * @param {Object} [crop] - { x, y, width, height }
+ * @returns {Object} - Screen region { x, y, width, height }
+ * @throws {McpError} - INVALID_PARAMS if nothing of the rectangle is on the screen
+ */
+function clipRegion(screenshot, crop) {
+  if (!crop) {
+    return { x: 0, y: 0, width: screenshot.width, height: screenshot.height };
+  }
+
+  const right = Math.min(crop.x + crop.width, screenshot.width);
+  const bottom = Math.min(crop.y + crop.height, screenshot.height);
+
+  if (crop.x >= right || crop.y >= bottom) {
+    throw new McpError(
+      ErrorCodes.INVALID_PARAMS,
+      `Crop rectangle lies outside the ${screenshot.width}x${screenshot.height} screen`
+    );
+  }
+
+  return { x: crop.x, y: crop.y, width: right - crop.x, height: bottom - crop.y };
+}
+
+/**
+ * Render the grid overlay as SVG, with lines at multiples of the spacing in screen pixels
+ * @param {Object} layout - { region, scale, width, height, gridSpacing, overlay }
+ * @returns {string} - SVG document the size of the output image
+ */
+function renderOverlay({ region, scale, width, height, gridSpacing, overlay }) {
+  const elements = [];
+  const labelled = overlay === 'coordinates';
+
+  /**
+   * Get the screen positions of the grid lines within a range
+   * @param {number} start - First screen pixel of the range
+   * @param {number} length - Length of the range
+   * @returns {Array<number>} - Screen positions
+   */
+  const lines = (start, length) => {
+    const positions = [];
+    for (let value = Math.ceil(start / gridSpacing) * gridSpacing; value < start + length;
+      value += gridSpacing) {
+      positions.push(value);
+    }
+    return positions;
+  };
+
+  lines(region.x, region.width).forEach((x) => {
+    const position = ((x - region.x) * scale).toFixed(1);
+    elements.push(`<line x1="${position}" y1="0" x2="${position}" y2="${height}"/>`);
+    if (labelled) {
+      elements.push(`<text x="${position}" y="14" dx="2">${x}</text>`);
+    }
+  });
+
+  lines(region.y, region.height).forEach((y) => {
+    const position = ((y - region.y) * scale).toFixed(1);
+    elements.push(`<line x1="0" y1="${position}" x2="${width}" y2="${position}"/>`);
+    if (labelled) {
+      elements.push(`<text x="2" y="${position}" dy="-2">${y}</text>`);
+    }
+  });
+
+  // Labels get a white outline, so they stay readable on any background
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">`,
+    `<style>line { stroke: ${OVERLAY_COLOR}; stroke-width: 1 }`,
+    ` text { fill: ${OVERLAY_COLOR}; stroke: white; stroke-width: 3; paint-order: stroke;`,
+    ' font-family: sans-serif; font-size: 12px }</style>',
+    ...elements,
+    '</svg>'
+  ].join('');
+}
+
+module.exports = {
+  transformScreenshot,
+  SCREENSHOT_OPTIONS_SCHEMA
+};
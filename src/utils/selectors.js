@@ -0,0 +1,264 @@
+/**
+ * UI Element Selectors
+ * Finds elements of a UI hierarchy by text, resource ID, content description,
+ * class or an XPath-like path
+ */
+
+const { ErrorCodes, McpError } = require('./errors');
+
+// XPath attribute names and the node fields they read
+const XPATH_ATTRIBUTES = {
+  'text': 'text',
+  'resource-id': 'resourceId',
+  'content-desc': 'contentDesc',
+  'class': 'className',
+  'package': 'packageName',
+  'clickable': 'clickable',
+  'focusable': 'focusable',
+  'focused': 'focused',
+  'scrollable': 'scrollable',
+  'enabled': 'enabled'
+};
+
+// One step of an XPath-like path: separator, node test and predicates
+const XPATH_STEP = /^(\/\/?)([\w$][\w.$]*|\*)((?:\[[^\]]*\])*)/;
+
+// Predicates of a step: [2], [@text='OK'] or [contains(@text, 'OK')]
+const XPATH_PREDICATE = new RegExp([
+  '\\[\\s*(?:',
+  '(\\d+)',
+  '|@([\\w-]+)\\s*=\\s*([\'"])(.*?)\\3',
+  '|contains\\(\\s*@([\\w-]+)\\s*,\\s*([\'"])(.*?)\\6\\s*\\)',
+  ')\\s*\\]'
+].join(''), 'g');
+
+/**
+ * Find the elements matching a selector, in document order
+ * @param {Object} root - Root node of the UI hierarchy
+ * @param {Object} selector - { text, textContains, resourceId, contentDesc, className, xpath }
+ * @returns {Array<Object>} - Matching nodes
+ * @throws {McpError} - INVALID_PARAMS if the XPath cannot be parsed
+ */
+function findElements(root, selector) {
+  const candidates = selector.xpath ? evaluateXPath(root, selector.xpath) : flatten(root);
+
+  return candidates.filter(node => matchesFields(node, selector));
+}
+
+/**
+ * Find the element a selector points at
+ * With several matches, selector.index picks one (0-based); the first is used by default.
+ * @param {Object} root - Root node of the UI hierarchy
+ * @param {Object} selector - Element selector
+ * @returns {Object} - Matching node
+ * @throws {Error} - If no element matches
+ */
+function findElement(root, selector) {
+  const matches = findElements(root, selector);
+  const index = selector.index || 0;
+
+  if (index >= matches.length) {
+    const found = matches.length === 0 ? 'no element matches' : `only ${matches.length} match`;
+    throw new Error(`Element not found: ${found} selector ${JSON.stringify(selector)}`);
+  }
+
+  return matches[index];
+}
+
+/**
+ * Get the centre of an element
+ * @param {Object} node - UI node
+ * @returns {Array<number>} - [x, y]
+ */
+function centerOf(node) {
+  const { left, top, right, bottom } = node.bounds;
+  return [Math.round((left + right) / 2), Math.round((top + bottom) / 2)];
+}
+
+/**
+ * Describe an element for a tool response, without its children
+ * @param {Object} node - UI node
+ * @returns {Object} - { className, text, resourceId, contentDesc, bounds }
+ */
+function describeElement(node) {
+  return {
+    className: node.className,
+    text: node.text,
+    resourceId: node.resourceId,
+    contentDesc: node.contentDesc,
+    bounds: { ...node.bounds }
+  };
+}
+
+/**
+ * List a node and all its descendants in document order
+ * @param {Object} node - UI node
+ * @returns {Array<Object>} - Nodes
+ */
+function flatten(node) {
+  return [node, ...(node.children || []).flatMap(flatten)];
+}
+
+/**
+ * Check the plain fields of a selector against a node
+ * @param {Object} node - UI node
+ * @param {Object} selector - Element selector
+ * @returns {boolean} - Whether the node matches
+ */
+function matchesFields(node, selector) {
+  const { text, textContains, resourceId, contentDesc, className } = selector;
+
+  return (text === undefined || node.text === text) &&
+    (textContains === undefined || (node.text || '').includes(textContains)) &&
+    (resourceId === undefined || matchesResourceId(node.resourceId, resourceId)) &&
+    (contentDesc === undefined || node.contentDesc === contentDesc) &&
+    (className === undefined || matchesClass(node.className, className));
+}
+
+/**
+ * Match a resource ID, with or without its package prefix ("pkg:id/name" or "name")
+ * @param {string} actual - Resource ID of the node
+ * @param {string} expected - Resource ID of the selector
+ * @returns {boolean} - Whether they match
+ */
+function matchesResourceId(actual, expected) {
+  if (!actual) {
+    return false;
+  }
+
+  return actual === expected || (!expected.includes('/') && actual.endsWith(`:id/${expected}`));
+}
+
+/**
+ * Match a class name, in full or by its simple name ("android.widget.Button" or "Button")
+ * @param {string} actual - Class of the node
+ * @param {string} expected - Class of the selector
+ * @returns {boolean} - Whether they match
+ */
+function matchesClass(actual, expected) {
+  if (!actual) {
+    return false;
+  }
+
+  return actual === expected || (!expected.includes('.') && actual.endsWith(`.${expected}`));
+}
+
+/**
+ * Evaluate an XPath-like path such as //FrameLayout/Button[@text='OK'][1]
+ * Supports / and // steps, class names or *, 1-based positions and the
+ * [@attr='value'] and [contains(@attr, 'value')] predicates.
+ * @param {Object} root - Root node of the UI hierarchy
+ * @param {string} xpath - Path
+ * @returns {Array<Object>} - Matching nodes
+ * @throws {McpError} - INVALID_PARAMS if the path cannot be parsed
+ */
+function evaluateXPath(root, xpath) {
+  // The root is the only child of a virtual document node
+  let context = [{ children: [root] }];
+  let rest = xpath.trim();
+
+  if (!rest.startsWith('/')) {
+    rest = `//${rest}`;
+  }
+
+  while (rest.length > 0) {
+    const step = XPATH_STEP.exec(rest);
+
+    if (!step) {
+      throw invalidXPath(xpath, `unexpected "${rest}"`);
+    }
+
+    const [text, separator, nodeTest, predicateText] = step;
+    const predicates = parsePredicates(xpath, predicateText);
+    const next = new Set();
+
+    context.forEach((node) => {
+      const children = node.children || [];
+      const candidates = separator === '//' ? children.flatMap(flatten) : children;
+
+      applyPredicates(candidates.filter(candidate => nodeTest === '*' ||
+        matchesClass(candidate.className, nodeTest)), predicates).forEach(match => next.add(match));
+    });
+
+    context = [...next];
+    rest = rest.slice(text.length);
+  }
+
+  return context;
+}
+
+/**
+ * Parse the predicates of an XPath step
+ * @param {string} xpath - Whole path, for error messages
+ * @param {string} text - Predicates of the step
+ * @returns {Array<Object>} - { position } or { field, value, contains }
+ * @throws {McpError} - INVALID_PARAMS for unsupported predicates
+ */
+function parsePredicates(xpath, text) {
+  const predicates = [];
+  let consumed = 0;
+
+  for (const match of text.matchAll(XPATH_PREDICATE)) {
+    if (match.index !== consumed) {
+      break;
+    }
+
+    consumed += match[0].length;
+
+    if (match[1] !== undefined) {
+      predicates.push({ position: parseInt(match[1], 10) });
+      continue;
+    }
+
+    const attribute = match[2] || match[5];
+    const field = XPATH_ATTRIBUTES[attribute];
+
+    if (!field) {
+      throw invalidXPath(xpath, `unknown attribute @${attribute}`);
+    }
+
+    predicates.push({ field, value: match[2] ? match[4] : match[7], contains: !match[2] });
+  }
+
+  if (consumed !== text.length) {
+    throw invalidXPath(xpath, `unsupported predicate "${text.slice(consumed)}"`);
+  }
+
+  return predicates;
+}
+
+/**
+ * Filter the candidates of a step by its predicates, in order
+ * @param {Array<Object>} candidates - Nodes matched by the node test
+ * @param {Array<Object>} predicates - Parsed predicates
+ * @returns {Array<Object>} - Remaining nodes
+ */
+function applyPredicates(candidates, predicates) {
+  return predicates.reduce((nodes, predicate) => {
+    if (predicate.position !== undefined) {
+      return nodes.slice(predicate.position - 1, predicate.position);
+    }
+
+    return nodes.filter((node) => {
+      const value = node[predicate.field] === undefined ? '' : String(node[predicate.field]);
+      return predicate.contains ? value.includes(predicate.value) : value === predicate.value;
+    });
+  }, candidates);
+}
+
+/**
+ * Create the error for a path that cannot be parsed
+ * @param {string} xpath - Path
+ * @param {string} reason - What is wrong with it
+ * @returns {McpError} - INVALID_PARAMS error
+ */
+function invalidXPath(xpath, reason) {
+  return new McpError(ErrorCodes.INVALID_PARAMS, `Invalid xpath "${xpath}": ${reason}`);
+}
+
+module.exports = {
+  centerOf,
+  describeElement,
+  findElement,
+  findElements
+};
@@ -0,0 +1,129 @@
+/**
+ * UI Tree Views
+ * Trims a UI hierarchy for tool responses and renders it as compact text
+ */
+
+/**
+ * Build the view of a UI hierarchy returned to clients
+ * @param {Object} root - Root node of the UI hierarchy
+ * @param {Object} [options] - View options
+ * @param {boolean} [options.interactableOnly=false] - Keep only clickable, focusable or
+ *   scrollable nodes; their interactable descendants move up to the nearest kept ancestor
+ * @param {number} [options.maxDepth] - Deepest level to keep; the root is level 0
+ * @returns {Array<Object>} - Top-level nodes of the view
+ */
+function buildTreeView(root, options = {}) {
+  const { interactableOnly = false, maxDepth = Infinity } = options;
+
+  /**
+   * Build the view of a node
+   * @param {Object} node - UI node
+   * @param {number} depth - Level of the node in the view
+   * @returns {Array<Object>} - The node, or its kept descendants if the node is dropped
+   */
+  function visit(node, depth) {
+    const keep = !interactableOnly || isInteractable(node);
+    const childDepth = keep ? depth + 1 : depth;
+    const children = childDepth > maxDepth
+      ? []
+      : (node.children || []).flatMap(child => visit(child, childDepth));
+
+    return keep ? [{ ...toViewNode(node), children }] : children;
+  }
+
+  return visit(root, 0);
+}
+
+/**
+ * Render a view as text, one indented line per node
+ * e.g. `Button "Sign in" id=login [100,1000][301,1100] clickable`
+ * @param {Array<Object>} nodes - Top-level nodes of the view
+ * @returns {string} - Text rendering
+ */
+function renderTreeText(nodes) {
+  const lines = [];
+
+  /**
+   * Render a node and its children
+   * @param {Object} node - View node
+   * @param {number} depth - Indentation level
+   */
+  function render(node, depth) {
+    const { left, top, right, bottom } = node.bounds;
+    const parts = [simpleClassName(node.className)];
+
+    if (node.text) {
+      parts.push(JSON.stringify(node.text));
+    }
+    if (node.resourceId) {
+      parts.push(`id=${node.resourceId.replace(/^.*:id\//, '')}`);
+    }
+    if (node.contentDesc) {
+      parts.push(`desc=${JSON.stringify(node.contentDesc)}`);
+    }
+
+    parts.push(`[${left},${top}][${right},${bottom}]`);
+    ['clickable', 'focused', 'scrollable'].forEach((flag) => {
+      if (node[flag]) {
+        parts.push(flag);
+      }
+    });
+
+    lines.push(`${'  '.repeat(depth)}${parts.join(' ')}`);
+    node.children.forEach(child => render(child, depth + 1));
+  }
+
+  nodes.forEach(node => render(node, 0));
+  return lines.join('\n');
+}
+
+/**
+ * Count the nodes of a view
+ * @param {Array<Object>} nodes - Top-level nodes of the view
+ * @returns {number} - Number of nodes
+ */
+function countNodes(nodes) {
+  return nodes.reduce((count, node) => count + 1 + countNodes(node.children), 0);
+}
+
+/**
+ * Check whether a node can be interacted with
+ * @param {Object} node - UI node
+ * @returns {boolean} - Whether it is clickable, focusable or scrollable
+ */
+function isInteractable(node) {
+  return Boolean(node.clickable || node.focusable || node.scrollable);
+}
+
+/**
+ * Copy the fields of a node that clients see
+ * @param {Object} node - UI node
+ * @returns {Object} - View node without children
+ */
+function toViewNode(node) {
+  return {
+    className: node.className,
+    text: node.text,
+    resourceId: node.resourceId,
+    contentDesc: node.contentDesc,
+    bounds: { ...node.bounds },
+    clickable: Boolean(node.clickable),
+    focused: Boolean(node.focused),
+    scrollable: Boolean(node.scrollable)
+  };
+}
+
+/**
+ * Shorten a class name to its simple name
+ * @param {string} className - Class name such as android.widget.Button
+ * @returns {string} - Simple name such as Button
+ */
+function simpleClassName(className) {
+  return (className || 'View').split('.').pop();
+}
+
+module.exports = {
+  buildTreeView,
+  countNodes,
+  renderTreeText
+};
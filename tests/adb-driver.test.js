@@ -0,0 +1,283 @@
+/**
+ * Tests for the adb driver, run against a fake adb binary
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAdbDriver, escapeInputText, intentCommand } = require('../src/drivers/adb');
+const { createDeviceDrivers } = require('../src/drivers');
+const androidInteractionTools = require('../src/services/android-interaction');
+
+const FAKE_ADB = path.join(__dirname, 'fixtures', 'fake-adb.js');
+
+// Mock logger
+const mockLogger = {
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+describe('ADB driver', () => {
+  let workDir;
+  let logFile;
+  let driver;
+
+  /**
+   * Write an adb wrapper that runs the fake binary with its settings
+   * Jest does not pass changes of process.env on to child processes, so the
+   * wrapper sets the environment of the fake itself.
+   * @param {number} [delay=0] - Milliseconds every call takes
+   * @returns {string} - Path of the wrapper
+   */
+  function fakeAdb(delay = 0) {
+    const wrapper = path.join(workDir, `adb-${delay}`);
+    const settings = `FAKE_ADB_LOG='${logFile}' FAKE_ADB_DELAY=${delay}`;
+
+    fs.writeFileSync(wrapper, [
+      '#!/bin/sh',
+      `${settings} exec '${process.execPath}' '${FAKE_ADB}' "$@"`,
+      ''
+    ].join('\n'), { mode: 0o755 });
+    return wrapper;
+  }
+
+  /**
+   * Read the adb invocations recorded by the fake binary
+   * @returns {Array<Array<string>>} - Arguments of every call
+   */
+  function invocations() {
+    if (!fs.existsSync(logFile)) {
+      return [];
+    }
+
+    return fs.readFileSync(logFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  }
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fake-adb-'));
+    logFile = path.join(workDir, 'calls.log');
+    driver = createAdbDriver({ adbPath: fakeAdb(), serial: 'emulator-5554' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test('should run input commands against the configured serial', async () => {
+    await driver.tap('default', { x: 100, y: 200 });
+    await driver.swipe('default', { start: [1, 2], end: [3, 4], duration: 300 });
+    await driver.key('default', 'DEL', { count: 2 });
+
+    expect(invocations()).toEqual([
+      ['-s', 'emulator-5554', 'shell', 'input', 'tap', '100', '200'],
+      ['-s', 'emulator-5554', 'shell', 'input', 'swipe', '1', '2', '3', '4', '300'],
+      ['-s', 'emulator-5554', 'shell', 'input', 'keyevent', 'KEYCODE_DEL', 'KEYCODE_DEL']
+    ]);
+  });
+
+  test('should long press keycodes and hold modifiers', async () => {
+    await driver.key('default', 'POWER', { longPress: true });
+    await driver.key('default', 187);
+    await driver.key('default', 'A', { meta: ['CTRL', 'SHIFT'], count: 2 });
+
+    const combination = 'input keycombination KEYCODE_CTRL_LEFT KEYCODE_SHIFT_LEFT KEYCODE_A';
+    expect(invocations()).toEqual([
+      ['-s', 'emulator-5554', 'shell', 'input', 'keyevent', '--longpress', 'KEYCODE_POWER'],
+      ['-s', 'emulator-5554', 'shell', 'input', 'keyevent', '187'],
+      ['-s', 'emulator-5554', 'shell', `${combination}; ${combination}`]
+    ]);
+    await expect(driver.key('default', 'A', { meta: ['CTRL'], longPress: true }))
+      .rejects.toThrow('The adb driver cannot long press keys with modifiers');
+  });
+
+  test('should perform gestures as a script of motion events', async () => {
+    await driver.gesture('default', {
+      pointers: [
+        { path: [{ x: 10, y: 20, time: 0 }, { x: 10, y: 20, time: 50 }] },
+        { path: [{ x: 10, y: 20, time: 150 }, { x: 30.4, y: 40, time: 250 }] }
+      ]
+    });
+
+    expect(invocations()).toEqual([['-s', 'emulator-5554', 'shell', [
+      'input motionevent DOWN 10 20',
+      'sleep 0.05',
+      'input motionevent MOVE 10 20',
+      'input motionevent UP 10 20',
+      'sleep 0.1',
+      'input motionevent DOWN 10 20',
+      'sleep 0.1',
+      'input motionevent MOVE 30 40',
+      'input motionevent UP 30 40'
+    ].join('; ')]]);
+  });
+
+  test('should refuse multi-touch gestures', async () => {
+    const path = [{ x: 10, y: 20, time: 0 }, { x: 10, y: 80, time: 100 }];
+
+    await expect(driver.gesture('default', { pointers: [{ path }, { path }] }))
+      .rejects.toThrow('The adb driver cannot perform multi-touch gestures');
+    expect(invocations()).toEqual([]);
+  });
+
+  test('should use other device IDs as the serial', async () => {
+    await driver.tap('emulator-5556', { x: 1, y: 1 });
+    await createAdbDriver({ adbPath: fakeAdb() }).tap('default', { x: 1, y: 1 });
+
+    expect(invocations()).toEqual([
+      ['-s', 'emulator-5556', 'shell', 'input', 'tap', '1', '1'],
+      ['shell', 'input', 'tap', '1', '1']
+    ]);
+  });
+
+  test('should escape text for the device shell', async () => {
+    await driver.input('default', 'it\'s a test & more');
+
+    expect(invocations()[0].slice(-1)).toEqual(['\'it\'\\\'\'s%sa%stest%s&%smore\'']);
+    expect(escapeInputText('$(reboot)')).toBe('\'$(reboot)\'');
+    expect(escapeInputText('hi\nreboot')).toBe('\'hi\nreboot\'');
+    expect(escapeInputText('a\tb; `reboot`')).toBe('\'a\tb;%s`reboot`\'');
+  });
+
+  test('should capture screenshots with screencap', async () => {
+    const screenshot = await driver.screenshot('default');
+
+    expect(invocations()).toEqual([['-s', 'emulator-5554', 'exec-out', 'screencap', '-p']]);
+    expect(screenshot).toEqual(expect.objectContaining({ format: 'png', width: 36, height: 78 }));
+    expect(Buffer.from(screenshot.data, 'base64').toString('hex', 1, 4)).toBe('504e47');
+  });
+
+  test('should read the screen size, preferring an override size', async () => {
+    expect(await driver.screenSize('default')).toEqual({ width: 36, height: 78 });
+    expect(invocations()).toEqual([['-s', 'emulator-5554', 'shell', 'wm', 'size']]);
+  });
+
+  test('should read the view tree from uiautomator', async () => {
+    const root = await driver.uiHierarchy('default');
+
+    expect(invocations()).toEqual([
+      ['-s', 'emulator-5554', 'exec-out', 'uiautomator', 'dump', '/dev/tty']
+    ]);
+    expect(root).toEqual(expect.objectContaining({
+      className: 'android.widget.FrameLayout',
+      bounds: { left: 0, top: 0, right: 36, bottom: 78 }
+    }));
+    expect(root.children).toEqual([expect.objectContaining({
+      className: 'android.widget.Button',
+      text: 'Sign in & continue',
+      resourceId: 'com.example.app:id/login',
+      clickable: true,
+      focused: false,
+      bounds: { left: 4, top: 40, right: 32, bottom: 60 },
+      children: []
+    })]);
+  });
+
+  test('should tap elements found by selector', async () => {
+    const drivers = createDeviceDrivers('token', { driver: 'adb', adb: { adbPath: fakeAdb() } });
+    const tools = androidInteractionTools('token', mockLogger, drivers);
+
+    const result = await tools.tap.handler({ selector: { resourceId: 'login' } }, {});
+
+    expect(result).toEqual(expect.objectContaining({
+      coordinates: [18, 50],
+      element: expect.objectContaining({ text: 'Sign in & continue' })
+    }));
+    expect(invocations()[1]).toEqual(['shell', 'input', 'tap', '18', '50']);
+  });
+
+  test('should list packages and uninstall apps', async () => {
+    expect(await driver.listApps('default')).toEqual([
+      { packageName: 'com.android.chrome', appName: 'com.android.chrome' },
+      { packageName: 'com.example.app', appName: 'com.example.app' }
+    ]);
+    expect(await driver.uninstall('default', 'com.example.app'))
+      .toEqual({ success: true, status: 'uninstalled' });
+    await expect(driver.uninstall('default', 'com.android.chrome'))
+      .rejects.toThrow('Uninstalling com.android.chrome failed: Failure [DELETE_FAILED');
+  });
+
+  test('should install APKs from a temporary file', async () => {
+    expect(await driver.install('default', { data: Buffer.from('PK'), manifest: {} }))
+      .toEqual({ success: true, status: 'installed' });
+
+    const [call] = invocations();
+    expect(call.slice(0, 4)).toEqual(['-s', 'emulator-5554', 'install', '-r']);
+    expect(call[4]).toMatch(/app\.apk$/);
+    expect(fs.existsSync(call[4])).toBe(false);
+  });
+
+  test('should launch, stop and reset apps', async () => {
+    await driver.launch('default', 'com.example.app');
+    await driver.launch('default', 'com.example.app', { activity: '.MainActivity' });
+    await driver.stop('default', 'com.example.app');
+    await driver.clearData('default', 'com.example.app');
+
+    expect(invocations().map(call => call.slice(2))).toEqual([
+      ['shell', 'monkey', '-p', 'com.example.app', '-c', 'android.intent.category.LAUNCHER', '1'],
+      ['shell', 'am', 'start', '-W', '-n', '\'com.example.app/.MainActivity\''],
+      ['shell', 'am', 'force-stop', 'com.example.app'],
+      ['shell', 'pm', 'clear', 'com.example.app']
+    ]);
+
+    await expect(driver.launch('default', 'com.example.none'))
+      .rejects.toThrow('Launching com.example.none failed: ** No activities found to run');
+    await expect(driver.clearData('default', 'com.example.none'))
+      .rejects.toThrow('Clearing the data of com.example.none failed: Failed');
+  });
+
+  test('should open intents with quoted arguments', async () => {
+    expect(intentCommand({
+      uri: 'https://example.com/?a=1&b=it\'s',
+      action: 'android.intent.action.VIEW',
+      packageName: 'com.android.chrome',
+      extras: { query: 'shoes', page: 2, ratio: 0.5, debug: true }
+    })).toBe([
+      'am start -W -a \'android.intent.action.VIEW\'',
+      '-d \'https://example.com/?a=1&b=it\'\\\'\'s\'',
+      '--es \'query\' \'shoes\' --ei \'page\' \'2\' --ef \'ratio\' \'0.5\'',
+      '--ez \'debug\' \'true\' \'com.android.chrome\''
+    ].join(' '));
+
+    await driver.openIntent('default', {
+      uri: 'tg://resolve',
+      action: 'android.intent.action.VIEW'
+    });
+    expect(invocations()[0].slice(2))
+      .toEqual(['shell', 'am start -W -a \'android.intent.action.VIEW\' -d \'tg://resolve\'']);
+  });
+
+  test('should report adb errors with their output', async () => {
+    const missing = createAdbDriver({ adbPath: path.join(__dirname, 'fixtures', 'no-adb') });
+
+    await expect(missing.tap('default', { x: 1, y: 1 }))
+      .rejects.toThrow('adb shell input tap 1 1 failed');
+  });
+
+  test('should stop adb when the call is aborted', async () => {
+    const slow = createAdbDriver({ adbPath: fakeAdb(5000) });
+    const controller = new AbortController();
+    const pending = slow.tap('default', { x: 1, y: 1 }, { signal: controller.signal });
+
+    setTimeout(() => controller.abort(), 50);
+
+    await expect(pending).rejects.toThrow('Request cancelled');
+  });
+
+  test('should serve the interaction tools', async () => {
+    const drivers = createDeviceDrivers('token', {
+      driver: 'adb',
+      adb: { adbPath: fakeAdb(), serial: 'emulator-5554' }
+    });
+    const tools = androidInteractionTools('token', mockLogger, drivers);
+
+    const result = await tools.longpress.handler({ coordinates: [10, 20], duration: 800 }, {});
+
+    expect(result).toEqual(expect.objectContaining({ success: true, action: 'longpress' }));
+    expect(result.screenshot).toEqual(expect.objectContaining({ width: 36, height: 78 }));
+    expect(invocations().slice(0, 2)).toEqual([
+      ['-s', 'emulator-5554', 'shell', 'wm', 'size'],
+      ['-s', 'emulator-5554', 'shell', 'input', 'swipe', '10', '20', '10', '20', '800']
+    ]);
+  });
+});
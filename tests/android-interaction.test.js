@@ -3,6 +3,7 @@
  */
 
 const androidInteractionTools = require('../src/services/android-interaction');
+const { configureSharedSimulator } = require('../src/drivers');
 
 // Mock axios
 jest.mock('axios', () => ({
@@ -30,20 +31,6 @@ describe('Android Interaction Tools', () => {
   });
   
   describe('tap tool', () => {
-    test('should validate coordinates parameter', async () => {
-      // Missing coordinates
-      await expect(tools.tap.handler({}, mockSession))
-        .rejects.toThrow('Invalid coordinates');
-        
-      // Invalid coordinates format
-      await expect(tools.tap.handler({ coordinates: 'invalid' }, mockSession))
-        .rejects.toThrow('Invalid coordinates');
-        
-      // Wrong array length
-      await expect(tools.tap.handler({ coordinates: [100] }, mockSession))
-        .rejects.toThrow('Invalid coordinates');
-    });
-    
     test('should successfully call tap with valid parameters', async () => {
       const params = { coordinates: [100, 200] };
       const result = await tools.tap.handler(params, mockSession);
@@ -51,7 +38,8 @@ describe('Android Interaction Tools', () => {
       expect(result).toEqual(expect.objectContaining({
         success: true,
         action: 'tap',
-        coordinates: [100, 200]
+        coordinates: [100, 200],
+        screenshot: expect.objectContaining({ format: 'png', data: expect.any(String) })
       }));
       
       expect(mockLogger.debug).toHaveBeenCalledWith(expect.stringContaining('tap'));
@@ -59,26 +47,6 @@ describe('Android Interaction Tools', () => {
   });
   
   describe('inputText tool', () => {
-    test('should validate text parameter', async () => {
-      // Missing text
-      await expect(tools.inputText.handler({ coordinates: [100, 200] }, mockSession))
-        .rejects.toThrow('Text parameter is required');
-    });
-    
-    test('should validate coordinates parameter', async () => {
-      // Missing coordinates
-      await expect(tools.inputText.handler({ text: 'Hello' }, mockSession))
-        .rejects.toThrow('Invalid coordinates');
-        
-      // Invalid coordinates format
-      await expect(tools.inputText.handler({ text: 'Hello', coordinates: 'invalid' }, mockSession))
-        .rejects.toThrow('Invalid coordinates');
-        
-      // Wrong array length
-      await expect(tools.inputText.handler({ text: 'Hello', coordinates: [100] }, mockSession))
-        .rejects.toThrow('Invalid coordinates');
-    });
-    
     test('should successfully call inputText with valid parameters', async () => {
       const params = { text: 'Hello World', coordinates: [100, 200] };
       const result = await tools.inputText.handler(params, mockSession);
@@ -94,5 +62,215 @@ describe('Android Interaction Tools', () => {
     });
   });
   
+  describe('wait tool', () => {
+    test('should report progress while waiting', async () => {
+      const reportProgress = jest.fn();
+      await tools.wait.handler({ seconds: 0.05 }, mockSession, { reportProgress });
+
+      expect(reportProgress).toHaveBeenCalledWith(0.05, 0.05, expect.stringContaining('Waited'));
+    });
+
+    test('should stop waiting when the request is cancelled', async () => {
+      const controller = new AbortController();
+      const pending = tools.wait.handler({ seconds: 30 }, mockSession, { signal: controller.signal });
+
+      controller.abort();
+
+      await expect(pending).rejects.toThrow('Request cancelled');
+    });
+  });
+
+  describe('with the simulated device', () => {
+    let simulator;
+
+    beforeEach(() => {
+      simulator = configureSharedSimulator({ latency: 0 });
+      tools = androidInteractionTools(mockApiToken, mockLogger);
+    });
+
+    test('should no longer list an uninstalled app', async () => {
+      await tools.uninstallApp.handler({ packageName: 'com.spotify.music' }, mockSession);
+      const { apps } = await tools.listApps.handler({}, mockSession);
+
+      expect(apps.map(app => app.packageName)).not.toContain('com.spotify.music');
+      await expect(tools.uninstallApp.handler({ packageName: 'com.spotify.music' }, mockSession))
+        .rejects.toThrow('App not installed');
+    });
+
+    test('should clear the text typed into a field', async () => {
+      await tools.inputText.handler({ text: 'Hello', coordinates: [500, 200] }, mockSession);
+      expect(simulator.device('default').getState().text).toBe('Hello');
+
+      await tools.clearText.handler({ noOfChars: 5, coordinates: [500, 200] }, mockSession);
+      expect(simulator.device('default').getState().text).toBe('');
+    });
+
+    test('should convert relative coordinates with the screen size of the driver', async () => {
+      const tap = await tools.tap.handler({
+        deviceId: 'device-002',
+        coordinates: ['50%', '50%']
+      }, mockSession);
+
+      expect(tap.coordinates).toEqual([540, 1170]);
+      expect(simulator.device('device-002').getState().lastTouch).toEqual([540, 1170]);
+
+      const longpress = await tools.longpress.handler({
+        deviceId: 'device-002',
+        coordinates: [720, 1600],
+        referenceResolution: '1440x3200'
+      }, mockSession);
+
+      expect(longpress.coordinates).toEqual([540, 1170]);
+
+      const swipe = await tools.swipe.handler({
+        deviceId: 'device-001',
+        start: [0.5, 0.8],
+        end: [0.5, '20%'],
+        units: 'normalized'
+      }, mockSession);
+
+      expect([swipe.start, swipe.end]).toEqual([[540, 1872], [540, 468]]);
+    });
+
+    test('should reject points outside the screen of the device', async () => {
+      await expect(tools.tap.handler({ deviceId: 'device-001', coordinates: [1200, 100] }, {}))
+        .rejects.toThrow('Point [1200, 100] of coordinates is outside the 1080x2340 screen');
+      await expect(tools.swipe.handler({ start: [0, 0], end: [0, 1.5], units: 'normalized' }, {}))
+        .rejects.toThrow('Point [0, 1.5] of end is outside the 1080x2340 screen');
+    });
+
+    test('should run gestures on the device with converted coordinates', async () => {
+      const doubleTap = await tools.doubleTap.handler({ selector: { text: 'Spotify' } }, {});
+
+      expect(doubleTap).toEqual(expect.objectContaining({ success: true, interval: 150 }));
+      expect(simulator.device('default').getState().foregroundApp).toBe('com.spotify.music');
+
+      const pinch = await tools.pinch.handler({
+        deviceId: 'device-002',
+        startDistance: '10%',
+        endDistance: 0.5,
+        units: 'normalized'
+      }, mockSession);
+
+      expect(pinch).toEqual(expect.objectContaining({
+        center: [540, 1170],
+        startDistance: 108,
+        endDistance: 540
+      }));
+
+      const gesture = await tools.gesture.handler({
+        deviceId: 'device-002',
+        pointers: [{ path: [{ x: '50%', y: 100, time: 0 }, { x: '50%', y: 900, time: 40 }] }]
+      }, mockSession);
+
+      expect(gesture.duration).toBe(40);
+      expect(simulator.device('device-002').getState().lastTouch).toEqual([540, 900]);
+    });
+
+    test('should reject gestures that leave the screen or go back in time', async () => {
+      await expect(tools.rotate.handler({ degrees: 90, radius: 600 }, mockSession))
+        .rejects.toThrow('Point [1140, 1170] of rotate is outside the 1080x2340 screen');
+      await expect(tools.dragAndDrop.handler({ start: [10, 10], end: [10, 2400] }, {}))
+        .rejects.toThrow('Point [10, 2400] of end is outside the 1080x2340 screen');
+
+      const pointers = [{ path: [{ x: 1, y: 1, time: 100 }, { x: 5, y: 5, time: 50 }] }];
+      await expect(tools.gesture.handler({ pointers }, mockSession)).rejects.toThrow(
+        expect.objectContaining({
+          message: 'Point 1 of pointer 0 is earlier than the point before it',
+          data: { errors: [expect.objectContaining({ field: 'pointers.0.path.1.time' })] }
+        })
+      );
+    });
+
+    test('should press keys by name or keycode', async () => {
+      await tools.tap.handler({ selector: { text: 'Chrome' } }, mockSession);
+      const back = await tools.pressKey.handler({ key: 'KEYCODE_BACK' }, mockSession);
+
+      expect(back).toEqual(expect.objectContaining({
+        success: true,
+        action: 'pressKey',
+        key: 'BACK',
+        keycode: 4,
+        count: 1
+      }));
+      expect(simulator.device('default').getState().foregroundApp).toBeNull();
+
+      const enter = await tools.pressKey.handler({ key: 66, meta: ['SHIFT'] }, mockSession);
+      expect([enter.key, enter.meta]).toEqual(['ENTER', ['SHIFT']]);
+
+      const home = await tools.navigateHome.handler({}, mockSession);
+      expect([home.action, home.key, home.keycode]).toEqual(['navigateHome', 'HOME', 3]);
+
+      await expect(tools.pressKey.handler({ key: 'NOPE' }, mockSession))
+        .rejects.toThrow('Unknown key "NOPE"');
+    });
+
+    test('should act on elements found by selector', async () => {
+      const result = await tools.tap.handler({ selector: { text: 'Spotify' } }, mockSession);
+
+      expect(result.element).toEqual(expect.objectContaining({
+        className: 'android.widget.TextView',
+        text: 'Spotify'
+      }));
+      expect(simulator.device('default').getState().foregroundApp).toBe('com.spotify.music');
+
+      const input = { resourceId: 'input' };
+      await tools.inputText.handler({ text: 'jazz', selector: input }, mockSession);
+      await tools.clearText.handler({ noOfChars: 2, selector: { xpath: '//EditText' } }, {});
+      expect(simulator.device('default').getState().text).toBe('ja');
+
+      await expect(tools.longpress.handler({ selector: { text: 'Nothing' } }, mockSession))
+        .rejects.toThrow('Element not found');
+    });
+
+    test('should describe the screen as a UI hierarchy', async () => {
+      const json = await tools.getUiHierarchy.handler({ interactableOnly: true }, mockSession);
+
+      expect(json.nodeCount).toBe(6);
+      expect(json.nodes[1]).toEqual(expect.objectContaining({
+        className: 'android.widget.TextView',
+        text: 'Chrome',
+        clickable: true
+      }));
+
+      await tools.tap.handler({ selector: { text: 'Chrome' } }, mockSession);
+      const text = await tools.getUiHierarchy.handler({ format: 'text' }, mockSession);
+
+      expect(text.text.split('\n')).toEqual([
+        'FrameLayout [0,0][1080,2340]',
+        '  EditText id=input desc="Input" [60,144][1020,288] clickable',
+        '  TextView "Chrome" id=title [60,336][1020,432]'
+      ]);
+    });
+
+    test('should capture cropped, scaled screenshots', async () => {
+      const result = await tools.screenshot.handler({
+        format: 'webp',
+        crop: { x: 0, y: 0, width: 1080, height: 1170 },
+        maxWidth: 540,
+        overlay: 'coordinates'
+      }, mockSession);
+
+      expect(result.screenshot).toEqual(expect.objectContaining({
+        format: 'webp',
+        width: 540,
+        height: 585,
+        region: { x: 0, y: 0, width: 1080, height: 1170 },
+        scale: 0.5
+      }));
+    });
+
+    test('should return the same screenshot for the same actions', async () => {
+      const run = async () => {
+        configureSharedSimulator({ latency: 0, seed: 'repeatable' });
+        const freshTools = androidInteractionTools(mockApiToken, mockLogger);
+        await freshTools.inputText.handler({ text: 'abc', coordinates: [500, 200] }, mockSession);
+        return (await freshTools.navigateBack.handler({}, mockSession)).screenshot.data;
+      };
+
+      expect(await run()).toBe(await run());
+    });
+  });
+
   // Add more tests for other tools...
 });
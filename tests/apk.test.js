@@ -0,0 +1,58 @@
+/**
+ * Tests for reading APK manifests
+ */
+
+const { readApkManifest } = require('../src/utils/apk');
+const { ErrorCodes } = require('../src/utils/errors');
+const { appManifest, buildApk } = require('./fixtures/build-apk');
+
+describe('APK manifests', () => {
+  const expected = {
+    packageName: 'com.example.shop',
+    versionName: '2.1.0',
+    versionCode: 42,
+    minSdkVersion: 24,
+    targetSdkVersion: 34,
+    label: 'Shop',
+    launchActivity: 'com.example.shop.MainActivity'
+  };
+
+  test('should read the package, version and launcher activity', () => {
+    expect(readApkManifest(buildApk(appManifest()))).toEqual(expected);
+  });
+
+  test('should read manifests with UTF-8 strings', () => {
+    const apk = buildApk(appManifest({ versionName: '2.1.0-bêta' }), { utf8: true });
+
+    expect(readApkManifest(apk)).toEqual({ ...expected, versionName: '2.1.0-bêta' });
+  });
+
+  test('should leave out what the manifest does not say', () => {
+    const apk = buildApk({
+      tag: 'manifest',
+      attributes: { package: 'com.example.service' },
+      children: []
+    });
+
+    expect(readApkManifest(apk)).toEqual({
+      packageName: 'com.example.service',
+      versionName: null,
+      versionCode: null,
+      minSdkVersion: null,
+      targetSdkVersion: null,
+      label: null,
+      launchActivity: null
+    });
+  });
+
+  test('should reject files that are not APKs', () => {
+    expect(() => readApkManifest(Buffer.from('not an apk'))).toThrow(expect.objectContaining({
+      code: ErrorCodes.INVALID_PARAMS,
+      message: 'Not a valid APK: it is not a ZIP archive'
+    }));
+
+    const noPackage = buildApk({ tag: 'manifest', attributes: {}, children: [] });
+    expect(() => readApkManifest(noPackage))
+      .toThrow('Not a valid APK: the manifest has no package name');
+  });
+});
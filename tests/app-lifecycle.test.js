@@ -0,0 +1,247 @@
+/**
+ * Tests for the app lifecycle tools and REST routes
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const appLifecycleTools = require('../src/services/app-lifecycle');
+const devicesRouter = require('../src/api/devices');
+const { validateToolParams } = require('../src/core/schema-validator');
+const { configureSharedSimulator } = require('../src/drivers');
+const { appManifest, buildApk } = require('./fixtures/build-apk');
+
+// Fake adb binary that records its invocations
+const FAKE_ADB = path.join(__dirname, 'fixtures', 'fake-adb.js');
+
+// Mock logger
+const mockLogger = {
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+describe('App lifecycle tools', () => {
+  let tools;
+  let simulator;
+  const mockSession = { id: 'test-session' };
+  const apk = buildApk(appManifest());
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    simulator = configureSharedSimulator({ latency: 0 });
+    tools = appLifecycleTools('test-token', mockLogger);
+  });
+
+  afterAll(() => {
+    configureSharedSimulator();
+  });
+
+  test('should install an APK and report its manifest', async () => {
+    const result = await tools.installApp.handler(
+      { apkData: apk.toString('base64') },
+      mockSession
+    );
+
+    expect(result).toEqual(expect.objectContaining({
+      success: true,
+      action: 'installApp',
+      packageName: 'com.example.shop',
+      versionName: '2.1.0',
+      versionCode: 42,
+      launchActivity: 'com.example.shop.MainActivity',
+      size: apk.length,
+      status: 'installed'
+    }));
+    expect(simulator.device('default').listApps()).toContainEqual(expect.objectContaining({
+      packageName: 'com.example.shop',
+      appName: 'Shop',
+      isSystemApp: false
+    }));
+  });
+
+  test('should install an APK from a file', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'airtap-apk-test-'));
+    const apkPath = path.join(directory, 'shop.apk');
+    fs.writeFileSync(apkPath, apk);
+
+    try {
+      const result = await tools.installApp.handler({ apkPath }, mockSession);
+      expect(result.packageName).toBe('com.example.shop');
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+
+    await expect(tools.installApp.handler({ apkPath }, mockSession))
+      .rejects.toThrow('Cannot read APK file');
+  });
+
+  test('should take the APK as data or as a path, not both', () => {
+    const validate = params => () => validateToolParams('installApp', tools.installApp, params);
+
+    expect(validate({ apkPath: '/tmp/shop.apk' })).not.toThrow();
+    expect(validate({ apkPath: '/tmp/shop.apk', apkData: 'UEs=' })).toThrow('Invalid parameters');
+    expect(validate({})).toThrow('Invalid parameters');
+  });
+
+  test('should launch, stop and reset apps', async () => {
+    const launched = await tools.launchApp.handler(
+      { packageName: 'com.spotify.music', activity: '.MainActivity' },
+      mockSession
+    );
+
+    expect(launched).toEqual(expect.objectContaining({ success: true, activity: '.MainActivity' }));
+    expect(launched.screenshot).toEqual(expect.objectContaining({ format: 'png' }));
+    expect(simulator.device('default').getState().foregroundApp).toBe('com.spotify.music');
+
+    await tools.stopApp.handler({ packageName: 'com.spotify.music' }, mockSession);
+    expect(simulator.device('default').getState().foregroundApp).toBeNull();
+
+    const cleared = await tools.clearAppData.handler({ packageName: 'com.spotify.music' }, {});
+    expect(cleared).toEqual({
+      success: true,
+      action: 'clearAppData',
+      packageName: 'com.spotify.music'
+    });
+
+    await expect(tools.stopApp.handler({ packageName: 'com.example.none' }, mockSession))
+      .rejects.toThrow('App not installed: com.example.none');
+  });
+
+  test('should open deep links in the app that handles them', async () => {
+    const web = await tools.openDeepLink.handler(
+      { uri: 'https://example.com/orders?id=42&ref=mail' },
+      mockSession
+    );
+
+    expect(web).toEqual(expect.objectContaining({
+      success: true,
+      intentAction: 'android.intent.action.VIEW',
+      packageName: 'com.android.chrome'
+    }));
+
+    const app = await tools.openDeepLink.handler(
+      { uri: 'shop://cart', packageName: 'org.telegram.messenger' },
+      mockSession
+    );
+    expect(app.packageName).toBe('org.telegram.messenger');
+
+    await expect(tools.openDeepLink.handler({ uri: 'shop://cart' }, mockSession))
+      .rejects.toThrow('No app can open shop://cart');
+  });
+});
+
+describe('App REST routes', () => {
+  let app;
+  let server;
+  let baseUrl;
+
+  /**
+   * Send a JSON POST request
+   * @param {string} route - Route below the device
+   * @param {Object} [body] - JSON body
+   * @returns {Promise<Array>} - [status, body]
+   */
+  async function post(route, body = {}) {
+    const response = await fetch(`${baseUrl}/device-001${route}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return [response.status, await response.json()];
+  }
+
+  beforeAll((done) => {
+    configureSharedSimulator({ latency: 0 });
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/devices', devicesRouter);
+
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/api/devices`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    configureSharedSimulator();
+    server.close(done);
+  });
+
+  test('should install an uploaded APK', async () => {
+    const form = new FormData();
+    form.append('apk', new Blob([buildApk(appManifest())]), 'shop.apk');
+
+    const response = await fetch(`${baseUrl}/device-001/apps`, { method: 'POST', body: form });
+    const body = await response.json();
+
+    expect(response.status).toBe(201);
+    expect(body).toEqual(expect.objectContaining({
+      deviceId: 'device-001',
+      packageName: 'com.example.shop',
+      versionName: '2.1.0',
+      status: 'installed'
+    }));
+
+    const apps = await (await fetch(`${baseUrl}/device-001/apps`)).json();
+    expect(apps.apps.map(app => app.packageName)).toContain('com.example.shop');
+  });
+
+  test('should reject uploads without a valid APK', async () => {
+    const form = new FormData();
+    form.append('apk', new Blob(['not an apk']), 'shop.apk');
+
+    const invalid = await fetch(`${baseUrl}/device-001/apps`, { method: 'POST', body: form });
+    expect([invalid.status, (await invalid.json()).error])
+      .toEqual([400, 'Not a valid APK: it is not a ZIP archive']);
+
+    const missing = await fetch(`${baseUrl}/device-001/apps`, { method: 'POST' });
+    expect(missing.status).toBe(400);
+  });
+
+  test('should launch, stop and reset apps', async () => {
+    expect(await post('/apps/com.spotify.music/launch', { activity: '.MainActivity' })).toEqual([
+      200,
+      { deviceId: 'device-001', packageName: 'com.spotify.music', status: 'launched' }
+    ]);
+    expect((await post('/apps/com.spotify.music/stop'))[1].status).toBe('stopped');
+    expect((await post('/apps/com.spotify.music/clear-data'))[1].status).toBe('cleared');
+
+    const [status, body] = await post('/apps/not-a-package/stop');
+    expect(status).toBe(400);
+    expect(body.errors).toEqual([expect.objectContaining({ field: 'packageName' })]);
+  });
+
+  test('should open deep links', async () => {
+    expect(await post('/apps/deep-link', { uri: 'spotify:track:42' })).toEqual([200, {
+      deviceId: 'device-001',
+      uri: 'spotify:track:42',
+      action: 'android.intent.action.VIEW',
+      packageName: 'com.spotify.music',
+      status: 'opened'
+    }]);
+    expect((await post('/apps/deep-link', {}))[0]).toBe(400);
+  });
+
+  test('should act on the device through the configured driver', async () => {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fake-adb-'));
+    const logFile = path.join(workDir, 'calls.log');
+    const adbPath = path.join(workDir, 'adb');
+    const command = `FAKE_ADB_LOG='${logFile}' exec '${process.execPath}' '${FAKE_ADB}' "$@"`;
+    fs.writeFileSync(adbPath, `#!/bin/sh\n${command}\n`, { mode: 0o755 });
+    app.locals.drivers = { driver: 'adb', adb: { adbPath } };
+
+    try {
+      expect((await post('/apps/com.example.app/stop'))[1].status).toBe('stopped');
+
+      const calls = fs.readFileSync(logFile, 'utf8').trim().split('\n')
+        .map(line => JSON.parse(line));
+      expect(calls).toEqual([['-s', 'device-001', 'shell', 'am', 'force-stop', 'com.example.app']]);
+    } finally {
+      delete app.locals.drivers;
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  });
+});
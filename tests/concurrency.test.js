@@ -0,0 +1,282 @@
+/**
+ * Tests for tool timeouts and concurrency limits
+ */
+
+const EventEmitter = require('events');
+const { createConcurrencyLimiter } = require('../src/core/concurrency');
+const { handleMcpConnection } = require('../src/core/mcp-handler');
+const { BusyError, CancelledError } = require('../src/utils/errors');
+
+// Mock logger
+const mockLogger = {
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+/**
+ * Create a fake WebSocket that records everything sent to the client
+ * @returns {EventEmitter} - Fake WebSocket
+ */
+function createMockSocket() {
+  const ws = new EventEmitter();
+  ws.sent = [];
+  ws.send = jest.fn(data => ws.sent.push(JSON.parse(data)));
+  return ws;
+}
+
+/**
+ * Deliver a message to the handler and let it finish processing
+ * @param {EventEmitter} ws - Fake WebSocket
+ * @param {Object} message - Message to deliver
+ */
+async function deliver(ws, message) {
+  ws.emit('message', JSON.stringify(message));
+  await new Promise(resolve => setImmediate(resolve));
+}
+
+describe('Concurrency limiter', () => {
+  test('should queue requests over the session limit until a slot is free', async () => {
+    const limiter = createConcurrencyLimiter({ maxPerSession: 1 });
+    const release = await limiter.acquire('s1', null);
+
+    let admitted = false;
+    const queued = limiter.acquire('s1', null).then((releaseSecond) => {
+      admitted = true;
+      return releaseSecond;
+    });
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(admitted).toBe(false);
+    expect(limiter.queued).toBe(1);
+
+    release();
+    (await queued)();
+    expect(admitted).toBe(true);
+    expect(limiter.queued).toBe(0);
+  });
+
+  test('should not let new requests take a slot ahead of queued ones', async () => {
+    const limiter = createConcurrencyLimiter({ maxPerSession: 1, maxPerDevice: 1 });
+    const releaseFirst = await limiter.acquire('s1', 'device-a');
+    const order = [];
+
+    // Waits for its session, then for the device
+    const queued = limiter.acquire('s1', 'device-b').then((release) => {
+      order.push('queued');
+      return release;
+    });
+    const late = limiter.acquire('s2', 'device-b').then((release) => {
+      order.push('late');
+      return release;
+    });
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(order).toEqual([]);
+    expect(limiter.queued).toBe(2);
+
+    releaseFirst();
+    (await queued)();
+    (await late)();
+    expect(order).toEqual(['queued', 'late']);
+  });
+
+  test('should admit requests that do not compete with queued ones', async () => {
+    const limiter = createConcurrencyLimiter({ maxPerSession: 1, maxPerDevice: 1 });
+    const releaseInstall = await limiter.acquire('s1', 'device-a');
+    const queued = limiter.acquire('s1', 'device-a');
+
+    // Another session on an idle device runs right away
+    const releaseOther = await limiter.acquire('s2', 'device-b');
+    expect(limiter.queued).toBe(1);
+
+    // The same device still waits behind the queued request
+    let admitted = false;
+    const behind = limiter.acquire('s3', 'device-a').then((release) => {
+      admitted = true;
+      return release;
+    });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(admitted).toBe(false);
+
+    releaseOther();
+    releaseInstall();
+    (await queued)();
+    (await behind)();
+    expect(limiter.queued).toBe(0);
+  });
+
+  test('should limit each device across sessions', async () => {
+    const limiter = createConcurrencyLimiter({ maxPerDevice: 1, whenBusy: 'reject' });
+    await limiter.acquire('s1', 'default');
+
+    await expect(limiter.acquire('s2', 'default')).rejects.toThrow(BusyError);
+    await expect(limiter.acquire('s2', 'pixel-7')).resolves.toEqual(expect.any(Function));
+    await expect(limiter.acquire('s2', null)).resolves.toEqual(expect.any(Function));
+  });
+
+  test('should describe the limit in busy errors', async () => {
+    const limiter = createConcurrencyLimiter({ maxPerSession: 2, whenBusy: 'reject' });
+    await limiter.acquire('s1', null);
+    await limiter.acquire('s1', null);
+
+    const error = await limiter.acquire('s1', null).catch(rejection => rejection);
+    expect(error.message).toBe('Busy: this session already runs 2 requests');
+    expect(error.data).toEqual({ scope: 'session', limit: 2 });
+  });
+
+  test('should drop queued requests that are cancelled', async () => {
+    const limiter = createConcurrencyLimiter({ maxPerSession: 1 });
+    const release = await limiter.acquire('s1', null);
+    const controller = new AbortController();
+
+    const queued = limiter.acquire('s1', null, controller.signal);
+    controller.abort();
+
+    await expect(queued).rejects.toThrow(CancelledError);
+    expect(limiter.queued).toBe(0);
+    release();
+  });
+
+  test('should reject unknown busy modes', () => {
+    expect(() => createConcurrencyLimiter({ whenBusy: 'drop' })).toThrow('whenBusy must be one of');
+  });
+});
+
+describe('Tool limits', () => {
+  let tools;
+  let finishers;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    finishers = [];
+
+    tools = {
+      hang: {
+        description: 'Never finishes on its own',
+        timeout: 50,
+        handler: jest.fn((params, session, { signal }) => new Promise((resolve) => {
+          finishers.push(resolve);
+          signal.addEventListener('abort', () => resolve({ aborted: true }));
+        }))
+      },
+      status: {
+        description: 'Reads state without changing the device',
+        annotations: { readOnlyHint: true },
+        handler: jest.fn(async () => ({ ok: true }))
+      }
+    };
+  });
+
+  /**
+   * Open a connection with the given options
+   * @param {Object} [options] - Connection options
+   * @returns {EventEmitter} - Fake WebSocket
+   */
+  function connect(options = {}) {
+    const ws = createMockSocket();
+    handleMcpConnection(ws, tools, mockLogger, options);
+    return ws;
+  }
+
+  test('should stop tools that run longer than their timeout', async () => {
+    const ws = connect();
+    await deliver(ws, { id: '1', type: 'run_tool', tool: 'hang', params: {} });
+    await new Promise(resolve => setTimeout(resolve, 80));
+
+    expect(tools.hang.handler.mock.calls[0][2].signal.aborted).toBe(true);
+    expect(ws.sent).toContainEqual({
+      type: 'error',
+      id: '1',
+      message: 'Tool hang timed out after 50ms',
+      code: 'timeout',
+      timeout: 50
+    });
+  });
+
+  test('should let a request override the timeout of the tool', async () => {
+    const ws = connect();
+    await deliver(ws, { id: '1', type: 'run_tool', tool: 'hang', params: {}, timeout: 0 });
+    await new Promise(resolve => setTimeout(resolve, 80));
+
+    finishers[0]({ finished: true });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(ws.sent[ws.sent.length - 1]).toEqual(expect.objectContaining({
+      type: 'tool_response',
+      result: { finished: true }
+    }));
+  });
+
+  test('should use the session default for tools without a timeout', async () => {
+    delete tools.hang.timeout;
+    const ws = connect({ toolTimeout: 20 });
+    await deliver(ws, { id: '1', type: 'run_tool', tool: 'hang', params: {} });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(ws.sent).toContainEqual(expect.objectContaining({ id: '1', code: 'timeout', timeout: 20 }));
+  });
+
+  test('should reject requests over the limit with a busy error', async () => {
+    const limiter = createConcurrencyLimiter({ maxPerDevice: 1, whenBusy: 'reject' });
+    const ws = connect({ limiter });
+
+    await deliver(ws, { id: '1', type: 'run_tool', tool: 'hang', params: {}, timeout: 0 });
+    await deliver(ws, { id: '2', type: 'run_tool', tool: 'hang', params: {}, timeout: 0 });
+    await deliver(ws, { id: '3', type: 'run_tool', tool: 'status', params: {} });
+
+    expect(ws.sent).toContainEqual({
+      type: 'error',
+      id: '2',
+      message: 'Busy: device default already runs 1 requests',
+      code: 'busy',
+      scope: 'device',
+      limit: 1,
+      deviceId: 'default'
+    });
+    expect(ws.sent).toContainEqual(expect.objectContaining({ id: '3', type: 'tool_response' }));
+    expect(tools.hang.handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('should run queued requests once earlier ones finish', async () => {
+    const limiter = createConcurrencyLimiter({ maxPerSession: 1 });
+    const ws = connect({ limiter });
+
+    await deliver(ws, { id: '1', type: 'run_tool', tool: 'hang', params: {}, timeout: 0 });
+    await deliver(ws, { id: '2', type: 'run_tool', tool: 'hang', params: {}, timeout: 0 });
+    expect(tools.hang.handler).toHaveBeenCalledTimes(1);
+
+    finishers[0]({ finished: 1 });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(tools.hang.handler).toHaveBeenCalledTimes(2);
+  });
+
+  test('should report busy JSON-RPC calls with the server busy error code', async () => {
+    const limiter = createConcurrencyLimiter({ maxPerSession: 1, whenBusy: 'reject' });
+    const ws = connect({ limiter });
+
+    await deliver(ws, {
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'initialize',
+      params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test' } }
+    });
+    await deliver(ws, { jsonrpc: '2.0', method: 'notifications/initialized' });
+
+    const call = id => deliver(ws, {
+      jsonrpc: '2.0',
+      id,
+      method: 'tools/call',
+      params: { name: 'hang', arguments: {}, _meta: { timeout: 0 } }
+    });
+    await call(2);
+    await call(3);
+
+    const response = ws.sent.find(message => message.id === 3);
+    expect(response.error).toEqual({
+      code: -32001,
+      message: 'Busy: this session already runs 1 requests',
+      data: { scope: 'session', limit: 1 }
+    });
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Tests for screen coordinate conversion
+ */
+
+const { parseResolution, toScreenDistance, toScreenPoint } = require('../src/utils/coordinates');
+const { ErrorCodes } = require('../src/utils/errors');
+
+describe('Screen coordinates', () => {
+  const screen = { width: 1440, height: 3200 };
+
+  test('should parse resolutions from the device registry', () => {
+    expect(parseResolution('1440x3200')).toEqual(screen);
+    expect(parseResolution('1440')).toBeNull();
+    expect(parseResolution(undefined)).toBeNull();
+  });
+
+  test('should keep screen pixels as they are', () => {
+    expect(toScreenPoint([100.5, 200], {}, screen)).toEqual([100.5, 200]);
+    expect(toScreenPoint([100, 200], { units: 'pixels' }, null)).toEqual([100, 200]);
+  });
+
+  test('should convert percentages and normalized units', () => {
+    expect(toScreenPoint(['50%', '12.5%'], {}, screen)).toEqual([720, 400]);
+    expect(toScreenPoint([0.5, '100%'], { units: 'normalized' }, screen)).toEqual([720, 3199]);
+    expect(toScreenPoint([0, 1], { units: 'normalized' }, screen)).toEqual([0, 3199]);
+  });
+
+  test('should scale pixels from the reference resolution', () => {
+    expect(toScreenPoint([540, 1170], { referenceResolution: '1080x2340' }, screen))
+      .toEqual([720, 1600]);
+    expect(toScreenPoint([1079, 2339], { referenceResolution: '1080x2340' }, screen))
+      .toEqual([1439, 3199]);
+  });
+
+  test('should reject points outside the screen', () => {
+    expect(() => toScreenPoint([1440, 10], {}, screen)).toThrow(expect.objectContaining({
+      code: ErrorCodes.INVALID_PARAMS,
+      message: 'Point [1440, 10] of coordinates is outside the 1440x3200 screen'
+    }));
+    expect(() => toScreenPoint([0.5, 1.2], { units: 'normalized' }, screen, 'end'))
+      .toThrow('Point [0.5, 1.2] of end is outside the 1440x3200 screen');
+    expect(() => toScreenPoint(['101%', 0], {}, screen)).toThrow('outside the 1440x3200 screen');
+  });
+
+  test('should convert distances as parts of the screen width', () => {
+    expect(toScreenDistance(300, {}, null, 'radius')).toBe(300);
+    expect(toScreenDistance('25%', {}, screen, 'radius')).toBe(360);
+    expect(toScreenDistance(0.5, { units: 'normalized' }, screen, 'radius')).toBe(720);
+    expect(toScreenDistance(540, { referenceResolution: '1080x2340' }, screen, 'radius'))
+      .toBe(720);
+    expect(() => toScreenDistance('25%', {}, null, 'radius'))
+      .toThrow('Cannot convert radius: the resolution of the device is unknown');
+  });
+
+  test('should only convert points when the screen size is known', () => {
+    expect(() => toScreenPoint(['50%', '50%'], {}, null))
+      .toThrow('Cannot convert coordinates: the resolution of the device is unknown');
+  });
+});
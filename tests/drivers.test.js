@@ -0,0 +1,243 @@
+/**
+ * Tests for the device drivers
+ */
+
+const axios = require('axios');
+const { PNG } = require('pngjs');
+const { createSimulatorDriver } = require('../src/drivers/simulator');
+const { createAirtapCloudDriver } = require('../src/drivers/airtap-cloud');
+const { createDeviceDrivers, getSharedSimulator, parseDeviceDrivers } = require('../src/drivers');
+
+jest.mock('axios', () => ({
+  create: jest.fn()
+}));
+
+describe('Simulator driver', () => {
+  let driver;
+
+  beforeEach(() => {
+    driver = createSimulatorDriver({ latency: 0 });
+  });
+
+  test('should capture real PNG screenshots', async () => {
+    const screenshot = await driver.screenshot('default');
+    const image = PNG.sync.read(Buffer.from(screenshot.data, 'base64'));
+
+    expect(screenshot).toEqual(expect.objectContaining({ deviceId: 'default', format: 'png' }));
+    expect([image.width, image.height]).toEqual([screenshot.width, screenshot.height]);
+    expect(await driver.screenSize('device-002'))
+      .toEqual({ width: screenshot.width, height: screenshot.height });
+  });
+
+  test('should show where the screen was touched', async () => {
+    const pixelAt = async (x, y) => {
+      const { data } = await driver.screenshot('default');
+      const image = PNG.sync.read(Buffer.from(data, 'base64'));
+      const offset = (y * image.width + x) * 4;
+      return Array.from(image.data.slice(offset, offset + 3));
+    };
+
+    const before = await pixelAt(500, 1000);
+    await driver.tap('default', { x: 500, y: 1000 });
+
+    expect(await pixelAt(500, 1000)).not.toEqual(before);
+  });
+
+  test('should keep separate state for every device', async () => {
+    await driver.uninstall('device-001', 'com.spotify.music');
+
+    const first = await driver.listApps('device-001');
+    const second = await driver.listApps('device-002');
+
+    expect(first.map(app => app.packageName)).not.toContain('com.spotify.music');
+    expect(second.map(app => app.packageName)).toContain('com.spotify.music');
+    await expect(driver.uninstall('device-001', 'com.spotify.music'))
+      .rejects.toThrow('App not installed: com.spotify.music');
+  });
+
+  test('should describe the screen as a view tree', async () => {
+    const home = await driver.uiHierarchy('default');
+    const chrome = home.children.find(child => child.text === 'Chrome');
+
+    expect(chrome).toEqual(expect.objectContaining({
+      className: 'android.widget.TextView',
+      contentDesc: 'Chrome',
+      clickable: true
+    }));
+
+    await driver.tap('default', {
+      x: (chrome.bounds.left + chrome.bounds.right) / 2,
+      y: (chrome.bounds.top + chrome.bounds.bottom) / 2
+    });
+    const app = await driver.uiHierarchy('default');
+
+    expect(app.packageName).toBe('com.android.chrome');
+    expect(app.children.map(child => child.resourceId))
+      .toEqual(['com.android.chrome:id/input', 'com.android.chrome:id/title']);
+  });
+
+  test('should perform the taps and moves of a gesture', async () => {
+    const home = await driver.uiHierarchy('default');
+    const { bounds } = home.children.find(child => child.text === 'Chrome');
+    const x = (bounds.left + bounds.right) / 2;
+    const y = (bounds.top + bounds.bottom) / 2;
+
+    await driver.gesture('default', {
+      pointers: [{ path: [{ x: 10, y: 500, time: 0 }, { x: 10, y: 900, time: 20 }] }]
+    });
+    expect((await driver.uiHierarchy('default')).packageName).not.toBe('com.android.chrome');
+
+    await driver.gesture('default', {
+      pointers: [{ path: [{ x, y, time: 30 }, { x, y, time: 60 }] }]
+    });
+    expect((await driver.uiHierarchy('default')).packageName).toBe('com.android.chrome');
+  });
+
+  test('should stop when the call is aborted', async () => {
+    const slow = createSimulatorDriver({ latency: 1000 });
+    const controller = new AbortController();
+    const pending = slow.tap('default', { x: 1, y: 1 }, { signal: controller.signal });
+
+    controller.abort();
+
+    await expect(pending).rejects.toThrow('Request cancelled');
+  });
+});
+
+describe('Airtap cloud driver', () => {
+  let apiClient;
+  let driver;
+
+  beforeEach(() => {
+    apiClient = {
+      get: jest.fn(),
+      post: jest.fn().mockResolvedValue({ data: { success: true } }),
+      delete: jest.fn().mockResolvedValue({ data: { status: 'uninstalled' } })
+    };
+    axios.create.mockReturnValue(apiClient);
+    driver = createAirtapCloudDriver('cloud-token');
+  });
+
+  test('should authenticate with the API token', () => {
+    expect(axios.create).toHaveBeenCalledWith(expect.objectContaining({
+      baseURL: 'https://api.airtap.ai',
+      headers: expect.objectContaining({ Authorization: 'Bearer cloud-token' })
+    }));
+  });
+
+  test('should send actions to the device endpoint with the abort signal', async () => {
+    const { signal } = new AbortController();
+
+    await driver.tap('device 1', { x: 10, y: 20 }, { signal });
+    await driver.key('device 1', 'DEL', { count: 3 });
+
+    expect(apiClient.post).toHaveBeenCalledWith(
+      '/devices/device%201/tap',
+      { x: 10, y: 20 },
+      { signal }
+    );
+    expect(apiClient.post).toHaveBeenCalledWith(
+      '/devices/device%201/key',
+      { key: 'DEL', count: 3 },
+      { signal: undefined }
+    );
+  });
+
+  test('should send long presses and modifiers of keys', async () => {
+    await driver.key('d1', 'POWER', { longPress: true });
+    await driver.key('d1', 'A', { meta: ['CTRL'] });
+
+    expect(apiClient.post.mock.calls.map(call => call[1])).toEqual([
+      { key: 'POWER', count: 1, longPress: true },
+      { key: 'A', count: 1, metaState: 0x1000 }
+    ]);
+  });
+
+  test('should send gestures with all their pointers', async () => {
+    const pointers = [{ path: [{ x: 1, y: 2, time: 0 }] }, { path: [{ x: 3, y: 4, time: 0 }] }];
+
+    await driver.gesture('d1', { pointers });
+
+    expect(apiClient.post)
+      .toHaveBeenCalledWith('/devices/d1/gesture', { pointers }, { signal: undefined });
+  });
+
+  test('should send app actions to the app endpoints', async () => {
+    await driver.install('d1', { data: Buffer.from('PK'), manifest: { packageName: 'com.shop' } });
+    await driver.launch('d1', 'com.shop', { activity: '.MainActivity' });
+    await driver.stop('d1', 'com.shop');
+    await driver.clearData('d1', 'com.shop');
+    await driver.openIntent('d1', { uri: 'shop://cart', action: 'android.intent.action.VIEW' });
+
+    expect(apiClient.post.mock.calls.map(call => call.slice(0, 2))).toEqual([
+      ['/devices/d1/apps', { packageName: 'com.shop', apk: 'UEs=' }],
+      ['/devices/d1/apps/com.shop/launch', { activity: '.MainActivity' }],
+      ['/devices/d1/apps/com.shop/stop', {}],
+      ['/devices/d1/apps/com.shop/clear-data', {}],
+      ['/devices/d1/intents', { uri: 'shop://cart', action: 'android.intent.action.VIEW' }]
+    ]);
+  });
+
+  test('should read screens, apps and uninstall results from the API', async () => {
+    apiClient.get.mockImplementation(async (url) => {
+      if (url.endsWith('/apps')) {
+        return { data: { apps: [{ packageName: 'com.example' }] } };
+      }
+      if (url.endsWith('/hierarchy')) {
+        return { data: { root: { className: 'android.widget.FrameLayout', children: [] } } };
+      }
+      if (url.endsWith('/screen')) {
+        return { data: { width: 1440, height: 3200 } };
+      }
+      return { data: { format: 'png', width: 1, height: 1, data: 'iVBOR' } };
+    });
+
+    expect(await driver.screenshot('d1'))
+      .toEqual(expect.objectContaining({ format: 'png', data: 'iVBOR' }));
+    expect(await driver.listApps('d1')).toEqual([{ packageName: 'com.example' }]);
+    expect(await driver.screenSize('d1')).toEqual({ width: 1440, height: 3200 });
+    expect(await driver.uiHierarchy('d1'))
+      .toEqual({ className: 'android.widget.FrameLayout', children: [] });
+    expect(await driver.uninstall('d1', 'com.example')).toEqual({ status: 'uninstalled' });
+    expect(apiClient.delete)
+      .toHaveBeenCalledWith('/devices/d1/apps/com.example', { signal: undefined });
+  });
+});
+
+describe('Driver selection', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    axios.create.mockReturnValue({});
+  });
+
+  test('should use the simulator by default', () => {
+    const drivers = createDeviceDrivers('token');
+
+    expect(drivers.forDevice('any')).toBe(getSharedSimulator());
+    expect(axios.create).not.toHaveBeenCalled();
+  });
+
+  test('should pick drivers per device', () => {
+    const drivers = createDeviceDrivers('token', {
+      driver: 'cloud',
+      deviceDrivers: { 'local-1': 'simulator' }
+    });
+
+    expect(drivers.forDevice('local-1').name).toBe('simulator');
+    expect(drivers.forDevice('device-001').name).toBe('cloud');
+    expect(drivers.forDevice('device-002')).toBe(drivers.forDevice('device-001'));
+  });
+
+  test('should reject unknown drivers', () => {
+    expect(() => createDeviceDrivers('token', { deviceDrivers: { d1: 'usb' } }))
+      .toThrow('Unknown device driver: usb');
+  });
+
+  test('should parse device driver assignments', () => {
+    expect(parseDeviceDrivers(['device-001=cloud', 'emulator=5554=simulator'])).toEqual({
+      'device-001': 'cloud',
+      'emulator=5554': 'simulator'
+    });
+    expect(() => parseDeviceDrivers(['device-001'])).toThrow('Invalid device driver assignment');
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Builds APK files for tests: a ZIP archive with a compiled AndroidManifest.xml
+ */
+
+const zlib = require('zlib');
+
+// "No string" index in binary XML
+const NO_INDEX = 0xffffffff;
+
+// Types of typed attribute values
+const TYPE_STRING = 0x03;
+const TYPE_INT_DEC = 0x10;
+const TYPE_INT_BOOLEAN = 0x12;
+
+/**
+ * Build an APK
+ * @param {Object} manifest - Root element ({ tag, attributes, children })
+ * @param {Object} [options] - { utf8 } to write the strings as UTF-8 instead of UTF-16
+ * @returns {Buffer} - APK file
+ */
+function buildApk(manifest, options = {}) {
+  return buildZip([
+    { name: 'classes.dex', data: Buffer.from('dex\n035\0') },
+    { name: 'AndroidManifest.xml', data: compileXml(manifest, options) }
+  ]);
+}
+
+/**
+ * Build the manifest of an app with a launcher activity
+ * @param {Object} [attributes] - Attributes of the manifest element
+ * @returns {Object} - Root element
+ */
+function appManifest(attributes = {}) {
+  const element = (tag, attrs, children = []) => ({ tag, attributes: attrs, children });
+
+  return element('manifest', {
+    package: 'com.example.shop',
+    versionCode: 42,
+    versionName: '2.1.0',
+    ...attributes
+  }, [
+    element('uses-sdk', { minSdkVersion: 24, targetSdkVersion: 34 }),
+    element('application', { label: 'Shop', debuggable: true }, [
+      element('activity', { name: '.SettingsActivity' }),
+      element('activity', { name: '.MainActivity' }, [
+        element('intent-filter', {}, [
+          element('action', { name: 'android.intent.action.MAIN' }),
+          element('category', { name: 'android.intent.category.LAUNCHER' })
+        ])
+      ])
+    ])
+  ]);
+}
+
+/**
+ * Compile an element tree to Android binary XML
+ * @param {Object} root - Root element
+ * @param {Object} options - { utf8 }
+ * @returns {Buffer} - Binary XML
+ */
+function compileXml(root, options) {
+  const strings = [];
+  const indexOf = (value) => {
+    if (!strings.includes(value)) {
+      strings.push(value);
+    }
+    return strings.indexOf(value);
+  };
+  const nodes = [];
+
+  /**
+   * Write the chunks of an element and its children
+   * @param {Object} element - Element
+   */
+  function writeElement({ tag, attributes, children }) {
+    const entries = Object.entries(attributes);
+    const start = Buffer.alloc(36 + entries.length * 20);
+
+    start.writeUInt16LE(0x0102, 0);
+    start.writeUInt16LE(16, 2);
+    start.writeUInt32LE(start.length, 4);
+    start.writeUInt32LE(NO_INDEX, 12);
+    start.writeUInt32LE(NO_INDEX, 16);
+    start.writeUInt32LE(indexOf(tag), 20);
+    start.writeUInt16LE(20, 24);
+    start.writeUInt16LE(20, 26);
+    start.writeUInt16LE(entries.length, 28);
+
+    entries.forEach(([name, value], index) => {
+      const offset = 36 + index * 20;
+      const isString = typeof value === 'string';
+      const type = { string: TYPE_STRING, number: TYPE_INT_DEC, boolean: TYPE_INT_BOOLEAN };
+
+      start.writeUInt32LE(NO_INDEX, offset);
+      start.writeUInt32LE(indexOf(name), offset + 4);
+      start.writeUInt32LE(isString ? indexOf(value) : NO_INDEX, offset + 8);
+      start.writeUInt16LE(8, offset + 12);
+      start[offset + 15] = type[typeof value];
+      start.writeUInt32LE(isString ? indexOf(value) : Number(value) >>> 0, offset + 16);
+    });
+
+    nodes.push(start);
+    children.forEach(writeElement);
+
+    const end = Buffer.alloc(24);
+    end.writeUInt16LE(0x0103, 0);
+    end.writeUInt16LE(16, 2);
+    end.writeUInt32LE(24, 4);
+    end.writeUInt32LE(NO_INDEX, 16);
+    end.writeUInt32LE(indexOf(tag), 20);
+    nodes.push(end);
+  }
+
+  writeElement(root);
+
+  const pool = compileStringPool(strings, options.utf8);
+  const header = Buffer.alloc(8);
+  const size = header.length + pool.length + nodes.reduce((sum, node) => sum + node.length, 0);
+
+  header.writeUInt16LE(0x0003, 0);
+  header.writeUInt16LE(8, 2);
+  header.writeUInt32LE(size, 4);
+
+  return Buffer.concat([header, pool, ...nodes]);
+}
+
+/**
+ * Compile a string pool chunk
+ * @param {Array<string>} strings - Strings
+ * @param {boolean} utf8 - Whether to write UTF-8 instead of UTF-16
+ * @returns {Buffer} - String pool chunk
+ */
+function compileStringPool(strings, utf8) {
+  const encoded = strings.map((string) => {
+    if (utf8) {
+      const bytes = Buffer.from(string, 'utf8');
+      return Buffer.concat([Buffer.from([string.length, bytes.length]), bytes, Buffer.from([0])]);
+    }
+
+    const length = Buffer.alloc(2);
+    length.writeUInt16LE(string.length);
+    return Buffer.concat([length, Buffer.from(`${string}\0`, 'utf16le')]);
+  });
+  const offsets = Buffer.alloc(strings.length * 4);
+  let position = 0;
+
+  encoded.forEach((data, index) => {
+    offsets.writeUInt32LE(position, index * 4);
+    position += data.length;
+  });
+
+  const data = Buffer.concat(encoded);
+  const padding = Buffer.alloc((4 - (data.length % 4)) % 4);
+  const header = Buffer.alloc(28);
+
+  header.writeUInt16LE(0x0001, 0);
+  header.writeUInt16LE(28, 2);
+  header.writeUInt32LE(28 + offsets.length + data.length + padding.length, 4);
+  header.writeUInt32LE(strings.length, 8);
+  header.writeUInt32LE(utf8 ? 0x100 : 0, 16);
+  header.writeUInt32LE(28 + offsets.length, 20);
+
+  return Buffer.concat([header, offsets, data, padding]);
+}
+
+/**
+ * Build a ZIP archive with deflated files
+ * @param {Array<Object>} files - Files ({ name, data })
+ * @returns {Buffer} - ZIP archive
+ */
+function buildZip(files) {
+  const locals = [];
+  const entries = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const compressed = zlib.deflateRawSync(data);
+    const fileName = Buffer.from(name);
+    const local = Buffer.alloc(30);
+    const entry = Buffer.alloc(46);
+
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(compressed.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(fileName.length, 28);
+    entry.writeUInt32LE(offset, 42);
+
+    locals.push(local, fileName, compressed);
+    entries.push(entry, fileName);
+    offset += local.length + fileName.length + compressed.length;
+  });
+
+  const directory = Buffer.concat(entries);
+  const end = Buffer.alloc(22);
+
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+module.exports = {
+  appManifest,
+  buildApk
+};
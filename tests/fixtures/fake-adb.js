@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+/**
+ * Fake adb binary for the adb driver tests
+ * Appends every invocation to the file named by FAKE_ADB_LOG and answers like adb would.
+ * FAKE_ADB_DELAY makes every call take that many milliseconds.
+ */
+
+const fs = require('fs');
+const { PNG } = require('pngjs');
+
+const args = process.argv.slice(2);
+fs.appendFileSync(process.env.FAKE_ADB_LOG, `${JSON.stringify(args)}\n`);
+
+// The serial only selects the device, it does not change the answer
+const command = args[0] === '-s' ? args.slice(2) : args;
+
+/**
+ * Write the answer adb would give to the command
+ */
+function answer() {
+  const line = command.join(' ');
+
+  if (line === 'exec-out screencap -p') {
+    process.stdout.write(PNG.sync.write(new PNG({ width: 36, height: 78 })));
+  } else if (line === 'exec-out uiautomator dump /dev/tty') {
+    process.stdout.write([
+      '<?xml version=\'1.0\' encoding=\'UTF-8\' standalone=\'yes\' ?><hierarchy rotation="0">',
+      '<node index="0" text="" class="android.widget.FrameLayout" package="com.example.app"',
+      ' clickable="false" enabled="true" bounds="[0,0][36,78]">',
+      '<node index="0" text="Sign in &amp; continue" resource-id="com.example.app:id/login"',
+      ' class="android.widget.Button" package="com.example.app" content-desc=""',
+      ' clickable="true" focused="false" enabled="true" bounds="[4,40][32,60]" />',
+      '</node></hierarchy>UI hierchary dumped to: /dev/tty\n'
+    ].join(''));
+  } else if (line === 'shell wm size') {
+    process.stdout.write('Physical size: 1080x2340\nOverride size: 36x78\n');
+  } else if (line === 'shell pm list packages') {
+    process.stdout.write('package:com.android.chrome\npackage:com.example.app\n');
+  } else if (command[0] === 'uninstall') {
+    const installed = command[1] === 'com.example.app';
+    process.stdout.write(installed ? 'Success\n' : 'Failure [DELETE_FAILED_INTERNAL_ERROR]\n');
+  } else if (command[0] === 'install') {
+    process.stdout.write(fs.existsSync(command[2]) ? 'Performing Streamed Install\nSuccess\n' : '');
+  } else if (line.startsWith('shell pm clear ')) {
+    process.stdout.write(command[3] === 'com.example.app' ? 'Success\n' : 'Failed\n');
+  } else if (line.startsWith('shell monkey -p ') && command[3] !== 'com.example.app') {
+    process.stdout.write('** No activities found to run, monkey aborted.\n');
+  } else if (command[0] !== 'shell') {
+    process.stderr.write(`adb: unknown command ${command[0]}\n`);
+    process.exitCode = 1;
+  }
+}
+
+setTimeout(answer, Number(process.env.FAKE_ADB_DELAY) || 0);
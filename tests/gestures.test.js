@@ -0,0 +1,83 @@
+/**
+ * Tests for building gesture pointer paths
+ */
+
+const {
+  doubleTapGesture,
+  dragGesture,
+  gestureDuration,
+  isMultiTouch,
+  isTap,
+  pinchGesture,
+  rotateGesture
+} = require('../src/utils/gestures');
+
+/**
+ * Get the first and last point of every pointer
+ * @param {Array<Object>} pointers - Pointers
+ * @returns {Array<Array<Object>>} - [first, last] per pointer
+ */
+function endsOf(pointers) {
+  return pointers.map(({ path }) => [path[0], path[path.length - 1]]);
+}
+
+describe('Gestures', () => {
+  test('should build a double tap of two short taps', () => {
+    const pointers = doubleTapGesture([100, 200], 150);
+
+    expect(endsOf(pointers)).toEqual([
+      [{ x: 100, y: 200, time: 0 }, { x: 100, y: 200, time: 50 }],
+      [{ x: 100, y: 200, time: 150 }, { x: 100, y: 200, time: 200 }]
+    ]);
+    expect(pointers.every(isTap)).toBe(true);
+    expect(isMultiTouch(pointers)).toBe(false);
+  });
+
+  test('should hold a drag in place before moving it', () => {
+    const [{ path }] = dragGesture([100, 200], [100, 1200], { holdDuration: 1000, duration: 500 });
+
+    expect(path.slice(0, 2)).toEqual([
+      { x: 100, y: 200, time: 0 },
+      { x: 100, y: 200, time: 1000 }
+    ]);
+    expect(path[path.length - 1]).toEqual({ x: 100, y: 1200, time: 1500 });
+    expect(isTap({ path })).toBe(false);
+  });
+
+  test('should move the fingers of a pinch apart along the angle', () => {
+    const pointers = pinchGesture([500, 1000], {
+      startDistance: 200,
+      endDistance: 600,
+      angle: 90,
+      duration: 400
+    });
+
+    expect(endsOf(pointers)).toEqual([
+      [{ x: 500, y: 1100, time: 0 }, { x: 500, y: 1300, time: 400 }],
+      [{ x: 500, y: 900, time: 0 }, { x: 500, y: 700, time: 400 }]
+    ]);
+    expect(isMultiTouch(pointers)).toBe(true);
+  });
+
+  test('should turn the fingers of a rotation around the center', () => {
+    const pointers = rotateGesture([500, 1000], {
+      radius: 100,
+      startAngle: 0,
+      degrees: 90,
+      duration: 300
+    });
+
+    expect(endsOf(pointers)).toEqual([
+      [{ x: 600, y: 1000, time: 0 }, { x: 500, y: 1100, time: 300 }],
+      [{ x: 400, y: 1000, time: 0 }, { x: 500, y: 900, time: 300 }]
+    ]);
+    expect(gestureDuration(pointers)).toBe(300);
+  });
+
+  test('should tell taps from long presses', () => {
+    const press = { path: [{ x: 1, y: 1, time: 0 }, { x: 1, y: 1, time: 800 }] };
+
+    expect(isTap(press)).toBe(false);
+    expect(isTap({ path: [{ x: 1, y: 1, time: 0 }] })).toBe(true);
+  });
+});
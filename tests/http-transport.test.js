@@ -0,0 +1,178 @@
+/**
+ * Tests for the Streamable HTTP transport
+ */
+
+const http = require('http');
+const express = require('express');
+const bodyParser = require('body-parser');
+const { createHttpTransport } = require('../src/core/http-transport');
+
+// Mock logger
+const mockLogger = {
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+const tools = {
+  echo: {
+    description: 'Echo the input back',
+    handler: jest.fn(async params => ({ echoed: params.text }))
+  }
+};
+
+const initializeMessage = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-06-18', capabilities: {} }
+};
+
+describe('Streamable HTTP transport', () => {
+  let server;
+  let baseUrl;
+
+  /**
+   * Send an HTTP request to the test server
+   * @param {string} method - HTTP method
+   * @param {Object} [body] - JSON body
+   * @param {Object} [headers] - Extra request headers
+   * @param {string} [endpoint='/mcp'] - Path the transport is mounted on
+   * @returns {Promise<Object>} - { status, headers, body }
+   */
+  function request(method, body, headers = {}, endpoint = '/mcp') {
+    return new Promise((resolve, reject) => {
+      const req = http.request(`${baseUrl}${endpoint}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers }
+      }, (res) => {
+        let data = '';
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          body: data ? JSON.parse(data) : null
+        }));
+      });
+
+      req.on('error', reject);
+      req.end(body ? JSON.stringify(body) : undefined);
+    });
+  }
+
+  /**
+   * Open the event stream and resolve with the first event received
+   * @param {string} sessionId - MCP session ID
+   * @returns {Promise<Object>} - { message, close }
+   */
+  function nextEvent(sessionId) {
+    return new Promise((resolve, reject) => {
+      const req = http.get(`${baseUrl}/mcp`, {
+        headers: { 'Accept': 'text/event-stream', 'Mcp-Session-Id': sessionId }
+      }, (res) => {
+        let data = '';
+        res.on('data', (chunk) => {
+          data += chunk;
+          const match = data.match(/data: (.*)\n\n/);
+
+          if (match) {
+            resolve({ message: JSON.parse(match[1]), close: () => req.destroy() });
+          }
+        });
+      });
+
+      req.on('error', reject);
+    });
+  }
+
+  beforeEach((done) => {
+    jest.clearAllMocks();
+
+    const app = express();
+    app.use(bodyParser.json());
+    app.use('/mcp', createHttpTransport(tools, mockLogger));
+    app.use('/mcp-idle', createHttpTransport(tools, mockLogger, { idleTimeout: 50 }));
+
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterEach((done) => {
+    server.close(done);
+  });
+
+  test('should assign a session ID on the first request', async () => {
+    const response = await request('POST', initializeMessage);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['mcp-session-id']).toEqual(expect.any(String));
+    expect(response.body.result.serverInfo.name).toBe('airtap-mcp');
+  });
+
+  test('should answer requests in the POST response within the session', async () => {
+    const init = await request('POST', initializeMessage);
+    const sessionId = init.headers['mcp-session-id'];
+
+    const response = await request('POST', {
+      jsonrpc: '2.0',
+      id: 2,
+      method: 'tools/call',
+      params: { name: 'echo', arguments: { text: 'over http' } }
+    }, { 'Mcp-Session-Id': sessionId });
+
+    expect(response.body.result.structuredContent).toEqual({ echoed: 'over http' });
+  });
+
+  test('should only start sessions with initialize', async () => {
+    const response = await request('POST', { jsonrpc: '2.0', id: 1, method: 'ping' });
+
+    expect(response.status).toBe(400);
+    expect(response.headers['mcp-session-id']).toBeUndefined();
+    expect(response.body.error.message).toContain('start a session with initialize');
+  });
+
+  test('should end sessions that stay idle', async () => {
+    const init = await request('POST', initializeMessage, {}, '/mcp-idle');
+    const headers = { 'Mcp-Session-Id': init.headers['mcp-session-id'] };
+    const ping = { jsonrpc: '2.0', id: 2, method: 'ping' };
+
+    expect((await request('POST', ping, headers, '/mcp-idle')).status).toBe(200);
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect((await request('POST', ping, headers, '/mcp-idle')).status).toBe(404);
+  });
+
+  test('should reject unknown session IDs', async () => {
+    const response = await request('POST', initializeMessage, { 'Mcp-Session-Id': 'missing' });
+
+    expect(response.status).toBe(404);
+  });
+
+  test('should accept notifications and stream legacy responses over SSE', async () => {
+    const init = await request('POST', initializeMessage);
+    const sessionId = init.headers['mcp-session-id'];
+
+    const accepted = await request('POST', { type: 'ping' }, { 'Mcp-Session-Id': sessionId });
+    expect(accepted.status).toBe(202);
+
+    const event = await nextEvent(sessionId);
+    event.close();
+
+    expect(event.message).toEqual(expect.objectContaining({ type: 'pong' }));
+  });
+
+  test('should terminate sessions on DELETE', async () => {
+    const init = await request('POST', initializeMessage);
+    const sessionId = init.headers['mcp-session-id'];
+
+    const deleted = await request('DELETE', null, { 'Mcp-Session-Id': sessionId });
+    const after = await request('POST', { jsonrpc: '2.0', id: 2, method: 'ping' }, {
+      'Mcp-Session-Id': sessionId
+    });
+
+    expect(deleted.status).toBe(204);
+    expect(after.status).toBe(404);
+  });
+});
@@ -0,0 +1,31 @@
+/**
+ * Tests for Android keycodes
+ */
+
+const { metaStateOf, resolveKey } = require('../src/utils/keycodes');
+const { ErrorCodes } = require('../src/utils/errors');
+
+describe('Keycodes', () => {
+  test('should resolve key names with or without the prefix, in any case', () => {
+    expect(resolveKey('ENTER')).toEqual({ name: 'ENTER', code: 66 });
+    expect(resolveKey('keycode_volume_up')).toEqual({ name: 'VOLUME_UP', code: 24 });
+    expect(resolveKey('7')).toEqual({ name: '7', code: 14 });
+  });
+
+  test('should name known keycodes and keep unknown ones', () => {
+    expect(resolveKey(187)).toEqual({ name: 'APP_SWITCH', code: 187 });
+    expect(resolveKey(999)).toEqual({ name: null, code: 999 });
+  });
+
+  test('should reject unknown key names', () => {
+    expect(() => resolveKey('ENTRE')).toThrow(expect.objectContaining({
+      code: ErrorCodes.INVALID_PARAMS,
+      message: 'Unknown key "ENTRE"; use an Android key name such as ENTER or a numeric keycode'
+    }));
+  });
+
+  test('should combine modifiers into a meta state', () => {
+    expect(metaStateOf([])).toBe(0);
+    expect(metaStateOf(['CTRL', 'SHIFT'])).toBe(0x1001);
+  });
+});
@@ -0,0 +1,443 @@
+/**
+ * Tests for the MCP protocol handler
+ */
+
+const EventEmitter = require('events');
+const { handleMcpConnection } = require('../src/core/mcp-handler');
+
+// Mock logger
+const mockLogger = {
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+/**
+ * Create a fake WebSocket that records everything sent to the client
+ * @returns {EventEmitter} - Fake WebSocket
+ */
+function createMockSocket() {
+  const ws = new EventEmitter();
+  ws.sent = [];
+  ws.send = jest.fn(data => ws.sent.push(JSON.parse(data)));
+  return ws;
+}
+
+/**
+ * Deliver a message to the handler and let it finish processing
+ * @param {EventEmitter} ws - Fake WebSocket
+ * @param {Object|string} message - Message to deliver
+ */
+async function deliver(ws, message) {
+  ws.emit('message', typeof message === 'string' ? message : JSON.stringify(message));
+  await new Promise(resolve => setImmediate(resolve));
+}
+
+describe('MCP Handler', () => {
+  let ws;
+  let tools;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    tools = {
+      echo: {
+        description: 'Echo the input back',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            text: { type: 'string', description: 'Text to echo' },
+            repeat: { type: 'number', description: 'Times to repeat' }
+          },
+          required: ['text']
+        },
+        handler: jest.fn(async params => ({ echoed: params.text }))
+      },
+      slow: {
+        description: 'Runs until cancelled',
+        handler: jest.fn((params, session, { signal }) => new Promise((resolve) => {
+          // Resolve even when aborted, so only the executor can suppress the result
+          signal.addEventListener('abort', () => resolve({ finished: false }));
+        }))
+      },
+      steps: {
+        description: 'Reports progress while running',
+        handler: jest.fn(async (params, session, { reportProgress }) => {
+          reportProgress(1, 2, 'First step');
+          reportProgress(2, 2, 'Second step');
+          return { done: true };
+        })
+      },
+      get_task_status: {
+        description: 'Get task status',
+        handler: jest.fn(async params => ({
+          taskId: params.taskId,
+          status: 'waiting_for_input',
+          steps: [{ step: 1, action: 'Open app', status: 'completed' }],
+          waitingForInput: true,
+          inputPrompt: 'Which account?'
+        }))
+      },
+      capture: {
+        description: 'Returns a screenshot',
+        handler: jest.fn(async () => ({
+          success: true,
+          screenshot: { format: 'jpeg', width: 2, height: 4, data: 'AAAA' },
+          diff: { format: 'png', width: 2, height: 4, data: 'BBBB' }
+        }))
+      },
+      fail: {
+        description: 'Always fails',
+        handler: jest.fn(async () => {
+          throw new Error('Device unavailable');
+        })
+      }
+    };
+
+    ws = createMockSocket();
+    handleMcpConnection(ws, tools, mockLogger);
+  });
+
+  describe('legacy protocol', () => {
+    test('should send server info on connect', () => {
+      expect(ws.sent[0]).toEqual(expect.objectContaining({ type: 'server_info', protocol: 'mcp-v1' }));
+    });
+
+    test('should run tools with the legacy envelope', async () => {
+      await deliver(ws, { id: '1', type: 'run_tool', tool: 'echo', params: { text: 'hi' } });
+
+      expect(ws.sent).toContainEqual({ type: 'request_received', id: '1', tool: 'echo' });
+      expect(ws.sent).toContainEqual({
+        type: 'tool_response',
+        id: '1',
+        tool: 'echo',
+        status: 'success',
+        result: { echoed: 'hi' }
+      });
+    });
+
+    test('should reject invalid parameters before the tool runs', async () => {
+      await deliver(ws, { id: '2', type: 'run_tool', tool: 'echo', params: { repeat: 'twice' } });
+
+      expect(tools.echo.handler).not.toHaveBeenCalled();
+      expect(ws.sent).toContainEqual({
+        type: 'error',
+        id: '2',
+        message: 'Invalid parameters for echo: text is required; repeat must be number',
+        errors: [
+          { field: 'text', message: 'is required', keyword: 'required' },
+          { field: 'repeat', message: 'must be number', keyword: 'type' }
+        ]
+      });
+    });
+  });
+
+  describe('batches', () => {
+    test('should run batches with the run_sequence tool', async () => {
+      tools.run_sequence = {
+        description: 'Run several tools',
+        handler: jest.fn(async params => ({ success: true, total: params.steps.length }))
+      };
+
+      await deliver(ws, {
+        id: '20',
+        type: 'run_batch',
+        steps: [{ tool: 'echo', params: { text: 'a' } }],
+        continueOnFailure: true
+      });
+
+      expect(tools.run_sequence.handler.mock.calls[0][0]).toEqual(expect.objectContaining({
+        steps: [{ tool: 'echo', params: { text: 'a' } }],
+        continueOnFailure: true
+      }));
+      expect(ws.sent).toContainEqual({
+        type: 'tool_response',
+        id: '20',
+        tool: 'run_sequence',
+        status: 'success',
+        result: { success: true, total: 1 }
+      });
+    });
+
+    test('should report batches as unavailable without the run_sequence tool', async () => {
+      await deliver(ws, { id: '21', type: 'run_batch', steps: [] });
+
+      expect(ws.sent).toContainEqual({
+        type: 'error',
+        id: '21',
+        message: 'Batch execution is not available on this server'
+      });
+    });
+  });
+
+  describe('progress', () => {
+    test('should send tool_progress messages for legacy requests', async () => {
+      await deliver(ws, { id: '9', type: 'run_tool', tool: 'steps', params: {} });
+
+      const progress = ws.sent.filter(message => message.type === 'tool_progress');
+      expect(progress).toEqual([
+        { type: 'tool_progress', id: '9', tool: 'steps', progress: 1, total: 2, message: 'First step' },
+        { type: 'tool_progress', id: '9', tool: 'steps', progress: 2, total: 2, message: 'Second step' }
+      ]);
+    });
+
+    test('should send notifications/progress only when a progress token is supplied', async () => {
+      await deliver(ws, {
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'initialize',
+        params: { protocolVersion: '2025-06-18', capabilities: {} }
+      });
+      await deliver(ws, { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'steps' } });
+      await deliver(ws, {
+        jsonrpc: '2.0',
+        id: 3,
+        method: 'tools/call',
+        params: { name: 'steps', _meta: { progressToken: 'token-1' } }
+      });
+
+      const notifications = ws.sent.filter(message => message.method === 'notifications/progress');
+      expect(notifications).toHaveLength(2);
+      expect(notifications[0].params).toEqual({
+        progressToken: 'token-1',
+        progress: 1,
+        total: 2,
+        message: 'First step'
+      });
+    });
+  });
+
+  describe('task subscriptions', () => {
+    test('should push task updates after subscribe_task', async () => {
+      await deliver(ws, { id: '10', type: 'subscribe_task', taskId: 'task-1' });
+
+      expect(ws.sent).toContainEqual({ type: 'task_subscribed', id: '10', taskId: 'task-1' });
+      expect(ws.sent.find(message => message.type === 'task_update')).toEqual(expect.objectContaining({
+        taskId: 'task-1',
+        status: 'waiting_for_input',
+        waitingForInput: true,
+        inputPrompt: 'Which account?',
+        changes: ['status', 'steps', 'waitingForInput']
+      }));
+
+      await deliver(ws, { id: '11', type: 'unsubscribe_task', taskId: 'task-1' });
+    });
+
+    test('should track subscriptions in the session and stop them on close', async () => {
+      await deliver(ws, { id: '10', type: 'subscribe_task', taskId: 'task-1' });
+      const { signal } = tools.get_task_status.handler.mock.calls[0][2];
+
+      ws.emit('close');
+
+      expect(signal.aborted).toBe(true);
+    });
+
+    test('should reject unsubscribing from tasks that are not subscribed', async () => {
+      await deliver(ws, { id: '12', type: 'unsubscribe_task', taskId: 'task-2' });
+
+      expect(ws.sent).toContainEqual({
+        type: 'error',
+        id: '12',
+        message: 'Not subscribed to task task-2'
+      });
+    });
+  });
+
+  describe('cancellation', () => {
+    test('should abort the handler and send no result after cancel_request', async () => {
+      await deliver(ws, { id: '7', type: 'run_tool', tool: 'slow', params: {} });
+      const { signal } = tools.slow.handler.mock.calls[0][2];
+
+      await deliver(ws, { id: '7', type: 'cancel_request' });
+
+      expect(signal.aborted).toBe(true);
+      expect(ws.sent).toContainEqual({ type: 'request_cancelled', id: '7' });
+      expect(ws.sent.find(message => message.type === 'tool_response')).toBeUndefined();
+      expect(ws.sent.find(message => message.type === 'error')).toBeUndefined();
+    });
+
+    test('should abort JSON-RPC requests on notifications/cancelled', async () => {
+      await deliver(ws, {
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'initialize',
+        params: { protocolVersion: '2025-06-18', capabilities: {} }
+      });
+      await deliver(ws, { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'slow' } });
+      await deliver(ws, {
+        jsonrpc: '2.0',
+        method: 'notifications/cancelled',
+        params: { requestId: 2, reason: 'User requested' }
+      });
+
+      expect(tools.slow.handler.mock.calls[0][2].signal.aborted).toBe(true);
+      expect(ws.sent.find(message => message.id === 2)).toBeUndefined();
+    });
+
+    test('should abort in-flight requests when the connection closes', async () => {
+      await deliver(ws, { id: '8', type: 'run_tool', tool: 'slow', params: {} });
+
+      ws.emit('close');
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(tools.slow.handler.mock.calls[0][2].signal.aborted).toBe(true);
+      expect(ws.sent.find(message => message.type === 'tool_response')).toBeUndefined();
+    });
+  });
+
+  describe('JSON-RPC protocol', () => {
+    const initialize = (protocolVersion = '2025-06-18') => deliver(ws, {
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'initialize',
+      params: { protocolVersion, capabilities: {}, clientInfo: { name: 'test-client', version: '1.0.0' } }
+    });
+
+    test('should negotiate the protocol version on initialize', async () => {
+      await initialize('2025-03-26');
+
+      const response = ws.sent.find(message => message.id === 1);
+      expect(response.result).toEqual(expect.objectContaining({
+        protocolVersion: '2025-03-26',
+        capabilities: expect.objectContaining({ tools: expect.any(Object) }),
+        serverInfo: expect.objectContaining({ name: 'airtap-mcp' })
+      }));
+    });
+
+    test('should fall back to the latest version for unknown protocol versions', async () => {
+      await initialize('1999-01-01');
+
+      const response = ws.sent.find(message => message.id === 1);
+      expect(response.result.protocolVersion).toBe('2025-06-18');
+    });
+
+    test('should reject requests before initialize', async () => {
+      await deliver(ws, { jsonrpc: '2.0', id: 2, method: 'tools/list' });
+
+      const response = ws.sent.find(message => message.id === 2);
+      expect(response.error.code).toBe(-32002);
+    });
+
+    test('should list tools with a JSON Schema input schema', async () => {
+      await initialize();
+      await deliver(ws, { jsonrpc: '2.0', id: 2, method: 'tools/list' });
+
+      const response = ws.sent.find(message => message.id === 2);
+      expect(response.result.tools).toContainEqual({
+        name: 'echo',
+        description: 'Echo the input back',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            text: { type: 'string', description: 'Text to echo' },
+            repeat: { type: 'number', description: 'Times to repeat' }
+          },
+          required: ['text']
+        }
+      });
+    });
+
+    test('should report invalid tool arguments with per-field errors', async () => {
+      await initialize();
+      await deliver(ws, {
+        jsonrpc: '2.0',
+        id: 3,
+        method: 'tools/call',
+        params: { name: 'echo', arguments: {} }
+      });
+
+      const response = ws.sent.find(message => message.id === 3);
+      expect(response.error).toEqual({
+        code: -32602,
+        message: 'Invalid parameters for echo: text is required',
+        data: {
+          tool: 'echo',
+          errors: [{ field: 'text', message: 'is required', keyword: 'required' }]
+        }
+      });
+      expect(tools.echo.handler).not.toHaveBeenCalled();
+    });
+
+    test('should call tools and return text and structured content', async () => {
+      await initialize();
+      await deliver(ws, {
+        jsonrpc: '2.0',
+        id: 3,
+        method: 'tools/call',
+        params: { name: 'echo', arguments: { text: 'hello' } }
+      });
+
+      const response = ws.sent.find(message => message.id === 3);
+      expect(response.result.isError).toBe(false);
+      expect(response.result.structuredContent).toEqual({ echoed: 'hello' });
+      expect(JSON.parse(response.result.content[0].text)).toEqual({ echoed: 'hello' });
+    });
+
+    test('should send screenshots and diff images as image content', async () => {
+      await initialize();
+      await deliver(ws, { jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'capture' } });
+
+      const { content, structuredContent } = ws.sent.find(message => message.id === 3).result;
+      const withoutData = {
+        success: true,
+        screenshot: { format: 'jpeg', width: 2, height: 4 },
+        diff: { format: 'png', width: 2, height: 4 }
+      };
+
+      expect(content.slice(1)).toEqual([
+        { type: 'image', data: 'AAAA', mimeType: 'image/jpeg' },
+        { type: 'image', data: 'BBBB', mimeType: 'image/png' }
+      ]);
+      expect(JSON.parse(content[0].text)).toEqual(withoutData);
+      expect(structuredContent).toEqual(withoutData);
+    });
+
+    test('should report tool failures as error results', async () => {
+      await initialize();
+      await deliver(ws, { jsonrpc: '2.0', id: 4, method: 'tools/call', params: { name: 'fail' } });
+
+      const response = ws.sent.find(message => message.id === 4);
+      expect(response.result).toEqual({
+        content: [{ type: 'text', text: 'Device unavailable' }],
+        isError: true
+      });
+    });
+
+    test('should reject unknown tools with invalid params', async () => {
+      await initialize();
+      await deliver(ws, { jsonrpc: '2.0', id: 5, method: 'tools/call', params: { name: 'missing' } });
+
+      const response = ws.sent.find(message => message.id === 5);
+      expect(response.error).toEqual({ code: -32602, message: 'Unknown tool: missing' });
+    });
+
+    test('should return method not found for unknown methods', async () => {
+      await initialize();
+      await deliver(ws, { jsonrpc: '2.0', id: 6, method: 'unknown/method' });
+
+      const response = ws.sent.find(message => message.id === 6);
+      expect(response.error.code).toBe(-32601);
+    });
+
+    test('should not respond to notifications', async () => {
+      await initialize();
+      const sentBefore = ws.sent.length;
+
+      await deliver(ws, { jsonrpc: '2.0', method: 'notifications/initialized' });
+      await deliver(ws, { jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 99 } });
+
+      expect(ws.sent.length).toBe(sentBefore);
+    });
+
+    test('should answer malformed JSON with a parse error once JSON-RPC is in use', async () => {
+      await initialize();
+      await deliver(ws, '{not json');
+
+      expect(ws.sent[ws.sent.length - 1]).toEqual({
+        jsonrpc: '2.0',
+        id: null,
+        error: expect.objectContaining({ code: -32700 })
+      });
+    });
+  });
+});
@@ -0,0 +1,529 @@
+/**
+ * Tests for the tool policy: denied tools, protected packages and confirmations
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const EventEmitter = require('events');
+const express = require('express');
+const { createToolPolicy, loadPolicyFile } = require('../src/core/policy');
+const { handleMcpConnection } = require('../src/core/mcp-handler');
+const devicesRouter = require('../src/api/devices');
+const { configureSharedSimulator } = require('../src/drivers');
+const { ConfirmationRequiredError, PolicyError, CancelledError } = require('../src/utils/errors');
+const { appManifest, buildApk } = require('./fixtures/build-apk');
+
+// Mock logger
+const mockLogger = {
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+const uninstallApp = { name: 'uninstallApp', annotations: { destructiveHint: true } };
+const launchApp = { name: 'launchApp' };
+
+/**
+ * Create a fake WebSocket that records everything sent to the client
+ * @returns {EventEmitter} - Fake WebSocket
+ */
+function createMockSocket() {
+  const ws = new EventEmitter();
+  ws.sent = [];
+  ws.send = jest.fn(data => ws.sent.push(JSON.parse(data)));
+  return ws;
+}
+
+/**
+ * Deliver a message to the handler and let it finish processing
+ * @param {EventEmitter} ws - Fake WebSocket
+ * @param {Object} message - Message to deliver
+ */
+async function deliver(ws, message) {
+  ws.emit('message', JSON.stringify(message));
+  await new Promise(resolve => setImmediate(resolve));
+}
+
+describe('Tool policy', () => {
+  test('should refuse denied tools', async () => {
+    const policy = createToolPolicy({ deniedTools: ['launchApp'] });
+
+    await expect(policy.authorize(launchApp, { packageName: 'com.spotify.music' }))
+      .rejects.toThrow(new PolicyError('Tool launchApp is disabled by the server policy'));
+  });
+
+  test('should keep destructive tools away from system packages by default', async () => {
+    const policy = createToolPolicy();
+
+    const error = await policy.authorize(uninstallApp, { packageName: 'com.android.chrome' })
+      .catch(rejection => rejection);
+    expect(error).toBeInstanceOf(PolicyError);
+    expect(error.message)
+      .toBe('Package com.android.chrome is protected; uninstallApp cannot act on it');
+    expect(error.data).toEqual({
+      reason: 'protected',
+      tool: 'uninstallApp',
+      packageName: 'com.android.chrome'
+    });
+
+    await expect(policy.authorize(uninstallApp, { packageName: 'com.google.android.gm' }))
+      .rejects.toThrow(PolicyError);
+    await expect(policy.authorize(uninstallApp, { packageName: 'com.spotify.music' }))
+      .resolves.toBeUndefined();
+    await expect(policy.authorize(launchApp, { packageName: 'com.android.chrome' }))
+      .resolves.toBeUndefined();
+  });
+
+  test('should match configured packages exactly or by prefix', () => {
+    const policy = createToolPolicy({ protectedPackages: ['com.example.bank', 'org.corp.*'] });
+
+    expect(policy.isProtected('com.example.bank')).toBe(true);
+    expect(policy.isProtected('com.example.banking')).toBe(false);
+    expect(policy.isProtected('org.corp.mail')).toBe(true);
+    expect(policy.isProtected('org.corporate')).toBe(false);
+    expect(policy.isProtected('com.android.chrome')).toBe(false);
+  });
+
+  test('should run confirmed calls once per confirmation token', async () => {
+    const policy = createToolPolicy({ confirmTools: ['uninstallApp'] });
+    const params = { packageName: 'com.spotify.music', deviceId: 'pixel' };
+    const options = { sessionId: 's1' };
+
+    const refusal = await policy.authorize(uninstallApp, params, options)
+      .catch(rejection => rejection);
+    expect(refusal).toBeInstanceOf(ConfirmationRequiredError);
+    expect(refusal.data).toEqual({
+      tool: 'uninstallApp',
+      confirmationToken: expect.any(String),
+      expiresAt: expect.any(String)
+    });
+
+    const confirm = refusal.data.confirmationToken;
+    const reordered = { deviceId: 'pixel', packageName: 'com.spotify.music' };
+    await expect(policy.authorize(uninstallApp, reordered, { ...options, confirm }))
+      .resolves.toBeUndefined();
+    await expect(policy.authorize(uninstallApp, params, { ...options, confirm }))
+      .rejects.toThrow('The confirmation token for uninstallApp is invalid or expired');
+  });
+
+  test('should only accept tokens for the same call in the same session', async () => {
+    const policy = createToolPolicy({ confirmTools: ['uninstallApp'] });
+    const params = { packageName: 'com.spotify.music' };
+    const tokenFor = sessionId => policy.authorize(uninstallApp, params, { sessionId })
+      .catch(error => error.data.confirmationToken);
+
+    const otherPackage = { packageName: 'org.telegram.messenger' };
+    const otherCall = { sessionId: 's1', confirm: await tokenFor('s1') };
+    const otherSession = { sessionId: 's2', confirm: await tokenFor('s1') };
+
+    await expect(policy.authorize(uninstallApp, otherPackage, otherCall))
+      .rejects.toThrow(ConfirmationRequiredError);
+    await expect(policy.authorize(uninstallApp, params, otherSession))
+      .rejects.toThrow(ConfirmationRequiredError);
+  });
+
+  test('should expire confirmation tokens', async () => {
+    const policy = createToolPolicy({ confirmTools: ['launchApp'], confirmationTimeout: 10 });
+    const confirm = await policy.authorize(launchApp, {})
+      .catch(error => error.data.confirmationToken);
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    await expect(policy.authorize(launchApp, {}, { confirm }))
+      .rejects.toThrow(ConfirmationRequiredError);
+  });
+
+  test('should wait for approval when the session can approve calls', async () => {
+    const policy = createToolPolicy({ confirmTools: ['launchApp'], confirmation: 'approval' });
+    const approvals = [];
+    const requestApproval = approval => new Promise((resolve) => {
+      approvals.push({ approval, resolve });
+    });
+
+    const approved = policy.authorize(launchApp, { packageName: 'a.b' }, { requestApproval });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(approvals[0].approval).toEqual({
+      approvalId: expect.any(String),
+      tool: 'launchApp',
+      params: { packageName: 'a.b' },
+      expiresAt: expect.any(String)
+    });
+    approvals[0].resolve(true);
+    await expect(approved).resolves.toBeUndefined();
+
+    const rejected = policy.authorize(launchApp, {}, { requestApproval });
+    await new Promise(resolve => setImmediate(resolve));
+    approvals[1].resolve(false);
+    await expect(rejected).rejects.toThrow(new PolicyError('launchApp was rejected'));
+
+    // Without a way to ask, the call is confirmed with a token instead
+    await expect(policy.authorize(launchApp, {})).rejects.toThrow(ConfirmationRequiredError);
+  });
+
+  test('should stop waiting for approval on timeout or cancellation', async () => {
+    const policy = createToolPolicy({
+      confirmTools: ['launchApp'],
+      confirmation: 'approval',
+      confirmationTimeout: 20
+    });
+    const signals = [];
+    const requestApproval = (approval, signal) => {
+      signals.push(signal);
+      return new Promise(() => {});
+    };
+
+    await expect(policy.authorize(launchApp, {}, { requestApproval }))
+      .rejects.toThrow('launchApp was not approved within 0.02 seconds');
+    expect(signals[0].aborted).toBe(true);
+
+    const controller = new AbortController();
+    const cancelled = policy.authorize(launchApp, {}, {
+      requestApproval,
+      signal: controller.signal
+    });
+    controller.abort();
+    await expect(cancelled).rejects.toThrow(CancelledError);
+  });
+
+  test('should reject invalid configurations', () => {
+    expect(() => createToolPolicy({ deniedTools: 'reboot' }))
+      .toThrow('deniedTools must be a list of names');
+    expect(() => createToolPolicy({ confirmation: 'ask' }))
+      .toThrow('confirmation must be one of: token, approval');
+    expect(() => createToolPolicy({ confirmationTimeout: 0 }))
+      .toThrow('confirmationTimeout must be a positive number of milliseconds');
+  });
+
+  test('should read policy files', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'airtap-policy-'));
+    const file = path.join(directory, 'policy.yaml');
+
+    try {
+      fs.writeFileSync(file, [
+        'protectedPackages: [com.example.bank]',
+        'confirmTools:',
+        '  - uninstallApp',
+        'confirmationTimeout: 60'
+      ].join('\n'));
+
+      expect(loadPolicyFile(file)).toEqual({
+        protectedPackages: ['com.example.bank'],
+        confirmTools: ['uninstallApp'],
+        confirmationTimeout: 60000
+      });
+
+      fs.writeFileSync(file, '- uninstallApp');
+      expect(() => loadPolicyFile(file)).toThrow('must hold an object');
+      expect(() => loadPolicyFile(path.join(directory, 'policy.txt')))
+        .toThrow('must be JSON or YAML');
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Policy on sessions', () => {
+  let tools;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    tools = {
+      uninstallApp: {
+        description: 'Uninstall an app',
+        annotations: { destructiveHint: true },
+        handler: jest.fn(async params => ({ success: true, packageName: params.packageName }))
+      }
+    };
+  });
+
+  /**
+   * Open a connection with a policy
+   * @param {Object} config - Policy configuration
+   * @returns {EventEmitter} - Fake WebSocket
+   */
+  function connect(config) {
+    const ws = createMockSocket();
+    handleMcpConnection(ws, tools, mockLogger, { policy: createToolPolicy(config) });
+    return ws;
+  }
+
+  test('should refuse calls with a denied error', async () => {
+    const ws = connect();
+    await deliver(ws, {
+      id: '1',
+      type: 'run_tool',
+      tool: 'uninstallApp',
+      params: { packageName: 'com.android.chrome' }
+    });
+
+    expect(ws.sent).toContainEqual({
+      type: 'error',
+      id: '1',
+      message: 'Package com.android.chrome is protected; uninstallApp cannot act on it',
+      code: 'denied',
+      reason: 'protected',
+      tool: 'uninstallApp',
+      packageName: 'com.android.chrome'
+    });
+    expect(tools.uninstallApp.handler).not.toHaveBeenCalled();
+  });
+
+  test('should run calls repeated with their confirmation token', async () => {
+    const ws = connect({ confirmTools: ['uninstallApp'] });
+    const params = { packageName: 'com.spotify.music' };
+
+    await deliver(ws, { id: '1', type: 'run_tool', tool: 'uninstallApp', params });
+    const refusal = ws.sent.find(message => message.type === 'error');
+    expect(refusal).toEqual(expect.objectContaining({
+      id: '1',
+      code: 'confirmation_required',
+      confirmationToken: expect.any(String)
+    }));
+
+    await deliver(ws, {
+      id: '2',
+      type: 'run_tool',
+      tool: 'uninstallApp',
+      params,
+      confirm: refusal.confirmationToken
+    });
+    expect(ws.sent).toContainEqual(expect.objectContaining({ id: '2', type: 'tool_response' }));
+    expect(tools.uninstallApp.handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('should ask the session to approve calls in approval mode', async () => {
+    const ws = connect({ confirmTools: ['uninstallApp'], confirmation: 'approval' });
+    const params = { packageName: 'com.spotify.music' };
+
+    await deliver(ws, { id: '1', type: 'run_tool', tool: 'uninstallApp', params });
+    const request = ws.sent.find(message => message.type === 'approval_required');
+    expect(request).toEqual({
+      type: 'approval_required',
+      id: '1',
+      approvalId: expect.any(String),
+      tool: 'uninstallApp',
+      params,
+      expiresAt: expect.any(String)
+    });
+    expect(tools.uninstallApp.handler).not.toHaveBeenCalled();
+
+    await deliver(ws, {
+      id: '2',
+      type: 'resolve_approval',
+      approvalId: request.approvalId,
+      approved: true
+    });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(ws.sent).toContainEqual({
+      type: 'approval_resolved',
+      id: '2',
+      approvalId: request.approvalId,
+      approved: true
+    });
+    expect(ws.sent).toContainEqual(expect.objectContaining({ id: '1', type: 'tool_response' }));
+
+    await deliver(ws, { id: '3', type: 'resolve_approval', approvalId: request.approvalId });
+    expect(ws.sent[ws.sent.length - 1]).toEqual(expect.objectContaining({
+      type: 'error',
+      message: `Approval ${request.approvalId} not found or expired`
+    }));
+  });
+
+  test('should report unconfirmed JSON-RPC calls with their token', async () => {
+    const ws = connect({ confirmTools: ['uninstallApp'], confirmation: 'approval' });
+    const call = (id, meta) => deliver(ws, {
+      jsonrpc: '2.0',
+      id,
+      method: 'tools/call',
+      params: { name: 'uninstallApp', arguments: { packageName: 'com.spotify.music' }, _meta: meta }
+    });
+
+    await deliver(ws, {
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'initialize',
+      params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test' } }
+    });
+    await call(2);
+
+    const { error } = ws.sent.find(message => message.id === 2);
+    expect(error).toEqual({
+      code: -32004,
+      message: expect.stringContaining('uninstallApp must be confirmed'),
+      data: {
+        tool: 'uninstallApp',
+        confirmationToken: expect.any(String),
+        expiresAt: expect.any(String)
+      }
+    });
+
+    await call(3, { confirm: error.data.confirmationToken });
+    expect(ws.sent.find(message => message.id === 3).result.isError).toBe(false);
+  });
+
+  test('should ask JSON-RPC clients that support elicitation to approve calls', async () => {
+    const ws = connect({ confirmTools: ['uninstallApp'], confirmation: 'approval' });
+    const call = id => deliver(ws, {
+      jsonrpc: '2.0',
+      id,
+      method: 'tools/call',
+      params: { name: 'uninstallApp', arguments: { packageName: 'com.spotify.music' } }
+    });
+    const approvalRequests = () => ws.sent
+      .filter(message => message.method === 'elicitation/create');
+
+    await deliver(ws, {
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'initialize',
+      params: {
+        protocolVersion: '2025-06-18',
+        capabilities: { elicitation: {} },
+        clientInfo: { name: 'test' }
+      }
+    });
+    await call(2);
+
+    const [request] = approvalRequests();
+    expect(request).toEqual({
+      jsonrpc: '2.0',
+      id: expect.any(String),
+      method: 'elicitation/create',
+      params: {
+        message: expect.stringContaining('Allow uninstallApp to run with'),
+        requestedSchema: { type: 'object', properties: {} }
+      }
+    });
+    expect(tools.uninstallApp.handler).not.toHaveBeenCalled();
+
+    await deliver(ws, { jsonrpc: '2.0', id: request.id, result: { action: 'accept' } });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(ws.sent.find(message => message.id === 2).result.isError).toBe(false);
+    expect(tools.uninstallApp.handler).toHaveBeenCalledTimes(1);
+
+    await call(3);
+    const declined = approvalRequests()[1];
+    await deliver(ws, { jsonrpc: '2.0', id: declined.id, result: { action: 'decline' } });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(ws.sent.find(message => message.id === 3).error).toEqual(expect.objectContaining({
+      code: -32003,
+      message: 'uninstallApp was rejected'
+    }));
+    expect(tools.uninstallApp.handler).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Policy on device routes', () => {
+  let server;
+  let baseUrl;
+
+  /**
+   * Send a JSON POST request
+   * @param {string} route - Route below the devices
+   * @param {Object} [body] - JSON body
+   * @param {string} [apiToken='token-a'] - API token of the caller
+   * @returns {Promise<Array>} - [status, body]
+   */
+  async function post(route, body = {}, apiToken = 'token-a') {
+    const response = await fetch(`${baseUrl}${route}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${apiToken}` },
+      body: JSON.stringify(body)
+    });
+    return [response.status, await response.json()];
+  }
+
+  beforeAll((done) => {
+    configureSharedSimulator({ latency: 0 });
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.apiToken = req.get('authorization').slice('Bearer '.length);
+      next();
+    });
+    app.locals.policy = createToolPolicy({ confirmTools: ['reboot', 'installApp'] });
+    app.use('/api/devices', devicesRouter);
+
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/api/devices`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    configureSharedSimulator();
+    server.close(done);
+  });
+
+  test('should refuse to clear the data of protected packages', async () => {
+    const [status, body] = await post('/device-001/apps/com.android.chrome/clear-data');
+
+    expect(status).toBe(403);
+    expect(body).toEqual(expect.objectContaining({ code: 'denied', reason: 'protected' }));
+    expect((await post('/device-001/apps/com.spotify.music/clear-data'))[0]).toBe(200);
+  });
+
+  test('should reboot once the reboot is confirmed', async () => {
+    const [status, body] = await post('/device-001/reboot');
+
+    expect(status).toBe(428);
+    expect(body).toEqual(expect.objectContaining({
+      code: 'confirmation_required',
+      tool: 'reboot',
+      confirmationToken: expect.any(String)
+    }));
+
+    const confirm = body.confirmationToken;
+    expect((await post('/device-001/reboot', { confirm }, 'token-b'))[0]).toBe(428);
+
+    const confirmed = await post('/device-001/reboot', { confirm });
+    expect(confirmed).toEqual([200, expect.objectContaining({ status: 'rebooting' })]);
+  });
+
+  test('should check installs before receiving the upload', async () => {
+    // The body is never sent, so the answer cannot wait for it
+    const refusal = await new Promise((resolve, reject) => {
+      const req = http.request(`${baseUrl}/device-001/apps`, {
+        method: 'POST',
+        headers: {
+          'Authorization': 'Bearer token-a',
+          'Content-Type': 'multipart/form-data; boundary=apk',
+          'Content-Length': 200 * 1024 * 1024
+        }
+      }, (res) => {
+        let data = '';
+        res.on('data', (chunk) => {
+          data += chunk;
+        });
+        res.on('end', () => {
+          req.destroy();
+          resolve([res.statusCode, JSON.parse(data)]);
+        });
+      });
+      req.on('error', reject);
+      req.flushHeaders();
+    });
+
+    expect(refusal).toEqual([428, expect.objectContaining({
+      code: 'confirmation_required',
+      tool: 'installApp'
+    })]);
+
+    const form = new FormData();
+    form.append('apk', new Blob([buildApk(appManifest())]), 'shop.apk');
+    const confirm = encodeURIComponent(refusal[1].confirmationToken);
+    const response = await fetch(`${baseUrl}/device-001/apps?confirm=${confirm}`, {
+      method: 'POST',
+      headers: { Authorization: 'Bearer token-a' },
+      body: form
+    });
+
+    expect(response.status).toBe(201);
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Tests for the MCP prompt templates
+ */
+
+const path = require('path');
+const EventEmitter = require('events');
+const {
+  registerPrompts,
+  listPrompts,
+  getPrompt,
+  completePromptArgument
+} = require('../src/core/prompts');
+const { handleMcpConnection } = require('../src/core/mcp-handler');
+
+// Mock logger
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+const PROMPTS_DIR = path.join(__dirname, 'fixtures', 'prompts');
+
+describe('Prompts', () => {
+  let tools;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    tools = {
+      listApps: {
+        description: 'List all installed applications',
+        handler: jest.fn(async () => ({
+          success: true,
+          apps: [
+            { packageName: 'com.android.chrome', appName: 'Chrome' },
+            { packageName: 'com.instagram.android', appName: 'Instagram' },
+            { packageName: 'com.spotify.music', appName: 'Spotify' }
+          ]
+        }))
+      }
+    };
+  });
+
+  describe('registry', () => {
+    test('should register the built-in prompts', () => {
+      const prompts = registerPrompts(mockLogger);
+
+      expect(Object.keys(prompts)).toEqual([
+        'smoke_test_app',
+        'walk_through_onboarding',
+        'login_and_verify'
+      ]);
+    });
+
+    test('should load JSON and YAML prompt files from a directory', () => {
+      const prompts = registerPrompts(mockLogger, PROMPTS_DIR);
+
+      expect(prompts.checkout_flow).toEqual(expect.objectContaining({
+        title: 'Check out a cart',
+        source: path.join(PROMPTS_DIR, 'checkout.yaml')
+      }));
+      expect(prompts.smoke_test_app.description).toBe('Team specific smoke test');
+    });
+
+    test('should skip invalid prompt files', () => {
+      const prompts = registerPrompts(mockLogger, PROMPTS_DIR);
+
+      expect(prompts.missing_template).toBeUndefined();
+      expect(mockLogger.warn).toHaveBeenCalledWith(expect.stringContaining('broken.yml'));
+    });
+
+    test('should keep the built-in prompts when the directory is missing', () => {
+      const prompts = registerPrompts(mockLogger, path.join(PROMPTS_DIR, 'missing'));
+
+      expect(Object.keys(prompts)).toHaveLength(3);
+      expect(mockLogger.warn).toHaveBeenCalledWith(expect.stringContaining('Cannot read prompts directory'));
+    });
+
+    test('should describe prompt arguments without internal fields', () => {
+      const [smokeTest] = listPrompts(registerPrompts(mockLogger));
+
+      expect(smokeTest).toEqual({
+        name: 'smoke_test_app',
+        title: 'Smoke test an app',
+        description: expect.any(String),
+        arguments: [{ name: 'packageName', description: expect.any(String), required: true }]
+      });
+    });
+  });
+
+  describe('getPrompt', () => {
+    test('should fill in arguments and defaults', () => {
+      const prompts = registerPrompts(mockLogger, PROMPTS_DIR);
+      const result = getPrompt(prompts, 'checkout_flow', { packageName: 'com.shop.app' });
+
+      expect(result.messages).toEqual([{
+        role: 'user',
+        content: {
+          type: 'text',
+          text: 'Open com.shop.app, add the first product on the home screen to the cart and go '
+            + 'through checkout. Stop on the payment screen without paying.'
+        }
+      }]);
+    });
+
+    test('should reject missing required arguments', () => {
+      const prompts = registerPrompts(mockLogger);
+
+      expect(() => getPrompt(prompts, 'login_and_verify', { packageName: 'com.instagram.android' }))
+        .toThrow('Missing required argument: username');
+    });
+
+    test('should reject unknown prompts', () => {
+      expect(() => getPrompt(registerPrompts(mockLogger), 'missing')).toThrow('Unknown prompt: missing');
+    });
+  });
+
+  describe('completion', () => {
+    test('should complete package names from listApps', async () => {
+      const prompts = registerPrompts(mockLogger);
+      const completion = await completePromptArgument(
+        prompts, tools, 'smoke_test_app', { name: 'packageName', value: 'com.in' }, {}
+      );
+
+      expect(completion).toEqual({ values: ['com.instagram.android'], total: 1, hasMore: false });
+    });
+
+    test('should match app names as well as package names', async () => {
+      const prompts = registerPrompts(mockLogger);
+      const completion = await completePromptArgument(
+        prompts, tools, 'smoke_test_app', { name: 'packageName', value: 'spot' }, {}
+      );
+
+      expect(completion.values).toEqual(['com.spotify.music']);
+    });
+
+    test('should return no values for arguments without a completion source', async () => {
+      const prompts = registerPrompts(mockLogger);
+      const completion = await completePromptArgument(
+        prompts, tools, 'login_and_verify', { name: 'username', value: 'a' }, {}
+      );
+
+      expect(completion.values).toEqual([]);
+      expect(tools.listApps.handler).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('JSON-RPC methods', () => {
+    let ws;
+
+    /**
+     * Send a JSON-RPC request and let the handler respond
+     * @param {number} id - Request ID
+     * @param {string} method - Method name
+     * @param {Object} [params] - Method parameters
+     * @returns {Promise<Object>} - JSON-RPC response
+     */
+    async function request(id, method, params) {
+      ws.emit('message', JSON.stringify({ jsonrpc: '2.0', id, method, params }));
+      await new Promise(resolve => setImmediate(resolve));
+      return ws.sent.find(message => message.id === id);
+    }
+
+    beforeEach(async () => {
+      ws = new EventEmitter();
+      ws.sent = [];
+      ws.send = data => ws.sent.push(JSON.parse(data));
+
+      handleMcpConnection(ws, tools, mockLogger, { prompts: registerPrompts(mockLogger) });
+      await request(1, 'initialize', { protocolVersion: '2025-06-18', capabilities: {} });
+    });
+
+    test('should advertise prompts and completions', () => {
+      const response = ws.sent.find(message => message.id === 1);
+
+      expect(response.result.capabilities).toEqual(expect.objectContaining({
+        prompts: { listChanged: false },
+        completions: {}
+      }));
+    });
+
+    test('should list and get prompts', async () => {
+      const list = await request(2, 'prompts/list');
+      const prompt = await request(3, 'prompts/get', {
+        name: 'smoke_test_app',
+        arguments: { packageName: 'com.android.chrome' }
+      });
+
+      expect(list.result.prompts.map(item => item.name)).toContain('walk_through_onboarding');
+      expect(prompt.result.messages[0].content.text).toContain('com.android.chrome');
+    });
+
+    test('should answer unknown prompts with invalid params', async () => {
+      const response = await request(2, 'prompts/get', { name: 'missing' });
+
+      expect(response.error).toEqual({ code: -32602, message: 'Unknown prompt: missing' });
+    });
+
+    test('should complete prompt arguments', async () => {
+      const response = await request(2, 'completion/complete', {
+        ref: { type: 'ref/prompt', name: 'smoke_test_app' },
+        argument: { name: 'packageName', value: 'chrome' }
+      });
+
+      expect(response.result.completion).toEqual({
+        values: ['com.android.chrome'],
+        total: 1,
+        hasMore: false
+      });
+    });
+  });
+});
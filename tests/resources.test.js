@@ -0,0 +1,224 @@
+/**
+ * Tests for the MCP resources
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const { handleMcpConnection } = require('../src/core/mcp-handler');
+
+const FAKE_ADB = path.join(__dirname, 'fixtures', 'fake-adb.js');
+
+// Mock logger
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+/**
+ * Create a fake WebSocket that records everything sent to the client
+ * @returns {EventEmitter} - Fake WebSocket
+ */
+function createMockSocket() {
+  const ws = new EventEmitter();
+  ws.sent = [];
+  ws.send = jest.fn(data => ws.sent.push(JSON.parse(data)));
+  return ws;
+}
+
+describe('MCP Resources', () => {
+  let ws;
+  let tools;
+  let nextId;
+
+  /**
+   * Send a JSON-RPC request and wait for its response
+   * @param {string} method - Method name
+   * @param {Object} [params] - Method parameters
+   * @returns {Promise<Object>} - JSON-RPC response
+   */
+  async function request(method, params) {
+    const id = nextId++;
+    ws.emit('message', JSON.stringify({ jsonrpc: '2.0', id, method, params }));
+
+    // Device reads go through the simulator, which takes a moment to answer
+    for (let i = 0; i < 200; i++) {
+      const response = ws.sent.find(message => message.id === id);
+      if (response) {
+        return response;
+      }
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    throw new Error(`No response to ${method}`);
+  }
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    nextId = 1;
+
+    tools = {
+      tap: {
+        name: 'tap',
+        description: 'Tap the screen',
+        handler: jest.fn(async () => ({ success: true }))
+      },
+      listApps: {
+        name: 'listApps',
+        description: 'List apps',
+        annotations: { readOnlyHint: true },
+        handler: jest.fn(async () => ({ apps: [] }))
+      },
+      uninstallApp: {
+        name: 'uninstallApp',
+        description: 'Uninstall an app',
+        annotations: { destructiveHint: true },
+        handler: jest.fn(async () => ({ success: true }))
+      }
+    };
+
+    ws = createMockSocket();
+    handleMcpConnection(ws, tools, mockLogger);
+    await request('initialize', { protocolVersion: '2025-06-18', capabilities: {} });
+  });
+
+  afterEach(() => {
+    ws.emit('close');
+  });
+
+  test('should advertise resource subscriptions on initialize', () => {
+    const response = ws.sent.find(message => message.id === 1);
+    expect(response.result.capabilities.resources).toEqual({ subscribe: true, listChanged: false });
+  });
+
+  test('should list screenshot and app resources for every device', async () => {
+    const response = await request('resources/list');
+    const uris = response.result.resources.map(resource => resource.uri);
+
+    expect(uris).toEqual(expect.arrayContaining([
+      'airtap://devices/device-001/screenshot',
+      'airtap://devices/device-001/apps',
+      'airtap://devices/device-002/screenshot',
+      'airtap://devices/device-002/apps'
+    ]));
+  });
+
+  test('should list the resource templates', async () => {
+    const response = await request('resources/templates/list');
+    const templates = response.result.resourceTemplates.map(template => template.uriTemplate);
+
+    expect(templates).toEqual([
+      'airtap://devices/{id}/screenshot',
+      'airtap://devices/{id}/apps',
+      'airtap://tasks/{id}/steps'
+    ]);
+  });
+
+  test('should read the installed apps of a device as JSON', async () => {
+    const response = await request('resources/read', { uri: 'airtap://devices/device-001/apps' });
+    const [content] = response.result.contents;
+
+    expect(content.mimeType).toBe('application/json');
+    expect(JSON.parse(content.text).apps).toContainEqual(expect.objectContaining({
+      packageName: 'com.android.chrome'
+    }));
+  });
+
+  test('should read screenshots as binary content', async () => {
+    const response = await request('resources/read', { uri: 'airtap://devices/device-001/screenshot' });
+
+    expect(response.result.contents[0]).toEqual({
+      uri: 'airtap://devices/device-001/screenshot',
+      mimeType: 'image/png',
+      blob: expect.any(String)
+    });
+  });
+
+  test('should read device resources with the configured driver', async () => {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fake-adb-'));
+    const adbPath = path.join(workDir, 'adb');
+    const log = path.join(workDir, 'calls.log');
+    const command = `FAKE_ADB_LOG='${log}' exec '${process.execPath}' '${FAKE_ADB}' "$@"`;
+    fs.writeFileSync(adbPath, `#!/bin/sh\n${command}\n`, { mode: 0o755 });
+
+    ws.emit('close');
+    ws = createMockSocket();
+    handleMcpConnection(ws, tools, mockLogger, { drivers: { driver: 'adb', adb: { adbPath } } });
+    await request('initialize', { protocolVersion: '2025-06-18', capabilities: {} });
+
+    try {
+      const apps = await request('resources/read', { uri: 'airtap://devices/device-001/apps' });
+      expect(JSON.parse(apps.result.contents[0].text).apps).toEqual([
+        { packageName: 'com.android.chrome', appName: 'com.android.chrome' },
+        { packageName: 'com.example.app', appName: 'com.example.app' }
+      ]);
+
+      const screen = await request('resources/read', {
+        uri: 'airtap://devices/device-001/screenshot'
+      });
+      expect(Buffer.from(screen.result.contents[0].blob, 'base64').readUInt32BE(16)).toBe(36);
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  });
+
+  test('should read the step log of a task', async () => {
+    const response = await request('resources/read', { uri: 'airtap://tasks/task-1/steps' });
+    const steps = JSON.parse(response.result.contents[0].text);
+
+    expect(steps).toEqual(expect.objectContaining({ taskId: 'task-1', status: expect.any(String) }));
+    expect(Array.isArray(steps.steps)).toBe(true);
+  });
+
+  test('should reject unknown resource URIs', async () => {
+    const response = await request('resources/read', { uri: 'airtap://devices/device-001/battery' });
+
+    expect(response.error).toEqual({
+      code: -32602,
+      message: 'Resource not found: airtap://devices/device-001/battery',
+      data: { uri: 'airtap://devices/device-001/battery' }
+    });
+  });
+
+  test('should notify subscribers when a tool changes the screen', async () => {
+    await request('resources/subscribe', { uri: 'airtap://devices/default/screenshot' });
+    await request('tools/call', { name: 'tap', arguments: {} });
+
+    const updates = ws.sent.filter(message => message.method === 'notifications/resources/updated');
+    expect(updates).toEqual([{
+      jsonrpc: '2.0',
+      method: 'notifications/resources/updated',
+      params: { uri: 'airtap://devices/default/screenshot' }
+    }]);
+  });
+
+  test('should not notify after read-only tools or after unsubscribing', async () => {
+    const uri = 'airtap://devices/device-001/screenshot';
+    await request('resources/subscribe', { uri });
+    await request('tools/call', { name: 'listApps', arguments: { deviceId: 'device-001' } });
+    await request('resources/unsubscribe', { uri });
+    await request('tools/call', { name: 'tap', arguments: { deviceId: 'device-001' } });
+
+    expect(ws.sent.find(message => message.method === 'notifications/resources/updated')).toBeUndefined();
+  });
+
+  test('should notify app list subscribers after uninstalling an app', async () => {
+    await request('resources/subscribe', { uri: 'airtap://devices/device-002/apps' });
+    await request('tools/call', { name: 'uninstallApp', arguments: { deviceId: 'device-002' } });
+
+    const updates = ws.sent.filter(message => message.method === 'notifications/resources/updated');
+    expect(updates.map(message => message.params.uri)).toEqual(['airtap://devices/device-002/apps']);
+  });
+
+  test('should publish tool annotations in tools/list', async () => {
+    const response = await request('tools/list');
+    const listApps = response.result.tools.find(tool => tool.name === 'listApps');
+    const tap = response.result.tools.find(tool => tool.name === 'tap');
+
+    expect(listApps.annotations).toEqual({ readOnlyHint: true });
+    expect(tap.annotations).toBeUndefined();
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Tests for tool parameter validation
+ */
+
+const androidInteractionTools = require('../src/services/android-interaction');
+const taskManagementTools = require('../src/services/task-management');
+const sequenceTools = require('../src/services/sequence-tools');
+const { validateToolParams } = require('../src/core/schema-validator');
+const { ErrorCodes } = require('../src/utils/errors');
+
+// Mock logger
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+/**
+ * Validate parameters and return the field errors, or null if they are valid
+ * @param {string} name - Tool name
+ * @param {Object} params - Parameters to validate
+ * @returns {Array|null} - Field errors
+ */
+function fieldErrors(name, params) {
+  try {
+    validateToolParams(name, tools[name], params);
+    return null;
+  } catch (error) {
+    expect(error.code).toBe(ErrorCodes.INVALID_PARAMS);
+    return error.data.errors;
+  }
+}
+
+const tools = {
+  ...androidInteractionTools('test-api-token', mockLogger),
+  ...taskManagementTools('test-api-token', mockLogger)
+};
+Object.assign(tools, sequenceTools(tools, mockLogger));
+
+describe('Tool parameter validation', () => {
+  test('every tool should publish an object input schema', () => {
+    Object.values(tools).forEach((tool) => {
+      expect(tool.inputSchema).toEqual(expect.objectContaining({ type: 'object' }));
+    });
+  });
+
+  test('every device tool should declare deviceId', () => {
+    const deviceTools = Object.keys(androidInteractionTools('test-api-token', mockLogger));
+
+    deviceTools.forEach((name) => {
+      expect(tools[name].inputSchema.properties.deviceId).toEqual(expect.objectContaining({
+        type: 'string'
+      }));
+    });
+    expect(fieldErrors('tap', { deviceId: 'device-002', coordinates: [1, 2] })).toBeNull();
+    expect(fieldErrors('screenshot', { deviceId: '' })).toEqual([
+      { field: 'deviceId', message: 'must NOT have fewer than 1 characters', keyword: 'minLength' }
+    ]);
+  });
+
+  test('should validate coordinates', () => {
+    expect(fieldErrors('tap', { coordinates: [100, 200] })).toBeNull();
+
+    expect(fieldErrors('tap', { coordinates: 'invalid' })).toEqual([
+      { field: 'coordinates', message: 'must be array', keyword: 'type' }
+    ]);
+    expect(fieldErrors('tap', { coordinates: [100] })).toEqual([
+      { field: 'coordinates', message: 'must NOT have fewer than 2 items', keyword: 'minItems' }
+    ]);
+    expect(fieldErrors('tap', { coordinates: [100, -5] })).toEqual([{
+      field: 'coordinates.1',
+      message: 'must be a number of at least 0 or a percentage such as "50%"',
+      keyword: 'anyOf'
+    }]);
+  });
+
+  test('should accept percentages, normalized units and a reference resolution', () => {
+    expect(fieldErrors('tap', { coordinates: ['50%', '12.5%'] })).toBeNull();
+    expect(fieldErrors('swipe', { start: [0.5, 0.9], end: [0.5, '10%'], units: 'normalized' }))
+      .toBeNull();
+    expect(fieldErrors('longpress', { coordinates: [540, 1200], referenceResolution: '1080x2340' }))
+      .toBeNull();
+
+    expect(fieldErrors('clearText', {
+      noOfChars: 1,
+      coordinates: ['50', '50%'],
+      units: 'percent',
+      referenceResolution: '1080'
+    })).toEqual([
+      expect.objectContaining({ field: 'coordinates.0', keyword: 'anyOf' }),
+      expect.objectContaining({ field: 'units', message: 'must be one of: pixels, normalized' }),
+      expect.objectContaining({ field: 'referenceResolution', keyword: 'pattern' })
+    ]);
+  });
+
+  test('should require either coordinates or a selector', () => {
+    const choice = {
+      field: 'params',
+      message: 'must have exactly one of: coordinates, selector',
+      keyword: 'oneOf'
+    };
+
+    expect(fieldErrors('tap', { selector: { text: 'OK' } })).toBeNull();
+    expect(fieldErrors('tap', {})).toEqual([choice]);
+    expect(fieldErrors('tap', { coordinates: [1, 2], selector: { text: 'OK' } })).toEqual([choice]);
+  });
+
+  test('should validate selectors', () => {
+    expect(fieldErrors('longpress', { selector: { className: 'Button', index: 2 } })).toBeNull();
+
+    expect(fieldErrors('longpress', { selector: { index: 2 } })).toEqual([{
+      field: 'selector',
+      message: 'must have one of: text, textContains, resourceId, contentDesc, className, xpath',
+      keyword: 'anyOf'
+    }]);
+    const selector = { text: 'x', label: 'x' };
+
+    expect(fieldErrors('clearText', { noOfChars: 1, selector })).toEqual([
+      { field: 'selector.label', message: 'is not allowed', keyword: 'additionalProperties' }
+    ]);
+  });
+
+  test('should only accept valid package names for uninstallApp', () => {
+    expect(fieldErrors('uninstallApp', { packageName: 'com.spotify.music' })).toBeNull();
+    expect(fieldErrors('uninstallApp', { packageName: 'com.spotify; reboot' })).toEqual([
+      expect.objectContaining({ field: 'packageName', keyword: 'pattern' })
+    ]);
+  });
+
+  test('should report every invalid field at once', () => {
+    expect(fieldErrors('inputText', { text: '', coordinates: [100] })).toEqual([
+      { field: 'text', message: 'must NOT have fewer than 1 characters', keyword: 'minLength' },
+      { field: 'coordinates', message: 'must NOT have fewer than 2 items', keyword: 'minItems' }
+    ]);
+  });
+
+  test('should fill in defaults from the schema', () => {
+    const params = { start: [0, 0], end: [0, 500] };
+
+    expect(fieldErrors('swipe', params)).toBeNull();
+    expect(params.duration).toBe(300);
+  });
+
+  test('should describe allowed values and nested fields', () => {
+    expect(fieldErrors('list_tasks', { status: 'done', limit: 1.5 })).toEqual([
+      {
+        field: 'status',
+        message: 'must be one of: pending, running, waiting_for_input, completed, failed, '
+          + 'cancelled',
+        keyword: 'enum'
+      },
+      { field: 'limit', message: 'must be integer', keyword: 'type' }
+    ]);
+    expect(fieldErrors('run_sequence', { steps: [{ params: {} }] })).toEqual([
+      { field: 'steps.0.tool', message: 'is required', keyword: 'required' }
+    ]);
+  });
+
+  test('should summarise the field errors in the message', () => {
+    expect(() => validateToolParams('wait', tools.wait, { seconds: 0 }))
+      .toThrow('Invalid parameters for wait: seconds must be > 0');
+  });
+
+  test('should only require an object for tools without a schema', () => {
+    const tool = { handler: jest.fn() };
+
+    expect(() => validateToolParams('custom', tool, { anything: true })).not.toThrow();
+    expect(() => validateToolParams('custom', tool, 'text'))
+      .toThrow('Invalid parameters for custom: params must be object');
+  });
+});
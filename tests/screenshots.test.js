@@ -0,0 +1,138 @@
+/**
+ * Tests for screenshot processing and the screenshot REST route
+ */
+
+const express = require('express');
+const sharp = require('sharp');
+const { PNG } = require('pngjs');
+const { transformScreenshot } = require('../src/utils/screenshots');
+const { ErrorCodes } = require('../src/utils/errors');
+const { configureSharedSimulator } = require('../src/drivers');
+const devicesRouter = require('../src/api/devices');
+
+/**
+ * Create a white screenshot
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Object} - Screenshot ({ format, width, height, data })
+ */
+function whiteScreenshot(width, height) {
+  const png = new PNG({ width, height });
+  png.data.fill(255);
+  return { format: 'png', width, height, data: PNG.sync.write(png).toString('base64') };
+}
+
+/**
+ * Decode the pixels of a processed screenshot
+ * @param {Object} screenshot - Processed screenshot
+ * @returns {Promise<Object>} - { data, info } with raw RGB pixels
+ */
+function decode(screenshot) {
+  return sharp(Buffer.from(screenshot.data, 'base64'))
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+}
+
+describe('Screenshot processing', () => {
+  const screenshot = whiteScreenshot(400, 800);
+
+  test('should convert to the requested format', async () => {
+    for (const format of ['png', 'jpeg', 'webp']) {
+      const result = await transformScreenshot(screenshot, { format, quality: 50 });
+      const metadata = await sharp(Buffer.from(result.data, 'base64')).metadata();
+
+      expect(result.format).toBe(format);
+      expect([metadata.format, metadata.width, metadata.height]).toEqual([format, 400, 800]);
+    }
+  });
+
+  test('should scale down to fit the maximum size, keeping the aspect ratio', async () => {
+    const result = await transformScreenshot(screenshot, { maxWidth: 200, maxHeight: 300 });
+
+    expect(result).toEqual(expect.objectContaining({ width: 150, height: 300, scale: 0.375 }));
+    expect(await transformScreenshot(screenshot, { maxWidth: 1000 }))
+      .toEqual(expect.objectContaining({ width: 400, height: 800, scale: 1 }));
+  });
+
+  test('should crop to a region clipped to the screen', async () => {
+    const result = await transformScreenshot(screenshot, {
+      crop: { x: 300, y: 100, width: 200, height: 50 }
+    });
+
+    expect(result.region).toEqual({ x: 300, y: 100, width: 100, height: 50 });
+    expect([result.width, result.height]).toEqual([100, 50]);
+
+    await expect(transformScreenshot(screenshot, {
+      crop: { x: 400, y: 0, width: 10, height: 10 }
+    })).rejects.toThrow(expect.objectContaining({
+      code: ErrorCodes.INVALID_PARAMS,
+      message: 'Crop rectangle lies outside the 400x800 screen'
+    }));
+  });
+
+  test('should draw grid lines at multiples of the spacing in screen pixels', async () => {
+    const result = await transformScreenshot(screenshot, {
+      crop: { x: 50, y: 0, width: 200, height: 200 },
+      maxWidth: 100,
+      overlay: 'grid'
+    });
+    const { data, info } = await decode(result);
+    const pixel = (x, y) => data[(y * info.width + x) * 3 + 1];
+
+    // Screen x = 100 and 200 land on image x = 25 and 75 at scale 0.5
+    expect(pixel(25, 60)).toBeLessThan(200);
+    expect(pixel(75, 60)).toBeLessThan(200);
+    expect(pixel(40, 60)).toBe(255);
+  });
+});
+
+describe('Screenshot REST route', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    configureSharedSimulator({ latency: 0 });
+
+    const app = express();
+    app.use('/api/devices', devicesRouter);
+
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/api/devices`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    configureSharedSimulator();
+    server.close(done);
+  });
+
+  test('should apply format, scaling and crop from the query', async () => {
+    const response = await fetch(
+      `${baseUrl}/device-001/screenshot?format=jpeg&quality=60&crop=0,0,540,1170&maxWidth=270`
+    );
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body).toEqual(expect.objectContaining({
+      deviceId: 'device-001',
+      format: 'jpeg',
+      width: 270,
+      height: 585,
+      region: { x: 0, y: 0, width: 540, height: 1170 },
+      scale: 0.5
+    }));
+  });
+
+  test('should reject invalid options with per-field errors', async () => {
+    const response = await fetch(`${baseUrl}/device-001/screenshot?format=gif&crop=1,2`);
+    const body = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(body.errors).toEqual(expect.arrayContaining([
+      expect.objectContaining({ field: 'format' }),
+      expect.objectContaining({ field: 'crop.width' })
+    ]));
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Tests for UI element selectors
+ */
+
+const { centerOf, describeElement, findElement, findElements } = require('../src/utils/selectors');
+const { ErrorCodes } = require('../src/utils/errors');
+
+/**
+ * Create a UI node
+ * @param {Object} fields - Node fields
+ * @param {Array<Object>} [children] - Child nodes
+ * @returns {Object} - UI node
+ */
+function node(fields, children = []) {
+  return {
+    text: '',
+    resourceId: '',
+    contentDesc: '',
+    bounds: { left: 0, top: 0, right: 100, bottom: 100 },
+    clickable: false,
+    ...fields,
+    children
+  };
+}
+
+const root = node({ className: 'android.widget.FrameLayout' }, [
+  node({ className: 'android.widget.EditText', resourceId: 'com.example:id/email' }),
+  node({ className: 'android.widget.LinearLayout' }, [
+    node({
+      className: 'android.widget.Button',
+      text: 'Sign in',
+      contentDesc: 'Sign in with email',
+      bounds: { left: 100, top: 1000, right: 301, bottom: 1100 },
+      clickable: true
+    }),
+    node({ className: 'android.widget.Button', text: 'Cancel', clickable: true })
+  ]),
+  node({ className: 'android.widget.TextView', text: 'Sign in to continue' })
+]);
+
+describe('UI element selectors', () => {
+  test('should match text, resource ID and content description', () => {
+    expect(findElement(root, { text: 'Cancel' }).text).toBe('Cancel');
+    expect(findElement(root, { resourceId: 'email' }).className).toBe('android.widget.EditText');
+    expect(findElement(root, { resourceId: 'com.example:id/email' }).resourceId)
+      .toBe('com.example:id/email');
+    expect(findElement(root, { contentDesc: 'Sign in with email' }).text).toBe('Sign in');
+    expect(findElements(root, { textContains: 'Sign in' }).map(match => match.className))
+      .toEqual(['android.widget.Button', 'android.widget.TextView']);
+  });
+
+  test('should pick among matches of a class by index', () => {
+    expect(findElement(root, { className: 'Button' }).text).toBe('Sign in');
+    expect(findElement(root, { className: 'android.widget.Button', index: 1 }).text).toBe('Cancel');
+    expect(() => findElement(root, { className: 'Button', index: 2 }))
+      .toThrow('Element not found: only 2 match selector {"className":"Button","index":2}');
+  });
+
+  test('should follow XPath-like paths', () => {
+    const texts = xpath => findElements(root, { xpath }).map(match => match.text);
+
+    expect(texts('//LinearLayout/Button[2]')).toEqual(['Cancel']);
+    expect(texts('/FrameLayout/*[@class=\'android.widget.TextView\']'))
+      .toEqual(['Sign in to continue']);
+    expect(texts('//*[contains(@text, "Sign")][@clickable="true"]')).toEqual(['Sign in']);
+    expect(texts('FrameLayout/Button')).toEqual([]);
+    expect(findElements(root, { xpath: '//Button', text: 'Cancel' })).toHaveLength(1);
+  });
+
+  test('should reject paths it cannot read', () => {
+    expect(() => findElements(root, { xpath: '//Button[last()]' }))
+      .toThrow(expect.objectContaining({
+        code: ErrorCodes.INVALID_PARAMS,
+        message: 'Invalid xpath "//Button[last()]": unsupported predicate "[last()]"'
+      }));
+    expect(() => findElements(root, { xpath: '//Button[@id="x"]' }))
+      .toThrow('unknown attribute @id');
+    expect(() => findElements(root, { xpath: '//Button/..' })).toThrow('unexpected "/.."');
+  });
+
+  test('should describe the element that was hit', () => {
+    const button = findElement(root, { text: 'Sign in' });
+
+    expect(centerOf(button)).toEqual([201, 1050]);
+    expect(describeElement(button)).toEqual({
+      className: 'android.widget.Button',
+      text: 'Sign in',
+      resourceId: '',
+      contentDesc: 'Sign in with email',
+      bounds: { left: 100, top: 1000, right: 301, bottom: 1100 }
+    });
+  });
+});
@@ -0,0 +1,315 @@
+/**
+ * Tests for the run_sequence tool and reference resolution
+ */
+
+const sequenceTools = require('../src/services/sequence-tools');
+const { createToolPolicy } = require('../src/core/policy');
+const { createConcurrencyLimiter } = require('../src/core/concurrency');
+const { executeTool } = require('../src/core/tool-executor');
+const { registerTools } = require('../src/core/tools');
+const { resolveReferences } = require('../src/utils/references');
+
+// Mock logger
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+describe('resolveReferences', () => {
+  const scope = {
+    steps: [
+      { result: { apps: [{ packageName: 'com.android.chrome' }], count: 1 } }
+    ]
+  };
+
+  test('should keep the type of whole-string references', () => {
+    expect(resolveReferences({ count: '${steps[0].result.count}' }, scope)).toEqual({ count: 1 });
+    expect(resolveReferences('${steps[0].result.apps}', scope)).toEqual([
+      { packageName: 'com.android.chrome' }
+    ]);
+  });
+
+  test('should interpolate references inside strings', () => {
+    const value = 'Open ${steps[0].result.apps[0].packageName} (${steps[0].result.count} app)';
+    expect(resolveReferences(value, scope)).toBe('Open com.android.chrome (1 app)');
+  });
+
+  test('should resolve references nested in arrays and objects', () => {
+    const value = { list: ['${steps[0].result.count}', { name: '${steps[0].result.apps[0]["packageName"]}' }] };
+    expect(resolveReferences(value, scope)).toEqual({ list: [1, { name: 'com.android.chrome' }] });
+  });
+
+  test('should reject references to missing data', () => {
+    expect(() => resolveReferences('${steps[1].result}', scope))
+      .toThrow('Reference ${steps[1].result} could not be resolved');
+    expect(() => resolveReferences('${steps[0].result.toString}', scope))
+      .toThrow('could not be resolved');
+  });
+
+  test('should reject malformed references', () => {
+    expect(() => resolveReferences('${steps[0]result}', scope)).toThrow('Invalid reference');
+  });
+});
+
+describe('run_sequence', () => {
+  let tools;
+  let runSequence;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    tools = {
+      listApps: {
+        handler: jest.fn(async () => ({ apps: [{ packageName: 'com.instagram.android' }] }))
+      },
+      tap: {
+        handler: jest.fn(async params => ({ success: true, coordinates: params.coordinates }))
+      },
+      inputText: {
+        handler: jest.fn(async params => ({ success: true, text: params.text }))
+      },
+      fail: {
+        handler: jest.fn(async () => {
+          throw new Error('Element not found');
+        })
+      },
+      assert: {
+        handler: jest.fn(async () => ({ success: false, passed: false, message: 'Screen differs' }))
+      }
+    };
+
+    Object.assign(tools, sequenceTools(tools, mockLogger));
+    runSequence = (params, context) => tools.run_sequence.handler(params, {}, context);
+  });
+
+  test('should run the steps in order and pass earlier results on', async () => {
+    const result = await runSequence({
+      steps: [
+        { tool: 'listApps' },
+        { tool: 'inputText', params: { text: 'Open ${steps[0].result.apps[0].packageName}' } }
+      ],
+      screenshots: 'none'
+    });
+
+    expect(result).toEqual(expect.objectContaining({
+      success: true,
+      action: 'run_sequence',
+      total: 2,
+      completed: 2,
+      failed: 0,
+      stoppedAt: null
+    }));
+    expect(result.steps[1]).toEqual(expect.objectContaining({
+      index: 1,
+      tool: 'inputText',
+      status: 'success',
+      params: { text: 'Open com.instagram.android' },
+      result: { success: true, text: 'Open com.instagram.android' },
+      duration: expect.any(Number),
+      startedAt: expect.any(String)
+    }));
+  });
+
+  test('should stop at the first failure by default', async () => {
+    const result = await runSequence({
+      steps: [{ tool: 'tap', params: { coordinates: [1, 2] } }, { tool: 'fail' }, { tool: 'tap' }],
+      screenshots: 'none'
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.stoppedAt).toBe(1);
+    expect(result.steps.map(step => step.status)).toEqual(['success', 'failed', 'skipped']);
+    expect(result.steps[1].error).toBe('Element not found');
+    expect(tools.tap.handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('should fail steps whose result reports a failure', async () => {
+    const result = await runSequence({
+      steps: [{ tool: 'assert' }, { tool: 'tap' }],
+      screenshots: 'none'
+    });
+
+    expect(result.stoppedAt).toBe(0);
+    expect(result.steps[0]).toEqual(expect.objectContaining({
+      status: 'failed',
+      error: 'Screen differs',
+      result: { success: false, passed: false, message: 'Screen differs' }
+    }));
+  });
+
+  test('should keep going after failures when continueOnFailure is set', async () => {
+    const result = await runSequence({
+      steps: [{ tool: 'fail' }, { tool: 'tap', params: { coordinates: [1, 2] } }],
+      continueOnFailure: true,
+      screenshots: 'none'
+    });
+
+    expect(result.steps.map(step => step.status)).toEqual(['failed', 'success']);
+    expect(result.failed).toBe(1);
+    expect(result.stoppedAt).toBeNull();
+  });
+
+  test('should fail steps whose references cannot be resolved', async () => {
+    const result = await runSequence({
+      steps: [{ tool: 'fail' }, { tool: 'tap', params: { coordinates: '${steps[0].result.point}' } }],
+      continueOnFailure: true,
+      screenshots: 'none'
+    });
+
+    expect(result.steps[1].error).toBe('Reference ${steps[0].result.point} could not be resolved');
+    expect(tools.tap.handler).not.toHaveBeenCalled();
+  });
+
+  test('should fail steps that run longer than their tool timeout', async () => {
+    tools.hang = {
+      timeout: 20,
+      handler: jest.fn(() => new Promise(() => {}))
+    };
+
+    const result = await runSequence({
+      steps: [{ tool: 'hang' }, { tool: 'tap', params: { coordinates: [1, 2] } }],
+      continueOnFailure: true,
+      screenshots: 'none'
+    });
+
+    expect(result.steps[0]).toEqual(expect.objectContaining({
+      status: 'failed',
+      error: 'Tool hang timed out after 20ms'
+    }));
+    expect(result.steps[1].status).toBe('success');
+  });
+
+  test('should capture screenshots after failures or after each step', async () => {
+    const onFailure = await runSequence({
+      steps: [{ tool: 'tap' }, { tool: 'fail' }],
+      continueOnFailure: true
+    });
+    const each = await runSequence({
+      steps: [{ tool: 'tap' }, { tool: 'fail' }],
+      continueOnFailure: true,
+      screenshots: 'each'
+    });
+
+    expect(each.steps.every(step => step.screenshot && step.screenshot.format === 'png')).toBe(true);
+    expect(onFailure.steps[0].screenshot).toBeUndefined();
+    expect(onFailure.steps[1].screenshot).toEqual(expect.objectContaining({ format: 'png' }));
+  });
+
+  test('should wait between steps and report progress', async () => {
+    const reportProgress = jest.fn();
+    const started = Date.now();
+
+    await runSequence({
+      steps: [{ tool: 'tap', delay: 60 }, { tool: 'tap' }, { tool: 'tap' }],
+      delay: 30,
+      screenshots: 'none'
+    }, { reportProgress });
+
+    expect(Date.now() - started).toBeGreaterThanOrEqual(85);
+    expect(reportProgress).toHaveBeenCalledTimes(3);
+    expect(reportProgress).toHaveBeenLastCalledWith(3, 3, 'Step 3 (tap) success');
+  });
+
+  test('should stop when the sequence is cancelled', async () => {
+    const controller = new AbortController();
+    const pending = runSequence({
+      steps: [{ tool: 'tap', delay: 1000 }, { tool: 'tap' }],
+      screenshots: 'none'
+    }, { signal: controller.signal });
+
+    await new Promise(resolve => setTimeout(resolve, 10));
+    controller.abort();
+
+    await expect(pending).rejects.toThrow('Request cancelled');
+    expect(tools.tap.handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('should validate step parameters against the tool schema', async () => {
+    tools.tap.inputSchema = {
+      type: 'object',
+      properties: { coordinates: { type: 'array', minItems: 2 } },
+      required: ['coordinates']
+    };
+
+    const result = await runSequence({ steps: [{ tool: 'tap', params: {} }], screenshots: 'none' });
+
+    expect(result.steps[0]).toEqual(expect.objectContaining({
+      status: 'failed',
+      error: 'Invalid parameters for tap: coordinates is required',
+      errors: [{ field: 'coordinates', message: 'is required', keyword: 'required' }]
+    }));
+    expect(tools.tap.handler).not.toHaveBeenCalled();
+  });
+
+  test('should hold steps to the policy of the session', async () => {
+    const session = { id: 's1', policy: createToolPolicy({ confirmTools: ['tap'] }) };
+    const params = {
+      steps: [{ tool: 'listApps' }, { tool: 'tap', params: { coordinates: [1, 2] } }],
+      screenshots: 'none'
+    };
+
+    const refused = await tools.run_sequence.handler(params, session);
+    expect(refused.stoppedAt).toBe(1);
+    expect(refused.steps[1]).toEqual(expect.objectContaining({
+      status: 'failed',
+      error: expect.stringContaining('tap must be confirmed'),
+      confirmationToken: expect.any(String)
+    }));
+    expect(tools.tap.handler).not.toHaveBeenCalled();
+
+    params.steps[1].confirm = refused.steps[1].confirmationToken;
+    const confirmed = await tools.run_sequence.handler(params, session);
+    expect(confirmed.success).toBe(true);
+    expect(tools.tap.handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('should run every step through the limiter and notify subscribers', async () => {
+    const notify = jest.fn();
+    const session = {
+      id: 's1',
+      activeRequests: new Map(),
+      limiter: createConcurrencyLimiter({ maxPerSession: 1 }),
+      resourceSubscriptions: new Map([['airtap://devices/default/screenshot', { notify }]])
+    };
+    jest.spyOn(session.limiter, 'acquire');
+
+    const result = await executeTool(tools, {
+      id: '1',
+      tool: 'run_sequence',
+      params: { steps: [{ tool: 'tap' }, { tool: 'inputText', params: { text: 'hi' } }] }
+    }, session, mockLogger);
+
+    expect(result.success).toBe(true);
+    expect(session.limiter.acquire).toHaveBeenCalledTimes(2);
+    expect(session.limiter.acquire).toHaveBeenCalledWith('s1', 'default', expect.anything());
+    expect(notify).toHaveBeenCalledTimes(3);
+  });
+
+  test('should not hold a concurrency slot while registered steps wait for theirs', async () => {
+    const registered = registerTools('token', mockLogger);
+    const session = {
+      id: 's1',
+      activeRequests: new Map(),
+      limiter: createConcurrencyLimiter({ maxPerSession: 1 })
+    };
+
+    expect(registered.run_sequence.limited).toBe(false);
+
+    const result = await executeTool(registered, {
+      id: '1',
+      tool: 'run_sequence',
+      params: { steps: [{ tool: 'listApps' }], screenshots: 'none' }
+    }, session, mockLogger);
+    expect(result.success).toBe(true);
+  });
+
+  test('should reject invalid sequences before running any step', async () => {
+    await expect(runSequence({ steps: [{ tool: 'tap' }, { tool: 'missing' }] }))
+      .rejects.toThrow('Step 1: unknown tool missing');
+    await expect(runSequence({ steps: [{ tool: 'run_sequence' }] }))
+      .rejects.toThrow('Step 0: sequences cannot be nested');
+    expect(tools.tap.handler).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * Tests for session resumption
+ */
+
+const EventEmitter = require('events');
+const { createSessionStore, createSessionChannel } = require('../src/core/session-store');
+const { handleMcpConnection } = require('../src/core/mcp-handler');
+
+// Mock logger
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+/**
+ * Create a fake WebSocket that records everything sent to the client
+ * @returns {EventEmitter} - Fake WebSocket
+ */
+function createMockSocket() {
+  const ws = new EventEmitter();
+  ws.sent = [];
+  ws.send = jest.fn(data => ws.sent.push(JSON.parse(data)));
+  return ws;
+}
+
+/**
+ * Deliver a message to the handler and let it finish processing
+ * @param {EventEmitter} ws - Fake WebSocket
+ * @param {Object} message - Message to deliver
+ */
+async function deliver(ws, message) {
+  ws.emit('message', JSON.stringify(message));
+  await new Promise(resolve => setImmediate(resolve));
+}
+
+describe('Session channel', () => {
+  test('should buffer messages while detached and replay them on attach', () => {
+    const first = createMockSocket();
+    const second = createMockSocket();
+    const channel = createSessionChannel(first);
+
+    channel.send(JSON.stringify({ n: 1 }));
+    channel.detach(first);
+    channel.send(JSON.stringify({ n: 2 }));
+    channel.send(JSON.stringify({ n: 3 }));
+
+    expect(channel.buffered).toBe(2);
+    expect(channel.attach(second, JSON.stringify({ greeting: true }))).toBe(2);
+    expect(first.sent).toEqual([{ n: 1 }]);
+    expect(second.sent).toEqual([{ greeting: true }, { n: 2 }, { n: 3 }]);
+  });
+
+  test('should drop the oldest messages beyond the buffer limit', () => {
+    const ws = createMockSocket();
+    const channel = createSessionChannel(ws, { maxBufferedMessages: 2, logger: mockLogger });
+
+    channel.detach(ws);
+    [1, 2, 3].forEach(n => channel.send(JSON.stringify({ n })));
+    channel.attach(ws);
+
+    expect(ws.sent).toEqual([{ n: 2 }, { n: 3 }]);
+    expect(mockLogger.warn).toHaveBeenCalledWith(expect.stringContaining('Dropped 1'));
+  });
+
+  test('should ignore the close of a socket it no longer uses', () => {
+    const first = createMockSocket();
+    const second = createMockSocket();
+    const channel = createSessionChannel(first);
+
+    channel.attach(second);
+
+    expect(channel.detach(first)).toBe(false);
+    expect(channel.socket).toBe(second);
+  });
+});
+
+describe('Session resumption', () => {
+  let tools;
+  let sessionStore;
+  let finishTool;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    tools = {
+      deferred: {
+        description: 'Finishes when the test says so',
+        handler: jest.fn((params, session, { signal }) => new Promise((resolve) => {
+          finishTool = resolve;
+          signal.addEventListener('abort', () => resolve({ finished: false }));
+        }))
+      }
+    };
+
+    sessionStore = createSessionStore({ gracePeriod: 5000, logger: mockLogger });
+  });
+
+  /**
+   * Open a connection and return its socket and server_info message
+   * @returns {Object} - { ws, info }
+   */
+  function connect() {
+    const ws = createMockSocket();
+    handleMcpConnection(ws, tools, mockLogger, { sessionStore });
+    return { ws, info: ws.sent[0] };
+  }
+
+  test('should include a session token in server_info', () => {
+    const { ws, info } = connect();
+
+    expect(info).toEqual(expect.objectContaining({
+      type: 'server_info',
+      sessionId: ws.id,
+      sessionToken: expect.any(String),
+      resumeGracePeriod: 5000
+    }));
+  });
+
+  test('should replay responses produced while the client was disconnected', async () => {
+    const { ws, info } = connect();
+    await deliver(ws, { id: '1', type: 'run_tool', tool: 'deferred', params: {} });
+
+    ws.emit('close');
+    finishTool({ finished: true });
+    await new Promise(resolve => setImmediate(resolve));
+
+    const { ws: reconnected } = connect();
+    await deliver(reconnected, { id: 'r1', type: 'resume_session', sessionToken: info.sessionToken });
+
+    expect(reconnected.sent.slice(1)).toEqual([
+      { type: 'session_resumed', id: 'r1', sessionId: info.sessionId, replayed: 1 },
+      {
+        type: 'tool_response',
+        id: '1',
+        tool: 'deferred',
+        status: 'success',
+        result: { finished: true }
+      }
+    ]);
+  });
+
+  test('should serve later requests from the resumed session', async () => {
+    const { ws, info } = connect();
+    await deliver(ws, { id: '1', type: 'run_tool', tool: 'deferred', params: {} });
+    ws.emit('close');
+
+    const { ws: reconnected } = connect();
+    await deliver(reconnected, { id: 'r1', type: 'resume_session', sessionToken: info.sessionToken });
+    await deliver(reconnected, { id: '1', type: 'cancel_request' });
+
+    expect(tools.deferred.handler.mock.calls[0][2].signal.aborted).toBe(true);
+    expect(reconnected.sent).toContainEqual({ type: 'request_cancelled', id: '1' });
+  });
+
+  test('should take over a session whose old socket is still open', async () => {
+    const { ws, info } = connect();
+    ws.close = jest.fn();
+
+    const { ws: reconnected } = connect();
+    await deliver(reconnected, { id: 'r1', type: 'resume_session', sessionToken: info.sessionToken });
+    ws.emit('close');
+    await deliver(reconnected, { id: '2', type: 'ping' });
+
+    expect(ws.close).toHaveBeenCalled();
+    expect(reconnected.sent[reconnected.sent.length - 1]).toEqual(expect.objectContaining({ type: 'pong' }));
+  });
+
+  test('should not let another API token resume the session', async () => {
+    const ws = createMockSocket();
+    handleMcpConnection(ws, tools, mockLogger, { sessionStore, apiToken: 'owner-token' });
+    const { sessionToken } = ws.sent[0];
+    ws.emit('close');
+
+    const intruder = createMockSocket();
+    handleMcpConnection(intruder, tools, mockLogger, { sessionStore, apiToken: 'other-token' });
+    await deliver(intruder, { id: 'r1', type: 'resume_session', sessionToken });
+
+    expect(intruder.sent).toContainEqual({ type: 'error', id: 'r1', message: 'Session not found or expired' });
+  });
+
+  test('should reject unknown session tokens', async () => {
+    const { ws } = connect();
+    await deliver(ws, { id: 'r1', type: 'resume_session', sessionToken: 'unknown' });
+
+    expect(ws.sent).toContainEqual({ type: 'error', id: 'r1', message: 'Session not found or expired' });
+  });
+
+  test('should clean up sessions that are not resumed within the grace period', async () => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+
+    try {
+      const { ws, info } = connect();
+      await deliver(ws, { id: '1', type: 'run_tool', tool: 'deferred', params: {} });
+      const { signal } = tools.deferred.handler.mock.calls[0][2];
+
+      ws.emit('close');
+      jest.advanceTimersByTime(4999);
+      expect(signal.aborted).toBe(false);
+
+      jest.advanceTimersByTime(1);
+      expect(signal.aborted).toBe(true);
+
+      const { ws: reconnected } = connect();
+      await deliver(reconnected, { id: 'r1', type: 'resume_session', sessionToken: info.sessionToken });
+      expect(reconnected.sent).toContainEqual({
+        type: 'error',
+        id: 'r1',
+        message: 'Session not found or expired'
+      });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('should not offer resumption without a session store', () => {
+    const ws = createMockSocket();
+    handleMcpConnection(ws, tools, mockLogger);
+
+    expect(ws.sent[0].sessionToken).toBeUndefined();
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Tests for the stdio transport
+ */
+
+const { PassThrough } = require('stream');
+const { startStdioServer } = require('../src/core/server');
+
+jest.mock('../src/core/tools', () => ({
+  registerTools: jest.fn().mockReturnValue({
+    echo: {
+      description: 'Echo the input back',
+      handler: jest.fn(async params => ({ echoed: params.text }))
+    }
+  })
+}));
+
+// Mock logger
+const mockLogger = {
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+/**
+ * Collect newline-delimited JSON messages written to a stream
+ * @param {PassThrough} stream - Output stream
+ * @returns {Array} - Parsed messages, filled as data arrives
+ */
+function collectMessages(stream) {
+  const messages = [];
+  let buffer = '';
+
+  stream.on('data', (chunk) => {
+    buffer += chunk.toString();
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(line => messages.push(JSON.parse(line)));
+  });
+
+  return messages;
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('stdio transport', () => {
+  let input;
+  let output;
+  let messages;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    input = new PassThrough();
+    output = new PassThrough();
+    messages = collectMessages(output);
+  });
+
+  test('should not send the legacy greeting', async () => {
+    startStdioServer('test-token', mockLogger, { input, output });
+    await flush();
+
+    expect(messages).toEqual([]);
+  });
+
+  test('should answer newline-delimited JSON-RPC requests', async () => {
+    startStdioServer('test-token', mockLogger, { input, output });
+
+    input.write(JSON.stringify({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'initialize',
+      params: { protocolVersion: '2025-06-18', capabilities: {} }
+    }) + '\n');
+    input.write(JSON.stringify({
+      jsonrpc: '2.0',
+      id: 2,
+      method: 'tools/call',
+      params: { name: 'echo', arguments: { text: 'over stdio' } }
+    }) + '\n');
+    await flush();
+    await flush();
+
+    expect(messages[0]).toEqual(expect.objectContaining({ id: 1, result: expect.any(Object) }));
+    expect(messages[1].result.structuredContent).toEqual({ echoed: 'over stdio' });
+  });
+
+  test('should emit close when stdin ends', async () => {
+    const connection = startStdioServer('test-token', mockLogger, { input, output });
+    const onClose = jest.fn();
+    connection.on('close', onClose);
+
+    input.end();
+    await flush();
+
+    expect(onClose).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Tests for the task watcher
+ */
+
+const { watchTask } = require('../src/services/task-watcher');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Task Watcher', () => {
+  let watcher;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+  });
+
+  afterEach(() => {
+    if (watcher) {
+      watcher.stop();
+    }
+    jest.useRealTimers();
+  });
+
+  test('should report the current state on the first poll', async () => {
+    const fetchStatus = jest.fn().mockResolvedValue({ status: 'running', steps: [] });
+    const onUpdate = jest.fn();
+
+    watcher = watchTask('task-1', fetchStatus, onUpdate);
+    await flush();
+
+    expect(onUpdate).toHaveBeenCalledWith(
+      { status: 'running', steps: [] },
+      ['status', 'steps', 'waitingForInput']
+    );
+  });
+
+  test('should only report fields that changed', async () => {
+    const fetchStatus = jest.fn()
+      .mockResolvedValueOnce({ status: 'running', steps: [{ step: 1 }] })
+      .mockResolvedValueOnce({ status: 'running', steps: [{ step: 1 }] })
+      .mockResolvedValueOnce({ status: 'running', steps: [{ step: 1 }, { step: 2 }] })
+      .mockResolvedValueOnce({
+        status: 'waiting_for_input',
+        steps: [{ step: 1 }, { step: 2 }],
+        waitingForInput: true,
+        inputPrompt: 'Which account?'
+      });
+    const onUpdate = jest.fn();
+
+    watcher = watchTask('task-1', fetchStatus, onUpdate, { interval: 1000 });
+    await flush();
+
+    for (let i = 0; i < 3; i++) {
+      jest.advanceTimersByTime(1000);
+      await flush();
+    }
+
+    expect(fetchStatus).toHaveBeenCalledTimes(4);
+    expect(onUpdate).toHaveBeenCalledTimes(3);
+    expect(onUpdate.mock.calls[1][1]).toEqual(['steps']);
+    expect(onUpdate.mock.calls[2][1]).toEqual(['status', 'waitingForInput']);
+  });
+
+  test('should stop polling once the task reaches a terminal status', async () => {
+    const fetchStatus = jest.fn().mockResolvedValue({ status: 'completed', steps: [] });
+
+    watcher = watchTask('task-1', fetchStatus, jest.fn(), { interval: 1000 });
+    await flush();
+    jest.advanceTimersByTime(5000);
+    await flush();
+
+    expect(fetchStatus).toHaveBeenCalledTimes(1);
+  });
+
+  test('should abort the pending poll and stop when stopped', async () => {
+    const fetchStatus = jest.fn(() => new Promise(() => {}));
+
+    watcher = watchTask('task-1', fetchStatus, jest.fn(), { interval: 1000 });
+    const signal = fetchStatus.mock.calls[0][1];
+    watcher.stop();
+
+    expect(signal.aborted).toBe(true);
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Tests for UI tree views
+ */
+
+const { buildTreeView, countNodes, renderTreeText } = require('../src/utils/ui-tree');
+
+/**
+ * Create a UI node
+ * @param {Object} fields - Node fields
+ * @param {Array<Object>} [children] - Child nodes
+ * @returns {Object} - UI node
+ */
+function node(fields, children = []) {
+  return {
+    text: '',
+    resourceId: '',
+    contentDesc: '',
+    packageName: 'com.example',
+    bounds: { left: 0, top: 0, right: 1080, bottom: 2340 },
+    clickable: false,
+    focusable: false,
+    focused: false,
+    scrollable: false,
+    enabled: true,
+    ...fields,
+    children
+  };
+}
+
+const root = node({ className: 'android.widget.FrameLayout' }, [
+  node({ className: 'android.widget.LinearLayout' }, [
+    node({
+      className: 'android.widget.EditText',
+      resourceId: 'com.example:id/email',
+      bounds: { left: 60, top: 144, right: 1020, bottom: 288 },
+      focusable: true,
+      focused: true
+    }),
+    node({
+      className: 'android.widget.Button',
+      text: 'Sign in',
+      contentDesc: 'Sign in with email',
+      bounds: { left: 100, top: 1000, right: 301, bottom: 1100 },
+      clickable: true
+    })
+  ]),
+  node({ className: 'android.widget.ScrollView', scrollable: true }, [
+    node({ className: 'android.widget.TextView', text: 'Terms' })
+  ])
+]);
+
+describe('UI tree views', () => {
+  test('should keep the documented fields of every node', () => {
+    const [view] = buildTreeView(root);
+
+    expect(countNodes([view])).toBe(6);
+    expect(view.children[0].children[1]).toEqual({
+      className: 'android.widget.Button',
+      text: 'Sign in',
+      resourceId: '',
+      contentDesc: 'Sign in with email',
+      bounds: { left: 100, top: 1000, right: 301, bottom: 1100 },
+      clickable: true,
+      focused: false,
+      scrollable: false,
+      children: []
+    });
+  });
+
+  test('should move interactable nodes up to their nearest kept ancestor', () => {
+    const view = buildTreeView(root, { interactableOnly: true });
+
+    expect(view.map(entry => entry.className)).toEqual([
+      'android.widget.EditText',
+      'android.widget.Button',
+      'android.widget.ScrollView'
+    ]);
+    expect(view[2].children).toEqual([]);
+  });
+
+  test('should stop at the requested depth', () => {
+    expect(countNodes(buildTreeView(root, { maxDepth: 0 }))).toBe(1);
+    expect(countNodes(buildTreeView(root, { maxDepth: 1 }))).toBe(3);
+    expect(countNodes(buildTreeView(root, { interactableOnly: true, maxDepth: 0 }))).toBe(3);
+  });
+
+  test('should render one compact line per node', () => {
+    expect(renderTreeText(buildTreeView(root))).toBe([
+      'FrameLayout [0,0][1080,2340]',
+      '  LinearLayout [0,0][1080,2340]',
+      '    EditText id=email [60,144][1020,288] focused',
+      '    Button "Sign in" desc="Sign in with email" [100,1000][301,1100] clickable',
+      '  ScrollView [0,0][1080,2340] scrollable',
+      '    TextView "Terms" [0,0][1080,2340]'
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Tests for the virtual device model and seeded random numbers
+ */
+
+const { createVirtualDevice, TEXT_FIELD_BOUNDS } = require('../src/drivers/virtual-device');
+const { createRandom } = require('../src/utils/random');
+const { getMockProgress, getTask, getTasks } = require('../src/services/task-store');
+const taskManagementTools = require('../src/services/task-management');
+
+// A point inside the text field of every screen
+const FIELD = [TEXT_FIELD_BOUNDS.left + 10, TEXT_FIELD_BOUNDS.top + 10];
+
+/**
+ * Get the centre of the home screen icon of an app
+ * @param {Object} device - Virtual device
+ * @param {string} packageName - Package name
+ * @returns {Array<number>} - [x, y]
+ */
+function iconOf(device, packageName) {
+  const { bounds } = device.getElements().find(element => element.packageName === packageName);
+  return [(bounds.left + bounds.right) / 2, (bounds.top + bounds.bottom) / 2];
+}
+
+describe('Virtual device', () => {
+  let device;
+
+  beforeEach(() => {
+    device = createVirtualDevice('device-001');
+  });
+
+  test('should no longer list uninstalled apps', () => {
+    device.uninstall('com.spotify.music');
+
+    expect(device.listApps().map(app => app.packageName)).not.toContain('com.spotify.music');
+    expect(() => device.uninstall('com.spotify.music'))
+      .toThrow('App not installed: com.spotify.music');
+  });
+
+  test('should type into the focused field and delete from it', () => {
+    device.tap(...FIELD);
+    device.input('hello');
+    device.pressKey('MOVE_END');
+    device.pressKey('DEL', 5);
+
+    expect(device.getState()).toEqual(expect.objectContaining({ focusedField: 'text_field', text: '' }));
+  });
+
+  test('should drop text typed without a focused field', () => {
+    device.tap(1000, 2000);
+
+    expect(device.input('lost')).toBe(false);
+    expect(device.getState().text).toBe('');
+  });
+
+  test('should open apps from the home screen and navigate back and home', () => {
+    device.tap(...iconOf(device, 'com.android.chrome'));
+    device.pressKey('HOME');
+    device.tap(...iconOf(device, 'com.spotify.music'));
+    device.launchApp('com.instagram.android');
+
+    expect(device.getState()).toEqual(expect.objectContaining({
+      foregroundApp: 'com.instagram.android',
+      backStack: ['com.spotify.music']
+    }));
+
+    device.pressKey('BACK');
+    expect(device.getState().foregroundApp).toBe('com.spotify.music');
+
+    device.pressKey('HOME');
+    expect(device.getState()).toEqual(expect.objectContaining({ foregroundApp: null, backStack: [] }));
+  });
+
+  test('should keep the text of a screen until the app is closed', () => {
+    device.launchApp('com.android.chrome');
+    device.tap(...FIELD);
+    device.input('airtap');
+    device.pressKey('HOME');
+    device.launchApp('com.android.chrome');
+
+    expect(device.getState().text).toBe('airtap');
+
+    device.uninstall('com.android.chrome');
+    expect(device.getState().foregroundApp).toBeNull();
+    expect(() => device.launchApp('com.android.chrome')).toThrow('App not installed');
+  });
+
+  test('should look the same for the same seed and device ID', () => {
+    const icons = seed => createVirtualDevice('device-001', { seed }).getElements()
+      .filter(element => element.type === 'icon')
+      .map(element => element.color);
+
+    expect(icons('one')).toEqual(icons('one'));
+    expect(icons('one')).not.toEqual(icons('two'));
+  });
+});
+
+describe('Seeded random numbers', () => {
+  test('should repeat the sequence for the same seed', () => {
+    const sequence = seed => {
+      const random = createRandom(seed);
+      return [random.next(), random.int(1, 6), random.pick(['a', 'b', 'c']), random.uuid()];
+    };
+
+    expect(sequence('s1')).toEqual(sequence('s1'));
+    expect(sequence('s1')).not.toEqual(sequence('s2'));
+  });
+
+  test('should stay within the requested bounds', () => {
+    const random = createRandom(42);
+    const values = Array.from({ length: 200 }, () => random.int(3, 5));
+
+    expect(new Set(values)).toEqual(new Set([3, 4, 5]));
+  });
+});
+
+describe('Mock tasks', () => {
+  test('should report the same status on every read', async () => {
+    const [listed] = await getTasks({ limit: 1, offset: 0 });
+    const first = await getTask(listed.id);
+    const second = await getTask(listed.id);
+    const logger = { debug: jest.fn(), error: jest.fn() };
+    const tools = taskManagementTools('test-api-token', logger);
+    const polled = await tools.get_task_status.handler({ taskId: listed.id }, {});
+
+    expect(second.status).toBe(first.status);
+    expect(listed.status).toBe(first.status);
+    expect(polled.status).toBe(first.status);
+    expect((await getTasks({ limit: 1, offset: 0 }))[0].id).toBe(listed.id);
+  });
+
+  test('should move a task forward until it ends', () => {
+    const start = Date.now();
+    const first = getMockProgress('task-progress', start);
+    const later = getMockProgress('task-progress', start + 60000);
+    const last = getMockProgress('task-progress', start + 600000);
+
+    expect(first).toEqual(expect.objectContaining({ status: 'pending', currentStep: 0 }));
+    expect(first.steps).toEqual([]);
+    expect(later.currentStep).toBeGreaterThan(0);
+    expect(['completed', 'failed', 'cancelled']).toContain(last.status);
+    expect(last.steps).toHaveLength(last.currentStep);
+    expect(last.steps[0]).toEqual(expect.objectContaining({ step: 1, status: 'completed' }));
+  });
+});
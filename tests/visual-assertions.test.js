@@ -0,0 +1,230 @@
+/**
+ * Tests for visual assertions against baseline images
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+const visualAssertionTools = require('../src/services/visual-assertions');
+const { compareImages } = require('../src/utils/image-diff');
+const { validateToolParams } = require('../src/core/schema-validator');
+const { configureSharedSimulator, createDeviceDrivers } = require('../src/drivers');
+
+// Mock logger
+const mockLogger = {
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+/**
+ * Create a PNG filled with one colour
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Array<number>} color - [r, g, b]
+ * @param {Function} [paint] - Called with the PNG to change pixels before encoding
+ * @returns {Buffer} - PNG data
+ */
+function solidPng(width, height, color, paint = () => {}) {
+  const png = new PNG({ width, height });
+
+  for (let offset = 0; offset < png.data.length; offset += 4) {
+    png.data.set([...color, 255], offset);
+  }
+
+  paint(png);
+  return PNG.sync.write(png);
+}
+
+describe('Image comparison', () => {
+  const white = solidPng(10, 10, [255, 255, 255]);
+  const marked = solidPng(10, 10, [255, 255, 255], (png) => {
+    png.data.set([0, 0, 0], (2 * 10 + 3) * 4);
+    png.data.set([250, 250, 250], (5 * 10 + 5) * 4);
+  });
+
+  test('should count pixels that differ by more than the threshold', async () => {
+    const comparison = await compareImages(white, marked);
+
+    expect(comparison).toEqual(expect.objectContaining({
+      width: 10,
+      height: 10,
+      mismatchedPixels: 1,
+      comparedPixels: 100,
+      mismatchPercentage: 1
+    }));
+    expect((await compareImages(white, marked, { threshold: 0 })).mismatchedPixels).toBe(2);
+
+    const diff = PNG.sync.read(comparison.diff);
+    expect(Array.from(diff.data.subarray((2 * 10 + 3) * 4, (2 * 10 + 3) * 4 + 3)))
+      .toEqual([255, 0, 0]);
+  });
+
+  test('should skip ignored regions, even where they leave the image', async () => {
+    const comparison = await compareImages(white, marked, {
+      ignoreRegions: [{ x: 0, y: 2, width: 20, height: 1 }]
+    });
+
+    expect(comparison.mismatchedPixels).toBe(0);
+    expect(comparison.comparedPixels).toBe(90);
+  });
+
+  test('should reject images of different sizes', async () => {
+    await expect(compareImages(white, solidPng(10, 20, [255, 255, 255])))
+      .rejects.toThrow('Screenshot is 10x20 but the baseline is 10x10');
+  });
+});
+
+/**
+ * Create a painter that turns pixels black, row by row from the top left
+ * @param {number} count - Number of pixels to paint
+ * @returns {Function} - Painter for solidPng
+ */
+function paintBlack(count) {
+  return (png) => {
+    for (let offset = 0; offset < count * 4; offset += 4) {
+      png.data.fill(0, offset, offset + 3);
+    }
+  };
+}
+
+/**
+ * Create drivers whose devices all show the same small screen
+ * @returns {Object} - Drivers, with the screen to change in `screen`
+ */
+function createFakeDrivers() {
+  const screen = { width: 40, height: 80, color: [255, 255, 255], paint: () => {} };
+  const driver = {
+    screenshot: async deviceId => ({
+      deviceId,
+      format: 'png',
+      width: screen.width,
+      height: screen.height,
+      data: solidPng(screen.width, screen.height, screen.color, screen.paint).toString('base64')
+    })
+  };
+
+  return { screen, forDevice: () => driver };
+}
+
+describe('Visual assertion tools', () => {
+  let tools;
+  let drivers;
+  let baselinesDir;
+  const mockSession = { id: 'test-session' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    drivers = createFakeDrivers();
+    baselinesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'airtap-baselines-'));
+    tools = visualAssertionTools(mockLogger, drivers, { baselinesDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(baselinesDir, { recursive: true, force: true });
+  });
+
+  test('should store a baseline per resolution on the first assertion', async () => {
+    configureSharedSimulator({ latency: 0 });
+    const simulated = visualAssertionTools(mockLogger, createDeviceDrivers(), { baselinesDir });
+    const first = await simulated.assertScreenshot.handler({ name: 'home' }, mockSession);
+
+    expect(first).toEqual(expect.objectContaining({
+      success: true,
+      passed: true,
+      baselineStored: true,
+      resolution: '1080x2340'
+    }));
+    expect(fs.existsSync(path.join(baselinesDir, '1080x2340', 'home.png'))).toBe(true);
+
+    const second = await simulated.assertScreenshot.handler({ name: 'home' }, mockSession);
+
+    expect(second).toEqual(expect.objectContaining({
+      success: true,
+      passed: true,
+      mismatchedPixels: 0,
+      mismatchPercentage: 0,
+      diff: expect.objectContaining({ format: 'png', width: 1080, height: 2340 })
+    }));
+    configureSharedSimulator();
+  });
+
+  test('should fail when the screen changed, and report the difference', async () => {
+    await tools.assertScreenshot.handler({ name: 'home' }, mockSession);
+    drivers.screen.paint = paintBlack(40 * 8);
+
+    const result = await tools.assertScreenshot.handler(
+      { name: 'home', maxMismatchPercentage: 5 },
+      mockSession
+    );
+
+    expect(result).toEqual(expect.objectContaining({
+      success: false,
+      passed: false,
+      mismatchedPixels: 320,
+      mismatchPercentage: 10,
+      message: 'Screen differs from baseline "home" in 320 pixels (10%, at most 5% allowed)'
+    }));
+
+    const comparison = await tools.compareScreenshots.handler({ name: 'home' }, mockSession);
+    expect(comparison.mismatchPercentage).toBe(10);
+    expect(comparison.passed).toBeUndefined();
+  });
+
+  test('should fail on a single changed pixel when no mismatch is allowed', async () => {
+    drivers.screen.width = 150;
+    drivers.screen.height = 300;
+    await tools.assertScreenshot.handler({ name: 'home' }, mockSession);
+    drivers.screen.paint = paintBlack(1);
+
+    const result = await tools.assertScreenshot.handler({ name: 'home' }, mockSession);
+
+    expect(result.passed).toBe(false);
+    expect(result.mismatchPercentage).toBe(0);
+  });
+
+  test('should ignore changes inside ignored regions', async () => {
+    await tools.assertScreenshot.handler({ name: 'home' }, mockSession);
+    drivers.screen.paint = paintBlack(40 * 8);
+
+    const params = { name: 'home', ignoreRegions: [{ x: 0, y: 0, width: 40, height: 8 }] };
+    expect((await tools.assertScreenshot.handler(params, mockSession)).passed).toBe(true);
+  });
+
+  test('should replace the baseline on request', async () => {
+    await tools.assertScreenshot.handler({ name: 'home' }, mockSession);
+    drivers.screen.color = [0, 0, 255];
+
+    await tools.assertScreenshot.handler({ name: 'home', updateBaseline: true }, mockSession);
+    const result = await tools.assertScreenshot.handler({ name: 'home' }, mockSession);
+
+    expect(result.mismatchedPixels).toBe(0);
+  });
+
+  test('should only mark the comparison that writes no baselines as read-only', () => {
+    expect(tools.compareScreenshots.annotations).toEqual({ readOnlyHint: true });
+    expect(tools.assertScreenshot.annotations).toBeUndefined();
+  });
+
+  test('should name the resolutions a missing baseline exists for', async () => {
+    await expect(tools.compareScreenshots.handler({ name: 'home' }, mockSession))
+      .rejects.toThrow('No baseline "home" for 40x80');
+
+    fs.mkdirSync(path.join(baselinesDir, '720x1600'));
+    fs.writeFileSync(path.join(baselinesDir, '720x1600', 'home.png'), solidPng(1, 1, [0, 0, 0]));
+
+    await expect(tools.compareScreenshots.handler({ name: 'home' }, mockSession))
+      .rejects.toThrow('No baseline "home" for 40x80 (found for 720x1600)');
+  });
+
+  test('should only accept baseline names that stay inside the directory', () => {
+    const validate = name => () => validateToolParams(
+      'assertScreenshot', tools.assertScreenshot, { name }
+    );
+
+    expect(validate('login.dark-mode')).not.toThrow();
+    expect(validate('../login')).toThrow('Invalid parameters');
+    expect(validate('screens/login')).toThrow('Invalid parameters');
+  });
+});
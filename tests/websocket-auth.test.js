@@ -0,0 +1,148 @@
+/**
+ * Tests for WebSocket authentication
+ */
+
+const WebSocket = require('ws');
+const { startServer } = require('../src/core/server');
+const { getRequestToken } = require('../src/utils/auth');
+const { registerTools } = require('../src/core/tools');
+
+jest.mock('../src/utils/auth', () => ({
+  ...jest.requireActual('../src/utils/auth'),
+  validateApiToken: jest.fn(async (token) => {
+    if (!['server-token', 'caller-token'].includes(token)) {
+      throw new Error('Invalid API token');
+    }
+    return { valid: true };
+  })
+}));
+
+jest.mock('../src/api/routes', () => ({
+  registerApiRoutes: jest.fn()
+}));
+
+// Each tool set reports the token it was registered with
+jest.mock('../src/core/tools', () => ({
+  registerTools: jest.fn(token => ({
+    whoami: {
+      description: 'Report the API token the tools use',
+      handler: jest.fn(async () => ({ token }))
+    }
+  }))
+}));
+
+// Mock logger
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+describe('getRequestToken', () => {
+  test('should read a Bearer Authorization header', () => {
+    const req = { url: '/', headers: { authorization: 'Bearer abc' } };
+    expect(getRequestToken(req)).toBe('abc');
+  });
+
+  test('should read a bearer subprotocol', () => {
+    const req = { url: '/', headers: { 'sec-websocket-protocol': 'mcp, bearer.abc' } };
+    expect(getRequestToken(req)).toBe('abc');
+  });
+
+  test('should read the token query parameter', () => {
+    const req = { url: '/?token=abc', headers: {} };
+    expect(getRequestToken(req)).toBe('abc');
+  });
+
+  test('should return null when no token is present', () => {
+    expect(getRequestToken({ url: '/', headers: {} })).toBeNull();
+  });
+});
+
+describe('WebSocket authentication', () => {
+  let server;
+  let url;
+  const sockets = [];
+
+  beforeAll(async () => {
+    server = await startServer(0, 'server-token', mockLogger, { resumeGracePeriod: 0 });
+    url = `ws://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    sockets.forEach(ws => ws.terminate());
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  /**
+   * Open a WebSocket and wait for the server greeting or the rejection
+   * @param {string} address - URL to connect to
+   * @param {Object} [options] - Subprotocols and headers
+   * @returns {Promise<Object>} - { ws, info } on success, { status } when rejected
+   */
+  function connect(address, { protocols, headers } = {}) {
+    return new Promise((resolve) => {
+      const ws = new WebSocket(address, protocols, { headers });
+
+      ws.once('message', (data) => {
+        sockets.push(ws);
+        resolve({ ws, info: JSON.parse(data) });
+      });
+      ws.once('unexpected-response', (req, res) => resolve({ status: res.statusCode }));
+    });
+  }
+
+  /**
+   * Run the whoami tool and return the token it used
+   * @param {WebSocket} ws - Open connection
+   * @returns {Promise<string>} - Token reported by the tool
+   */
+  function whoami(ws) {
+    return new Promise((resolve) => {
+      ws.on('message', (data) => {
+        const message = JSON.parse(data);
+        if (message.type === 'tool_response') {
+          resolve(message.result.token);
+        }
+      });
+      ws.send(JSON.stringify({ id: '1', type: 'run_tool', tool: 'whoami', params: {} }));
+    });
+  }
+
+  test('should reject connections without a token', async () => {
+    const { status } = await connect(url);
+    expect(status).toBe(401);
+  });
+
+  test('should reject connections with an invalid token', async () => {
+    const { status } = await connect(url, { headers: { Authorization: 'Bearer wrong-token' } });
+    expect(status).toBe(401);
+  });
+
+  test('should accept a Bearer header and run tools with the caller token', async () => {
+    const { ws, info } = await connect(url, { headers: { Authorization: 'Bearer caller-token' } });
+
+    expect(info.type).toBe('server_info');
+    await expect(whoami(ws)).resolves.toBe('caller-token');
+  });
+
+  test('should accept a token subprotocol and select the other offered protocol', async () => {
+    const { ws } = await connect(url, { protocols: ['mcp', 'bearer.caller-token'] });
+
+    expect(ws.protocol).toBe('mcp');
+    await expect(whoami(ws)).resolves.toBe('caller-token');
+  });
+
+  test('should accept a token query parameter', async () => {
+    const { ws } = await connect(`${url}/?token=server-token`);
+
+    await expect(whoami(ws)).resolves.toBe('server-token');
+  });
+
+  test('should register the tools of each connection instead of caching them by token', () => {
+    const tokens = registerTools.mock.calls.map(call => call[0]);
+    expect(tokens.filter(token => token === 'caller-token')).toHaveLength(2);
+    expect(tokens.filter(token => token === 'server-token')).toHaveLength(1);
+  });
+});